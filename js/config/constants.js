@@ -39,5 +39,12 @@ export const GAME_CONFIG = {
         1: 'الفسطاط / المعادي',
         2: 'مصر القديمة',
         3: 'حلوان'
+    },
+
+    // Zone centres for offline prayer times (PrayerTimes)
+    ZONE_COORDS: {
+        1: { lat: 29.99, lng: 31.25 },
+        2: { lat: 30.01, lng: 31.23 },
+        3: { lat: 29.85, lng: 31.33 }
     }
 };
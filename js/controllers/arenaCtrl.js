@@ -14,9 +14,15 @@
  * 1. Read Operations (The Feed): Fetches match data and renders it using the 
  *    "News Engine" format (Headlines & Articles).
  * 2. Write Operations (The Captain's Console): Provides a secure interface for 
- *    team captains to record match results and select lineups.
+ *    team captains to record match results and select lineups, plus the
+ *    match events (goals with assist / minute / penalty, cards, own goals)
+ *    and the man of the match, shown as a timeline in the match report.
  * 3. Navigation Bridge: Acts as the launchpad for the "Operations Room" via 
  *    the emergency (SOS) button.
+ * 4. Challenges: Captains arrange friendlies (date, venue, 5/7-a-side), answer
+ *    or counter-propose, and later record the result of the SCHEDULED match.
+ * 5. Disputes: A rejected result opens a dispute (the captain's own score and
+ *    scorers), evidence from both sides, escalation and the official's ruling.
  * 
  * [UPDATES IN V5.0.0]:
  * - Removed legacy 'Emergency Modal' code (Refactored to OperationsController).
@@ -27,9 +33,15 @@
 
 import { MatchService } from '../services/matchService.js';
 import { TeamService } from '../services/teamService.js';
+import { ChallengeService, CHALLENGE_STATUS, MATCH_FORMATS } from '../services/challengeService.js';
+import { DisputeService, DISPUTE_STATUS } from '../services/disputeService.js';
 import { state } from '../core/state.js';
 import { Helpers } from '../utils/helpers.js';
 import { SoundManager } from '../utils/soundManager.js';
+import { PrayerTimes } from '../utils/prayerTimes.js';
+import { MatchEvents, EVENT_KINDS } from '../utils/matchEvents.js';
+
+const CHALLENGE_MINUTES = 90;
 
 export class ArenaController {
     
@@ -41,6 +53,8 @@ export class ArenaController {
         // 1. Initialize Data Services
         this.matchService = new MatchService();
         this.teamService = new TeamService();
+        this.challengeService = new ChallengeService();
+        this.disputeService = new DisputeService();
         
         // 2. Cache DOM Container
         this.viewContainer = document.getElementById('view-arena');
@@ -48,6 +62,16 @@ export class ArenaController {
         // 3. Initialize Internal State
         this.myTeamData = null; // Stores team info if the user is a Captain
         this.roster = [];       // Stores the list of team players for lineup selection
+        this.matchEvents = [];  // Events added in the Create Form (before submit)
+
+        // 4. Deep Link: "Reject" in the notifications opens the dispute form
+        window.addEventListener('open-dispute', async (e) => {
+            await this.init();
+            if (!document.getElementById('arena-content')) return;
+            this.switchTab('disputes');
+            this.renderDisputes();
+            this.openDisputeForm(e.detail.matchId);
+        });
         
         console.log("🏟️ ArenaController: Initialized & Ready (Standard Edition).");
     }
@@ -85,8 +109,11 @@ export class ArenaController {
                 this.roster = await this.teamService.getTeamRoster(myTeam.id);
             }
 
+            // Officials (moderator / neutral referee) see the Disputes tab too
+            const assigned = await this.disputeService.getAssigned(currentUser.id);
+
             // D. Render Layout & Load Initial Data
-            this.renderLayout(isCaptain);
+            this.renderLayout(isCaptain, assigned.length > 0);
             await this.loadLiveFeed(currentUser.zoneId);
 
         } catch (err) {
@@ -100,8 +127,9 @@ export class ArenaController {
      * Establishes the structure for the view.
      * 
      * @param {boolean} isCaptain - Determines visibility of the "Create" tab.
+     * @param {boolean} [isOfficial] - Has disputes to rule on.
      */
-    renderLayout(isCaptain) {
+    renderLayout(isCaptain, isOfficial = false) {
         this.viewContainer.innerHTML = `
             <div class="arena-container fade-in">
                 
@@ -114,10 +142,18 @@ export class ArenaController {
                             <i class="fa-solid fa-newspaper"></i> الأخبار
                         </button>
                         ${isCaptain ? `
+                            <button class="tab-btn" data-tab="challenges">
+                                <i class="fa-solid fa-handshake"></i> تحديات
+                            </button>
                             <button class="tab-btn" data-tab="create">
                                 <i class="fa-solid fa-pen-to-square"></i> تسجيل
                             </button>
                         ` : ''}
+                        ${isCaptain || isOfficial ? `
+                            <button class="tab-btn" data-tab="disputes">
+                                <i class="fa-solid fa-scale-balanced"></i> نزاعات
+                            </button>
+                        ` : ''}
                     </div>
                     
                     <!-- SOS BUTTON (Gateway to Operations Room) -->
@@ -156,6 +192,10 @@ export class ArenaController {
                     this.loadLiveFeed(state.getUser().zoneId);
                 } else if (e.target.dataset.tab === 'create') {
                     this.renderCreateForm();
+                } else if (e.target.dataset.tab === 'challenges') {
+                    this.renderChallenges();
+                } else if (e.target.dataset.tab === 'disputes') {
+                    this.renderDisputes();
                 }
             });
         });
@@ -205,6 +245,7 @@ export class ArenaController {
                 // Note: 'match_data' is a JSONB column containing the generated news.
                 const headline = m.match_data?.headline || "مباراة قوية في المنطقة";
                 const isConfirmed = m.status === 'CONFIRMED';
+                const isScheduled = m.status === 'SCHEDULED';
                 const date = Helpers.formatDate(new Date(m.played_at));
                 
                 // Safe Encode object for Modal interaction to avoid quote breaking
@@ -216,7 +257,7 @@ export class ArenaController {
                     <!-- Press Headline Banner -->
                     <div class="match-headline" style="padding-bottom:10px; margin-bottom:10px; border-bottom:1px solid rgba(255,255,255,0.05);">
                         <span style="font-size:0.85rem; color:var(--gold-main); font-weight:bold; line-height:1.4; display:block;">
-                            ${isConfirmed ? headline : '🔴 مباراة جارية الآن...'}
+                            ${isConfirmed ? headline : (isScheduled ? (m.match_data?.challenge_id ? `📅 مباراة ودية ${this.formatLabel(m.match_data.format)}` : '📅 مباراة مجدولة') : '🔴 مباراة جارية الآن...')}
                         </span>
                         <div style="font-size:0.65rem; color:var(--text-muted); display:flex; justify-content:space-between; margin-top:5px;">
                             <span>${date}</span>
@@ -230,8 +271,8 @@ export class ArenaController {
                             <div class="sb-logo" style="background:${m.team_a?.logo_dna?.primary || '#333'}"></div>
                             <span>${m.team_a?.name}</span>
                         </div>
-                        <div class="sb-score">
-                            ${m.score_a} - ${m.score_b}
+                        <div class="sb-score ${isScheduled ? 'sb-kickoff' : ''}">
+                            ${isScheduled ? PrayerTimes.formatTime(new Date(m.played_at)) : `${m.score_a} - ${m.score_b}`}
                         </div>
                         <div class="sb-team">
                             <div class="sb-logo" style="background:${m.team_b?.logo_dna?.primary || '#333'}"></div>
@@ -242,7 +283,11 @@ export class ArenaController {
                     <!-- Status Badge -->
                     ${isConfirmed ? 
                         `<div class="match-status status-confirmed">خبر رسمي</div>` : 
-                        `<div class="match-status status-pending">في انتظار التوثيق</div>`
+                        (isScheduled ?
+                            `<div class="match-status status-scheduled">موعد متفق عليه</div>` :
+                            (m.status === 'DISPUTED' ?
+                                `<div class="match-status status-disputed">نتيجة متنازع عليها</div>` :
+                                `<div class="match-status status-pending">في انتظار التوثيق</div>`))
                     }
                 </div>`;
             }).join('');
@@ -251,6 +296,7 @@ export class ArenaController {
             // Attached to window to be accessible from the innerHTML string
             window.openMatchDetails = (dataStr) => {
                 const match = JSON.parse(decodeURIComponent(dataStr));
+                if (match.status === 'SCHEDULED') return;
                 this.showMatchReportModal(match);
             };
 
@@ -262,11 +308,12 @@ export class ArenaController {
 
     /**
      * Shows the "Match Report" Modal (The Press Article).
-     * Displays the full narrative body text generated by NewsEngine.
+     * Displays the full narrative body text generated by NewsEngine,
+     * then the events timeline once loaded.
      * 
      * @param {Object} match - The full match data object.
      */
-    showMatchReportModal(match) {
+    async showMatchReportModal(match) {
         SoundManager.play('click');
         const modalId = 'modal-match-report';
         
@@ -300,10 +347,17 @@ export class ArenaController {
                 </div>
             </div>
             
+            ${match.match_data?.motm_name ? `<div class="match-motm">⭐ رجل المباراة: ${Helpers.escapeHtml(match.match_data.motm_name)}</div>` : ''}
+            <div id="match-report-timeline"></div>
+            
             <div style="text-align:center; font-size:0.8rem; color:var(--text-muted);">
                 تم التوثيق رسمياً في سجلات المنطقة.
             </div>
         `;
+
+        const events = await this.matchService.getMatchEvents(match.id);
+        const box = document.getElementById('match-report-timeline');
+        if (box) box.innerHTML = MatchEvents.timelineHtml(events, match);
     }
 
     /* =========================================================================
@@ -314,40 +368,53 @@ export class ArenaController {
      * Renders the Match Creation Form.
      * Dynamically fetches Opponents and Venues to populate dropdowns.
      * Renders the "Roster Grid" for lineup selection.
+     * 
+     * @param {Object} [scheduled] - SCHEDULED match (from a challenge): opponent
+     *                               and venue are fixed, only the result is filled in.
      */
-    async renderCreateForm() {
+    async renderCreateForm(scheduled = null) {
         const container = document.getElementById('arena-content');
         container.innerHTML = '<div class="loader-bar" style="margin:20px auto"></div>';
+        this.scheduledMatch = scheduled;
+        this.matchEvents = [];
         
         try {
             const user = state.getUser();
             
             // Parallel Fetch for efficiency (Opponents & Venues)
-            const [opponents, venues] = await Promise.all([
+            let [opponents, venues] = await Promise.all([
                 this.matchService.getOpponents(user.zoneId, this.myTeamData.id),
                 this.matchService.getVenues(user.zoneId)
             ]);
 
+            let oppId = '';
+            if (scheduled) {
+                const isA = scheduled.team_a_id === this.myTeamData.id;
+                oppId = isA ? scheduled.team_b_id : scheduled.team_a_id;
+                opponents = [{ id: oppId, name: (isA ? scheduled.team_b : scheduled.team_a)?.name || 'الخصم' }];
+            }
+            const venueId = scheduled?.venue_id ?? '';
+
             container.innerHTML = `
                 <div class="match-form-box fade-in">
-                    <h3 style="color:var(--gold-main); text-align:center; margin-bottom:20px;">تسجيل صافرة النهاية</h3>
+                    <h3 style="color:var(--gold-main); text-align:center; margin-bottom:20px;">${scheduled ? 'نتيجة المباراة المجدولة' : 'تسجيل صافرة النهاية'}</h3>
                     <form id="form-match">
                         
                         <!-- Opponent Selection -->
                         <div class="form-group">
                             <label>الفريق الخصم</label>
-                            <select id="inp-opp" required>
-                                <option value="" disabled selected>اختر الفريق...</option>
-                                ${opponents.map(o => `<option value="${o.id}">${o.name}</option>`).join('')}
+                            <select id="inp-opp" required ${scheduled ? 'disabled' : ''}>
+                                <option value="" disabled ${oppId ? '' : 'selected'}>اختر الفريق...</option>
+                                ${opponents.map(o => `<option value="${o.id}" ${o.id === oppId ? 'selected' : ''}>${o.name}</option>`).join('')}
                             </select>
                         </div>
 
                         <!-- Venue Selection -->
                         <div class="form-group">
                             <label>الملعب</label>
-                            <select id="inp-venue" required>
-                                <option value="" disabled selected>المكان...</option>
-                                ${venues.map(v => `<option value="${v.id}">${v.name}</option>`).join('')}
+                            <select id="inp-venue" required ${scheduled ? 'disabled' : ''}>
+                                <option value="" disabled ${venueId ? '' : 'selected'}>المكان...</option>
+                                ${venues.map(v => `<option value="${v.id}" ${v.id === venueId ? 'selected' : ''}>${v.name}</option>`).join('')}
                             </select>
                         </div>
 
@@ -378,11 +445,42 @@ export class ArenaController {
                             <!-- Inline CSS for Checkbox Selection logic is handled globally in main.css (.player-chk input:checked + span) -->
                         </div>
 
+                        <!-- Match Events (Goals, Cards, Own Goals) -->
+                        <div class="form-group">
+                            <label>أحداث المباراة (لاعبو فريقك)</label>
+                            <div class="event-builder">
+                                <select id="inp-evt-kind">
+                                    ${Object.entries(EVENT_KINDS).map(([k, d]) => `<option value="${k}">${d.icon} ${d.label}</option>`).join('')}
+                                </select>
+                                <select id="inp-evt-player">
+                                    <option value="">اللاعب...</option>
+                                    ${this.roster.map(p => `<option value="${p.userId}">${p.name}</option>`).join('')}
+                                </select>
+                                <select id="inp-evt-assist">
+                                    <option value="">بدون صناعة</option>
+                                    ${this.roster.map(p => `<option value="${p.userId}">${p.name}</option>`).join('')}
+                                </select>
+                                <input type="number" id="inp-evt-minute" min="1" max="120" placeholder="الدقيقة">
+                                <button type="button" class="btn-action-secondary" id="btn-add-event"><i class="fa-solid fa-plus"></i></button>
+                            </div>
+                            <div id="event-list"></div>
+                        </div>
+
+                        <!-- Man of the Match -->
+                        <div class="form-group">
+                            <label>رجل المباراة (اختياري)</label>
+                            <select id="inp-motm">
+                                <option value="">—</option>
+                                ${this.roster.map(p => `<option value="${p.userId}">${p.name}</option>`).join('')}
+                            </select>
+                        </div>
+
                         <button type="submit" class="btn-primary" id="btn-submit-match">إرسال النتيجة</button>
                     </form>
                 </div>`;
             
-            // Bind Submit Logic
+            // Bind Event Builder & Submit Logic
+            this.bindEventBuilder();
             document.getElementById('form-match').addEventListener('submit', (e) => this.handleSubmit(e));
 
         } catch (e) { 
@@ -391,6 +489,52 @@ export class ArenaController {
         }
     }
 
+    /**
+     * Event builder of the Create Form: adds / removes entries of
+     * this.matchEvents and keeps the list in match order.
+     */
+    bindEventBuilder() {
+        const kindSelect = document.getElementById('inp-evt-kind');
+        const assistSelect = document.getElementById('inp-evt-assist');
+        const nameOf = (id) => this.roster.find(p => p.userId === id)?.name || 'لاعب';
+
+        // Assists only apply to open-play goals
+        kindSelect.onchange = () => assistSelect.classList.toggle('hidden', kindSelect.value !== 'GOAL');
+
+        const renderList = () => {
+            this.matchEvents = MatchEvents.sort(this.matchEvents);
+            document.getElementById('event-list').innerHTML = this.matchEvents.map((e, i) => {
+                const kind = EVENT_KINDS[MatchEvents.kindOf(e)];
+                return `
+                    <div class="event-item">
+                        <span>${e.minute ? `${e.minute}'` : '-'}</span>
+                        <span>${kind.icon} ${nameOf(e.player_id)}${e.assist_id ? ` <small>(صناعة: ${nameOf(e.assist_id)})</small>` : ''}</span>
+                        <button type="button" class="btn-remove-event" data-index="${i}">&times;</button>
+                    </div>`;
+            }).join('');
+
+            document.querySelectorAll('.btn-remove-event').forEach(btn => {
+                btn.onclick = () => {
+                    this.matchEvents.splice(parseInt(btn.dataset.index), 1);
+                    renderList();
+                };
+            });
+        };
+
+        document.getElementById('btn-add-event').onclick = () => {
+            const minute = parseInt(document.getElementById('inp-evt-minute').value);
+            try {
+                this.matchEvents.push(MatchEvents.create(kindSelect.value, document.getElementById('inp-evt-player').value, {
+                    assistId: assistSelect.value || null,
+                    minute: Number.isNaN(minute) ? null : minute
+                }));
+                SoundManager.play('click');
+                document.getElementById('inp-evt-minute').value = '';
+                renderList();
+            } catch (err) { alert(err.message); }
+        };
+    }
+
     /**
      * Logic: Handle Match Submission.
      * Validates input, constructs payload, executes transaction via Service.
@@ -408,6 +552,13 @@ export class ArenaController {
         const oppName = oppSelect.options[oppSelect.selectedIndex].text;
 
         // 2. Construct Data Payload
+        // Players with an event (or the MOTM) played even if left unticked
+        const motmId = document.getElementById('inp-motm').value || null;
+        const checked = Array.from(document.querySelectorAll('input[name="lineup"]:checked')).map(cb => cb.value);
+        const involved = this.matchEvents.flatMap(e => [e.player_id, e.assist_id]).concat(motmId).filter(Boolean);
+        const names = {};
+        this.roster.forEach(p => { names[p.userId] = p.name; });
+
         const payload = {
             creatorId: state.getUser().id,
             myTeamId: this.myTeamData.id,
@@ -418,8 +569,11 @@ export class ArenaController {
             myScore: parseInt(document.getElementById('inp-score-my').value),
             oppScore: parseInt(document.getElementById('inp-score-opp').value),
             // Map checked boxes to user IDs
-            lineup: Array.from(document.querySelectorAll('input[name="lineup"]:checked')).map(cb => cb.value),
-            scorers: [] // Reserved for future Scorers logic
+            lineup: [...new Set([...checked, ...involved])],
+            events: this.matchEvents,
+            names,                            // Passed for news gen
+            motmId,
+            motmName: motmId ? names[motmId] : null
         };
 
         // 3. Validation: Minimum 5 players warning
@@ -432,11 +586,17 @@ export class ArenaController {
         }
 
         try {
-            // 4. Validate Constraints (Weekly cap, Time buffer)
-            await this.matchService.validateMatchConstraints(payload.myTeamId);
-            
-            // 5. Submit Transaction (This triggers News Generation in Service)
-            await this.matchService.submitMatch(payload);
+            if (this.scheduledMatch) {
+                // Agreed fixture: the match already exists (and counted towards the cap)
+                await this.matchService.submitScheduledResult(this.scheduledMatch.id, payload);
+                this.scheduledMatch = null;
+            } else {
+                // 4. Validate Constraints (Weekly cap, Time buffer)
+                await this.matchService.validateMatchConstraints(payload.myTeamId);
+                
+                // 5. Submit Transaction (This triggers News Generation in Service)
+                await this.matchService.submitMatch(payload);
+            }
             
             SoundManager.play('success');
             alert("تم تسجيل النتيجة! الخبر الآن قيد المراجعة لدى الكابتن الخصم.");
@@ -453,5 +613,685 @@ export class ArenaController {
             btn.textContent = "إرسال النتيجة";
         }
     }
+
+    /* =========================================================================
+       SECTION 3: CHALLENGES (ARRANGING A FRIENDLY)
+       ========================================================================= */
+
+    /**
+     * Renders the Challenges tab: new challenge form, challenges awaiting my
+     * answer, challenges awaiting the opponent, and agreed (SCHEDULED) friendlies.
+     */
+    async renderChallenges() {
+        const container = document.getElementById('arena-content');
+        container.innerHTML = '<div class="loader-bar" style="margin:20px auto"></div>';
+
+        try {
+            const user = state.getUser();
+            const myId = this.myTeamData.id;
+
+            const [challenges, schedule, opponents, venues] = await Promise.all([
+                this.challengeService.getChallenges(myId),
+                this.teamService.getTeamSchedule(myId),
+                this.matchService.getOpponents(user.zoneId, myId),
+                this.matchService.getVenues(user.zoneId)
+            ]);
+
+            const open = challenges.filter(c => [CHALLENGE_STATUS.PENDING, CHALLENGE_STATUS.COUNTERED].includes(c.status));
+            const toAnswer = open.filter(c => c.turn_team_id === myId);
+            const waiting = open.filter(c => c.turn_team_id !== myId);
+            const scheduled = schedule.filter(m => m.status === 'SCHEDULED' && !m.tournament);
+
+            container.innerHTML = `
+                <div class="fade-in">
+                    ${toAnswer.length ? `
+                        <h4 class="challenge-section-title">بانتظار ردك (${toAnswer.length})</h4>
+                        ${toAnswer.map(c => this.renderChallengeCard(c, true)).join('')}` : ''}
+
+                    ${scheduled.length ? `
+                        <h4 class="challenge-section-title">مباريات مجدولة</h4>
+                        ${scheduled.map(m => this.renderScheduledCard(m)).join('')}` : ''}
+
+                    ${waiting.length ? `
+                        <h4 class="challenge-section-title">بانتظار رد الخصم</h4>
+                        ${waiting.map(c => this.renderChallengeCard(c, false)).join('')}` : ''}
+
+                    <div class="match-form-box" style="margin-top:15px;">
+                        <h3>تحدٍ جديد</h3>
+                        <form id="form-challenge">
+                            <div class="form-group">
+                                <label>الفريق المنافس</label>
+                                <select id="inp-ch-opp" required>
+                                    <option value="" disabled selected>اختر الفريق...</option>
+                                    ${opponents.map(o => `<option value="${o.id}">${o.name}</option>`).join('')}
+                                </select>
+                            </div>
+                            ${this.renderProposalFields('ch', venues)}
+                            <button type="submit" class="btn-primary" id="btn-send-challenge">
+                                <i class="fa-solid fa-paper-plane"></i> إرسال التحدي
+                            </button>
+                        </form>
+                    </div>
+                </div>`;
+
+            this.bindChallengeEvents(challenges, scheduled, venues);
+
+        } catch (e) {
+            console.error(e);
+            container.innerHTML = `<p class="error-text">فشل تحميل التحديات. ${e.message}</p>`;
+        }
+    }
+
+    /**
+     * Date, venue, format and note inputs (new challenge & counter-proposal).
+     * @param {string} prefix - Input ID prefix.
+     * @param {Array} venues
+     * @param {Object} [current] - Challenge whose values pre-fill the inputs.
+     */
+    renderProposalFields(prefix, venues, current = null) {
+        return `
+            <div class="form-group">
+                <label>الموعد</label>
+                <input type="datetime-local" id="inp-${prefix}-time" required value="${current ? this.toLocalInput(current.proposed_at) : ''}">
+            </div>
+            <div class="form-group">
+                <label>الملعب</label>
+                <select id="inp-${prefix}-venue" required>
+                    <option value="" disabled ${current ? '' : 'selected'}>المكان...</option>
+                    ${venues.map(v => `<option value="${v.id}" ${current?.venue_id === v.id ? 'selected' : ''}>${v.name}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>النظام</label>
+                <select id="inp-${prefix}-format">
+                    ${MATCH_FORMATS.map(f => `<option value="${f}" ${current?.format === f ? 'selected' : ''}>${this.formatLabel(f)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>ملاحظة (اختياري)</label>
+                <input type="text" id="inp-${prefix}-note" maxlength="120" placeholder="مثال: الحجز علينا" value="${Helpers.escapeHtml(current?.note || '')}">
+            </div>`;
+    }
+
+    /**
+     * @param {Object} c - Challenge row.
+     * @param {boolean} myTurn - Show accept / counter / decline instead of cancel.
+     */
+    renderChallengeCard(c, myTurn) {
+        const isChallenger = c.challenger_team_id === this.myTeamData.id;
+        const opponentName = (isChallenger ? c.opponent?.name : c.challenger?.name) || '???';
+        const rounds = Math.max(0, (c.history || []).length - 1);
+
+        return `
+            <div class="challenge-card ${myTurn ? 'my-turn' : ''}">
+                <div class="challenge-head">
+                    <span><i class="fa-solid fa-shield-halved"></i> ${opponentName}</span>
+                    <span class="challenge-format">${this.formatLabel(c.format)}</span>
+                </div>
+                <div class="challenge-meta">
+                    <span><i class="fa-regular fa-clock"></i> ${this.formatTime(c.proposed_at)}</span>
+                    <span><i class="fa-solid fa-location-dot"></i> ${c.venue?.name || 'ملعب'}</span>
+                </div>
+                ${c.note ? `<div class="challenge-note">"${Helpers.escapeHtml(c.note)}"</div>` : ''}
+                ${rounds > 0 ? `<div class="challenge-note">عروض متبادلة: ${rounds}</div>` : ''}
+                <div class="challenge-actions">
+                    ${myTurn ? `
+                        <button class="btn-accept btn-ch-accept" data-id="${c.id}">قبول</button>
+                        <button class="btn-action-secondary btn-ch-counter" data-id="${c.id}">موعد آخر</button>
+                        <button class="btn-reject btn-ch-decline" data-id="${c.id}">اعتذار</button>
+                    ` : `
+                        <button class="btn-reject btn-ch-cancel" data-id="${c.id}">سحب التحدي</button>
+                    `}
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Agreed friendly: the result can be recorded once the kick-off has passed.
+     */
+    renderScheduledCard(m) {
+        const isA = m.team_a_id === this.myTeamData.id;
+        const opponentName = (isA ? m.team_b?.name : m.team_a?.name) || '???';
+        const started = new Date(m.played_at) <= new Date();
+        const challengeId = m.match_data?.challenge_id;
+
+        return `
+            <div class="challenge-card scheduled">
+                <div class="challenge-head">
+                    <span><i class="fa-solid fa-shield-halved"></i> ${opponentName}</span>
+                    <span class="challenge-format">${this.formatLabel(m.match_data?.format)}</span>
+                </div>
+                <div class="challenge-meta">
+                    <span><i class="fa-regular fa-clock"></i> ${this.formatTime(m.played_at)}</span>
+                    <span><i class="fa-solid fa-location-dot"></i> ${m.venue?.name || 'ملعب'}</span>
+                </div>
+                <div class="challenge-actions">
+                    ${started
+                        ? `<button class="btn-accept btn-sch-result" data-id="${m.id}">تسجيل النتيجة</button>`
+                        : (challengeId ? `<button class="btn-reject btn-ch-cancel" data-id="${challengeId}">إلغاء المباراة</button>` : '')}
+                </div>
+            </div>`;
+    }
+
+    bindChallengeEvents(challenges, scheduled, venues) {
+        const user = state.getUser();
+        const byId = (id) => challenges.find(c => c.id === id);
+
+        const run = async (btn, action, confirmText) => {
+            if (confirmText && !confirm(confirmText)) return;
+            btn.disabled = true;
+            try {
+                await action();
+                SoundManager.play('success');
+                this.renderChallenges();
+            } catch (e) {
+                SoundManager.play('error');
+                alert(e.message);
+                btn.disabled = false;
+            }
+        };
+
+        document.getElementById('form-challenge').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const proposal = this.readProposal('ch');
+            if (!proposal) return;
+            await run(document.getElementById('btn-send-challenge'),
+                () => this.challengeService.sendChallenge(user.id, { opponentId: document.getElementById('inp-ch-opp').value, ...proposal }));
+        });
+
+        document.querySelectorAll('.btn-ch-accept').forEach(btn => {
+            btn.onclick = () => run(btn, () => this.challengeService.respond(btn.dataset.id, user.id, 'ACCEPT'), "قبول التحدي وجدولة المباراة؟");
+        });
+        document.querySelectorAll('.btn-ch-decline').forEach(btn => {
+            btn.onclick = () => run(btn, () => this.challengeService.respond(btn.dataset.id, user.id, 'DECLINE'), "الاعتذار عن التحدي؟");
+        });
+        document.querySelectorAll('.btn-ch-cancel').forEach(btn => {
+            btn.onclick = () => run(btn, () => this.challengeService.cancelChallenge(btn.dataset.id, user.id), "تأكيد الإلغاء؟");
+        });
+        document.querySelectorAll('.btn-ch-counter').forEach(btn => {
+            btn.onclick = () => this.openCounterModal(byId(btn.dataset.id), venues);
+        });
+        document.querySelectorAll('.btn-sch-result').forEach(btn => {
+            btn.onclick = () => this.renderCreateForm(scheduled.find(m => m.id === btn.dataset.id));
+        });
+    }
+
+    /**
+     * Modal: counter-proposal (other time, venue or format).
+     */
+    openCounterModal(challenge, venues) {
+        const modalId = 'modal-challenge-counter';
+        if (!document.getElementById(modalId)) {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="${modalId}" class="modal-overlay hidden">
+                    <div class="modal-box">
+                        <div class="modal-header">
+                            <h3>اقتراح موعد آخر</h3>
+                            <button class="close-btn" id="btn-close-counter">&times;</button>
+                        </div>
+                        <div id="counter-body"></div>
+                        <button class="btn-primary" id="btn-send-counter">إرسال الاقتراح</button>
+                    </div>
+                </div>`);
+            document.getElementById('btn-close-counter').onclick = () => document.getElementById(modalId).classList.add('hidden');
+        }
+
+        document.getElementById('counter-body').innerHTML = this.renderProposalFields('counter', venues, challenge);
+        const modal = document.getElementById(modalId);
+        modal.classList.remove('hidden');
+
+        document.getElementById('btn-send-counter').onclick = async () => {
+            const proposal = this.readProposal('counter');
+            if (!proposal) return;
+            try {
+                await this.challengeService.respond(challenge.id, state.getUser().id, 'COUNTER', proposal);
+                SoundManager.play('success');
+                modal.classList.add('hidden');
+                this.renderChallenges();
+            } catch (e) { alert(e.message); }
+        };
+    }
+
+    /**
+     * Reads the proposal inputs; warns when the kick-off overlaps a prayer.
+     * @returns {Object|null} { playAt, venueId, format, note }
+     */
+    readProposal(prefix) {
+        const time = document.getElementById(`inp-${prefix}-time`).value;
+        const venueId = parseInt(document.getElementById(`inp-${prefix}-venue`).value);
+        if (!time || !venueId) { alert("البيانات ناقصة."); return null; }
+
+        const clash = PrayerTimes.clashOf(new Date(time), CHALLENGE_MINUTES, state.getUser().zoneId);
+        if (clash && !confirm(`الموعد يتعارض مع ${clash}. المتابعة رغم ذلك؟`)) return null;
+
+        return {
+            playAt: new Date(time).toISOString(),
+            venueId,
+            format: parseInt(document.getElementById(`inp-${prefix}-format`).value),
+            note: document.getElementById(`inp-${prefix}-note`).value
+        };
+    }
+
+    /* =========================================================================
+       SECTION 4: DISPUTES (REJECTED RESULTS)
+       ========================================================================= */
+
+    /**
+     * Highlights a tab without repainting the content (deep links).
+     */
+    switchTab(tab) {
+        this.viewContainer.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
+    }
+
+    /**
+     * Renders the Disputes tab: my team's record, disputes awaiting a ruling
+     * from me (officials), and my team's disputes.
+     */
+    async renderDisputes() {
+        const container = document.getElementById('arena-content');
+        container.innerHTML = '<div class="loader-bar" style="margin:20px auto"></div>';
+
+        try {
+            const user = state.getUser();
+            const myId = this.myTeamData?.id;
+
+            const [mine, assigned, record] = await Promise.all([
+                myId ? this.disputeService.getTeamDisputes(myId) : [],
+                this.disputeService.getAssigned(user.id),
+                myId ? this.disputeService.getTeamRecord(myId) : null
+            ]);
+
+            const active = mine.filter(d => [DISPUTE_STATUS.OPEN, DISPUTE_STATUS.ESCALATED].includes(d.status));
+            const closed = mine.filter(d => !active.includes(d));
+
+            container.innerHTML = `
+                <div class="fade-in">
+                    ${record ? this.renderDisputeRecord(record) : ''}
+
+                    ${assigned.length ? `
+                        <h4 class="challenge-section-title">بانتظار حكمك (${assigned.length})</h4>
+                        ${assigned.map(d => this.renderDisputeCard(d, true)).join('')}` : ''}
+
+                    ${active.length ? `
+                        <h4 class="challenge-section-title">نزاعات جارية</h4>
+                        ${active.map(d => this.renderDisputeCard(d, false)).join('')}` : ''}
+
+                    ${closed.length ? `
+                        <h4 class="challenge-section-title">السجل</h4>
+                        ${closed.map(d => this.renderDisputeCard(d, false)).join('')}` : ''}
+
+                    ${!assigned.length && !mine.length ? '<p class="text-muted text-center">لا توجد نزاعات. 🤝</p>' : ''}
+                </div>`;
+
+            this.bindDisputeEvents([...assigned, ...mine]);
+
+        } catch (e) {
+            console.error(e);
+            container.innerHTML = `<p class="error-text">فشل تحميل النزاعات. ${e.message}</p>`;
+        }
+    }
+
+    /**
+     * @param {Object} record - DisputeService.getTeamRecord result.
+     */
+    renderDisputeRecord(record) {
+        return `
+            <div class="dispute-record">
+                <div><span>${record.total}</span>نزاعات</div>
+                <div><span class="won">${record.upheld}</span>لصالحنا</div>
+                <div><span class="lost">${record.overturned}</span>ضدنا</div>
+                <div><span>${record.agreed}</span>بالاتفاق</div>
+                <div><span>${record.pending}</span>جارية</div>
+            </div>`;
+    }
+
+    /**
+     * @param {Object} d - Dispute row (+ match names and scorer names).
+     * @param {boolean} asOfficial - Show the ruling action instead of the captains' ones.
+     */
+    renderDisputeCard(d, asOfficial) {
+        // Notes, links and names are typed by the other side: always escaped
+        const esc = Helpers.escapeHtml;
+        const names = { [d.team_a_id]: esc(d.match?.team_a?.name || 'الفريق الأول'), [d.team_b_id]: esc(d.match?.team_b?.name || 'الفريق الثاني') };
+        const myId = this.myTeamData?.id;
+        const isOpen = d.status === DISPUTE_STATUS.OPEN;
+        const isActive = isOpen || d.status === DISPUTE_STATUS.ESCALATED;
+
+        const claimRow = (teamId) => {
+            const c = d.claims?.[teamId];
+            if (!c) return '';
+            const scorers = [d.team_a_id, d.team_b_id]
+                .flatMap(tid => (c.scorers?.[tid] || []).map(pid => esc(d.names?.[pid] || 'لاعب')));
+            return `
+                <div class="dispute-claim ${teamId === d.opened_by_team_id ? 'counter' : ''}">
+                    <div class="dispute-claim-head">
+                        <span>نسخة ${names[teamId]}</span>
+                        <strong>${c.score_a} - ${c.score_b}</strong>
+                    </div>
+                    ${scorers.length ? `<div class="dispute-claim-line">⚽ ${scorers.join('، ')}</div>` : ''}
+                    ${c.note ? `<div class="dispute-claim-line">"${esc(c.note)}"</div>` : ''}
+                </div>`;
+        };
+
+        const evidence = (d.evidence || []).map(ev => `
+            <div class="dispute-evidence">
+                <span class="text-muted">${names[ev.team_id] || ''}:</span>
+                ${/^https?:\/\//i.test(ev.url || '') ? `<a href="${esc(ev.url)}" target="_blank" rel="noopener noreferrer"><i class="fa-solid fa-paperclip"></i> رابط</a>` : ''}
+                ${esc(ev.note)}
+            </div>`).join('');
+
+        const r = d.resolution;
+        const verdict = r ? (r.outcome === 'VOID' ? 'تم إلغاء المباراة' : `النتيجة المعتمدة: ${r.score_a} - ${r.score_b}`) : '';
+
+        let actions = '';
+        if (asOfficial) {
+            actions = `<button class="btn-accept btn-dsp-rule" data-id="${d.id}">إصدار القرار</button>`;
+        } else if (isActive && myId) {
+            actions = `
+                ${isOpen && myId !== d.opened_by_team_id ? `<button class="btn-accept btn-dsp-accept" data-id="${d.id}">قبول نسختهم</button>` : ''}
+                ${isOpen ? `<button class="btn-reject btn-dsp-escalate" data-id="${d.id}">تصعيد لحكم</button>` : ''}
+                <button class="btn-action-secondary btn-dsp-evidence" data-id="${d.id}">إضافة دليل</button>`;
+        }
+
+        return `
+            <div class="challenge-card dispute-card ${d.status.toLowerCase()}">
+                <div class="challenge-head">
+                    <span>${names[d.team_a_id]} × ${names[d.team_b_id]}</span>
+                    <span class="dispute-status">${this.disputeStatusLabel(d.status)}</span>
+                </div>
+                <div class="challenge-meta">
+                    <span><i class="fa-regular fa-clock"></i> ${d.match?.played_at ? Helpers.formatDate(new Date(d.match.played_at)) : ''}</span>
+                </div>
+                ${claimRow(d.team_a_id === d.opened_by_team_id ? d.team_b_id : d.team_a_id)}
+                ${claimRow(d.opened_by_team_id)}
+                ${evidence}
+                ${r ? `<div class="dispute-verdict">${verdict}${r.note ? ` — "${esc(r.note)}"` : ''}</div>` : ''}
+                ${actions ? `<div class="challenge-actions">${actions}</div>` : ''}
+            </div>`;
+    }
+
+    disputeStatusLabel(status) {
+        const labels = {
+            [DISPUTE_STATUS.OPEN]: 'بانتظار الرد',
+            [DISPUTE_STATUS.ESCALATED]: 'لدى الحكم',
+            [DISPUTE_STATUS.AGREED]: 'تم الاتفاق',
+            [DISPUTE_STATUS.RESOLVED]: 'قرار نهائي'
+        };
+        return labels[status] || status;
+    }
+
+    bindDisputeEvents(disputes) {
+        const user = state.getUser();
+        const byId = (id) => disputes.find(d => d.id === id);
+
+        const run = async (btn, action, confirmText) => {
+            if (!confirm(confirmText)) return;
+            btn.disabled = true;
+            try {
+                const result = await action();
+                SoundManager.play('success');
+                if (result?.username) alert(`تم تعيين ${result.username} للفصل في النزاع.`);
+                this.renderDisputes();
+            } catch (e) {
+                SoundManager.play('error');
+                alert(e.message);
+                btn.disabled = false;
+            }
+        };
+
+        document.querySelectorAll('.btn-dsp-accept').forEach(btn => {
+            btn.onclick = () => run(btn, () => this.disputeService.acceptClaim(btn.dataset.id, user.id), "اعتماد نسخة الفريق الآخر كنتيجة نهائية؟");
+        });
+        document.querySelectorAll('.btn-dsp-escalate').forEach(btn => {
+            btn.onclick = () => run(btn, () => this.disputeService.escalate(btn.dataset.id, user.id), "تحويل النزاع إلى حكم محايد؟ قراره نهائي.");
+        });
+        document.querySelectorAll('.btn-dsp-evidence').forEach(btn => {
+            btn.onclick = () => this.openEvidenceModal(byId(btn.dataset.id));
+        });
+        document.querySelectorAll('.btn-dsp-rule').forEach(btn => {
+            btn.onclick = () => this.openRulingModal(byId(btn.dataset.id));
+        });
+    }
+
+    /**
+     * Modal: the rejecting captain's version of the result (score + scorers
+     * of both teams + reason).
+     *
+     * @param {string} matchId - PENDING_VERIFICATION match.
+     */
+    async openDisputeForm(matchId) {
+        const modalId = 'modal-dispute-form';
+        if (!document.getElementById(modalId)) {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="${modalId}" class="modal-overlay hidden">
+                    <div class="modal-box">
+                        <div class="modal-header">
+                            <h3>الاعتراض على النتيجة</h3>
+                            <button class="close-btn" id="btn-close-dispute">&times;</button>
+                        </div>
+                        <div id="dispute-form-body"></div>
+                        <button class="btn-primary" id="btn-send-dispute">إرسال نسختي</button>
+                    </div>
+                </div>`);
+            document.getElementById('btn-close-dispute').onclick = () => document.getElementById(modalId).classList.add('hidden');
+        }
+
+        const modal = document.getElementById(modalId);
+        const body = document.getElementById('dispute-form-body');
+        body.innerHTML = '<div class="loader-bar" style="margin:20px auto"></div>';
+        modal.classList.remove('hidden');
+
+        try {
+            const esc = Helpers.escapeHtml;
+            const match = await this.disputeService.getMatch(matchId);
+            const [rosterA, rosterB] = await Promise.all([
+                this.teamService.getTeamRoster(match.team_a_id),
+                this.teamService.getTeamRoster(match.team_b_id)
+            ]);
+
+            const goalsGrid = (teamId, roster) => `
+                <div class="dispute-goals">
+                    ${roster.map(p => `
+                        <label class="dispute-goal-row">
+                            <span>${esc(p.name)}</span>
+                            <input type="number" min="0" max="20" value="0" class="inp-dsp-goal" data-team="${teamId}" data-player="${p.userId}">
+                        </label>`).join('') || '<p class="text-muted" style="font-size:0.8rem;">لا يوجد لاعبون.</p>'}
+                </div>`;
+
+            body.innerHTML = `
+                <div class="challenge-note" style="margin-bottom:10px;">النتيجة المسجلة: ${esc(match.team_a?.name)} ${match.score_a} - ${match.score_b} ${esc(match.team_b?.name)}</div>
+                <div class="score-inputs" style="display:flex; gap:15px; margin-bottom:15px;">
+                    <div class="si-box" style="flex:1;">
+                        <label>${esc(match.team_a?.name || 'الفريق الأول')}</label>
+                        <input type="number" id="inp-dsp-a" value="${match.score_a}" min="0" style="text-align:center;">
+                    </div>
+                    <div class="si-box" style="flex:1;">
+                        <label>${esc(match.team_b?.name || 'الفريق الثاني')}</label>
+                        <input type="number" id="inp-dsp-b" value="${match.score_b}" min="0" style="text-align:center;">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>هدافو ${esc(match.team_a?.name || 'الفريق الأول')}</label>
+                    ${goalsGrid(match.team_a_id, rosterA)}
+                </div>
+                <div class="form-group">
+                    <label>هدافو ${esc(match.team_b?.name || 'الفريق الثاني')}</label>
+                    ${goalsGrid(match.team_b_id, rosterB)}
+                </div>
+                <div class="form-group">
+                    <label>سبب الاعتراض</label>
+                    <input type="text" id="inp-dsp-note" maxlength="200" placeholder="مثال: الهدف الثالث كان تسللاً">
+                </div>`;
+
+            document.getElementById('btn-send-dispute').onclick = async () => {
+                const scorers = {};
+                document.querySelectorAll('.inp-dsp-goal').forEach(inp => {
+                    const goals = parseInt(inp.value) || 0;
+                    for (let i = 0; i < goals; i++) scorers[inp.dataset.team] = [...(scorers[inp.dataset.team] || []), inp.dataset.player];
+                });
+
+                try {
+                    await this.disputeService.openDispute(matchId, state.getUser().id, {
+                        scoreA: parseInt(document.getElementById('inp-dsp-a').value),
+                        scoreB: parseInt(document.getElementById('inp-dsp-b').value),
+                        scorers,
+                        note: document.getElementById('inp-dsp-note').value
+                    });
+                    SoundManager.play('success');
+                    modal.classList.add('hidden');
+                    this.renderDisputes();
+                } catch (e) {
+                    SoundManager.play('error');
+                    alert(e.message);
+                }
+            };
+
+        } catch (e) {
+            body.innerHTML = `<p class="error-text">${e.message}</p>`;
+        }
+    }
+
+    /**
+     * Modal: evidence link (photo / video) and a statement.
+     */
+    openEvidenceModal(dispute) {
+        const modalId = 'modal-dispute-evidence';
+        if (!document.getElementById(modalId)) {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="${modalId}" class="modal-overlay hidden">
+                    <div class="modal-box">
+                        <div class="modal-header">
+                            <h3>إضافة دليل</h3>
+                            <button class="close-btn" id="btn-close-evidence">&times;</button>
+                        </div>
+                        <div class="form-group">
+                            <label>رابط (صورة / فيديو)</label>
+                            <input type="url" id="inp-ev-url" placeholder="https://...">
+                        </div>
+                        <div class="form-group">
+                            <label>الوصف</label>
+                            <input type="text" id="inp-ev-note" maxlength="200">
+                        </div>
+                        <button class="btn-primary" id="btn-send-evidence">إضافة</button>
+                    </div>
+                </div>`);
+            document.getElementById('btn-close-evidence').onclick = () => document.getElementById(modalId).classList.add('hidden');
+        }
+
+        const modal = document.getElementById(modalId);
+        document.getElementById('inp-ev-url').value = '';
+        document.getElementById('inp-ev-note').value = '';
+        modal.classList.remove('hidden');
+
+        document.getElementById('btn-send-evidence').onclick = async () => {
+            try {
+                await this.disputeService.addEvidence(dispute.id, state.getUser().id, {
+                    url: document.getElementById('inp-ev-url').value,
+                    note: document.getElementById('inp-ev-note').value
+                });
+                SoundManager.play('success');
+                modal.classList.add('hidden');
+                this.renderDisputes();
+            } catch (e) { alert(e.message); }
+        };
+    }
+
+    /**
+     * Modal: the official's ruling (one of the two versions, a custom score,
+     * or void).
+     */
+    openRulingModal(dispute) {
+        const modalId = 'modal-dispute-ruling';
+        if (!document.getElementById(modalId)) {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="${modalId}" class="modal-overlay hidden">
+                    <div class="modal-box">
+                        <div class="modal-header">
+                            <h3>القرار النهائي</h3>
+                            <button class="close-btn" id="btn-close-ruling">&times;</button>
+                        </div>
+                        <div id="ruling-body"></div>
+                        <button class="btn-primary" id="btn-send-ruling">اعتماد القرار</button>
+                    </div>
+                </div>`);
+            document.getElementById('btn-close-ruling').onclick = () => document.getElementById(modalId).classList.add('hidden');
+        }
+
+        const nameA = Helpers.escapeHtml(dispute.match?.team_a?.name || 'الفريق الأول');
+        const nameB = Helpers.escapeHtml(dispute.match?.team_b?.name || 'الفريق الثاني');
+        const claimOption = (teamId, name) => {
+            const c = dispute.claims?.[teamId];
+            return c ? `<option value="CLAIM:${teamId}">نسخة ${name} (${c.score_a} - ${c.score_b})</option>` : '';
+        };
+
+        document.getElementById('ruling-body').innerHTML = `
+            <div class="form-group">
+                <label>القرار</label>
+                <select id="inp-rule-outcome">
+                    ${claimOption(dispute.team_a_id, nameA)}
+                    ${claimOption(dispute.team_b_id, nameB)}
+                    <option value="CUSTOM">نتيجة أخرى</option>
+                    <option value="VOID">إلغاء المباراة</option>
+                </select>
+            </div>
+            <div class="score-inputs hidden" id="rule-custom-score" style="display:flex; gap:15px; margin-bottom:15px;">
+                <div class="si-box" style="flex:1;">
+                    <label>${nameA}</label>
+                    <input type="number" id="inp-rule-a" value="0" min="0" style="text-align:center;">
+                </div>
+                <div class="si-box" style="flex:1;">
+                    <label>${nameB}</label>
+                    <input type="number" id="inp-rule-b" value="0" min="0" style="text-align:center;">
+                </div>
+            </div>
+            <div class="form-group">
+                <label>حيثيات القرار</label>
+                <input type="text" id="inp-rule-note" maxlength="200" required>
+            </div>`;
+
+        const select = document.getElementById('inp-rule-outcome');
+        select.onchange = () => document.getElementById('rule-custom-score').classList.toggle('hidden', select.value !== 'CUSTOM');
+
+        const modal = document.getElementById(modalId);
+        modal.classList.remove('hidden');
+
+        document.getElementById('btn-send-ruling').onclick = async () => {
+            const [outcome, teamId] = select.value.split(':');
+            if (!confirm("القرار نهائي ولا يمكن التراجع عنه. متابعة؟")) return;
+            try {
+                await this.disputeService.rule(dispute.id, state.getUser().id, {
+                    outcome,
+                    teamId: teamId || null,
+                    scoreA: parseInt(document.getElementById('inp-rule-a').value),
+                    scoreB: parseInt(document.getElementById('inp-rule-b').value),
+                    note: document.getElementById('inp-rule-note').value
+                });
+                SoundManager.play('success');
+                modal.classList.add('hidden');
+                this.renderDisputes();
+            } catch (e) { alert(e.message); }
+        };
+    }
+
+    /* --- Formatting helpers --- */
+
+    formatLabel(format) {
+        if (format === 7) return 'سباعي';
+        if (format === 5) return 'خماسي';
+        return '';
+    }
+
+    formatTime(iso) {
+        const d = new Date(iso);
+        return `${Helpers.formatDate(d)} ${d.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit' })}`;
+    }
+
+    /**
+     * ISO timestamp -> 'YYYY-MM-DDTHH:MM' in local time (datetime-local value).
+     */
+    toLocalInput(iso) {
+        const d = new Date(iso);
+        return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
 }
 
@@ -17,6 +17,8 @@
  * 3. Album Management: Fetches and renders the "Gifted Cards" collection using 
  *    the new visual scaling engine to match the Scout view.
  * 4. Notification System: Manages the Modal logic for accepting/rejecting requests.
+ *    Rejecting a match result opens the dispute form in the Arena.
+ * 5. Rating Trend: Arrow on the card and the rating history modal (RatingService).
  * 
  * DEPENDENCIES:
  * - NotificationService: For fetching alerts.
@@ -26,12 +28,15 @@
  */
 
 import { NotificationService } from '../services/notificationService.js';
+import { ChallengeService } from '../services/challengeService.js';
 import { ProfileController } from './profileCtrl.js';
 import { state } from '../core/state.js';
 import { supabase } from '../core/supabaseClient.js';
 import { AvatarEngine } from '../utils/avatarEngine.js';
 import { SoundManager } from '../utils/soundManager.js';
 import { Helpers } from '../utils/helpers.js';
+import { RatingEngine } from '../utils/ratingEngine.js';
+import { RatingService } from '../services/ratingService.js';
 
 export class HomeController {
     
@@ -42,7 +47,9 @@ export class HomeController {
     constructor() {
         // Services & Sub-Controllers
         this.notifService = new NotificationService();
+        this.challengeService = new ChallengeService();
         this.profileCtrl = new ProfileController();
+        this.ratingService = new RatingService();
         
         // Main View Container
         this.viewContainer = document.getElementById('view-home');
@@ -209,6 +216,10 @@ export class HomeController {
                         <button class="action-btn-large" id="btn-open-album">
                             <i class="fa-solid fa-images"></i> ألبومي
                         </button>
+
+                        <button class="action-btn-large" id="btn-rating-history">
+                            <i class="fa-solid fa-arrow-trend-up"></i> سجل التقييم
+                        </button>
                         
                         <button class="action-btn-large" onclick="alert('خدمة المشاركة: قريباً')">
                             <i class="fa-solid fa-share-nodes"></i> مشاركة
@@ -220,8 +231,10 @@ export class HomeController {
                     <!-- B. VISIBLE CONTENT -->
                     <div class="card-top">
                         <div class="card-rating text-gold">${stats.rating}</div>
+                        ${RatingEngine.trendHtml(user.stats?.last_delta)}
                         <div class="card-pos">${stats.pos}</div>
                         <div class="card-flag"><i class="fa-solid fa-location-dot"></i></div>
+                        ${user.awards?.length ? `<div class="card-awards" title="${user.awards.map(a => a.tournament).join(' | ')}"><i class="fa-solid fa-trophy"></i> ${user.awards.length}</div>` : ''}
                     </div>
                     
                     <!-- Native Scale for Main Card -->
@@ -265,6 +278,48 @@ export class HomeController {
             // Navigate to Album View
             this.renderAlbum(this.currentUser.id);
         };
+
+        document.getElementById('btn-rating-history').onclick = () => {
+            this.openRatingHistory(user);
+        };
+    }
+
+    /**
+     * Modal: Recent rating changes of the card (one row per confirmed match).
+     * @param {Object} user - User data object.
+     */
+    async openRatingHistory(user) {
+        const modalId = 'modal-rating-history';
+        if (!document.getElementById(modalId)) {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="${modalId}" class="modal-overlay hidden">
+                    <div class="modal-box">
+                        <div class="modal-header">
+                            <h3>سجل التقييم</h3>
+                            <button class="close-btn" id="btn-close-rating-history">&times;</button>
+                        </div>
+                        <div id="rating-history-content"></div>
+                    </div>
+                </div>`);
+            document.getElementById('btn-close-rating-history').onclick = () =>
+                document.getElementById(modalId).classList.add('hidden');
+        }
+
+        const content = document.getElementById('rating-history-content');
+        content.innerHTML = '<div class="loader-bar" style="margin:20px auto"></div>';
+        document.getElementById(modalId).classList.remove('hidden');
+
+        const rows = await this.ratingService.getHistory(user.id);
+        content.innerHTML = `
+            <div class="detail-stats-row">
+                <div class="ds-item"><span class="ds-val text-gold">${user.stats?.rating || 60}</span><span class="ds-lbl">تقييم</span></div>
+                <div class="ds-item"><span class="ds-val">${user.stats?.matches || 0}</span><span class="ds-lbl">مباريات</span></div>
+                <div class="ds-item"><span class="ds-val">${user.stats?.goals || 0}</span><span class="ds-lbl">أهداف</span></div>
+                <div class="ds-item"><span class="ds-val">${user.stats?.assists || 0}</span><span class="ds-lbl">صناعة</span></div>
+                <div class="ds-item"><span class="ds-val">${user.stats?.motm || 0}</span><span class="ds-lbl">رجل المباراة</span></div>
+            </div>
+            <div class="text-muted text-center" style="font-size:0.75rem; margin-bottom:10px;">🟨 ${user.stats?.yellow_cards || 0} · 🟥 ${user.stats?.red_cards || 0}</div>
+            ${RatingEngine.historyHtml(rows)}`;
     }
 
     /* =========================================================================
@@ -464,7 +519,7 @@ export class HomeController {
                 <div class="notif-card">
                     <div class="notif-info">
                         <div class="notif-icon">
-                            <i class="fa-solid ${act.type === 'MINT_REQUEST' ? 'fa-pen-fancy' : 'fa-handshake'}"></i>
+                            <i class="fa-solid ${act.type === 'MINT_REQUEST' ? 'fa-pen-fancy' : (act.type === 'CHALLENGE' ? 'fa-shield-halved' : 'fa-handshake')}"></i>
                         </div>
                         <div class="notif-text">
                             <h4 style="font-size:0.9rem; margin-bottom:5px;">${act.title}</h4>
@@ -493,6 +548,14 @@ export class HomeController {
     bindNotificationActions(userId, modal) {
         const handleAction = async (btn, actionType) => {
             const { type, id } = btn.dataset;
+
+            // A rejected result becomes a dispute: the captain files their own version
+            if (type === 'MATCH_VERIFY' && actionType === 'REJECT') {
+                modal.classList.add('hidden');
+                window.router('view-arena');
+                window.dispatchEvent(new CustomEvent('open-dispute', { detail: { matchId: id } }));
+                return;
+            }
             
             // Safety Check
             if(!confirm(actionType === 'ACCEPT' ? "تأكيد الموافقة؟" : "تأكيد الرفض؟")) return;
@@ -507,8 +570,10 @@ export class HomeController {
                     if(actionType === 'ACCEPT') await this.notifService.approveMint(id, userId);
                     else await this.notifService.rejectMint(id);
                 } else if (type === 'MATCH_VERIFY') {
-                    if(actionType === 'ACCEPT') await this.notifService.confirmMatch(id);
-                    else await this.notifService.rejectMatch(id);
+                    await this.notifService.confirmMatch(id);
+                } else if (type === 'CHALLENGE') {
+                    // Counter-proposals are made from the Arena challenges tab
+                    await this.challengeService.respond(id, userId, actionType === 'ACCEPT' ? 'ACCEPT' : 'DECLINE');
                 } else if (type === 'OPS_UPDATE') {
                     // Just clear notification for info updates
                     // (Assuming a markAsRead service exists, handled implicitly via reload for now)
@@ -16,6 +16,8 @@
  *    (closing the loop so users know where to go after accepting).
  * 3. Deep Linking: Handles external triggers from the Side Menu and Arena SOS button.
  * 4. Stability: Implements defensive rendering to prevent null pointer errors.
+ * 5. Prayer Times: The post form suggests kick-offs outside Maghrib / Isha
+ *    (Iftar / Taraweeh in Ramadan) for the user's zone via PrayerTimes.
  * -----------------------------------------------------------------------------
  */
 
@@ -24,6 +26,9 @@ import { TeamService } from '../services/teamService.js';
 import { state } from '../core/state.js';
 import { SoundManager } from '../utils/soundManager.js';
 import { Helpers } from '../utils/helpers.js';
+import { PrayerTimes } from '../utils/prayerTimes.js';
+
+const MISSION_MINUTES = 90;
 
 export class OperationsController {
     
@@ -424,6 +429,7 @@ export class OperationsController {
                             <div class="form-group">
                                 <label>موعد المباراة</label>
                                 <input type="datetime-local" id="inp-ops-time" required style="width:100%; padding:10px; margin-bottom:10px; background:#222; border:1px solid #333; color:#fff; border-radius:8px; direction:ltr;">
+                                <div id="ops-prayer-hint" class="prayer-info"></div>
                             </div>
                             <div class="form-group">
                                 <label>الفريقين (اختياري)</label>
@@ -459,12 +465,40 @@ export class OperationsController {
         const modal = document.getElementById(modalId);
         modal.classList.remove('hidden');
 
+        const timeInput = document.getElementById('inp-ops-time');
+        timeInput.onchange = () => this.renderPrayerHint(timeInput);
+        this.renderPrayerHint(timeInput);
+
         document.getElementById('form-ops-post').onsubmit = (e) => {
             e.preventDefault();
             this.handlePostSubmit(type, modalId);
         };
     }
 
+    /**
+     * Prayer helper under the kick-off input: Hijri date, a warning when the
+     * match overlaps Maghrib / Isha, and tap-to-fill suggested kick-offs.
+     */
+    renderPrayerHint(timeInput) {
+        const hint = document.getElementById('ops-prayer-hint');
+        const zoneId = state.getUser().zoneId;
+        const picked = timeInput.value ? new Date(timeInput.value) : null;
+        const day = picked || new Date();
+
+        const clash = picked ? PrayerTimes.clashOf(picked, MISSION_MINUTES, zoneId) : null;
+        const suggestions = PrayerTimes.suggestKickoffs(day, zoneId, MISSION_MINUTES);
+        const pad = (n) => String(n).padStart(2, '0');
+        const toInput = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${PrayerTimes.formatTime(d)}`;
+
+        hint.innerHTML = `
+            <div>${Helpers.formatHijri(day)}${clash ? ` · <span class="prayer-clash"><i class="fa-solid fa-mosque"></i> يتعارض مع ${clash}</span>` : ''}</div>
+            ${suggestions.length ? `<div class="prayer-chips">${suggestions.map(d => `<button type="button" class="prayer-chip" data-value="${toInput(d)}">${PrayerTimes.formatTime(d)}</button>`).join('')}</div>` : ''}`;
+
+        hint.querySelectorAll('.prayer-chip').forEach(chip => {
+            chip.onclick = () => { timeInput.value = chip.dataset.value; this.renderPrayerHint(timeInput); };
+        });
+    }
+
     /**
      * Post Submission Logic.
      */
@@ -476,6 +510,9 @@ export class OperationsController {
 
         if (!venue || !time) return alert("البيانات ناقصة.");
 
+        const clash = PrayerTimes.clashOf(new Date(time), MISSION_MINUTES, state.getUser().zoneId);
+        if (clash && !confirm(`الموعد يتعارض مع ${clash}. نشر الطلب رغم ذلك؟`)) return;
+
         const reqData = {
             venue: venue,
             time: new Date(time).toISOString(),
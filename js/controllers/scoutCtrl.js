@@ -15,15 +15,22 @@
  * 1. Rarity Engine: Auto-calculates card border class (Common/Silver/Gold) based on stats.
  * 2. Smart Rendering: Injects the complex Avatar HTML into the Scaled Wrapper.
  * 3. Deep Linking: Encodes full player objects for Modal hydration.
+ * 4. Team Ladder: The teams tab is the Elo ladder (zone or overall) with
+ *    the movement since last week.
+ * 5. Dispute Record: The team profile shows how its disputed results ended.
  */
 
 import { MarketService } from '../services/marketService.js';
 import { SocialService } from '../services/socialService.js';
 import { TeamService } from '../services/teamService.js';
+import { RatingService } from '../services/ratingService.js';
+import { TeamRatingService } from '../services/teamRatingService.js';
+import { DisputeService } from '../services/disputeService.js';
 import { state } from '../core/state.js';
 import { SoundManager } from '../utils/soundManager.js';
 import { AvatarEngine } from '../utils/avatarEngine.js'; // Critical for rendering visual DNA
 import { Helpers } from '../utils/helpers.js';
+import { RatingEngine } from '../utils/ratingEngine.js';
 
 export class ScoutController {
     
@@ -34,6 +41,9 @@ export class ScoutController {
         this.marketService = new MarketService();
         this.socialService = new SocialService();
         this.teamService = new TeamService();
+        this.ratingService = new RatingService();
+        this.teamRatings = new TeamRatingService();
+        this.disputeService = new DisputeService();
         
         this.viewContainer = document.getElementById('view-scout');
         
@@ -143,12 +153,14 @@ export class ScoutController {
         const grid = document.getElementById('market-grid');
         grid.innerHTML = '<div class="loader-bar"></div>'; // Loading Spinner
         this.currentFilter = filterType;
+        const title = document.getElementById('grid-title');
+        if (title) title.textContent = filterType === 'TEAM' ? (isGlobal ? 'تصنيف الفرق - كل مصر' : 'تصنيف فرق المنطقة') : 'النتائج';
 
         try {
             let data = [];
 
             if (filterType === 'TEAM') {
-                data = await this.marketService.getTeamsInZone(zoneId, isGlobal);
+                data = await this.teamRatings.getLadder(isGlobal ? null : zoneId);
             } else {
                 data = await this.marketService.getPlayersInZone(zoneId, state.getUser().id, filterType, isGlobal);
             }
@@ -215,7 +227,7 @@ export class ScoutController {
                 <!-- Top Info -->
                 <div class="scout-card-top">
                     <span class="scout-pos">${p.position || 'FAN'}</span>
-                    ${!isFan ? `<span class="scout-rating">${p.stats?.rating || 60}</span>` : ''}
+                    ${!isFan ? `<span class="scout-rating">${p.stats?.rating || 60}${RatingEngine.trendHtml(p.stats?.last_delta, false)}</span>` : ''}
                 </div>
                 
                 <!-- The Scaled Avatar Container -->
@@ -248,8 +260,8 @@ export class ScoutController {
         return `
             <div class="scout-card team-mode" data-team="${tDataSafe}" style="border-left: 4px solid ${colors.primary}">
                 <div class="scout-card-top">
-                    <span class="scout-pos" style="background:${colors.primary};">TEAM</span>
-                    <span class="scout-rating text-gold">${t.total_matches || 0}</span>
+                    <span class="scout-pos" style="background:${colors.primary};">#${t.rank || '-'}</span>
+                    <span class="scout-rating text-gold">${t.rating || 1500}${this.renderLadderMovement(t.movement)}</span>
                 </div>
                 
                 <!-- Team Logo Scaler -->
@@ -266,6 +278,15 @@ export class ScoutController {
             </div>`;
     }
 
+    /**
+     * Ladder places gained (▲) or lost (▼) since last week.
+     */
+    renderLadderMovement(movement) {
+        if (!movement) return '';
+        const up = movement > 0;
+        return `<span class="rating-trend ${up ? 'up' : 'down'}"><i class="fa-solid fa-caret-${up ? 'up' : 'down'}"></i>${Math.abs(movement)}</span>`;
+    }
+
     /**
      * Generates Mini Card for Trending Rail.
      */
@@ -350,7 +371,7 @@ export class ScoutController {
     /**
      * Opens Player Detail Modal (The Full Profile).
      */
-    openPlayerDetailModal(player) {
+    async openPlayerDetailModal(player) {
         SoundManager.play('click');
         const modalId = 'modal-player-detail';
         
@@ -396,9 +417,12 @@ export class ScoutController {
             ${player.activity_type !== 'FAN' ? `
                 <div class="detail-stats-row">
                     <div class="ds-item"><span class="ds-val">${player.stats?.goals || 0}</span><span class="ds-lbl">أهداف</span></div>
+                    <div class="ds-item"><span class="ds-val">${player.stats?.assists || 0}</span><span class="ds-lbl">صناعة</span></div>
+                    <div class="ds-item"><span class="ds-val">${player.stats?.motm || 0}</span><span class="ds-lbl">رجل المباراة</span></div>
                     <div class="ds-item"><span class="ds-val">${player.stats?.matches || 0}</span><span class="ds-lbl">مباريات</span></div>
-                    <div class="ds-item"><span class="ds-val text-gold">${player.stats?.rating || 60}</span><span class="ds-lbl">تقييم</span></div>
+                    <div class="ds-item"><span class="ds-val text-gold">${player.stats?.rating || 60}${RatingEngine.trendHtml(player.stats?.last_delta, false)}</span><span class="ds-lbl">تقييم</span></div>
                 </div>
+                <div id="pdetail-rating-history"></div>
             ` : '<p class="text-center text-muted" style="margin:20px 0;">بيانات المشجعين محدودة.</p>'}
 
             <button id="btn-modal-mint" class="btn-primary" style="margin-top:20px;">
@@ -410,9 +434,16 @@ export class ScoutController {
             this.handleMintRequest(player.owner_id);
             modal.classList.add('hidden');
         };
+
+        // Rating trend (last 5 confirmed matches)
+        if (player.activity_type !== 'FAN') {
+            const rows = await this.ratingService.getHistory(player.owner_id, 5);
+            const box = document.getElementById('pdetail-rating-history');
+            if (box) box.innerHTML = RatingEngine.historyHtml(rows);
+        }
     }
 
-    openTeamDetailModal(team) {
+    async openTeamDetailModal(team) {
         SoundManager.play('click');
         const modalId = 'modal-team-detail';
         
@@ -443,9 +474,12 @@ export class ScoutController {
                 </div>
                 <h2 class="text-gold">${team.name}</h2>
                 <div class="team-stats-row" style="margin-top:20px;">
+                    ${team.rank ? `<div class="t-stat"><span class="val">#${team.rank}</span><span class="lbl">الترتيب</span></div>` : ''}
+                    <div class="t-stat"><span class="val">${team.rating || 1500}</span><span class="lbl">التصنيف</span></div>
                     <div class="t-stat"><span class="val">${team.total_matches}</span><span class="lbl">مباريات</span></div>
                     <div class="t-stat"><span class="val">${team.status}</span><span class="lbl">الحالة</span></div>
                 </div>
+                <div id="tdetail-disputes" class="text-muted" style="font-size:0.75rem; margin-top:12px;"></div>
             </div>
             
             <button id="btn-join-req" class="btn-primary" style="margin-top:20px;">
@@ -457,6 +491,15 @@ export class ScoutController {
             this.handleJoinRequest(team.id);
             modal.classList.add('hidden');
         };
+
+        // Dispute record (loaded after the modal is shown)
+        const record = await this.disputeService.getTeamRecord(team.id);
+        const box = document.getElementById('tdetail-disputes');
+        if (box) {
+            box.innerHTML = record.total === 0
+                ? '<i class="fa-solid fa-scale-balanced"></i> لا توجد نتائج متنازع عليها.'
+                : `<i class="fa-solid fa-scale-balanced"></i> النزاعات: ${record.total} · لصالحه ${record.upheld} · ضده ${record.overturned} · بالاتفاق ${record.agreed}${record.pending ? ` · جارية ${record.pending}` : ''}`;
+        }
     }
 
     async handleMintRequest(targetId) {
@@ -8,16 +8,22 @@
  * 1. Team Lifecycle: Create, Dashboard, Roster.
  * 2. Management Logic: Toggles 'Edit Mode' for Captains to Kick/Promote.
  * 3. Invites: Generates Deep Links for viral growth.
+ * 4. Calendar: Team fixtures + my missions as an .ics file (IcsGenerator).
+ * 5. Upcoming: SCHEDULED fixtures (agreed challenges and tournament matches).
  */
 
 import { TeamService } from '../services/teamService.js';
+import { EmergencyService } from '../services/emergencyService.js';
 import { state } from '../core/state.js';
+import { IcsGenerator } from '../utils/icsGenerator.js';
+import { Rulebook } from '../utils/rulebook.js';
 import { AvatarEngine } from '../utils/avatarEngine.js'; // For visuals
 
 export class TeamController {
     
     constructor() {
         this.teamService = new TeamService();
+        this.emergencyService = new EmergencyService();
         this.viewContainer = document.getElementById('view-team');
         
         // Internal State: Toggle for Captain's Management UI
@@ -51,6 +57,7 @@ export class TeamController {
                 this.isManageMode = false; 
                 this.renderTeamDashboard(myTeam);
                 this.loadRoster(myTeam.id);
+                this.loadUpcoming(myTeam.id);
             } else {
                 // User is Free -> Show Create
                 this.renderFreeAgentView();
@@ -168,6 +175,15 @@ export class TeamController {
                             <i class="fa-solid fa-door-open"></i><span>مغادرة</span>
                         </button>
                     `}
+                    <button class="action-card" id="btn-team-calendar">
+                        <i class="fa-solid fa-calendar-plus"></i><span>إضافة للتقويم</span>
+                    </button>
+                </div>
+
+                <!-- Upcoming Fixtures -->
+                <div class="roster-section">
+                    <h4>المباريات القادمة</h4>
+                    <div id="upcoming-list-container"><div class="loader-bar"></div></div>
                 </div>
 
                 <!-- Roster -->
@@ -182,12 +198,14 @@ export class TeamController {
         `;
 
         // Bind Buttons
+        document.getElementById('btn-team-calendar').onclick = () => this.exportCalendar(team);
         if (isCap) {
             document.getElementById('btn-invite').onclick = () => this.copyInviteLink(team.id);
             document.getElementById('btn-manage').onclick = () => {
                 this.isManageMode = !this.isManageMode; // Toggle
                 this.renderTeamDashboard(team); // Refresh buttons
                 this.loadRoster(team.id);       // Refresh list (show icons)
+                this.loadUpcoming(team.id);
             };
         } else {
             document.getElementById('btn-leave').onclick = () => this.handleLeave(team.id);
@@ -246,6 +264,34 @@ export class TeamController {
         } catch (e) { container.innerHTML = 'Error'; }
     }
 
+    /**
+     * LOGIC: Next SCHEDULED fixtures (friendlies agreed in the Arena + tournaments)
+     */
+    async loadUpcoming(teamId) {
+        const container = document.getElementById('upcoming-list-container');
+        try {
+            const now = new Date();
+            const matches = (await this.teamService.getTeamSchedule(teamId))
+                .filter(m => m.status === 'SCHEDULED' && new Date(m.played_at) >= now)
+                .slice(0, 5);
+            if (!matches.length) { container.innerHTML = '<p class="text-muted">لا توجد مباريات مجدولة.</p>'; return; }
+
+            container.innerHTML = matches.map(m => {
+                const opponent = m.team_a_id === teamId ? m.team_b?.name : m.team_a?.name;
+                const when = new Date(m.played_at);
+                return `
+                <div class="member-card">
+                    <div class="member-avatar"><i class="fa-solid ${m.tournament ? 'fa-trophy' : 'fa-handshake'} text-gold"></i></div>
+                    <div class="member-info">
+                        <div class="member-name">ضد ${opponent || '???'}</div>
+                        <div class="member-pos">${m.tournament?.name || 'مباراة ودية'} · ${m.venue?.name || 'ملعب'}</div>
+                    </div>
+                    <div class="member-rep">${when.toLocaleDateString('ar-EG')} ${when.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit' })}</div>
+                </div>`;
+            }).join('');
+        } catch (e) { container.innerHTML = '<p class="text-muted">تعذر تحميل الجدول.</p>'; }
+    }
+
     // --- Actions ---
     async handleKick(tid, uid) {
         if(!confirm("طرد اللاعب؟")) return;
@@ -265,6 +311,30 @@ export class TeamController {
         catch(e) { alert(e.message); }
     }
 
+    /**
+     * Team fixtures + the user's locked missions as one .ics file.
+     * Re-downloading updates the same events (stable UIDs).
+     */
+    async exportCalendar(team) {
+        try {
+            const [matches, missions] = await Promise.all([
+                this.teamService.getTeamSchedule(team.id),
+                this.emergencyService.getMyActiveMissions(state.getUser().id)
+            ]);
+            const events = [
+                ...matches.map(m => IcsGenerator.fromMatch(m, {
+                    teamId: team.id,
+                    competition: m.tournament?.name || 'مباراة ودية',
+                    minutes: m.tournament ? Rulebook.resolve(m.tournament.config).match_minutes : null
+                })),
+                ...(missions || []).map(r => IcsGenerator.fromMission(r))
+            ].filter(Boolean);
+
+            if (events.length === 0) { alert("لا توجد مباريات مجدولة."); return; }
+            IcsGenerator.download(`noub-${team.name}`, IcsGenerator.build(`مباريات ${team.name}`, events));
+        } catch (e) { alert(e.message); }
+    }
+
     // --- Helpers ---
     async checkInviteParam() {
         const p = window.Telegram?.WebApp?.initDataUnsafe?.start_param;
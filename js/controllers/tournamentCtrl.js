@@ -11,20 +11,58 @@
  * 
  * COMPREHENSIVE FEATURE SET:
  * 1. Registration System: Manages team entries, capacity checks, and role validation.
+ *    - Entry lifecycle: PENDING -> APPROVED / WAITLISTED / DECLINED, WITHDRAWN.
+ *    - Ordered waitlist promoted automatically when a place frees up.
+ *    - Registered squads (TournamentSquadService): locked at the draw, limited
+ *      replacements approved by the organizer, lineups checked against them.
+ *    - Rulebook (config.rules via Rulebook): points per result, match length,
+ *      squad size, registration cut-off, PRO quota and one team per player,
+ *      enforced on join and on every submitted lineup.
  * 2. Floating Action Menu (FAB): Hijacks the main action button to show multi-options.
  * 3. Group Stage Engine: 
- *    - Fisher-Yates Shuffle for Random Draws.
- *    - Hardcoded Round Robin Scheduling (No 'undefined' bugs).
- *    - Live Standings Calculation (Points, GD, Goals).
- * 4. Knockout Automation (Auto-Pilot):
- *    - Automatically detects round completion.
- *    - Promotes winners to next stages (QF -> SF -> Final).
- * 5. Referee Console (Bug-Free):
+ *    - Seeded Draw via DrawEngine (pots, one team per pot per group,
+ *      recorded seed + animated, verifiable reveal).
+ *    - Circle-Method Round Robin via ScheduleEngine (any group size, byes,
+ *      single/double legs, organizer-chosen group count).
+ *    - Calendar Planner via FixturePlanner (venues, time slots, blackouts,
+ *      minimum rest, clash warnings, drag/tap to reschedule), prayer-aware
+ *      with PrayerTimes (Maghrib / Isha skipped, Iftar-to-Suhoor suggestions).
+ *    - Live Standings via StandingsEngine (rebuilt from confirmed fixtures,
+ *      configurable tie-breakers, recorded lot draws, on-screen reasons).
+ * 4. League Mode (Season):
+ *    - Single table, home & away matchdays spread week by week.
+ *    - No knockout; auto-completes when the last matchday is confirmed.
+ * 5. Knockout Automation (Auto-Pilot):
+ *    - Formats via BracketEngine: single elimination, double elimination
+ *      (lower bracket + grand final reset) and Swiss (pairings by score).
+ *    - Bracket plan stored in config.bracket; every confirmed result asks
+ *      the engine which slots became playable.
+ *    - Cup mode: straight into the bracket, no group stage.
+ *    - Qualifiers per group + best next-placed teams (config.qualifiers),
+ *      4 to 32 slots with byes for the top seeds, optional third-place playoff.
+ *    - Draws are settled by extra time / penalty shootout (never a silent B win).
+ * 6. Referee Console (Bug-Free):
  *    - Transactional score submission.
+ *    - Delegated officials (config.officials) per pitch or per match, with a
+ *      console restricted to their fixtures; 'submitted_by' on every result.
+ *    - Result correction: rolls back the old contribution, applies the new one,
+ *      writes a 'match_audit' entry and regenerates dependent knockout ties.
+ *    - Live match centre (LiveMatchService): clock, minute-stamped goals,
+ *      cards and substitutions, pushed to spectators via RealtimeService.
  *    - Auto-refresh mechanism (CloneNode fix).
  *    - Integration with NewsEngine (Headlines).
  *    - Integration with Global Team Stats (Total Matches).
- * 6. Notification System:
+ * 7. Finance: Entry fees (cash / wallet), start gate, prize pool and
+ *    settlement via TournamentFinanceService.
+ * 8. Player Stats & Awards: Golden boot, assists, clean sheets and cards from
+ *    'match_events'; end-of-tournament awards via TournamentStatsService.
+ * 9. Posters: Bracket, group tables, matchday card and champion poster in
+ *    story / A4 sizes via PosterExporter (team colours from logo_dna).
+ *    Calendar: scheduled fixtures as an .ics file via IcsGenerator.
+ * 10. Editions & History: Completed tournaments are archived (read-only),
+ *    cloned into the next edition (same setup, previous teams invited) and
+ *    summed across editions by TournamentHistoryService.
+ * 11. Notification System:
  *    - Alerts Captains and Organizers on every critical event.
  * -----------------------------------------------------------------------------
  */
@@ -35,7 +73,36 @@ import { SoundManager } from '../utils/soundManager.js';
 import { Helpers } from '../utils/helpers.js';
 import { TeamService } from '../services/teamService.js'; 
 import { NewsEngine } from '../utils/newsEngine.js';
+import { ScheduleEngine } from '../utils/scheduleEngine.js';
+import { StandingsEngine } from '../utils/standingsEngine.js';
+import { DrawEngine } from '../utils/drawEngine.js';
+import { FixturePlanner } from '../utils/fixturePlanner.js';
+import { PrayerTimes } from '../utils/prayerTimes.js';
+import { BracketEngine, ELIMINATION_STAGES } from '../utils/bracketEngine.js';
+import { Rulebook } from '../utils/rulebook.js';
+import { PosterExporter, POSTER_SIZES } from '../utils/posterExporter.js';
+import { IcsGenerator } from '../utils/icsGenerator.js';
+import { MatchService } from '../services/matchService.js';
+import { TournamentFinanceService } from '../services/tournamentFinanceService.js';
+import { TournamentStatsService, AWARD_LABELS } from '../services/tournamentStatsService.js';
+import { TournamentSquadService } from '../services/tournamentSquadService.js';
+import { TournamentHistoryService } from '../services/tournamentHistoryService.js';
+import { RatingService } from '../services/ratingService.js';
+import { TeamRatingService } from '../services/teamRatingService.js';
 import { NotificationService } from '../services/notificationService.js';
+import { EmergencyService } from '../services/emergencyService.js';
+import { LiveMatchService } from '../services/liveMatchService.js';
+import { RealtimeService } from '../services/realtime.js';
+
+// Entry statuses (tournament_teams.status). Legacy rows (null) count as APPROVED.
+const ENTRY_STATUS = {
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    WAITLISTED: 'WAITLISTED',
+    DECLINED: 'DECLINED',
+    WITHDRAWN: 'WITHDRAWN'
+};
+const isActiveEntry = (row) => !row.status || row.status === ENTRY_STATUS.APPROVED;
 
 // =============================================================================
 // PART 1: SERVICE LAYER (DATA & BUSINESS LOGIC)
@@ -44,16 +111,37 @@ class TournamentService {
     
     constructor() {
         this.teamService = new TeamService();
+        this.matchService = new MatchService();
+        this.finance = new TournamentFinanceService();
+        this.stats = new TournamentStatsService();
+        this.emergency = new EmergencyService();
+        this.squads = new TournamentSquadService();
+        this.live = new LiveMatchService();
+        this.history = new TournamentHistoryService();
+        this.teamRatings = new TeamRatingService();
     }
 
     /* --- INITIALIZATION --- */
 
     async createTournament(organizerId, formData) {
+        const isLeague = formData.type === 'LEAGUE';
+        const isCup = formData.type === 'CUP';
         const config = {
             type: formData.type, 
             max_teams: formData.teamsCount,
-            entry_fee: formData.entryFee || 0
+            entry_fee: formData.entryFee || 0,
+            requires_approval: !!formData.requiresApproval,
+            groups_count: (isLeague || isCup) ? 1 : (formData.groupsCount || 4),
+            knockout_format: isLeague ? null : (formData.knockoutFormat || 'SINGLE_ELIM'),
+            qualifiers: { per_group: formData.perGroup || 2, best_thirds: formData.bestThirds || 0 },
+            third_place: !!formData.thirdPlace,
+            round_robin: formData.roundRobin || (isLeague ? 'DOUBLE' : 'SINGLE'),
+            tiebreakers: formData.tiebreakers || null,
+            finance: { organizer_cut_pct: formData.organizerCut ?? 10, payout_split: formData.payoutSplit || [70, 30] },
+            rules: formData.rules || null
         };
+        // League: one matchday per week by default
+        if (isLeague) config.matchday_interval_days = formData.intervalDays || 7;
 
         const { data, error } = await supabase
             .from('tournaments')
@@ -87,9 +175,83 @@ class TournamentService {
         return data || [];
     }
 
+    /* --- ARCHIVE & EDITIONS --- */
+
+    /**
+     * Moves a completed tournament out of the public list.
+     * Results become read-only; the edition stays in its competition history.
+     */
+    async archiveTournament(tournamentId, organizerId) {
+        const { data: tourn } = await supabase.from('tournaments').select('organizer_id, status, config').eq('id', tournamentId).single();
+        if (!tourn) throw new Error("البطولة غير موجودة.");
+        if (tourn.organizer_id !== organizerId) throw new Error("المنظم فقط يمكنه أرشفة البطولة.");
+        if (tourn.status !== 'COMPLETED') throw new Error("لا يمكن أرشفة بطولة لم تنتهِ بعد.");
+
+        // Tournaments completed before final_ranking existed
+        let config = tourn.config || {};
+        if (!config.final_ranking) {
+            const ranking = config.type === 'LEAGUE' ? await this._leagueRanking(tournamentId) : await this._knockoutRanking(tournamentId);
+            config = { ...config, final_ranking: ranking };
+        }
+
+        const { error } = await supabase.from('tournaments').update({ status: 'ARCHIVED', config }).eq('id', tournamentId);
+        if (error) throw error;
+        return true;
+    }
+
+    /**
+     * Opens the next edition of a competition with the same setup.
+     * Draw, results, money and officials are not carried over; dates are cleared.
+     * Teams of the previous edition are invited (config.invited_team_ids) and
+     * skip the approval queue when they register.
+     *
+     * @param {string} tournamentId - Edition to clone.
+     * @param {string} organizerId
+     * @param {string} name - Name of the new edition.
+     */
+    async cloneTournament(tournamentId, organizerId, name) {
+        const { data: source } = await supabase.from('tournaments').select('*').eq('id', tournamentId).single();
+        if (!source) throw new Error("البطولة غير موجودة.");
+        if (source.organizer_id !== organizerId) throw new Error("المنظم فقط يمكنه إنشاء نسخة جديدة.");
+        if (!name?.trim()) throw new Error("اكتب اسم النسخة الجديدة.");
+
+        const competitionId = TournamentHistoryService.competitionOf(source);
+        const editions = await this.history.getEditions(competitionId);
+        const edition = Math.max(...editions.map(e => e.edition)) + 1;
+
+        const { participants } = await this.getTournamentData(tournamentId);
+        const invited = participants.map(p => p.team_id);
+
+        const src = source.config || {};
+        const SETUP_KEYS = ['type', 'max_teams', 'entry_fee', 'requires_approval', 'groups_count', 'knockout_format', 'seeding',
+            'qualifiers', 'third_place', 'round_robin', 'tiebreakers', 'finance', 'matchday_interval_days'];
+        const config = Object.fromEntries(SETUP_KEYS.filter(k => src[k] !== undefined).map(k => [k, src[k]]));
+        config.rules = src.rules ? { ...src.rules, registration_deadline: null } : null;
+        if (src.calendar) config.calendar = { ...src.calendar, start_date: null, blackouts: [] };
+        Object.assign(config, { competition_id: competitionId, edition, invited_team_ids: invited });
+
+        const { data, error } = await supabase.from('tournaments')
+            .insert([{
+                organizer_id: organizerId,
+                name: name.trim(),
+                status: 'OPEN',
+                config,
+                created_at: new Date().toISOString()
+            }])
+            .select().single();
+        if (error) throw error;
+
+        if (invited.length > 0) {
+            const { data: captains } = await supabase.from('team_members').select('user_id').in('team_id', invited).eq('role', 'CAPTAIN');
+            await this._notify((captains || []).map(c => c.user_id), '🏆 دعوة للنسخة الجديدة',
+                `فريقك مدعو للمشاركة في ${data.name} (النسخة ${edition}).`, 'TOURNAMENT_INVITE');
+        }
+        return data;
+    }
+
     async getTournamentData(tournamentId) {
         // Parallel Fetch for maximum performance
-        const [tRes, teamsRes, matchesRes] = await Promise.all([
+        const [tRes, teamsRes, matchesRes, squads] = await Promise.all([
             // 1. Info
             supabase.from('tournaments').select('*').eq('id', tournamentId).single(),
             
@@ -103,365 +265,1267 @@ class TournamentService {
 
             // 3. Matches (Sorted by Date/Round)
             supabase.from('matches')
-                .select('*, team_a:teams!team_a_id(name), team_b:teams!team_b_id(name)')
+                .select('*, team_a:teams!team_a_id(name), team_b:teams!team_b_id(name), venue:venues(name)')
                 .eq('tournament_id', tournamentId)
-                .order('played_at', { ascending: true }) 
+                .order('played_at', { ascending: true }),
+
+            // 4. Registered squads (+ pending replacements)
+            this.squads.getSquads(tournamentId)
         ]);
 
         if (tRes.error) throw tRes.error;
 
+        const entries = teamsRes.data || [];
+        const participants = entries.filter(isActiveEntry);
+        const fixtures = matchesRes.data || [];
+
         return {
             info: tRes.data,
-            participants: teamsRes.data || [],
-            fixtures: matchesRes.data || []
+            participants,
+            entries,
+            fixtures,
+            squads,
+            bracket: this._loadBracket(tRes.data.config, fixtures),
+            standings: StandingsEngine.compute(participants, fixtures, this._standingsOptions(tRes.data.config))
         };
     }
 
-    async joinTournament(tournamentId, userId) {
-        const myTeam = await this.teamService.getMyTeam(userId);
-        if (!myTeam || myTeam.my_role !== 'CAPTAIN') throw new Error("يجب أن تكون كابتن فريق.");
-
-        const { data: existing } = await supabase.from('tournament_teams')
-            .select('id').eq('tournament_id', tournamentId).eq('team_id', myTeam.id).maybeSingle();
-        if (existing) throw new Error("فريقك مسجل بالفعل.");
+    /**
+     * Maps tournaments.config onto StandingsEngine options.
+     */
+    _standingsOptions(config) {
+        const perGroup = config?.qualifiers?.per_group || 2;
+        return {
+            tiebreakers: config?.tiebreakers,
+            lots: config?.lots,
+            points: Rulebook.resolve(config).points,
+            boundaries: config?.qualifiers?.best_thirds ? [perGroup, perGroup + 1] : [perGroup]
+        };
+    }
 
-        const { count } = await supabase.from('tournament_teams')
-            .select('*', { count: 'exact', head: true }).eq('tournament_id', tournamentId);
-        
+    /**
+     * Records a lot draw for teams that are level on every other criterion.
+     * The shuffled order is stored in config.lots[group] so the table stays stable.
+     */
+    async drawLots(tournamentId, groupName, teamIds) {
         const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
-        if (count >= (tourn.config.max_teams || 16)) throw new Error("البطولة مكتملة العدد.");
+        const config = tourn?.config || {};
 
-        const { error } = await supabase.from('tournament_teams')
-            .insert([{ tournament_id: tournamentId, team_id: myTeam.id, points: 0 }]);
+        const drawn = [...teamIds];
+        for (let i = drawn.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [drawn[i], drawn[j]] = [drawn[j], drawn[i]];
+        }
 
+        const lots = { ...(config.lots || {}) };
+        lots[groupName] = [...(lots[groupName] || []).filter(id => !teamIds.includes(id)), ...drawn];
+
+        const { error } = await supabase.from('tournaments').update({ config: { ...config, lots } }).eq('id', tournamentId);
         if (error) throw error;
-        return true;
+        return drawn;
     }
 
-    /* --- GROUP STAGE ENGINE --- */
+    /**
+     * Registers the captain's team.
+     * With config.requires_approval the entry waits for the organizer (PENDING),
+     * otherwise it is APPROVED while places remain, then WAITLISTED.
+     */
+    async joinTournament(tournamentId, userId) {
+        const myTeam = await this.teamService.getMyTeam(userId);
+        if (!myTeam || myTeam.my_role !== 'CAPTAIN') throw new Error("يجب أن تكون كابتن فريق.");
 
-    async startTournament(tournamentId) {
-        const { data: teams } = await supabase
-            .from('tournament_teams').select('id, team_id').eq('tournament_id', tournamentId);
+        const { data: tourn } = await supabase.from('tournaments').select('organizer_id, name, status, config').eq('id', tournamentId).single();
+        if (tourn.status !== 'OPEN') throw new Error("التسجيل مغلق.");
 
-        if (teams.length < 4) throw new Error("العدد غير كافٍ (4 على الأقل).");
+        const { data: existing } = await supabase.from('tournament_teams')
+            .select('id, status').eq('tournament_id', tournamentId).eq('team_id', myTeam.id).maybeSingle();
+        if (existing && existing.status !== ENTRY_STATUS.WITHDRAWN) {
+            throw new Error(existing.status === ENTRY_STATUS.DECLINED ? "تم رفض طلب فريقك من المنظم." : "فريقك مسجل بالفعل.");
+        }
 
-        // Fisher-Yates Shuffle
-        for (let i = teams.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [teams[i], teams[j]] = [teams[j], teams[i]];
+        const { count: rosterSize } = await supabase.from('team_members')
+            .select('*', { count: 'exact', head: true }).eq('team_id', myTeam.id);
+        const rules = Rulebook.resolve(tourn.config);
+        const violations = Rulebook.checkRegistration(rules, rosterSize || 0);
+        if (rules.one_team_per_player) {
+            const shared = await this._membersEnteredElsewhere(tournamentId, myTeam.id);
+            if (shared.length > 0) violations.push(`مسجلون مع فريق آخر في البطولة: ${shared.join('، ')}.`);
         }
+        if (violations.length > 0) throw new Error(violations.join('\n'));
 
-        const groups = { A: [], B: [], C: [], D: [] };
-        const groupKeys = ['A', 'B', 'C', 'D'];
-        
-        for (let i = 0; i < teams.length; i++) {
-            const gName = groupKeys[i % 4];
-            groups[gName].push(teams[i].team_id);
-            await supabase.from('tournament_teams').update({ group_name: gName }).eq('id', teams[i].id);
-        }
-
-        // Generate Fixtures (Explicit Logic)
-        const matchesToInsert = [];
-        Object.keys(groups).forEach(gName => {
-            const gt = groups[gName];
-            if(gt.length === 2) {
-                matchesToInsert.push(this._createMatchObj(tournamentId, gt[0], gt[1], 1, gName, 'GROUP'));
-            } else if (gt.length === 3) {
-                 matchesToInsert.push(this._createMatchObj(tournamentId, gt[0], gt[1], 1, gName, 'GROUP'));
-                 matchesToInsert.push(this._createMatchObj(tournamentId, gt[1], gt[2], 2, gName, 'GROUP'));
-                 matchesToInsert.push(this._createMatchObj(tournamentId, gt[2], gt[0], 3, gName, 'GROUP'));
-            } else if (gt.length === 4) {
-                // R1
-                matchesToInsert.push(this._createMatchObj(tournamentId, gt[0], gt[1], 1, gName, 'GROUP'));
-                matchesToInsert.push(this._createMatchObj(tournamentId, gt[2], gt[3], 1, gName, 'GROUP'));
-                // R2
-                matchesToInsert.push(this._createMatchObj(tournamentId, gt[0], gt[2], 2, gName, 'GROUP'));
-                matchesToInsert.push(this._createMatchObj(tournamentId, gt[1], gt[3], 2, gName, 'GROUP'));
-                // R3
-                matchesToInsert.push(this._createMatchObj(tournamentId, gt[0], gt[3], 3, gName, 'GROUP'));
-                matchesToInsert.push(this._createMatchObj(tournamentId, gt[1], gt[2], 3, gName, 'GROUP'));
-            }
-        });
+        // Teams invited from the previous edition skip the approval queue
+        const invited = (tourn.config?.invited_team_ids || []).includes(myTeam.id);
+        let status = ENTRY_STATUS.PENDING;
+        if (!tourn.config?.requires_approval || invited) {
+            status = (await this._hasFreePlace(tournamentId, tourn.config)) ? ENTRY_STATUS.APPROVED : ENTRY_STATUS.WAITLISTED;
+        }
+        const now = new Date().toISOString();
+        const entry = {
+            status,
+            waitlisted_at: status === ENTRY_STATUS.WAITLISTED ? now : null
+        };
 
-        if (matchesToInsert.length > 0) await supabase.from('matches').insert(matchesToInsert);
-        await supabase.from('tournaments').update({ status: 'ACTIVE' }).eq('id', tournamentId);
-        return true;
-    }
+        const { error } = existing
+            ? await supabase.from('tournament_teams').update(entry).eq('id', existing.id)
+            : await supabase.from('tournament_teams').insert([{ tournament_id: tournamentId, team_id: myTeam.id, points: 0, ...entry }]);
 
-    _createMatchObj(tournId, tA, tB, round, group, stage) {
-        return {
-            tournament_id: tournId,
-            team_a_id: tA,
-            team_b_id: tB,
-            status: 'SCHEDULED',
-            score_a: 0,
-            score_b: 0,
-            stage: stage, 
-            match_data: { round: round, group: group, headline: stage === 'GROUP' ? `مباراة المجموعة ${group}` : 'مباراة حاسمة' },
-            played_at: new Date(Date.now() + 86400000).toISOString()
-        };
-    }
+        if (error) throw error;
 
-    /* --- KNOCKOUT TRANSITION ENGINE --- */
+        if (status === ENTRY_STATUS.PENDING) {
+            await this._notify([tourn.organizer_id], 'طلب تسجيل جديد', `فريق ${myTeam.name} يطلب المشاركة في ${tourn.name}.`);
+        } else {
+            await this._notifyCaptain(myTeam.id, tourn.name, status);
+        }
+        return status;
+    }
 
-    async generateKnockoutStage(tournamentId) {
-        const { data: standings } = await supabase
-            .from('tournament_teams')
-            .select('team_id, group_name')
-            .eq('tournament_id', tournamentId)
-            .order('group_name', { ascending: true })
-            .order('points', { ascending: false })
-            .order('goal_diff', { ascending: false });
+    /**
+     * Organizer decision on a PENDING entry.
+     * Approval respects capacity: a full tournament sends the team to the waitlist.
+     *
+     * @param {string} entryId - tournament_teams.id
+     * @param {boolean} approve
+     * @param {string} organizerId
+     */
+    async reviewEntry(entryId, approve, organizerId) {
+        const { entry, tourn } = await this._loadEntryForOrganizer(entryId, organizerId);
+        if (entry.status !== ENTRY_STATUS.PENDING) throw new Error("تمت مراجعة هذا الطلب بالفعل.");
 
-        const groups = { A: [], B: [], C: [], D: [] };
-        standings.forEach(t => { if(groups[t.group_name]) groups[t.group_name].push(t.team_id); });
+        let status = ENTRY_STATUS.DECLINED;
+        if (approve) {
+            status = (await this._hasFreePlace(entry.tournament_id, tourn.config)) ? ENTRY_STATUS.APPROVED : ENTRY_STATUS.WAITLISTED;
+        }
 
-        if (!groups.A[1] || !groups.B[1]) throw new Error("المجموعات غير مكتملة.");
+        const { error } = await supabase.from('tournament_teams').update({
+            status,
+            waitlisted_at: status === ENTRY_STATUS.WAITLISTED ? new Date().toISOString() : null
+        }).eq('id', entryId);
+        if (error) throw error;
 
-        // QF Pairings
-        const matches = [
-            this._createMatchObj(tournamentId, groups.A[0], groups.B[1], 'QF1', 'Knockout', 'QUARTER'),
-            this._createMatchObj(tournamentId, groups.C[0], groups.D[1], 'QF2', 'Knockout', 'QUARTER'),
-            this._createMatchObj(tournamentId, groups.B[0], groups.A[1], 'QF3', 'Knockout', 'QUARTER'),
-            this._createMatchObj(tournamentId, groups.D[0], groups.C[1], 'QF4', 'Knockout', 'QUARTER')
-        ];
+        if (status === ENTRY_STATUS.DECLINED) await this._refund(entry.tournament_id, entry.team_id, organizerId);
 
-        await supabase.from('matches').insert(matches);
-        await supabase.from('tournaments').update({ status: 'KNOCKOUT' }).eq('id', tournamentId);
-        return true;
+        await this._notifyCaptain(entry.team_id, tourn.name, status);
+        return status;
     }
 
-    /* --- [UPDATED] RESULTS & AUTO-PROGRESSION ENGINE --- */
-
-    async submitMatchResult(matchId, scoreA, scoreB) {
-        // 1. Get Match Info
-        const { data: match } = await supabase
-            .from('matches')
-            .select(`*, team_a:teams!team_a_id(name), team_b:teams!team_b_id(name)`)
-            .eq('id', matchId).single();
+    /**
+     * Captain withdraws before the draw. A freed place goes to the waitlist head.
+     */
+    async withdrawEntry(tournamentId, userId) {
+        const myTeam = await this.teamService.getMyTeam(userId);
+        if (!myTeam || myTeam.my_role !== 'CAPTAIN') throw new Error("الكابتن فقط يمكنه سحب الفريق.");
 
-        if (!match) throw new Error("المباراة غير موجودة.");
+        const { data: tourn } = await supabase.from('tournaments').select('name, status, organizer_id').eq('id', tournamentId).single();
+        if (tourn.status !== 'OPEN') throw new Error("لا يمكن الانسحاب بعد إجراء القرعة.");
 
-        // 2. Generate News
-        const news = NewsEngine.generateReport(match.team_a.name, match.team_b.name, scoreA, scoreB);
-        
-        // 3. Update Match Record
-        // [FIX]: Status is 'CONFIRMED' to enable Arena Badges and Headlines
-        const { error: matchErr } = await supabase.from('matches').update({
-            score_a: scoreA,
-            score_b: scoreB,
-            status: 'CONFIRMED', 
-            match_data: { ...match.match_data, headline: news.headline, body: news.body },
-            played_at: new Date().toISOString()
-        }).eq('id', matchId);
+        const { data: entry } = await supabase.from('tournament_teams')
+            .select('id, status').eq('tournament_id', tournamentId).eq('team_id', myTeam.id).maybeSingle();
+        if (!entry || entry.status === ENTRY_STATUS.WITHDRAWN || entry.status === ENTRY_STATUS.DECLINED) throw new Error("فريقك غير مسجل.");
 
-        if (matchErr) throw matchErr;
+        const { error } = await supabase.from('tournament_teams')
+            .update({ status: ENTRY_STATUS.WITHDRAWN, waitlisted_at: null }).eq('id', entry.id);
+        if (error) throw error;
 
-        // 4. Branching Logic
-        if (match.stage === 'GROUP' || !match.stage) {
-            await this._updateTeamStats(match.tournament_id, match.team_a_id, scoreA, scoreB);
-            await this._updateTeamStats(match.tournament_id, match.team_b_id, scoreB, scoreA);
-        } else {
-            // Check for Progression (Auto-Pilot)
-            await this._checkAndAdvanceKnockout(match.tournament_id, match.stage);
-        }
+        await this._refund(tournamentId, myTeam.id, userId);
 
-        // 5. [NEW] Update GLOBAL Stats for Teams (To fix the "0 Matches" issue)
-        await this._updateGlobalTeamStats(match.team_a_id);
-        await this._updateGlobalTeamStats(match.team_b_id);
+        await this._notifyCaptain(myTeam.id, tourn.name, ENTRY_STATUS.WITHDRAWN);
+        await this._notify([tourn.organizer_id], 'انسحاب فريق', `فريق ${myTeam.name} انسحب من ${tourn.name}.`);
 
-        // 6. Notify
-        await this._sendTournamentResultNotification(match, scoreA, scoreB, news.headline);
+        if (isActiveEntry(entry)) await this._promoteFromWaitlist(tournamentId);
         return true;
     }
 
     /**
-     * [NEW HELPER] Increments the global match counter for a team.
+     * Moves the oldest WAITLISTED entries up while places are free.
      */
-    async _updateGlobalTeamStats(teamId) {
-        const { data: team } = await supabase.from('teams').select('total_matches').eq('id', teamId).single();
-        if(team) {
-            await supabase.from('teams').update({ total_matches: (team.total_matches || 0) + 1 }).eq('id', teamId);
+    async _promoteFromWaitlist(tournamentId) {
+        const { data: tourn } = await supabase.from('tournaments').select('name, config').eq('id', tournamentId).single();
+
+        while (await this._hasFreePlace(tournamentId, tourn.config)) {
+            const { data: next } = await supabase.from('tournament_teams')
+                .select('id, team_id')
+                .eq('tournament_id', tournamentId)
+                .eq('status', ENTRY_STATUS.WAITLISTED)
+                .order('waitlisted_at', { ascending: true })
+                .limit(1)
+                .maybeSingle();
+            if (!next) return;
+
+            // Guarded on the old status: a failed update must not pick the same row forever
+            const { data: moved, error } = await supabase.from('tournament_teams')
+                .update({ status: ENTRY_STATUS.APPROVED, waitlisted_at: null })
+                .eq('id', next.id).eq('status', ENTRY_STATUS.WAITLISTED)
+                .select('id');
+            if (error || !moved || moved.length === 0) {
+                console.error("Waitlist Promotion Error:", error);
+                return;
+            }
+            await this._notifyCaptain(next.team_id, tourn.name, ENTRY_STATUS.APPROVED, true);
         }
     }
 
-    async _updateTeamStats(tournId, teamId, goalsFor, goalsAgainst) {
-        let points = 0, won = 0, drawn = 0, lost = 0;
-        if (goalsFor > goalsAgainst) { points = 3; won = 1; }
-        else if (goalsFor === goalsAgainst) { points = 1; drawn = 1; }
-        else { lost = 1; }
-
-        const { data: current } = await supabase.from('tournament_teams').select('*').eq('tournament_id', tournId).eq('team_id', teamId).single();
-        const updateData = {
-            played: (current.played || 0) + 1,
-            won: (current.won || 0) + won,
-            drawn: (current.drawn || 0) + drawn,
-            lost: (current.lost || 0) + lost,
-            points: (current.points || 0) + points,
-            goals_for: (current.goals_for || 0) + goalsFor,
-            goals_against: (current.goals_against || 0) + goalsAgainst,
-            goal_diff: ((current.goals_for || 0) + goalsFor) - ((current.goals_against || 0) + goalsAgainst)
-        };
-        await supabase.from('tournament_teams').update(updateData).eq('id', current.id);
+    /**
+     * Gives back the entry fee of a team leaving the tournament. A failed
+     * refund does not undo the withdrawal: the organizer is told to settle it.
+     */
+    async _refund(tournamentId, teamId, userId) {
+        try {
+            await this.finance.refundEntry(tournamentId, teamId, userId);
+        } catch (e) {
+            console.error("Refund Error:", e);
+            const { data: tourn } = await supabase.from('tournaments').select('name, organizer_id').eq('id', tournamentId).single();
+            await this._notify([tourn?.organizer_id], 'رد اشتراك معلق', `تعذر رد اشتراك فريق في ${tourn?.name || 'البطولة'}. يرجى تسويته يدوياً.`);
+        }
     }
 
-    /* --- AUTO-PILOT LOGIC --- */
-
-    async _checkAndAdvanceKnockout(tournamentId, currentStage) {
-        const { data: matches } = await supabase
-            .from('matches')
-            .select('*')
+    async _hasFreePlace(tournamentId, config) {
+        const { count } = await supabase.from('tournament_teams')
+            .select('*', { count: 'exact', head: true })
             .eq('tournament_id', tournamentId)
-            .eq('stage', currentStage);
-
-        const allFinished = matches.every(m => m.status === 'CONFIRMED' || m.status === 'FINISHED');
-        if (!allFinished) return; 
-
-        if (currentStage === 'QUARTER') {
-            await this._createNextRoundMatches(tournamentId, matches, 'SEMI');
-        } else if (currentStage === 'SEMI') {
-            await this._createNextRoundMatches(tournamentId, matches, 'FINAL');
-        } else if (currentStage === 'FINAL') {
-            await supabase.from('tournaments').update({ status: 'COMPLETED' }).eq('id', tournamentId);
-        }
+            .or('status.is.null,status.eq.APPROVED');
+        return count < (config?.max_teams || 16);
     }
 
-    async _createNextRoundMatches(tournamentId, prevMatches, nextStage) {
-        const winners = [];
-        prevMatches.forEach(m => {
-            const winnerId = m.score_a > m.score_b ? m.team_a_id : m.team_b_id;
-            winners.push({ slot: m.match_data.round, teamId: winnerId });
-        });
-
-        const newMatches = [];
-        if (nextStage === 'SEMI') {
-            const w1 = winners.find(w => w.slot === 'QF1')?.teamId;
-            const w2 = winners.find(w => w.slot === 'QF2')?.teamId;
-            const w3 = winners.find(w => w.slot === 'QF3')?.teamId;
-            const w4 = winners.find(w => w.slot === 'QF4')?.teamId;
+    async _loadEntryForOrganizer(entryId, organizerId) {
+        const { data: entry } = await supabase.from('tournament_teams').select('id, tournament_id, team_id, status').eq('id', entryId).single();
+        if (!entry) throw new Error("الطلب غير موجود.");
 
-            if (w1 && w2) newMatches.push(this._createMatchObj(tournamentId, w1, w2, 'SF1', 'Knockout', 'SEMI'));
-            if (w3 && w4) newMatches.push(this._createMatchObj(tournamentId, w3, w4, 'SF2', 'Knockout', 'SEMI'));
-        } 
-        else if (nextStage === 'FINAL') {
-            const w1 = winners.find(w => w.slot === 'SF1')?.teamId;
-            const w2 = winners.find(w => w.slot === 'SF2')?.teamId;
-            if (w1 && w2) newMatches.push(this._createMatchObj(tournamentId, w1, w2, 'FINAL', 'Knockout', 'FINAL'));
-        }
+        const { data: tourn } = await supabase.from('tournaments').select('organizer_id, name, status, config').eq('id', entry.tournament_id).single();
+        if (tourn.organizer_id !== organizerId) throw new Error("المنظم فقط يمكنه مراجعة الطلبات.");
+        if (tourn.status !== 'OPEN') throw new Error("التسجيل مغلق.");
+        return { entry, tourn };
+    }
 
-        if (newMatches.length > 0) {
-            await supabase.from('matches').insert(newMatches);
-        }
+    async _notifyCaptain(teamId, tournamentName, status, promoted = false) {
+        const messages = {
+            APPROVED: promoted ? `تم تصعيد فريقك من قائمة الانتظار! أنتم الآن ضمن ${tournamentName}.` : `تم قبول فريقك في ${tournamentName}.`,
+            WAITLISTED: `البطولة ${tournamentName} مكتملة. فريقك في قائمة الانتظار.`,
+            DECLINED: `نعتذر، تم رفض طلب فريقك في ${tournamentName}.`,
+            WITHDRAWN: `تم سحب فريقك من ${tournamentName}.`
+        };
+        const { data: captains } = await supabase.from('team_members').select('user_id').eq('team_id', teamId).eq('role', 'CAPTAIN');
+        await this._notify((captains || []).map(c => c.user_id), '🏆 تسجيل الدورة', messages[status]);
     }
 
-    async _sendTournamentResultNotification(matchData, scoreA, scoreB, headline) {
+    async _notify(userIds, title, message, type = 'TOURNAMENT_ENTRY') {
         try {
-            const { data: tourn } = await supabase.from('tournaments').select('organizer_id').eq('id', matchData.tournament_id).single();
-            const { data: captains } = await supabase.from('team_members').select('user_id').in('team_id', [matchData.team_a_id, matchData.team_b_id]).eq('role', 'CAPTAIN');
-            
-            const notifiedUsers = new Set();
-            if (tourn?.organizer_id) notifiedUsers.add(tourn.organizer_id);
-            if (captains) captains.forEach(c => notifiedUsers.add(c.user_id));
-
-            const notifs = Array.from(notifiedUsers).map(userId => ({
+            const notifs = userIds.filter(Boolean).map(userId => ({
                 user_id: userId,
-                type: 'TOURNAMENT_RESULT',
-                title: '🏆 نتيجة دورة رمضانية',
-                message: `${headline} ( ${matchData.team_a.name} ${scoreA} - ${scoreB} ${matchData.team_b.name} )`,
+                type,
+                title,
+                message,
                 is_read: false,
                 created_at: new Date().toISOString()
             }));
-
             if (notifs.length > 0) await supabase.from('notifications').insert(notifs);
         } catch (e) { console.warn("Notif Error", e); }
     }
-}
-
-// =============================================================================
-// PART 2: CONTROLLER LAYER (UI & INTERACTIONS)
-// =============================================================================
-export class TournamentController {
-    
-    constructor() {
-        this.service = new TournamentService();
-        this.containerId = 'tourn-content'; 
-        this.currentFilter = 'MY'; 
-        this.injectFloatingMenu();
-        this.activeDetailTab = 'STANDINGS'; 
-    }
 
-    /* --- FAB MENU (Standard) --- */
-    injectFloatingMenu() {
-        const fab = document.getElementById('nav-action');
-        if(!fab) return;
-        const newFab = fab.cloneNode(true);
-        fab.parentNode.replaceChild(newFab, fab);
+    /* --- GROUP STAGE ENGINE --- */
 
-        if (!document.getElementById('fab-menu-overlay')) {
-            document.body.insertAdjacentHTML('beforeend', `
-                <div id="fab-menu-overlay" class="fab-overlay hidden">
-                    <div class="fab-actions">
-                        <button class="fab-item" data-action="TOURNAMENT"><span class="label">الدورات الرمضانية</span><div class="icon-circle gold"><i class="fa-solid fa-trophy"></i></div></button>
-                        <button class="fab-item" data-action="JOKER"><span class="label">اطلب "جوكر"</span><div class="icon-circle red"><i class="fa-solid fa-person-running"></i></div></button>
-                        <button class="fab-item" data-action="REF"><span class="label">اطلب "حكم"</span><div class="icon-circle yellow"><i class="fa-solid fa-whistle"></i></div></button>
-                        <button class="fab-item" data-action="AVAILABLE"><span class="label">أنا متوفر للعب</span><div class="icon-circle green"><i class="fa-solid fa-hand-point-up"></i></div></button>
-                    </div>
-                    <button id="btn-close-fab" class="fab-close"><i class="fa-solid fa-xmark"></i></button>
-                </div>`);
-            this.bindFabEvents();
+    async startTournament(tournamentId) {
+        const { data: teams } = await supabase
+            .from('tournament_teams').select('id, team_id').eq('tournament_id', tournamentId).or('status.is.null,status.eq.APPROVED');
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
+        const config = tourn?.config || {};
+        const isLeague = config.type === 'LEAGUE';
+        if (config.type === 'CUP') return this._startCup(tournamentId, teams, config);
+
+        // Legacy tournaments (no groups_count) keep the old 4-group layout when possible
+        const groupsCount = isLeague ? 1 : (config.groups_count || Math.max(1, Math.min(4, Math.floor(teams.length / 2))));
+        const minTeams = Math.max(4, groupsCount * 2);
+        if (teams.length < minTeams) throw new Error(`العدد غير كافٍ (${minTeams} على الأقل).`);
+        if (config.entry_fee > 0) await this.finance.assertAllPaid(tournamentId);
+        await this.squads.assertAllRegistered(tournamentId, teams.map(t => t.team_id));
+
+        // Seeded Draw (pots when defined, plain shuffle otherwise)
+        const teamIds = teams.map(t => t.team_id);
+        const pots = isLeague ? null : this._completePots(config.pots, teamIds, groupsCount);
+        const seed = DrawEngine.newSeed();
+        const { groups, sequence } = pots
+            ? DrawEngine.seededDraw(pots, groupsCount, seed)
+            : DrawEngine.openDraw(teamIds, groupsCount, seed);
+
+        for (const gName of Object.keys(groups)) {
+            for (const teamId of groups[gName]) {
+                const row = teams.find(t => t.team_id === teamId);
+                await supabase.from('tournament_teams').update({ group_name: gName }).eq('id', row.id);
+            }
         }
-        newFab.addEventListener('click', () => {
-            SoundManager.play('click');
-            const overlay = document.getElementById('fab-menu-overlay');
-            overlay.classList.remove('hidden');
-            setTimeout(() => overlay.classList.add('active'), 10);
-        });
+        const draw = { seed, pots, team_ids: teamIds, groups_count: groupsCount, sequence, drawn_at: new Date().toISOString() };
+
+        // Generate Fixtures (Circle Method with byes)
+        const legs = ScheduleEngine.legsFor(config.round_robin);
+        const { fixtures, byes, roundsCount } = ScheduleEngine.buildGroupFixtures(groups, { legs });
+        const matchesToInsert = isLeague
+            ? fixtures.map(f => this._createMatchObj(tournamentId, f.home, f.away, f.round, f.group, 'LEAGUE', this._matchdayDate(f.round, config.matchday_interval_days)))
+            : fixtures.map(f => this._createMatchObj(tournamentId, f.home, f.away, f.round, f.group, 'GROUP'));
+        const unplaced = this._applyCalendar(matchesToInsert, config.calendar);
+
+        if (matchesToInsert.length > 0) await supabase.from('matches').insert(matchesToInsert);
+        await supabase.from('tournaments').update({
+            status: 'ACTIVE',
+            config: { ...config, groups_count: groupsCount, draw, layout: { groups, byes, rounds: roundsCount } }
+        }).eq('id', tournamentId);
+        return { unplaced };
     }
 
-    bindFabEvents() {
-        const overlay = document.getElementById('fab-menu-overlay');
-        const close = () => { overlay.classList.remove('active'); setTimeout(() => overlay.classList.add('hidden'), 300); };
-        document.getElementById('btn-close-fab').onclick = close;
-        overlay.onclick = (e) => { if(e.target === overlay) close(); };
-        overlay.querySelectorAll('.fab-item').forEach(btn => {
-            btn.onclick = () => {
-                const action = btn.dataset.action; SoundManager.play('click'); close(); this.handleRoute(action);
-            };
+    /* --- CALENDAR PLANNER --- */
+
+    /**
+     * Assigns kick-off + venue to new fixtures (in place) when a calendar exists.
+     * @returns {number} Fixtures that did not fit in the calendar.
+     */
+    _applyCalendar(matchesToInsert, calendar) {
+        if (!FixturePlanner.isUsable(calendar)) return 0;
+
+        const { assignments, unplaced } = FixturePlanner.plan(
+            matchesToInsert.map((m, i) => ({ key: i, home: m.team_a_id, away: m.team_b_id, round: m.match_data.round })),
+            calendar
+        );
+
+        matchesToInsert.forEach((m, i) => {
+            const slot = assignments[i];
+            if (slot) {
+                m.played_at = slot.played_at;
+                m.venue_id = slot.venue_id;
+                m.match_data.scheduled_at = slot.played_at;
+            } else {
+                m.match_data.unscheduled = true;
+            }
         });
+        return unplaced.length;
     }
 
-    handleRoute(action) {
-        if (action === 'TOURNAMENT') this.initTournamentView();
-        else if (action === 'JOKER' || action === 'REF') {
-            window.router('view-operations');
-            setTimeout(() => window.dispatchEvent(new CustomEvent('trigger-post-request', { detail: { type: action === 'JOKER' ? 'WANTED_JOKER' : 'WANTED_REF' } })), 100);
-        }
+    async getVenues(zoneId) {
+        return this.matchService.getVenues(zoneId);
     }
 
-    /* --- TOURNAMENT LIST --- */
-    async initTournamentView() {
-        window.router('view-tournaments'); 
-        const container = document.getElementById(this.containerId);
-        container.innerHTML = `
-            <div class="tournament-hub fade-in">
-                <div class="t-hero-banner">
-                    <div class="ramadan-deco"><i class="fa-solid fa-moon"></i></div>
-                    <h2>الدورات الرمضانية</h2>
-                    <p>نظم دورتك .. كأنك في دوري الأبطال</p>
-                    <button id="btn-create-tourn" class="btn-primary-gold"><i class="fa-solid fa-plus"></i> إنشاء دورة جديدة</button>
-                </div>
-                <div class="t-tabs">
-                    <button class="t-tab active" data-filter="MY">دوراتي</button>
-                    <button class="t-tab" data-filter="ALL">بطولات المنطقة</button>
-                </div>
-                <div id="tourn-list" class="t-list"><div class="loader-bar"></div></div>
-            </div>`;
-        this.bindHubEvents();
-        this.loadTournamentsList();
-    }
+    async saveCalendar(tournamentId, calendar) {
+        if (!calendar.venues?.length) throw new Error("اختر ملعباً واحداً على الأقل.");
+        if (!calendar.slot_times?.length) throw new Error("أدخل مواعيد الحجز.");
 
-    bindHubEvents() {
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
+        const { error } = await supabase.from('tournaments')
+            .update({ config: { ...(tourn?.config || {}), calendar } })
+            .eq('id', tournamentId);
+        if (error) throw error;
+        return true;
+    }
+
+    /**
+     * Moves one fixture to a new kick-off / venue.
+     */
+    async rescheduleMatch(matchId, playedAt, venueId) {
+        const { data: match } = await supabase.from('matches').select('status, match_data').eq('id', matchId).single();
+        if (!match) throw new Error("المباراة غير موجودة.");
+        if (match.status === 'CONFIRMED' || match.status === 'FINISHED') throw new Error("لا يمكن نقل مباراة انتهت.");
+
+        const { unscheduled, ...matchData } = match.match_data || {};
+        const { error } = await supabase.from('matches').update({
+            played_at: playedAt,
+            venue_id: venueId || null,
+            match_data: { ...matchData, scheduled_at: playedAt }
+        }).eq('id', matchId);
+        if (error) throw error;
+        return true;
+    }
+
+    /**
+     * Drag & drop: two fixtures exchange their kick-off and venue.
+     */
+    async swapMatchSlots(matchIdA, matchIdB) {
+        const { data: rows } = await supabase.from('matches').select('id, played_at, venue_id').in('id', [matchIdA, matchIdB]);
+        const a = rows?.find(r => r.id === matchIdA);
+        const b = rows?.find(r => r.id === matchIdB);
+        if (!a || !b) throw new Error("المباراة غير موجودة.");
+
+        await this.rescheduleMatch(a.id, b.played_at, b.venue_id);
+        await this.rescheduleMatch(b.id, a.played_at, a.venue_id);
+        return true;
+    }
+
+    /* --- POTS (Seeding) --- */
+
+    /**
+     * Drops withdrawn teams from the saved pots and appends unseeded teams
+     * as extra pots. Returns null when no pots were configured.
+     */
+    _completePots(savedPots, teamIds, groupsCount) {
+        if (!savedPots || savedPots.length === 0) return null;
+
+        const pots = savedPots
+            .map(pot => pot.filter(id => teamIds.includes(id)))
+            .filter(pot => pot.length > 0);
+        const seeded = pots.flat();
+        const rest = teamIds.filter(id => !seeded.includes(id)).sort();
+
+        return [...pots, ...DrawEngine.potsFromRanking(rest, groupsCount)];
+    }
+
+    /**
+     * Cup bracket seeding: 'RANDOM' (draw) or 'ELO' (team ladder).
+     */
+    async saveSeeding(tournamentId, seeding) {
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
+        const { error } = await supabase.from('tournaments')
+            .update({ config: { ...(tourn?.config || {}), seeding } })
+            .eq('id', tournamentId);
+        if (error) throw error;
+        return true;
+    }
+
+    async savePots(tournamentId, pots) {
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
+        const config = tourn?.config || {};
+        const groupsCount = config.groups_count || 4;
+
+        if (pots.some(p => p.length > groupsCount)) throw new Error(`كل وعاء يتسع لـ ${groupsCount} فرق كحد أقصى (فريق لكل مجموعة).`);
+
+        const { error } = await supabase.from('tournaments')
+            .update({ config: { ...config, pots: pots.filter(p => p.length > 0) } })
+            .eq('id', tournamentId);
+        if (error) throw error;
+        return true;
+    }
+
+    /**
+     * Suggests pots from a ranking source.
+     * @param {string} source - 'RATING' (avg card rating of the roster), 'ELO' (team ladder rating)
+     *                          or 'HISTORY' (past knockout finishes).
+     * @returns {Promise<Array<Array<string>>>} Team IDs per pot.
+     */
+    async suggestPots(tournamentId, source) {
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
+        const { data: entries } = await supabase.from('tournament_teams').select('team_id').eq('tournament_id', tournamentId).or('status.is.null,status.eq.APPROVED');
+        const teamIds = (entries || []).map(e => e.team_id);
+
+        let strength;
+        if (source === 'HISTORY') strength = await this._historyStrength(teamIds, tournamentId);
+        else if (source === 'ELO') strength = await this.teamRatings.getRatings(teamIds);
+        else strength = await this._ratingStrength(teamIds);
+
+        const ranked = [...teamIds].sort((a, b) => (strength[b] || 0) - (strength[a] || 0));
+        return DrawEngine.potsFromRanking(ranked, tourn?.config?.groups_count || 4);
+    }
+
+    async _ratingStrength(teamIds) {
+        const { data: members } = await supabase.from('team_members').select('team_id, user_id').in('team_id', teamIds);
+        const userIds = (members || []).map(m => m.user_id);
+        const { data: cards } = await supabase.from('cards').select('owner_id, stats').in('owner_id', userIds).eq('type', 'GENESIS');
+
+        const strength = {};
+        teamIds.forEach(tid => {
+            const ratings = (members || [])
+                .filter(m => m.team_id === tid)
+                .map(m => cards?.find(c => c.owner_id === m.user_id)?.stats?.rating || 60);
+            strength[tid] = ratings.length ? ratings.reduce((a, b) => a + b, 0) / ratings.length : 0;
+        });
+        return strength;
+    }
+
+    /**
+     * Past finishes: Champion 8, Runner-up 5, Semi-finalist 3, Quarter-finalist 1.
+     */
+    async _historyStrength(teamIds, excludeTournamentId) {
+        const { data: matches } = await supabase
+            .from('matches')
+            .select('tournament_id, stage, status, team_a_id, team_b_id, score_a, score_b, match_data')
+            .in('stage', ['QUARTER', 'SEMI', 'FINAL'])
+            .eq('status', 'CONFIRMED')
+            .neq('tournament_id', excludeTournamentId)
+            .or(`team_a_id.in.(${teamIds.join(',')}),team_b_id.in.(${teamIds.join(',')})`);
+
+        const LOSER_POINTS = { QUARTER: 1, SEMI: 3, FINAL: 5 };
+        const strength = {};
+        (matches || []).forEach(m => {
+            const winner = this._resolveWinner(m);
+            if (!winner) return;
+            const loser = winner === m.team_a_id ? m.team_b_id : m.team_a_id;
+            strength[loser] = (strength[loser] || 0) + LOSER_POINTS[m.stage];
+            if (m.stage === 'FINAL') strength[winner] = (strength[winner] || 0) + 8;
+        });
+        return strength;
+    }
+
+    _createMatchObj(tournId, tA, tB, round, group, stage, playedAt = null) {
+        const headlines = { GROUP: `مباراة المجموعة ${group}`, LEAGUE: `الجولة ${round} من الدوري` };
+        return {
+            tournament_id: tournId,
+            team_a_id: tA,
+            team_b_id: tB,
+            status: 'SCHEDULED',
+            score_a: 0,
+            score_b: 0,
+            stage: stage, 
+            match_data: { round: round, group: group, headline: headlines[stage] || 'مباراة حاسمة', ...(playedAt ? { scheduled_at: playedAt } : {}) },
+            played_at: playedAt || new Date(Date.now() + 86400000).toISOString()
+        };
+    }
+
+    /**
+     * League matchday date: first round tomorrow, then one round every N days.
+     */
+    _matchdayDate(round, intervalDays = 7) {
+        const offsetDays = 1 + (round - 1) * intervalDays;
+        return new Date(Date.now() + offsetDays * 86400000).toISOString();
+    }
+
+    /* --- KNOCKOUT TRANSITION ENGINE --- */
+
+    /**
+     * Closes the group stage and opens the bracket.
+     * Qualifiers: the top `per_group` of every group, then the best
+     * `best_thirds` teams of the next rank. Seeds: all winners, then all
+     * runners-up, etc. (each tier ordered by points / GD / GF, per game when
+     * the groups differ in size).
+     */
+    async generateKnockoutStage(tournamentId) {
+        const { info, standings } = await this.getTournamentData(tournamentId);
+        const config = info.config || {};
+        const perGroup = config.qualifiers?.per_group || 2;
+        const bestThirds = config.qualifiers?.best_thirds || 0;
+
+        const groupNames = Object.keys(standings).sort();
+        const groupOf = {};
+        const tiers = Array.from({ length: perGroup + 1 }, () => []);
+
+        groupNames.forEach(gName => {
+            const rows = standings[gName];
+            if (rows.length < perGroup) throw new Error(`المجموعة ${gName} لا تكفي لتأهل ${perGroup} فرق.`);
+            if (rows.some(r => r.rank <= perGroup + (bestThirds > 0 ? 1 : 0) && r.tied)) throw new Error(`تساوٍ تام في المجموعة ${gName}: أجرِ القرعة أولاً.`);
+            rows.forEach(r => {
+                groupOf[r.team_id] = gName;
+                if (r.rank <= perGroup + 1) tiers[r.rank - 1].push(r);
+            });
+        });
+
+        // Unequal groups: a team of a bigger group has played more, compare averages
+        const unequal = new Set(groupNames.map(g => standings[g].length)).size > 1;
+        const stat = (r, key) => unequal ? r[key] / Math.max(1, r.played) : r[key];
+        const byRecord = (x, y) => (stat(y, 'points') - stat(x, 'points')) || (stat(y, 'goal_diff') - stat(x, 'goal_diff')) ||
+            (stat(y, 'goals_for') - stat(x, 'goals_for')) || (x.fair_play - y.fair_play);
+        const seeds = [
+            ...tiers.slice(0, perGroup).flatMap(tier => [...tier].sort(byRecord)),
+            ...[...tiers[perGroup]].sort(byRecord).slice(0, bestThirds)
+        ].map(r => r.team_id);
+
+        if (seeds.length < 2) throw new Error("المجموعات غير مكتملة.");
+
+        const format = config.knockout_format || 'SINGLE_ELIM';
+        const bracket = this._buildBracket(format, seeds, config, groupOf);
+
+        await this._openBracket(tournamentId, config, bracket);
+        return true;
+    }
+
+    /**
+     * Bracket plan for a seed list (best first). Byes go to the top seeds.
+     * @param {Object} [groupOf] - teamId -> group; first-round pairs avoid same-group ties.
+     */
+    _buildBracket(format, seeds, config, groupOf = null) {
+        if (format === 'SWISS') return BracketEngine.swiss(seeds, config.swiss_rounds);
+
+        let pairs = BracketEngine.pairsFromSeeds(BracketEngine.padToBracket(seeds));
+        if (groupOf) pairs = this._avoidGroupClashes(pairs, groupOf);
+        return format === 'DOUBLE_ELIM'
+            ? BracketEngine.doubleElimination(pairs)
+            : BracketEngine.singleElimination(pairs, { thirdPlace: !!config.third_place });
+    }
+
+    /**
+     * Swaps second seeds between first-round pairs so that two teams of the
+     * same group do not meet again straight away (when a swap exists).
+     */
+    _avoidGroupClashes(pairs, groupOf) {
+        const result = pairs.map(p => [...p]);
+        const clash = (p) => p[0] && p[1] && groupOf[p[0]] === groupOf[p[1]];
+
+        result.forEach((p, i) => {
+            if (!clash(p)) return;
+            const j = result.findIndex((q, k) => k !== i && q[1] &&
+                groupOf[p[0]] !== groupOf[q[1]] && groupOf[q[0]] !== groupOf[p[1]]);
+            if (j !== -1) [p[1], result[j][1]] = [result[j][1], p[1]];
+        });
+        return result;
+    }
+
+    /**
+     * Cup mode: the seeded shuffle is the bracket seeding (no group stage).
+     * With config.seeding = 'ELO' the team ladder orders the seeds instead.
+     */
+    async _startCup(tournamentId, teams, config) {
+        if (teams.length < 3) throw new Error("العدد غير كافٍ (3 على الأقل).");
+        if (config.entry_fee > 0) await this.finance.assertAllPaid(tournamentId);
+        await this.squads.assertAllRegistered(tournamentId, teams.map(t => t.team_id));
+
+        const seed = DrawEngine.newSeed();
+        let seeds = DrawEngine.shuffle(teams.map(t => t.team_id).sort(), DrawEngine.createRng(seed));
+        if (config.seeding === 'ELO') {
+            const ratings = await this.teamRatings.getRatings(seeds);
+            seeds = [...seeds].sort((a, b) => ratings[b] - ratings[a]);
+        }
+        const bracket = this._buildBracket(config.knockout_format || 'SINGLE_ELIM', seeds, config);
+        bracket.seed = seed;
+
+        const unplaced = await this._openBracket(tournamentId, config, bracket);
+        return { unplaced };
+    }
+
+    /**
+     * Stores the bracket plan, creates the first playable slots, status KNOCKOUT.
+     * @returns {Promise<number>} Matches the calendar could not place.
+     */
+    async _openBracket(tournamentId, config, bracket) {
+        const { create, byes } = BracketEngine.advance(bracket, []);
+        bracket.byes = { ...(bracket.byes || {}), ...byes };
+
+        const matchesToInsert = create.map(c => this._createBracketMatch(tournamentId, c));
+        const unplaced = this._applyCalendar(matchesToInsert, config.calendar);
+
+        if (matchesToInsert.length > 0) await supabase.from('matches').insert(matchesToInsert);
+        await supabase.from('tournaments').update({ status: 'KNOCKOUT', config: { ...config, bracket } }).eq('id', tournamentId);
+        return unplaced;
+    }
+
+    _createBracketMatch(tournamentId, c) {
+        const match = this._createMatchObj(tournamentId, c.a, c.b, c.slot, 'Knockout', c.stage);
+        match.match_data.title = c.title;
+        if (c.swiss_round) match.match_data.swiss_round = c.swiss_round;
+        return match;
+    }
+
+    /**
+     * Bracket plan of a tournament. Tournaments created before the engine
+     * only have QF1-QF4 rows: their plan is rebuilt from those pairings.
+     */
+    _loadBracket(config, matches) {
+        if (config?.bracket) return config.bracket;
+
+        const quarters = (matches || [])
+            .filter(m => m.stage === 'QUARTER')
+            .sort((x, y) => String(x.match_data?.round).localeCompare(String(y.match_data?.round)));
+        if (quarters.length !== 4) return null;
+        return BracketEngine.singleElimination(quarters.map(m => [m.team_a_id, m.team_b_id]));
+    }
+
+    /* --- MATCH OFFICIALS (Delegated Referees) --- */
+
+    /**
+     * Candidates: users who accepted the organizer's WANTED_REF missions.
+     */
+    async getRefereeCandidates(organizerId) {
+        return this.emergency.getAcceptedReferees(organizerId);
+    }
+
+    async findUserByUsername(username) {
+        const { data } = await supabase.from('users').select('id, username').eq('username', username.trim()).maybeSingle();
+        if (!data) throw new Error("لا يوجد مستخدم بهذا الاسم.");
+        return data;
+    }
+
+    /**
+     * Adds (or replaces) an official's assignment.
+     * config.officials: [{ user_id, name, venue_ids: [], match_ids: [] }]
+     */
+    async assignOfficial(tournamentId, organizerId, official, { venueIds = [], matchIds = [] }) {
+        if (venueIds.length === 0 && matchIds.length === 0) throw new Error("اختر ملعباً أو مباراة واحدة على الأقل.");
+
+        const { data: tourn } = await supabase.from('tournaments').select('name, organizer_id, config').eq('id', tournamentId).single();
+        if (tourn.organizer_id !== organizerId) throw new Error("المنظم فقط يمكنه تعيين الحكام.");
+        if (official.id === organizerId) throw new Error("أنت المنظم بالفعل.");
+
+        const officials = (tourn.config?.officials || []).filter(o => o.user_id !== official.id);
+        officials.push({ user_id: official.id, name: official.username, venue_ids: venueIds, match_ids: matchIds });
+
+        const { error } = await supabase.from('tournaments').update({ config: { ...tourn.config, officials } }).eq('id', tournamentId);
+        if (error) throw error;
+
+        await this._notify([official.id], '🟨 تعيين حكم', `تم تعيينك لإدخال نتائج مباريات في ${tourn.name}.`);
+        return officials;
+    }
+
+    async removeOfficial(tournamentId, organizerId, userId) {
+        const { data: tourn } = await supabase.from('tournaments').select('organizer_id, config').eq('id', tournamentId).single();
+        if (tourn.organizer_id !== organizerId) throw new Error("المنظم فقط يمكنه تعديل الحكام.");
+
+        const officials = (tourn.config?.officials || []).filter(o => o.user_id !== userId);
+        const { error } = await supabase.from('tournaments').update({ config: { ...tourn.config, officials } }).eq('id', tournamentId);
+        if (error) throw error;
+        return officials;
+    }
+
+    /**
+     * Matches an official may score: assigned directly or played on an assigned pitch.
+     */
+    isAssignedOfficial(match, config, userId) {
+        const official = (config?.officials || []).find(o => o.user_id === userId);
+        if (!official) return false;
+        return official.match_ids.includes(match.id) || (!!match.venue_id && official.venue_ids.includes(match.venue_id));
+    }
+
+    async _assertCanScore(match, userId) {
+        const { data: tourn } = await supabase.from('tournaments').select('organizer_id, config').eq('id', match.tournament_id).single();
+        if (userId && tourn.organizer_id === userId) return;
+        if (!userId || !this.isAssignedOfficial(match, tourn.config, userId)) throw new Error("غير مسموح لك بإدخال نتيجة هذه المباراة.");
+    }
+
+    /* --- LINEUPS (RULEBOOK) --- */
+
+    /**
+     * Player IDs already on the team sheet of a match.
+     */
+    async getLineup(matchId, teamId) {
+        const { data } = await supabase.from('match_lineups').select('player_id').eq('match_id', matchId).eq('team_id', teamId);
+        return (data || []).map(r => r.player_id);
+    }
+
+    /**
+     * Captain (or organizer) submits the team sheet of a tournament match.
+     * Replaces any previous sheet once it passes the rulebook.
+     *
+     * @param {string} matchId
+     * @param {string} teamId - One of the two sides.
+     * @param {string} userId - Captain of that team, or the organizer.
+     * @param {Array<string>} playerIds - team_members user IDs.
+     */
+    async submitLineup(matchId, teamId, userId, playerIds) {
+        const { data: match } = await supabase.from('matches')
+            .select('id, tournament_id, team_a_id, team_b_id, status').eq('id', matchId).single();
+        if (!match || ![match.team_a_id, match.team_b_id].includes(teamId)) throw new Error("الفريق ليس طرفاً في هذه المباراة.");
+        if (match.status === 'CONFIRMED' || match.status === 'FINISHED') throw new Error("انتهت المباراة بالفعل.");
+
+        const { data: tourn } = await supabase.from('tournaments').select('organizer_id, config').eq('id', match.tournament_id).single();
+        if (tourn.organizer_id !== userId) {
+            const { data: membership } = await supabase.from('team_members')
+                .select('role').eq('team_id', teamId).eq('user_id', userId).maybeSingle();
+            if (membership?.role !== 'CAPTAIN') throw new Error("الكابتن فقط يمكنه تسجيل التشكيلة.");
+        }
+
+        const ids = [...new Set(playerIds)];
+        const [membersRes, usersRes, foreignIds] = await Promise.all([
+            supabase.from('team_members').select('user_id').eq('team_id', teamId).in('user_id', ids),
+            supabase.from('users').select('id, username, activity_type').in('id', ids),
+            this._playersFieldedByOthers(match.tournament_id, teamId, ids)
+        ]);
+        if ((membersRes.data || []).length !== ids.length) throw new Error("كل لاعبي التشكيلة يجب أن يكونوا أعضاء في الفريق.");
+        await this.squads.assertInSquad(match.tournament_id, teamId, ids);
+
+        const violations = Rulebook.checkLineup(Rulebook.resolve(tourn.config), usersRes.data || [], foreignIds);
+        if (violations.length > 0) throw new Error(violations.join('\n'));
+
+        await supabase.from('match_lineups').delete().eq('match_id', matchId).eq('team_id', teamId);
+        const { error } = await supabase.from('match_lineups').insert(ids.map(playerId => ({
+            match_id: matchId,
+            team_id: teamId,
+            player_id: playerId,
+            is_starter: true,
+            xp_earned: 0
+        })));
+        if (error) {
+            console.error("Lineup Insert Error:", error);
+            throw new Error("فشل حفظ التشكيلة.");
+        }
+        return true;
+    }
+
+    /**
+     * Usernames of my team's members who belong to another team entered in the
+     * tournament (any entry that is not declined or withdrawn).
+     */
+    async _membersEnteredElsewhere(tournamentId, teamId) {
+        const { data: entries } = await supabase.from('tournament_teams')
+            .select('team_id, status').eq('tournament_id', tournamentId).neq('team_id', teamId);
+        const otherTeamIds = (entries || [])
+            .filter(e => e.status !== ENTRY_STATUS.DECLINED && e.status !== ENTRY_STATUS.WITHDRAWN)
+            .map(e => e.team_id);
+        if (otherTeamIds.length === 0) return [];
+
+        const { data: mine } = await supabase.from('team_members').select('user_id').eq('team_id', teamId);
+        const myIds = (mine || []).map(m => m.user_id);
+        if (myIds.length === 0) return [];
+
+        const { data: shared } = await supabase.from('team_members')
+            .select('user_id, users ( username )').in('team_id', otherTeamIds).in('user_id', myIds);
+        const names = {};
+        (shared || []).forEach(m => { names[m.user_id] = m.users?.username || 'لاعب'; });
+        return Object.values(names);
+    }
+
+    /**
+     * Players of `ids` who already appeared for another team in this tournament.
+     */
+    async _playersFieldedByOthers(tournamentId, teamId, ids) {
+        const { data: matches } = await supabase.from('matches').select('id').eq('tournament_id', tournamentId);
+        if (!matches?.length) return [];
+
+        const { data } = await supabase.from('match_lineups').select('player_id')
+            .in('match_id', matches.map(m => m.id)).in('player_id', ids).neq('team_id', teamId);
+        return [...new Set((data || []).map(r => r.player_id))];
+    }
+
+    /* --- LIVE MATCH CENTRE --- */
+
+    async startLive(matchId, userId) {
+        const match = await this._loadLiveMatch(matchId, userId);
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', match.tournament_id).single();
+        return this.live.start(match, Rulebook.resolve(tourn?.config).match_minutes);
+    }
+
+    async advanceLive(matchId, userId) {
+        return this.live.nextPhase(await this._loadLiveMatch(matchId, userId));
+    }
+
+    async logLiveEvent(matchId, userId, event) {
+        return this.live.logEvent(await this._loadLiveMatch(matchId, userId), event);
+    }
+
+    async removeLiveEvent(matchId, userId, index) {
+        return this.live.removeEvent(await this._loadLiveMatch(matchId, userId), index);
+    }
+
+    /**
+     * Confirms the result straight from the live log (after the final whistle).
+     * @param {Object} [knockout] - { extraTime, penA, penB } for level knockout ties.
+     */
+    async finishLive(matchId, userId, knockout = {}) {
+        const match = await this._loadLiveMatch(matchId, userId);
+        const { scoreA, scoreB, extras } = this.live.toResult(match);
+        return this.submitMatchResult(matchId, scoreA, scoreB, { ...extras, ...knockout }, userId);
+    }
+
+    async _loadLiveMatch(matchId, userId) {
+        const { data: match } = await supabase.from('matches').select('*').eq('id', matchId).single();
+        if (!match) throw new Error("المباراة غير موجودة.");
+        await this._assertCanScore(match, userId);
+        return match;
+    }
+
+    /* --- [UPDATED] RESULTS & AUTO-PROGRESSION ENGINE --- */
+
+    /**
+     * @param {string} matchId
+     * @param {number} scoreA - Goals after regular (and extra) time.
+     * @param {number} scoreB
+     * @param {Object} [extras] - Knockout only: { extraTime: bool, penA: number, penB: number }.
+     *                            Any stage: { cards: { a: {yellow, red}, b: {yellow, red} } } (fair play),
+     *                            { events: [{ team_id, player_id, event_type, assist_id, minute }] } (player stats).
+     * @param {string} submittedBy - Organizer or assigned official (required, recorded on the match).
+     */
+    async submitMatchResult(matchId, scoreA, scoreB, extras = {}, submittedBy) {
+        // 1. Get Match Info
+        const { data: match } = await supabase
+            .from('matches')
+            .select(`*, team_a:teams!team_a_id(name), team_b:teams!team_b_id(name)`)
+            .eq('id', matchId).single();
+
+        if (!match) throw new Error("المباراة غير موجودة.");
+        if (match.status === 'CONFIRMED' || match.status === 'FINISHED') throw new Error("تم اعتماد نتيجة هذه المباراة بالفعل.");
+        await this._assertCanScore(match, submittedBy);
+
+        // 1.b Knockout draws must be decided on penalties
+        const knockoutData = this._buildKnockoutData(match, scoreA, scoreB, extras);
+
+        // 1.c Player events (scorers, assists, cards)
+        if (Array.isArray(extras.events)) await this.stats.saveMatchEvents(match, scoreA, scoreB, extras.events);
+
+        // 2. Generate News
+        const news = NewsEngine.generateReport(match.team_a.name, match.team_b.name, scoreA, scoreB);
+        
+        // 3. Update Match Record
+        // [FIX]: Status is 'CONFIRMED' to enable Arena Badges and Headlines
+        const { error: matchErr } = await supabase.from('matches').update({
+            score_a: scoreA,
+            score_b: scoreB,
+            status: 'CONFIRMED', 
+            submitted_by: submittedBy,
+            match_data: { ...match.match_data, ...knockoutData, ...(extras.cards ? { cards: extras.cards } : {}), headline: news.headline, body: news.body },
+            played_at: new Date().toISOString()
+        }).eq('id', matchId);
+
+        if (matchErr) throw matchErr;
+
+        // 4. Branching Logic
+        if (match.stage === 'GROUP' || match.stage === 'LEAGUE' || !match.stage) {
+            await this._updateTeamStats(match.tournament_id, match.team_a_id, scoreA, scoreB);
+            await this._updateTeamStats(match.tournament_id, match.team_b_id, scoreB, scoreA);
+            if (match.stage === 'LEAGUE') await this._checkLeagueCompletion(match.tournament_id);
+        } else {
+            // Check for Progression (Auto-Pilot)
+            await this._checkAndAdvanceKnockout(match.tournament_id);
+        }
+
+        // 5. [NEW] Update GLOBAL Stats for Teams (To fix the "0 Matches" issue)
+        await this._updateGlobalTeamStats(match.team_a_id);
+        await this._updateGlobalTeamStats(match.team_b_id);
+
+        // 5.b Player card ratings & team Elo
+        await RatingService.applyConfirmed(matchId);
+
+        // 6. Notify
+        await this._sendTournamentResultNotification(match, scoreA, scoreB, news.headline);
+        return true;
+    }
+
+    /**
+     * Validates knockout extras and returns the match_data fields they produce.
+     * Group/League matches return an empty object.
+     */
+    _buildKnockoutData(match, scoreA, scoreB, extras) {
+        if (!ELIMINATION_STAGES.includes(match.stage)) return {};
+
+        const hasPens = scoreA === scoreB;
+        if (hasPens) {
+            if (!Number.isInteger(extras.penA) || !Number.isInteger(extras.penB)) throw new Error("تعادل في مباراة إقصائية: أدخل نتيجة ركلات الترجيح.");
+            if (extras.penA === extras.penB) throw new Error("ركلات الترجيح لا تنتهي بالتعادل.");
+        }
+        const knockoutData = {
+            extra_time: !!extras.extraTime,
+            penalties: hasPens ? { a: extras.penA, b: extras.penB } : null
+        };
+        knockoutData.winner_id = this._resolveWinner({ ...match, score_a: scoreA, score_b: scoreB, match_data: knockoutData });
+        return knockoutData;
+    }
+
+    /* --- RESULT CORRECTION (Rollback & Audit) --- */
+
+    /**
+     * Corrects an already confirmed result.
+     * Group/League: the old score is subtracted from the table counters before
+     * the new one is added. Knockout: if the qualified team changes, every
+     * dependent tie is removed and re-created by the auto-pilot.
+     *
+     * @param {string} matchId
+     * @param {number} scoreA
+     * @param {number} scoreB
+     * @param {Object} meta - { editorId, reason, extras } (extras as in submitMatchResult).
+     */
+    async editMatchResult(matchId, scoreA, scoreB, { editorId, reason, extras = {} }) {
+        if (!reason || !reason.trim()) throw new Error("يجب كتابة سبب التعديل.");
+
+        const { data: match } = await supabase
+            .from('matches')
+            .select(`*, team_a:teams!team_a_id(name), team_b:teams!team_b_id(name)`)
+            .eq('id', matchId).single();
+
+        if (!match) throw new Error("المباراة غير موجودة.");
+        if (match.status !== 'CONFIRMED' && match.status !== 'FINISHED') throw new Error("لا يمكن تعديل مباراة لم تُعتمد بعد.");
+
+        // Corrections stay with the organizer (officials only submit)
+        const { data: tourn } = await supabase.from('tournaments').select('organizer_id, status').eq('id', match.tournament_id).single();
+        if (tourn?.organizer_id !== editorId) throw new Error("المنظم فقط يمكنه تعديل النتائج.");
+        if (tourn.status === 'ARCHIVED') throw new Error("البطولة مؤرشفة ولا يمكن تعديل نتائجها.");
+
+        const knockoutData = this._buildKnockoutData(match, scoreA, scoreB, extras);
+        const oldWinner = this._resolveWinner(match);
+        if (Array.isArray(extras.events)) await this.stats.saveMatchEvents(match, scoreA, scoreB, extras.events);
+        const news = NewsEngine.generateReport(match.team_a.name, match.team_b.name, scoreA, scoreB);
+
+        // 1. Rewrite the match (played_at is kept: the game date did not change)
+        const { error: matchErr } = await supabase.from('matches').update({
+            score_a: scoreA,
+            score_b: scoreB,
+            match_data: { ...match.match_data, ...knockoutData, ...(extras.cards ? { cards: extras.cards } : {}), headline: news.headline, body: news.body }
+        }).eq('id', matchId);
+
+        if (matchErr) throw matchErr;
+
+        // 2. Roll back & re-apply
+        if (match.stage === 'GROUP' || match.stage === 'LEAGUE' || !match.stage) {
+            await this._updateTeamStats(match.tournament_id, match.team_a_id, match.score_a, match.score_b, -1);
+            await this._updateTeamStats(match.tournament_id, match.team_b_id, match.score_b, match.score_a, -1);
+            await this._updateTeamStats(match.tournament_id, match.team_a_id, scoreA, scoreB);
+            await this._updateTeamStats(match.tournament_id, match.team_b_id, scoreB, scoreA);
+        } else if (knockoutData.winner_id !== oldWinner) {
+            await this._resetDownstream(match.tournament_id, match.match_data?.round);
+            await this._checkAndAdvanceKnockout(match.tournament_id);
+        }
+
+        // 2.b Player card ratings & team Elo: re-rated with the corrected score / events
+        await RatingService.rerateConfirmed(matchId);
+
+        // 3. Audit Trail
+        const { error: auditErr } = await supabase.from('match_audit').insert([{
+            match_id: matchId,
+            tournament_id: match.tournament_id,
+            editor_id: editorId,
+            old_score: { a: match.score_a, b: match.score_b, penalties: match.match_data?.penalties || null },
+            new_score: { a: scoreA, b: scoreB, penalties: knockoutData.penalties || null },
+            reason: reason.trim(),
+            created_at: new Date().toISOString()
+        }]);
+        if (auditErr) console.warn("Audit Insert Error:", auditErr);
+
+        // 4. Notify
+        await this._sendTournamentResultNotification(match, scoreA, scoreB, `تصحيح النتيجة: ${news.headline}`);
+        return true;
+    }
+
+    /**
+     * Deletes every bracket slot fed (directly or indirectly) by a slot,
+     * e.g. QF1 -> SF1 -> FINAL, and re-opens a completed tournament.
+     * Swiss pairings already made are kept (only the table changes).
+     */
+    async _resetDownstream(tournamentId, slot) {
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
+        const { data: matches } = await supabase
+            .from('matches')
+            .select('id, stage, status, team_a_id, team_b_id, match_data')
+            .eq('tournament_id', tournamentId)
+            .in('stage', [...ELIMINATION_STAGES, 'SWISS']);
+
+        const dependents = BracketEngine.dependents(this._loadBracket(tourn?.config, matches), slot);
+        if (dependents.length === 0) return;
+
+        const toDelete = (matches || []).filter(m => dependents.includes(m.match_data?.round));
+        for (const m of toDelete) {
+            // Undo the global counter, ratings and Elo of ties that were already played
+            if (m.status === 'CONFIRMED' || m.status === 'FINISHED') {
+                await this._updateGlobalTeamStats(m.team_a_id, -1);
+                await this._updateGlobalTeamStats(m.team_b_id, -1);
+                await RatingService.revertConfirmed(m.id);
+            }
+            await supabase.from('match_events').delete().eq('match_id', m.id);
+            await supabase.from('match_lineups').delete().eq('match_id', m.id);
+            await supabase.from('matches').delete().eq('id', m.id);
+        }
+
+        await supabase.from('tournaments').update({ status: 'KNOCKOUT' }).eq('id', tournamentId).eq('status', 'COMPLETED');
+    }
+
+    /**
+     * [NEW HELPER] Increments the global match counter for a team.
+     * @param {number} [delta=1] - Use -1 when a played match is removed.
+     */
+    async _updateGlobalTeamStats(teamId, delta = 1) {
+        const { data: team } = await supabase.from('teams').select('total_matches').eq('id', teamId).single();
+        if(team) {
+            await supabase.from('teams').update({ total_matches: Math.max(0, (team.total_matches || 0) + delta) }).eq('id', teamId);
+        }
+    }
+
+    /**
+     * Adds (sign = 1) or removes (sign = -1) one result from a team's counters.
+     */
+    async _updateTeamStats(tournId, teamId, goalsFor, goalsAgainst, sign = 1) {
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournId).single();
+        const pointsFor = Rulebook.resolve(tourn?.config).points;
+
+        let points = pointsFor.loss, won = 0, drawn = 0, lost = 0;
+        if (goalsFor > goalsAgainst) { points = pointsFor.win; won = 1; }
+        else if (goalsFor === goalsAgainst) { points = pointsFor.draw; drawn = 1; }
+        else { lost = 1; }
+
+        const { data: current } = await supabase.from('tournament_teams').select('*').eq('tournament_id', tournId).eq('team_id', teamId).single();
+        const goalsForTotal = (current.goals_for || 0) + sign * goalsFor;
+        const goalsAgainstTotal = (current.goals_against || 0) + sign * goalsAgainst;
+        const updateData = {
+            played: (current.played || 0) + sign,
+            won: (current.won || 0) + sign * won,
+            drawn: (current.drawn || 0) + sign * drawn,
+            lost: (current.lost || 0) + sign * lost,
+            points: (current.points || 0) + sign * points,
+            goals_for: goalsForTotal,
+            goals_against: goalsAgainstTotal,
+            goal_diff: goalsForTotal - goalsAgainstTotal
+        };
+        await supabase.from('tournament_teams').update(updateData).eq('id', current.id);
+    }
+
+    /* --- AUTO-PILOT LOGIC --- */
+
+    /**
+     * Asks the BracketEngine which slots became playable, creates them
+     * (idempotent per slot) and closes the tournament once the bracket is done.
+     */
+    async _checkAndAdvanceKnockout(tournamentId) {
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
+        const { data: matches } = await supabase
+            .from('matches')
+            .select('*')
+            .eq('tournament_id', tournamentId)
+            .in('stage', [...ELIMINATION_STAGES, 'SWISS']);
+
+        const config = tourn?.config || {};
+        const bracket = this._loadBracket(config, matches);
+        if (!bracket) return;
+
+        const { create, byes, complete } = BracketEngine.advance(bracket, matches);
+
+        const takenSlots = (matches || []).map(m => m.match_data?.round);
+        const missing = create.filter(c => !takenSlots.includes(c.slot)).map(c => this._createBracketMatch(tournamentId, c));
+        if (missing.length > 0) await supabase.from('matches').insert(missing);
+
+        if (Object.keys(byes).length > 0 || !config.bracket) {
+            await supabase.from('tournaments').update({ config: { ...config, bracket: { ...bracket, byes: { ...(bracket.byes || {}), ...byes } } } }).eq('id', tournamentId);
+        }
+
+        if (complete) await this._completeTournament(tournamentId, await this._knockoutRanking(tournamentId));
+    }
+
+    /**
+     * Finishing order once the bracket is complete (champion first).
+     */
+    async _knockoutRanking(tournamentId) {
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
+        const { data: matches } = await supabase
+            .from('matches').select('*').eq('tournament_id', tournamentId).in('stage', [...ELIMINATION_STAGES, 'SWISS']);
+
+        const bracket = this._loadBracket(tourn?.config, matches);
+        return bracket ? BracketEngine.ranking(bracket, matches || []) : [];
+    }
+
+    /**
+     * League has no knockout: the season ends when every matchday is confirmed.
+     */
+    async _checkLeagueCompletion(tournamentId) {
+        const { data: matches } = await supabase
+            .from('matches')
+            .select('status')
+            .eq('tournament_id', tournamentId)
+            .eq('stage', 'LEAGUE');
+
+        if (!matches || matches.length === 0) return;
+        const allFinished = matches.every(m => m.status === 'CONFIRMED' || m.status === 'FINISHED');
+        if (allFinished) await this._completeTournament(tournamentId, await this._leagueRanking(tournamentId));
+    }
+
+    async _leagueRanking(tournamentId) {
+        const { standings } = await this.getTournamentData(tournamentId);
+        return (Object.values(standings)[0] || []).map(r => r.team_id);
+    }
+
+    /**
+     * Closes the tournament: the finishing order is kept in config.final_ranking
+     * (competition history) and the prize pool is settled on it.
+     */
+    async _completeTournament(tournamentId, ranking) {
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
+        await supabase.from('tournaments')
+            .update({ status: 'COMPLETED', config: { ...(tourn?.config || {}), final_ranking: ranking } })
+            .eq('id', tournamentId);
+        await this.finance.settle(tournamentId, ranking);
+    }
+
+    /**
+     * Returns the team that actually went through (score, then penalties).
+     * Null when the match is still undecided.
+     */
+    _resolveWinner(m) {
+        return BracketEngine.winnerOf(m);
+    }
+
+    async _sendTournamentResultNotification(matchData, scoreA, scoreB, headline) {
+        try {
+            const { data: tourn } = await supabase.from('tournaments').select('organizer_id').eq('id', matchData.tournament_id).single();
+            const { data: captains } = await supabase.from('team_members').select('user_id').in('team_id', [matchData.team_a_id, matchData.team_b_id]).eq('role', 'CAPTAIN');
+            
+            const notifiedUsers = new Set();
+            if (tourn?.organizer_id) notifiedUsers.add(tourn.organizer_id);
+            if (captains) captains.forEach(c => notifiedUsers.add(c.user_id));
+
+            const notifs = Array.from(notifiedUsers).map(userId => ({
+                user_id: userId,
+                type: 'TOURNAMENT_RESULT',
+                title: '🏆 نتيجة دورة رمضانية',
+                message: `${headline} ( ${matchData.team_a.name} ${scoreA} - ${scoreB} ${matchData.team_b.name} )`,
+                is_read: false,
+                created_at: new Date().toISOString()
+            }));
+
+            if (notifs.length > 0) await supabase.from('notifications').insert(notifs);
+        } catch (e) { console.warn("Notif Error", e); }
+    }
+}
+
+// =============================================================================
+// PART 2: CONTROLLER LAYER (UI & INTERACTIONS)
+// =============================================================================
+export class TournamentController {
+    
+    constructor() {
+        this.service = new TournamentService();
+        this.realtime = new RealtimeService();
+        this.liveSub = null;       // Realtime channel of the open tournament
+        this.liveTimer = null;     // Minute ticker of live fixtures
+        this.containerId = 'tourn-content'; 
+        this.currentFilter = 'MY'; 
+        this.injectFloatingMenu();
+        this.activeDetailTab = 'STANDINGS'; 
+    }
+
+    /* --- FAB MENU (Standard) --- */
+    injectFloatingMenu() {
+        const fab = document.getElementById('nav-action');
+        if(!fab) return;
+        const newFab = fab.cloneNode(true);
+        fab.parentNode.replaceChild(newFab, fab);
+
+        if (!document.getElementById('fab-menu-overlay')) {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="fab-menu-overlay" class="fab-overlay hidden">
+                    <div class="fab-actions">
+                        <button class="fab-item" data-action="TOURNAMENT"><span class="label">الدورات الرمضانية</span><div class="icon-circle gold"><i class="fa-solid fa-trophy"></i></div></button>
+                        <button class="fab-item" data-action="JOKER"><span class="label">اطلب "جوكر"</span><div class="icon-circle red"><i class="fa-solid fa-person-running"></i></div></button>
+                        <button class="fab-item" data-action="REF"><span class="label">اطلب "حكم"</span><div class="icon-circle yellow"><i class="fa-solid fa-whistle"></i></div></button>
+                        <button class="fab-item" data-action="AVAILABLE"><span class="label">أنا متوفر للعب</span><div class="icon-circle green"><i class="fa-solid fa-hand-point-up"></i></div></button>
+                    </div>
+                    <button id="btn-close-fab" class="fab-close"><i class="fa-solid fa-xmark"></i></button>
+                </div>`);
+            this.bindFabEvents();
+        }
+        newFab.addEventListener('click', () => {
+            SoundManager.play('click');
+            const overlay = document.getElementById('fab-menu-overlay');
+            overlay.classList.remove('hidden');
+            setTimeout(() => overlay.classList.add('active'), 10);
+        });
+    }
+
+    bindFabEvents() {
+        const overlay = document.getElementById('fab-menu-overlay');
+        const close = () => { overlay.classList.remove('active'); setTimeout(() => overlay.classList.add('hidden'), 300); };
+        document.getElementById('btn-close-fab').onclick = close;
+        overlay.onclick = (e) => { if(e.target === overlay) close(); };
+        overlay.querySelectorAll('.fab-item').forEach(btn => {
+            btn.onclick = () => {
+                const action = btn.dataset.action; SoundManager.play('click'); close(); this.handleRoute(action);
+            };
+        });
+    }
+
+    handleRoute(action) {
+        if (action === 'TOURNAMENT') this.initTournamentView();
+        else if (action === 'JOKER' || action === 'REF') {
+            window.router('view-operations');
+            setTimeout(() => window.dispatchEvent(new CustomEvent('trigger-post-request', { detail: { type: action === 'JOKER' ? 'WANTED_JOKER' : 'WANTED_REF' } })), 100);
+        }
+    }
+
+    /* --- TOURNAMENT LIST --- */
+    async initTournamentView() {
+        this._stopLiveFeed();
+        window.router('view-tournaments'); 
+        const container = document.getElementById(this.containerId);
+        container.innerHTML = `
+            <div class="tournament-hub fade-in">
+                <div class="t-hero-banner">
+                    <div class="ramadan-deco"><i class="fa-solid fa-moon"></i></div>
+                    <h2>الدورات الرمضانية</h2>
+                    <p>نظم دورتك .. كأنك في دوري الأبطال</p>
+                    <button id="btn-create-tourn" class="btn-primary-gold"><i class="fa-solid fa-plus"></i> إنشاء دورة جديدة</button>
+                </div>
+                <div class="t-tabs">
+                    <button class="t-tab active" data-filter="MY">دوراتي</button>
+                    <button class="t-tab" data-filter="ALL">بطولات المنطقة</button>
+                </div>
+                <div id="tourn-list" class="t-list"><div class="loader-bar"></div></div>
+            </div>`;
+        this.bindHubEvents();
+        this.loadTournamentsList();
+    }
+
+    bindHubEvents() {
         document.getElementById('btn-create-tourn').onclick = () => this.openCreateModal();
         document.querySelectorAll('.t-tab').forEach(tab => {
             tab.onclick = (e) => {
@@ -474,252 +1538,1802 @@ export class TournamentController {
         });
     }
 
-    async loadTournamentsList() {
-        const listContainer = document.getElementById('tourn-list');
-        listContainer.innerHTML = '<div class="loader-bar" style="margin:20px auto"></div>';
-        try {
-            const user = state.getUser();
-            const tournaments = await this.service.getTournaments(this.currentFilter, user.id);
-            if (tournaments.length === 0) {
-                listContainer.innerHTML = `<div class="empty-state" style="text-align:center; padding:30px; opacity:0.7;"><i class="fa-solid fa-trophy" style="font-size:3rem; margin-bottom:10px; color:#555;"></i><p>لا توجد دورات حالياً.</p></div>`;
-                return;
-            }
-            listContainer.innerHTML = tournaments.map(t => this.renderTournamentCard(t)).join('');
-            listContainer.querySelectorAll('.btn-view-tourn').forEach(btn => {
-                btn.onclick = () => this.openTournamentDetails(btn.dataset.id);
+    async loadTournamentsList() {
+        const listContainer = document.getElementById('tourn-list');
+        listContainer.innerHTML = '<div class="loader-bar" style="margin:20px auto"></div>';
+        try {
+            const user = state.getUser();
+            const tournaments = await this.service.getTournaments(this.currentFilter, user.id);
+            if (tournaments.length === 0) {
+                listContainer.innerHTML = `<div class="empty-state" style="text-align:center; padding:30px; opacity:0.7;"><i class="fa-solid fa-trophy" style="font-size:3rem; margin-bottom:10px; color:#555;"></i><p>لا توجد دورات حالياً.</p></div>`;
+                return;
+            }
+            listContainer.innerHTML = tournaments.map(t => this.renderTournamentCard(t)).join('');
+            listContainer.querySelectorAll('.btn-view-tourn').forEach(btn => {
+                btn.onclick = () => this.openTournamentDetails(btn.dataset.id);
+            });
+        } catch (err) { console.error(err); listContainer.innerHTML = '<p class="error-text">فشل التحميل.</p>'; }
+    }
+
+    renderTournamentCard(t) {
+        let statusText = t.status === 'OPEN' ? 'مفتوحة للتسجيل' : (t.status === 'ACTIVE' ? 'جارية الآن' : (t.status === 'KNOCKOUT' ? 'الأدوار الإقصائية' : (t.status === 'ARCHIVED' ? 'مؤرشفة' : 'منتهية')));
+        return `
+            <div class="tourn-card ${t.status === 'ARCHIVED' ? 'archived' : ''}">
+                <div class="status-badge ${t.status !== 'OPEN' ? 'active' : ''}">${statusText}</div>
+                <h3>${t.name}${t.config?.edition > 1 ? ` <small class="edition-chip">النسخة ${t.config.edition}</small>` : ''}</h3>
+                <div class="t-meta">
+                    <span><i class="fa-solid fa-users"></i> ${t.config?.max_teams || 16} فريق</span>
+                    <span><i class="fa-solid fa-sitemap"></i> ${t.config?.type === 'GROUPS' ? `${t.config?.groups_count || 4} مجموعات` : 'دوري'}</span>
+                </div>
+                <button class="btn-view-tourn" data-id="${t.id}"><i class="fa-solid fa-eye"></i> دخول الدورة</button>
+            </div>`;
+    }
+
+    /* --- TOURNAMENT LOBBY --- */
+    async openTournamentDetails(tournamentId) {
+        this._stopLiveFeed();
+        const container = document.getElementById(this.containerId);
+        container.innerHTML = '<div class="loader-center"><div class="loader-bar"></div></div>';
+        
+        try {
+            const user = state.getUser();
+            const data = await this.service.getTournamentData(tournamentId);
+            const { info, participants, entries, fixtures, squads, standings, bracket } = data;
+            this.currentCalendar = info.config?.calendar || null;
+            const isOrganizer = info.organizer_id === user.id;
+            
+            const isOpen = info.status === 'OPEN';
+            const isActive = info.status === 'ACTIVE'; 
+            const isFinished = info.status === 'COMPLETED' || info.status === 'ARCHIVED';
+            const isLeague = info.config?.type === 'LEAGUE';
+            const isKnockout = !isLeague && (info.status === 'KNOCKOUT' || isFinished);
+            const isCup = info.config?.type === 'CUP';
+            if (isCup && this.activeDetailTab === 'STANDINGS') this.activeDetailTab = 'BRACKET';
+
+            // Finance (only for paid tournaments)
+            const hasFee = (info.config?.entry_fee || 0) > 0;
+            const ledger = hasFee ? await this.service.finance.getLedger(tournamentId) : null;
+            const myTeam = isOrganizer ? null : await this.service.teamService.getMyTeam(user.id);
+            const myEntry = myTeam ? entries.find(e => e.team_id === myTeam.id) : null;
+            const stats = (!isOpen && this.activeDetailTab === 'STATS') ? await this.service.stats.getStats(tournamentId) : null;
+            const myAssignments = isOrganizer ? [] : fixtures.filter(m =>
+                m.status !== 'CONFIRMED' && m.status !== 'FINISHED' && this.service.isAssignedOfficial(m, info.config, user.id));
+            const rules = Rulebook.resolve(info.config);
+            const myEntryActive = !!myEntry && !['WITHDRAWN', 'DECLINED'].includes(myEntry.status);
+            const mySquad = (myTeam?.my_role === 'CAPTAIN' && (isOpen ? myEntryActive : participants.some(p => p.team_id === myTeam.id)))
+                ? squads.filter(r => r.team_id === myTeam.id) : null;
+            const myLineupMatches = (myTeam?.my_role === 'CAPTAIN') ? fixtures.filter(m =>
+                m.status !== 'CONFIRMED' && m.status !== 'FINISHED' && [m.team_a_id, m.team_b_id].includes(myTeam.id)) : [];
+            const championId = isFinished ? info.config?.final_ranking?.[0] : null;
+            const champion = championId ? participants.find(p => p.team_id === championId)?.teams?.name : null;
+            const hasHistory = isFinished || !!info.config?.competition_id;
+            
+            container.innerHTML = `
+                <div class="t-detail-view fade-in">
+                    <div class="t-detail-header">
+                        <button id="btn-back-tourn" class="back-btn"><i class="fa-solid fa-arrow-right"></i></button>
+                        <div>
+                            <h2>${info.name}${info.config?.edition > 1 ? ` <small class="edition-chip">النسخة ${info.config.edition}</small>` : ''}</h2>
+                            <span class="t-status-pill">${isOpen ? 'فترة التسجيل' : (info.status === 'ARCHIVED' ? 'مؤرشفة' : (isKnockout ? 'الأدوار النهائية' : (isLeague ? 'الموسم جارٍ' : 'المنافسة جارية')))}</span>
+                        </div>
+                    </div>
+
+                    ${this.renderRulebook(rules)}
+
+                    <div class="t-action-area">
+                        ${isOpen ? this.renderRegAction(info, isOrganizer, participants.length, myTeam, myEntry) : ''}
+                        ${(!isOpen && info.config?.draw && !isLeague) ? `<button id="btn-replay-draw" class="btn-action-secondary"><i class="fa-solid fa-film"></i> إعادة عرض القرعة</button>` : ''}
+                        ${(isActive && isOrganizer && !isLeague) ? `<button id="btn-start-knockout" class="btn-primary-gold"><i class="fa-solid fa-gavel"></i> إنهاء المجموعات وبدء التصفيات</button>` : ''}
+                        ${(!isOpen && !isFinished) ? `<button id="btn-export-ics" class="btn-action-secondary"><i class="fa-solid fa-calendar-plus"></i> إضافة للتقويم</button>` : ''}
+                        ${(isOrganizer && !isOpen) ? `<button id="btn-open-posters" class="btn-action-secondary"><i class="fa-solid fa-image"></i> بوسترات للمشاركة</button>` : ''}
+                        ${(isOrganizer && !isFinished) ? `<button id="btn-open-officials" class="btn-action-secondary"><i class="fa-solid fa-user-shield"></i> الحكام (${info.config?.officials?.length || 0})</button>` : ''}
+                        ${myAssignments.length > 0 ? this.renderOfficialConsole(myAssignments) : ''}
+                        ${mySquad ? this.renderSquadPanel(mySquad, isOpen, rules) : ''}
+                        ${(isOrganizer && !isOpen) ? this.renderReplacementQueue(squads, participants) : ''}
+                        ${myLineupMatches.length > 0 ? this.renderLineupConsole(myLineupMatches, myTeam.id) : ''}
+                        ${ledger ? this.renderFinancePanel(info, ledger, participants, isOrganizer, myTeam) : ''}
+                        ${isFinished ? `<div class="champion-banner" style="text-align:center; padding:15px; background:linear-gradient(to right, #ffd700, #b8860b); border-radius:12px; color:#332200; font-weight:bold; font-family:var(--font-sport); font-size:1.2rem;"><i class="fa-solid fa-crown"></i> ${champion ? `البطل: ${champion}` : 'البطولة مكتملة'}</div>` : ''}
+                        ${hasHistory ? `<button id="btn-open-history" class="btn-action-secondary"><i class="fa-solid fa-landmark"></i> تاريخ البطولة</button>` : ''}
+                        ${(isOrganizer && isFinished) ? `<button id="btn-clone-tourn" class="btn-action-secondary"><i class="fa-solid fa-clone"></i> نسخة جديدة</button>` : ''}
+                        ${(isOrganizer && info.status === 'COMPLETED') ? `<button id="btn-archive-tourn" class="btn-action-secondary"><i class="fa-solid fa-box-archive"></i> أرشفة</button>` : ''}
+                    </div>
+
+                    ${!isOpen ? `
+                        <div class="t-tabs" style="margin-bottom:15px;">
+                            ${!isCup ? `<button class="t-tab ${this.activeDetailTab==='STANDINGS'?'active':''}" id="tab-standings">${isLeague ? 'الترتيب' : 'المجموعات'}</button>` : ''}
+                            <button class="t-tab ${this.activeDetailTab==='FIXTURES'?'active':''}" id="tab-fixtures">المباريات</button>
+                            ${isKnockout ? `<button class="t-tab ${this.activeDetailTab==='BRACKET'?'active':''}" id="tab-bracket">الأدوار النهائية</button>` : ''}
+                            <button class="t-tab ${this.activeDetailTab==='STATS'?'active':''}" id="tab-stats">الإحصائيات</button>
+                        </div>
+                    ` : ''}
+
+                    <div class="t-content-body">
+                        ${isOpen 
+                            ? (isOrganizer ? this.renderEntryQueues(entries) : '') + this.renderParticipantsList(participants, isOrganizer ? squads : null) 
+                            : this.renderPhaseContent(standings, fixtures, isKnockout, isOrganizer && info.status !== 'ARCHIVED', isLeague, stats, info, bracket)
+                        }
+                    </div>
+                </div>
+            `;
+
+            document.getElementById('btn-back-tourn').onclick = () => this.initTournamentView();
+
+            // Editions (history for everyone, archive / clone for the organizer)
+            const historyBtn = document.getElementById('btn-open-history');
+            if (historyBtn) historyBtn.onclick = () => this.openCompetitionHistory(TournamentHistoryService.competitionOf(info), tournamentId);
+            const cloneBtn = document.getElementById('btn-clone-tourn');
+            if (cloneBtn) cloneBtn.onclick = () => this.openCloneModal(info);
+            const archiveBtn = document.getElementById('btn-archive-tourn');
+            if (archiveBtn) archiveBtn.onclick = () => this.handleArchive(tournamentId);
+
+            const icsBtn = document.getElementById('btn-export-ics');
+            if (icsBtn) icsBtn.onclick = () => this.exportCalendar(info, fixtures, participants.some(p => p.team_id === myTeam?.id) ? myTeam.id : null);
+
+            const postersBtn = document.getElementById('btn-open-posters');
+            if (postersBtn) postersBtn.onclick = () => this.openPosterModal(info, participants, fixtures, standings, bracket);
+
+            // Officials (organizer management + restricted console)
+            const officialsBtn = document.getElementById('btn-open-officials');
+            if (officialsBtn) officialsBtn.onclick = () => this.openOfficialsModal(tournamentId, info, fixtures);
+            container.querySelectorAll('.btn-referee-official').forEach(btn => {
+                const m = myAssignments.find(f => f.id === btn.dataset.id);
+                if (m) btn.onclick = () => this.openRefereeModal(m.id, m.team_a?.name, m.team_b?.name, tournamentId, m.stage || 'GROUP');
+            });
+            container.querySelectorAll('.btn-live-official').forEach(btn => {
+                btn.onclick = () => this.openLiveConsole(btn.dataset.id, tournamentId);
+            });
+
+            // Spectators: live scores on the fixtures tab
+            if (!isOpen && !isFinished && this.activeDetailTab === 'FIXTURES') {
+                this._startLiveFeed(tournamentId, fixtures);
+            }
+
+            // Squad (captain registration / replacements, organizer review)
+            const squadBtn = document.getElementById('btn-open-squad');
+            if (squadBtn) squadBtn.onclick = () => this.openSquadModal(tournamentId, myTeam.id, rules, mySquad);
+            const swapBtn = document.getElementById('btn-request-swap');
+            if (swapBtn) swapBtn.onclick = () => this.openReplacementModal(tournamentId, myTeam.id, mySquad);
+            container.querySelectorAll('.btn-review-swap').forEach(btn => {
+                btn.onclick = () => this.handleReviewReplacement(tournamentId, btn.dataset.id, btn.dataset.approve === '1');
+            });
+
+            // Lineups (captain)
+            container.querySelectorAll('.btn-lineup').forEach(btn => {
+                btn.onclick = () => this.openLineupModal(btn.dataset.id, myTeam.id, tournamentId, rules);
+            });
+
+            // Finance Binders
+            container.querySelectorAll('.btn-pay-cash').forEach(btn => {
+                btn.onclick = () => this.handleCashPayment(tournamentId, btn.dataset.team);
+            });
+            const walletBtn = document.getElementById('btn-pay-wallet');
+            if (walletBtn) walletBtn.onclick = () => this.handleWalletPayment(tournamentId, walletBtn.dataset.team, info.config.entry_fee);
+
+            if (isOpen) {
+                const btn = document.getElementById('btn-action-main');
+                if (btn) btn.onclick = () => { isOrganizer ? this.handleStartDraw(tournamentId) : this.handleJoin(tournamentId); };
+                const potsBtn = document.getElementById('btn-open-pots');
+                if (potsBtn) potsBtn.onclick = () => this.openPotsModal(tournamentId, participants, info.config);
+                const seedingBtn = document.getElementById('btn-toggle-seeding');
+                if (seedingBtn) seedingBtn.onclick = async () => {
+                    try {
+                        await this.service.saveSeeding(tournamentId, info.config?.seeding === 'ELO' ? 'RANDOM' : 'ELO');
+                        SoundManager.play('click');
+                        this.openTournamentDetails(tournamentId);
+                    } catch (e) { alert(e.message); }
+                };
+                const calBtn = document.getElementById('btn-open-calendar');
+                if (calBtn) calBtn.onclick = () => this.openCalendarModal(tournamentId, info.config);
+                const withdrawBtn = document.getElementById('btn-withdraw-entry');
+                if (withdrawBtn) withdrawBtn.onclick = () => this.handleWithdraw(tournamentId);
+                container.querySelectorAll('.btn-review-entry').forEach(btn => {
+                    btn.onclick = () => this.handleReviewEntry(tournamentId, btn.dataset.id, btn.dataset.approve === '1');
+                });
+            } else {
+                const replayBtn = document.getElementById('btn-replay-draw');
+                if (replayBtn) replayBtn.onclick = () => this.playDrawReveal(info, participants);
+
+                if (!isCup) document.getElementById('tab-standings').onclick = () => { this.activeDetailTab = 'STANDINGS'; this.openTournamentDetails(tournamentId); };
+                document.getElementById('tab-fixtures').onclick = () => { this.activeDetailTab = 'FIXTURES'; this.openTournamentDetails(tournamentId); };
+                if(isKnockout) document.getElementById('tab-bracket').onclick = () => { this.activeDetailTab = 'BRACKET'; this.openTournamentDetails(tournamentId); };
+                document.getElementById('tab-stats').onclick = () => { this.activeDetailTab = 'STATS'; this.openTournamentDetails(tournamentId); };
+
+                const awardsBtn = document.getElementById('btn-finalize-awards');
+                if (awardsBtn) awardsBtn.onclick = () => this.handleFinalizeAwards(tournamentId, !!info.config?.awards);
+                
+                const startKoBtn = document.getElementById('btn-start-knockout');
+                if (startKoBtn) startKoBtn.onclick = () => this.handleStartKnockout(tournamentId);
+            }
+
+            // Referee Binders (Organizer Only, archived results are read-only)
+            if (!isOpen && isOrganizer && info.status !== 'ARCHIVED') {
+                if (this.activeDetailTab === 'FIXTURES') {
+                    this.bindFixturePlanner(container, fixtures, tournamentId, info.config?.calendar);
+                    container.querySelectorAll('.btn-live').forEach(btn => {
+                        btn.onclick = () => this.openLiveConsole(btn.dataset.id, tournamentId);
+                    });
+                    container.querySelectorAll('.btn-referee:not(.btn-edit-result)').forEach(btn => {
+                        btn.onclick = () => this.openRefereeModal(btn.dataset.id, btn.dataset.ta, btn.dataset.tb, tournamentId, btn.dataset.stage);
+                    });
+                }
+                if (this.activeDetailTab === 'STANDINGS') {
+                    container.querySelectorAll('.btn-draw-lots').forEach(btn => {
+                        btn.onclick = () => this.handleDrawLots(tournamentId, btn.dataset.group, btn.dataset.ids.split(','));
+                    });
+                }
+                if (this.activeDetailTab === 'BRACKET') {
+                    container.querySelectorAll('.btn-referee-mini').forEach(btn => {
+                        btn.onclick = () => this.openRefereeModal(btn.dataset.id, btn.dataset.ta, btn.dataset.tb, tournamentId, btn.dataset.stage);
+                    });
+                }
+                // Result correction (confirmed matches)
+                container.querySelectorAll('.btn-edit-result').forEach(btn => {
+                    const m = fixtures.find(f => f.id === btn.dataset.id);
+                    if (m) btn.onclick = () => this.openRefereeModal(m.id, m.team_a?.name, m.team_b?.name, tournamentId, m.stage || 'GROUP', m);
+                });
+            }
+
+        } catch (e) {
+            console.error(e);
+            container.innerHTML = `<p class="error-text">خطأ: ${e.message}</p><button onclick="window.location.reload()">تحديث</button>`;
+        }
+    }
+
+    /* --- RENDER HELPERS --- */
+    renderRegAction(info, isOrganizer, count, myTeam = null, myEntry = null) {
+        const ready = count >= 4; 
+        if (isOrganizer) {
+            return `
+                <div class="organizer-controls">
+                    <div class="counter-box"><span class="num">${count}/${info.config.max_teams}</span> فرق</div>
+                    <button id="btn-open-calendar" class="btn-action-secondary">
+                        <i class="fa-solid fa-calendar-days"></i> جدول الملاعب (${info.config?.calendar?.venues?.length || 0})
+                    </button>
+                    ${!['LEAGUE', 'CUP'].includes(info.config?.type) ? `
+                        <button id="btn-open-pots" class="btn-action-secondary">
+                            <i class="fa-solid fa-layer-group"></i> التصنيف (${info.config?.pots?.length ? `${info.config.pots.length} أوعية` : 'بدون'})
+                        </button>` : ''}
+                    ${info.config?.type === 'CUP' ? `
+                        <button id="btn-toggle-seeding" class="btn-action-secondary">
+                            <i class="fa-solid fa-ranking-star"></i> ترتيب الشجرة: ${info.config?.seeding === 'ELO' ? 'حسب تصنيف الفرق' : 'قرعة عشوائية'}
+                        </button>` : ''}
+                    <button id="btn-action-main" class="btn-primary-gold" ${!ready?'disabled':''} style="${!ready?'opacity:0.5':''}">
+                        <i class="fa-solid fa-shuffle"></i> إجراء القرعة وبدء الدورة
+                    </button>
+                </div>`;
+        }
+        const status = myEntry ? (myEntry.status || 'APPROVED') : null;
+        if (status && status !== 'WITHDRAWN') {
+            const labels = { PENDING: 'بانتظار موافقة المنظم', APPROVED: 'فريقك مشارك', WAITLISTED: 'قائمة الانتظار', DECLINED: 'تم رفض الطلب' };
+            return `
+                <div class="organizer-controls">
+                    <span class="entry-pill ${status.toLowerCase()}">${labels[status]}</span>
+                    ${(status !== 'DECLINED' && myTeam?.my_role === 'CAPTAIN') ? `<button id="btn-withdraw-entry" class="btn-action-secondary"><i class="fa-solid fa-person-walking-arrow-right"></i> انسحاب</button>` : ''}
+                </div>`;
+        }
+        if (Rulebook.isRegistrationClosed(Rulebook.resolve(info.config))) {
+            return `<span class="entry-pill declined">انتهى موعد التسجيل</span>`;
+        }
+        const invited = !!myTeam && (info.config?.invited_team_ids || []).includes(myTeam.id);
+        return `
+            ${invited ? `<span class="entry-pill approved"><i class="fa-solid fa-envelope-open-text"></i> فريقك مدعو من النسخة السابقة</span>` : ''}
+            <button id="btn-action-main" class="btn-primary-gold"><i class="fa-solid fa-user-plus"></i> تسجيل فريقي</button>`;
+    }
+
+    /**
+     * Collapsible summary of the tournament rulebook.
+     */
+    renderRulebook(rules) {
+        return `
+            <details class="rulebook-panel">
+                <summary><i class="fa-solid fa-book"></i> لائحة البطولة</summary>
+                <ul>${Rulebook.describe(rules).map(line => `<li>${line}</li>`).join('')}</ul>
+            </details>`;
+    }
+
+    /**
+     * Captain's upcoming fixtures that need a team sheet.
+     */
+    renderLineupConsole(matches, teamId) {
+        return `
+            <div class="official-console">
+                <h4 class="group-title"><i class="fa-solid fa-clipboard-list"></i> تشكيلة فريقك</h4>
+                ${matches.map(m => `
+                    <div class="entry-row">
+                        <span>${m.team_a_id === teamId ? `ضد ${m.team_b?.name || '???'}` : `ضد ${m.team_a?.name || '???'}`}
+                            <small class="stats-team">${this._formatKickoff(m.played_at)}</small>
+                        </span>
+                        <button class="btn-pay-cash btn-lineup" data-id="${m.id}"><i class="fa-solid fa-users"></i> التشكيلة</button>
+                    </div>`).join('')}
+            </div>`;
+    }
+
+    /**
+     * Organizer view of requests awaiting a decision and the ordered waitlist.
+     */
+    renderEntryQueues(entries) {
+        const pending = entries.filter(e => e.status === 'PENDING');
+        const waitlist = entries.filter(e => e.status === 'WAITLISTED')
+            .sort((a, b) => new Date(a.waitlisted_at) - new Date(b.waitlisted_at));
+        if (pending.length === 0 && waitlist.length === 0) return '';
+
+        return `
+            <div class="entry-queues">
+                ${pending.length > 0 ? `
+                    <h4 class="group-title">طلبات التسجيل (${pending.length})</h4>
+                    ${pending.map(e => `
+                        <div class="entry-row">
+                            <span>${e.teams?.name || '???'}</span>
+                            <div>
+                                <button class="btn-review-entry approve" data-id="${e.id}" data-approve="1"><i class="fa-solid fa-check"></i></button>
+                                <button class="btn-review-entry decline" data-id="${e.id}" data-approve="0"><i class="fa-solid fa-xmark"></i></button>
+                            </div>
+                        </div>`).join('')}` : ''}
+                ${waitlist.length > 0 ? `
+                    <h4 class="group-title">قائمة الانتظار</h4>
+                    ${waitlist.map((e, i) => `<div class="entry-row"><span>${i + 1}. ${e.teams?.name || '???'}</span></div>`).join('')}` : ''}
+            </div>`;
+    }
+
+    /**
+     * Restricted console: only the fixtures assigned to this official.
+     */
+    renderOfficialConsole(matches) {
+        return `
+            <div class="official-console">
+                <h4 class="group-title"><i class="fa-solid fa-user-shield"></i> مبارياتك للتحكيم</h4>
+                ${matches.map(m => `
+                    <div class="entry-row">
+                        <span>${m.team_a?.name || '???'} - ${m.team_b?.name || '???'}
+                            <small class="stats-team">${this._formatKickoff(m.played_at)}${m.venue?.name ? ` · ${m.venue.name}` : ''}</small>
+                        </span>
+                        <div>
+                            <button class="btn-pay-cash btn-live-official" data-id="${m.id}"><i class="fa-solid fa-tower-broadcast"></i> مباشر</button>
+                            <button class="btn-pay-cash btn-referee-official" data-id="${m.id}"><i class="fa-solid fa-pen"></i> النتيجة</button>
+                        </div>
+                    </div>`).join('')}
+            </div>`;
+    }
+
+    /**
+     * Entry fees status, prize pool and (once decided) the settlement.
+     */
+    renderFinancePanel(info, ledger, participants, isOrganizer, myTeam) {
+        const nameOf = (teamId) => participants.find(p => p.team_id === teamId)?.teams?.name || '???';
+        const settlement = info.config?.settlement;
+        const positions = ['البطل', 'الوصيف', 'الثالث', 'الرابع'];
+        const payouts = settlement ? settlement.payouts : ledger.pool.payouts;
+        const iOweFee = myTeam?.my_role === 'CAPTAIN' && ledger.unpaidTeamIds.includes(myTeam.id);
+
+        return `
+            <div class="finance-panel">
+                <div class="finance-head">
+                    <span><i class="fa-solid fa-ticket"></i> الاشتراك: ${Helpers.formatCurrency(ledger.entryFee)}</span>
+                    <span><i class="fa-solid fa-sack-dollar"></i> الجائزة: ${Helpers.formatCurrency(ledger.pool.net)}</span>
+                    <span>${ledger.paidTeamIds.length}/${participants.length} دفعوا</span>
+                </div>
+                <div class="finance-payouts">
+                    ${payouts.map(p => `
+                        <div class="payout-row">
+                            <span>${positions[p.position - 1] || `#${p.position}`} (${p.pct}%)</span>
+                            ${p.team_id ? `<span>${nameOf(p.team_id)}</span>` : ''}
+                            <strong>${Helpers.formatCurrency(p.amount)}</strong>
+                        </div>`).join('')}
+                    ${isOrganizer ? `<div class="payout-row muted"><span>عمولة المنظم</span><strong>${Helpers.formatCurrency((settlement || ledger.pool).organizerCut)}</strong></div>` : ''}
+                </div>
+                ${settlement ? `<div class="finance-settled"><i class="fa-solid fa-file-invoice-dollar"></i> تمت التسوية: ${Helpers.formatDate(new Date(settlement.settled_at))}</div>` : ''}
+                ${(isOrganizer && info.status === 'OPEN' && ledger.unpaidTeamIds.length > 0) ? `
+                    <div class="finance-unpaid">
+                        ${ledger.unpaidTeamIds.map(id => `
+                            <div class="payout-row">
+                                <span>${nameOf(id)}</span>
+                                <button class="btn-pay-cash" data-team="${id}"><i class="fa-solid fa-money-bill"></i> استلام نقدي</button>
+                            </div>`).join('')}
+                    </div>` : ''}
+                ${iOweFee ? `<button id="btn-pay-wallet" class="btn-primary-gold" data-team="${myTeam.id}"><i class="fa-solid fa-wallet"></i> ادفع الاشتراك من المحفظة</button>` : ''}
+            </div>`;
+    }
+
+    /**
+     * @param {Array} [squads] - Organizer only: shows each team's registered list size.
+     */
+    renderParticipantsList(teams, squads = null) {
+        if (teams.length === 0) return `<div class="empty-state"><p>لم ينضم أحد بعد.</p></div>`;
+        const squadSize = (teamId) => squads.filter(r => r.team_id === teamId && r.status === 'ACTIVE').length;
+        return `<div class="teams-grid">${teams.map(t => `<div class="team-mini-card"><div class="team-icon" style="background:${t.teams.logo_dna?.primary || '#333'}"><i class="fa-solid fa-shield-cat"></i></div><span>${t.teams.name}</span>${squads ? `<small class="stats-team">${squadSize(t.team_id) || 'بدون'} قائمة</small>` : ''}</div>`).join('')}</div>`;
+    }
+
+    /**
+     * Captain view of the registered squad: editable while OPEN, replacements after the draw.
+     */
+    renderSquadPanel(rows, isOpen, rules) {
+        const active = rows.filter(r => r.status === 'ACTIVE');
+        const pending = rows.find(r => r.status === 'PENDING');
+        const used = TournamentSquadService.usedReplacements(rows);
+
+        return `
+            <div class="official-console">
+                <h4 class="group-title"><i class="fa-solid fa-list-ol"></i> قائمة الفريق (${active.length})</h4>
+                ${active.length > 0 ? `<p class="squad-names">${active.map(r => r.player?.username || '?').join(' · ')}</p>` : '<p class="stats-empty">لم تسجل القائمة بعد. مطلوبة قبل القرعة.</p>'}
+                ${isOpen
+                    ? `<button id="btn-open-squad" class="btn-action-secondary"><i class="fa-solid fa-pen"></i> ${active.length ? 'تعديل القائمة' : 'تسجيل القائمة'}</button>`
+                    : (pending
+                        ? `<span class="entry-pill pending">تبديل ${pending.player?.username || ''} قيد المراجعة</span>`
+                        : `<button id="btn-request-swap" class="btn-action-secondary" ${used >= rules.max_replacements ? 'disabled' : ''}><i class="fa-solid fa-right-left"></i> طلب تبديل (${used}/${rules.max_replacements})</button>`)}
+            </div>`;
+    }
+
+    /**
+     * Organizer queue of squad replacements waiting for a decision.
+     */
+    renderReplacementQueue(squads, participants) {
+        const pending = squads.filter(r => r.status === 'PENDING');
+        if (pending.length === 0) return '';
+        const teamName = (id) => participants.find(p => p.team_id === id)?.teams?.name || '???';
+        const outName = (r) => squads.find(x => x.team_id === r.team_id && x.player_id === r.replaces_player_id)?.player?.username || '?';
+
+        return `
+            <div class="entry-queues">
+                <h4 class="group-title">طلبات تبديل اللاعبين (${pending.length})</h4>
+                ${pending.map(r => `
+                    <div class="entry-row">
+                        <span>${teamName(r.team_id)}: ${outName(r)} ← ${r.player?.username || '?'}
+                            <small class="stats-team">${r.reason || ''}</small>
+                        </span>
+                        <div>
+                            <button class="btn-review-entry approve btn-review-swap" data-id="${r.id}" data-approve="1"><i class="fa-solid fa-check"></i></button>
+                            <button class="btn-review-entry decline btn-review-swap" data-id="${r.id}" data-approve="0"><i class="fa-solid fa-xmark"></i></button>
+                        </div>
+                    </div>`).join('')}
+            </div>`;
+    }
+
+    renderPhaseContent(standings, fixtures, isKnockout, isOrganizer, isLeague = false, stats = null, info = null, bracket = null) {
+        if (this.activeDetailTab === 'STATS' && stats) return this.renderStats(stats, info, isOrganizer);
+        if (this.activeDetailTab === 'STANDINGS') return isLeague ? this.renderLeagueTable(standings, isOrganizer) : this.renderStandings(standings, isOrganizer);
+        if (this.activeDetailTab === 'FIXTURES') return this.renderFixtures(fixtures, isOrganizer, isLeague, this.currentCalendar);
+        if (this.activeDetailTab === 'BRACKET' && isKnockout) return this.renderBracket(fixtures, isOrganizer, bracket);
+        return '';
+    }
+
+    /**
+     * Player leaderboards + awards (handed out by the organizer once completed).
+     */
+    renderStats(stats, info, isOrganizer) {
+        const awards = info?.config?.awards;
+        const board = (title, icon, rows, valueOf) => `
+            <div class="group-container">
+                <h4 class="group-title"><i class="fa-solid ${icon}"></i> ${title}</h4>
+                ${rows.length === 0 ? `<p class="stats-empty">لا توجد بيانات بعد.</p>` : `
+                <table class="standings-table">
+                    <tbody>
+                        ${rows.slice(0, 10).map((r, i) => `
+                            <tr>
+                                <td class="team-cell"><span class="rank">${i + 1}</span> ${r.name} <small class="stats-team">${r.team}</small></td>
+                                <td class="pts">${valueOf(r)}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>`}
+            </div>`;
+
+        return `
+            ${awards ? `
+                <div class="awards-panel">
+                    ${Object.keys(AWARD_LABELS).filter(k => awards[k]).map(k => `
+                        <div class="award-row"><span><i class="fa-solid fa-medal"></i> ${AWARD_LABELS[k]}</span><strong>${awards[k].name}</strong></div>`).join('')}
+                </div>` : ''}
+            ${(isOrganizer && info?.status === 'COMPLETED') ? `
+                <button id="btn-finalize-awards" class="btn-primary-gold"><i class="fa-solid fa-trophy"></i> ${awards ? 'إعادة حساب الجوائز' : 'توزيع الجوائز'}</button>` : ''}
+            ${board('الهدافون', 'fa-futbol', stats.scorers, r => r.goals)}
+            ${board('صناعة الأهداف', 'fa-handshake-angle', stats.assists, r => r.assists)}
+            ${board('شباك نظيفة', 'fa-mitten', stats.cleanSheets, r => r.clean_sheets)}
+            ${board('البطاقات', 'fa-square', stats.discipline, r => `<span class="card-y">${r.yellow}</span> <span class="card-r">${r.red}</span>`)}
+            ${board('اللعب النظيف (فرق)', 'fa-handshake', stats.fairPlay.map(t => ({ ...t, team: '' })), r => r.points)}`;
+    }
+
+    /**
+     * Group tables from StandingsEngine. Rows decided by a tie-breaker show why.
+     */
+    renderStandings(standings, isOrganizer) {
+        let html = '';
+        Object.keys(standings).sort().forEach(gName => {
+            const rows = standings[gName];
+            if (rows.length > 0) {
+                html += `
+                    <div class="group-container">
+                        <h4 class="group-title">المجموعة ${gName}</h4>
+                        <table class="standings-table">
+                            <thead><tr><th>الفريق</th><th>لعب</th><th>+/-</th><th>ن</th></tr></thead>
+                            <tbody>
+                                ${rows.map(r => `
+                                    <tr class="${r.rank <= 2 ? 'qualified' : ''}">
+                                        <td class="team-cell"><span class="rank">${r.rank}</span> ${r.name}${this._renderStandingNote(r)}</td>
+                                        <td>${r.played}</td><td>${r.goal_diff}</td><td class="pts">${r.points}</td>
+                                    </tr>`).join('')}
+                            </tbody>
+                        </table>
+                        ${this._renderLotsButton(gName, rows, isOrganizer)}
+                    </div>`;
+            }
+        });
+        return html;
+    }
+
+    /**
+     * League: one full table (single group from StandingsEngine).
+     */
+    renderLeagueTable(standings, isOrganizer) {
+        const gName = Object.keys(standings)[0];
+        const rows = gName ? standings[gName] : [];
+        if (rows.length === 0) return '<div class="empty-state"><p>لا توجد فرق.</p></div>';
+        return `
+            <div class="group-container">
+                <h4 class="group-title">جدول الدوري</h4>
+                <table class="standings-table">
+                    <thead><tr><th>الفريق</th><th>لعب</th><th>ف</th><th>ت</th><th>خ</th><th>+/-</th><th>ن</th></tr></thead>
+                    <tbody>
+                        ${rows.map(r => `
+                            <tr class="${r.rank === 1 ? 'qualified' : ''}">
+                                <td class="team-cell"><span class="rank">${r.rank}</span> ${r.name}${this._renderStandingNote(r)}</td>
+                                <td>${r.played}</td><td>${r.won}</td><td>${r.drawn}</td><td>${r.lost}</td>
+                                <td>${r.goal_diff}</td><td class="pts">${r.points}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+                ${this._renderLotsButton(gName, rows, isOrganizer)}
+            </div>`;
+    }
+
+    _renderStandingNote(row) {
+        if (!row.note) return '';
+        return `<small class="standing-note ${row.tied ? 'tied' : ''}">${row.note}</small>`;
+    }
+
+    _renderLotsButton(gName, rows, isOrganizer) {
+        const tied = rows.filter(r => r.tied);
+        if (!isOrganizer || tied.length === 0) return '';
+        return `<button class="btn-draw-lots" data-group="${gName}" data-ids="${tied.map(r => r.team_id).join(',')}"><i class="fa-solid fa-dice"></i> إجراء القرعة للفرق المتساوية</button>`;
+    }
+
+    renderFixtures(matches, isOrganizer, isLeague = false, calendar = null) {
+        if (!matches || matches.length === 0) return '<div class="empty-state"><p>لا توجد مباريات.</p></div>';
+
+        // Clash warnings (per match id)
+        const conflicts = FixturePlanner.detectConflicts(matches, calendar);
+        const warningsOf = {};
+        conflicts.forEach(c => c.matchIds.forEach(id => {
+            if (!warningsOf[id]) warningsOf[id] = [];
+            warningsOf[id].push(c.message);
+        }));
+
+        const rounds = {};
+        matches.forEach(m => {
+            // Bracket slots are grouped by their round title (e.g. all quarter-finals)
+            const r = m.match_data.title || m.match_data.round || m.stage || 'UNCLASSIFIED'; 
+            if(!rounds[r]) rounds[r] = [];
+            rounds[r].push(m);
+        });
+
+        let html = '<div class="fixtures-container">';
+        if (isOrganizer && conflicts.length > 0) {
+            html += `<div class="planner-alert"><i class="fa-solid fa-triangle-exclamation"></i> ${conflicts.length} تعارض في الجدول</div>`;
+        }
+        if (isOrganizer) html += `<p class="planner-hint">اسحب مباراة فوق أخرى لتبديل موعديهما.</p>`;
+        Object.keys(rounds).forEach(r => {
+            let title = '';
+            if (r === 'QUARTER') title = 'ربع النهائي';
+            else if (r === 'SEMI') title = 'نصف النهائي';
+            else if (r === 'FINAL') title = 'النهائي';
+            else if (r === 'UNCLASSIFIED') title = 'مباريات أخرى';
+            else if (rounds[r][0]?.match_data?.title) title = r;
+            else title = `الجولة ${r}`;
+
+            // League matchdays carry their planned date
+            const matchday = rounds[r][0]?.match_data?.scheduled_at;
+            if (isLeague && matchday) title += ` <small>(${Helpers.formatDate(new Date(matchday))})</small>`;
+
+            html += `<h4 class="round-title">${title}</h4>`;
+            rounds[r].forEach(m => {
+                const isFinished = m.status === 'CONFIRMED' || m.status === 'FINISHED';
+                const live = !isFinished ? m.match_data?.live : null;
+                const warnings = warningsOf[m.id] || [];
+                const canMove = isOrganizer && !isFinished;
+                html += `
+                    <div class="fixture-card ${warnings.length ? 'has-clash' : ''} ${live ? 'is-live' : ''}" data-id="${m.id}" ${canMove ? 'draggable="true"' : ''}>
+                        <div class="fix-team"><span>${m.team_a.name}</span></div>
+                        <div class="fix-score ${isFinished ? 'final' : ''}">${this._fixtureScore(m)}</div>
+                        <div class="fix-team"><span>${m.team_b.name}</span></div>
+                        ${(isOrganizer && !isFinished) ? `<button class="btn-referee" data-id="${m.id}" data-ta="${m.team_a.name}" data-tb="${m.team_b.name}" data-stage="${m.stage || 'GROUP'}"><i class="fa-solid fa-pen"></i></button>` : ''}
+                        ${(isOrganizer && !isFinished) ? `<button class="btn-referee btn-live" data-id="${m.id}" title="مباشر"><i class="fa-solid fa-tower-broadcast"></i></button>` : ''}
+                        ${(isOrganizer && isFinished) ? `<button class="btn-referee btn-edit-result" data-id="${m.id}" title="تعديل النتيجة"><i class="fa-solid fa-pen-to-square"></i></button>` : ''}
+                        <div class="fix-meta group-pill">${isLeague ? 'دوري' : (m.match_data.group || m.stage || '-')}</div>
+                        <div class="fix-schedule">
+                            ${m.match_data.unscheduled ? 'بدون موعد' : this._formatKickoff(m.played_at)}${m.venue?.name ? ` · ${m.venue.name}` : ''}
+                            ${warnings.length ? `<i class="fa-solid fa-triangle-exclamation" title="${warnings.join(' / ')}"></i>` : ''}
+                        </div>
+                        ${canMove ? `<button class="btn-reschedule" data-id="${m.id}" title="تغيير الموعد"><i class="fa-regular fa-clock"></i></button>` : ''}
+                        <div class="live-strip">${live ? this._renderLiveTimeline(live, m) : ''}</div>
+                    </div>`;
             });
-        } catch (err) { console.error(err); listContainer.innerHTML = '<p class="error-text">فشل التحميل.</p>'; }
+        });
+        html += '</div>';
+        return html;
     }
 
-    renderTournamentCard(t) {
-        let statusText = t.status === 'OPEN' ? 'مفتوحة للتسجيل' : (t.status === 'ACTIVE' ? 'جارية الآن' : (t.status === 'KNOCKOUT' ? 'الأدوار الإقصائية' : 'منتهية'));
+    _formatKickoff(iso) {
+        if (!iso) return '';
+        const d = new Date(iso);
+        return `${Helpers.formatDate(d)} ${d.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit' })}`;
+    }
+
+    /**
+     * Bracket tab, driven by the stored plan (rounds in plan order).
+     * Swiss shows its live table above the rounds.
+     */
+    renderBracket(matches, isOrganizer, bracket) {
+        if (!bracket) return '<div class="empty-state"><p>لم تبدأ التصفيات.</p></div>';
+
+        const bySlot = {};
+        matches.forEach(m => { if (m.match_data?.round) bySlot[m.match_data.round] = m; });
+
+        let html = '<div class="bracket-container">';
+        if (bracket.format === 'SWISS') html += this._renderSwissTable(bracket, matches);
+        BracketEngine.roundsOf(bracket, matches).forEach(r => {
+            const roundMatches = r.slots.map(slot => bySlot[slot]).filter(Boolean);
+            if (roundMatches.length === 0) return;
+            const isFinal = r.stage === 'FINAL' || r.stage === 'GRAND_FINAL';
+            html += this._renderRoundBlock(r.title, roundMatches, isOrganizer, isFinal);
+        });
+        html += '</div>';
+        return html;
+    }
+
+    _renderSwissTable(bracket, matches) {
+        const nameOf = {};
+        matches.forEach(m => {
+            nameOf[m.team_a_id] = m.team_a?.name;
+            nameOf[m.team_b_id] = m.team_b?.name;
+        });
+        const rows = BracketEngine.swissTable(bracket, matches);
         return `
-            <div class="tourn-card">
-                <div class="status-badge ${t.status !== 'OPEN' ? 'active' : ''}">${statusText}</div>
-                <h3>${t.name}</h3>
-                <div class="t-meta">
-                    <span><i class="fa-solid fa-users"></i> ${t.config?.max_teams || 16} فريق</span>
-                    <span><i class="fa-solid fa-sitemap"></i> ${t.config?.type === 'GROUPS' ? 'مجموعات' : 'دوري'}</span>
+            <div class="group-container">
+                <h4 class="group-title">الترتيب السويسري (${bracket.rounds} جولات)</h4>
+                <table class="standings-table">
+                    <thead><tr><th>الفريق</th><th>لعب</th><th>بوخهولز</th><th>ن</th></tr></thead>
+                    <tbody>
+                        ${rows.map((r, i) => `
+                            <tr>
+                                <td class="team-cell"><span class="rank">${i + 1}</span> ${nameOf[r.team_id] || '???'}${r.byes ? ' <small>(راحة)</small>' : ''}</td>
+                                <td>${r.played}</td><td>${r.buchholz}</td><td class="pts">${r.points}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+    }
+
+    _renderRoundBlock(title, matches, isOrganizer, isFinal = false) {
+        return `
+            <div class="round-block" style="margin-bottom:20px;">
+                <h4 class="round-title" style="${isFinal ? 'color:var(--gold-main);' : ''}">${isFinal ? '🏆 ' : ''}${title}</h4>
+                <div class="bracket-round">
+                    ${matches.map(m => {
+                        const isFinished = m.status === 'CONFIRMED' || m.status === 'FINISHED';
+                        const note = isFinished ? this._decisionNote(m) : '';
+                        return `
+                        <div class="bracket-match" style="${isFinished ? 'opacity:0.8;' : ''}">
+                            <div class="b-team"><span>${m.team_a?.name || '???'}</span><span class="b-score">${isFinished ? m.score_a : '-'}</span></div>
+                            <div class="b-team"><span>${m.team_b?.name || '???'}</span><span class="b-score">${isFinished ? m.score_b : '-'}</span></div>
+                            ${note ? `<div class="b-note" style="font-size:0.7rem; text-align:center; color:var(--gold-main);">${note.trim()}</div>` : ''}
+                            ${(isOrganizer && !isFinished) ? `<button class="btn-referee-mini" data-id="${m.id}" data-ta="${m.team_a?.name}" data-tb="${m.team_b?.name}" data-stage="${m.stage}"><i class="fa-solid fa-pen"></i></button>` : ''}
+                            ${(isOrganizer && isFinished) ? `<button class="btn-referee-mini btn-edit-result" data-id="${m.id}" title="تعديل النتيجة"><i class="fa-solid fa-pen-to-square"></i></button>` : ''}
+                        </div>`;
+                    }).join('')}
                 </div>
-                <button class="btn-view-tourn" data-id="${t.id}"><i class="fa-solid fa-eye"></i> دخول الدورة</button>
             </div>`;
     }
 
-    /* --- TOURNAMENT LOBBY --- */
-    async openTournamentDetails(tournamentId) {
+    /**
+     * Suffix for decided knockout matches: " (4-3 pens)" or " (ET)".
+     */
+    /**
+     * Score cell of a fixture: final score, live score + minute, or VS.
+     */
+    _fixtureScore(m) {
+        if (m.status === 'CONFIRMED' || m.status === 'FINISHED') return `${m.score_a} - ${m.score_b}${this._decisionNote(m)}`;
+        const live = m.match_data?.live;
+        if (!live) return 'VS';
+        return `${live.score.a} - ${live.score.b}<span class="live-minute" data-id="${m.id}">${this._livePhaseLabel(live)}</span>`;
+    }
+
+    _livePhaseLabel(live) {
+        if (live.phase === 'HALF_TIME') return 'استراحة';
+        if (live.phase === 'FULL_TIME') return 'انتهت';
+        return `${LiveMatchService.minuteLabel(live)}'`;
+    }
+
+    /**
+     * Minute-by-minute event list of a live fixture.
+     */
+    _renderLiveTimeline(live, m) {
+        const icons = { GOAL: '⚽', YELLOW: '🟨', RED: '🟥', SUB: '🔁' };
+        if (live.events.length === 0) return '<span class="live-empty">لا أحداث بعد</span>';
+        return [...live.events].reverse().map(e => `
+            <div class="live-event ${e.team_id === m.team_b_id ? 'side-b' : 'side-a'}">
+                <span class="live-ev-min">${e.minute}'</span> ${icons[e.type]} ${e.player_name || ''}${e.type === 'SUB' ? ` ← ${e.in_name || ''}` : ''}
+            </div>`).join('');
+    }
+
+    /**
+     * Spectator feed: patches live fixture cards on every Realtime update.
+     * Whistle on kick-off / full time, notify sound on goals.
+     */
+    _startLiveFeed(tournamentId, fixtures) {
+        const byId = {};
+        fixtures.forEach(m => { byId[m.id] = m; });
+
+        this.liveSub = this.realtime.subscribeToTournament(tournamentId, (row) => {
+            const before = byId[row.id];
+            if (!before) return;
+            const after = { ...before, ...row, team_a: before.team_a, team_b: before.team_b, venue: before.venue };
+            byId[row.id] = after;
+
+            const prev = before.match_data?.live;
+            const next = after.match_data?.live;
+            if (next && !prev) SoundManager.play('whistle');
+            else if (next && prev && next.score.a + next.score.b > prev.score.a + prev.score.b) SoundManager.play('notify');
+            else if (next?.phase === 'FULL_TIME' && prev?.phase !== 'FULL_TIME') SoundManager.play('whistle');
+
+            const card = document.querySelector(`.fixture-card[data-id="${row.id}"]`);
+            if (!card) return;
+            const isFinished = after.status === 'CONFIRMED' || after.status === 'FINISHED';
+            card.classList.toggle('is-live', !!next && !isFinished);
+            card.querySelector('.fix-score').innerHTML = this._fixtureScore(after);
+            card.querySelector('.fix-score').classList.toggle('final', isFinished);
+            card.querySelector('.live-strip').innerHTML = (next && !isFinished) ? this._renderLiveTimeline(next, after) : '';
+        });
+
+        // Running clocks (stops by itself once the screen is gone)
+        this.liveTimer = setInterval(() => {
+            const labels = document.querySelectorAll('.live-minute');
+            if (!document.getElementById(this.containerId)?.querySelector('.fixtures-container')) { this._stopLiveFeed(); return; }
+            labels.forEach(el => {
+                const live = byId[el.dataset.id]?.match_data?.live;
+                if (live) el.textContent = this._livePhaseLabel(live);
+            });
+        }, 20000);
+    }
+
+    _stopLiveFeed() {
+        if (this.liveSub) this.realtime.unsubscribe(this.liveSub);
+        if (this.liveTimer) clearInterval(this.liveTimer);
+        this.liveSub = null;
+        this.liveTimer = null;
+    }
+
+    _decisionNote(m) {
+        const pens = m.match_data?.penalties;
+        if (pens) return ` (${pens.a}-${pens.b} pens)`;
+        if (m.match_data?.extra_time) return ' (ET)';
+        return '';
+    }
+
+    /* --- HANDLERS --- */
+    
+    async handleJoin(tournamentId) {
+        if(!confirm("تسجيل الفريق؟")) return;
+        try {
+            const status = await this.service.joinTournament(tournamentId, state.getUser().id);
+            SoundManager.play('success');
+            if (status === 'PENDING') alert("تم إرسال الطلب. بانتظار موافقة المنظم.");
+            if (status === 'WAITLISTED') alert("البطولة مكتملة. تمت إضافة فريقك لقائمة الانتظار.");
+            this.openTournamentDetails(tournamentId);
+        }
+        catch (e) { alert(e.message); }
+    }
+
+    async handleReviewEntry(tournamentId, entryId, approve) {
+        if (!approve && !confirm("رفض طلب هذا الفريق؟")) return;
+        try {
+            const status = await this.service.reviewEntry(entryId, approve, state.getUser().id);
+            SoundManager.play('click');
+            if (status === 'WAITLISTED') alert("البطولة مكتملة. تم وضع الفريق في قائمة الانتظار.");
+            this.openTournamentDetails(tournamentId);
+        }
+        catch (e) { alert(e.message); }
+    }
+
+    async handleWithdraw(tournamentId) {
+        if (!confirm("سحب فريقك من البطولة؟")) return;
+        try { await this.service.withdrawEntry(tournamentId, state.getUser().id); SoundManager.play('click'); this.openTournamentDetails(tournamentId); }
+        catch (e) { alert(e.message); }
+    }
+
+    async handleReviewReplacement(tournamentId, rowId, approve) {
+        try {
+            await this.service.squads.reviewReplacement(rowId, approve, state.getUser().id);
+            SoundManager.play(approve ? 'success' : 'click');
+            this.openTournamentDetails(tournamentId);
+        } catch (e) { alert(e.message); }
+    }
+
+    async handleFinalizeAwards(tournamentId, alreadyAwarded) {
+        if (!confirm(alreadyAwarded ? "إعادة حساب الجوائز واستبدال السابقة؟" : "توزيع جوائز البطولة؟")) return;
+        try {
+            await this.service.stats.finalizeAwards(tournamentId, state.getUser().id);
+            SoundManager.play('success');
+            this.openTournamentDetails(tournamentId);
+        }
+        catch (e) { alert(e.message); }
+    }
+
+    async handleStartDraw(tournamentId) {
+        if(!confirm("بدء القرعة؟")) return;
+        try {
+            const { unplaced } = await this.service.startTournament(tournamentId);
+            SoundManager.play('whistle');
+            if (unplaced > 0) alert(`تنبيه: ${unplaced} مباراة لم تجد موعداً في جدول الملاعب. حدد مواعيدها يدوياً.`);
+            const { info, participants } = await this.service.getTournamentData(tournamentId);
+            this.openTournamentDetails(tournamentId);
+            if (info.config?.type === 'GROUPS' || !info.config?.type) this.playDrawReveal(info, participants);
+            else alert("تمت الجدولة!");
+        }
+        catch (e) { alert(e.message); }
+    }
+
+    /* --- SQUAD UI --- */
+
+    /**
+     * Squad registration (before the draw): pick players from the team roster.
+     */
+    async openSquadModal(tournamentId, teamId, rules, rows) {
+        const modalId = 'modal-squad';
+        document.getElementById(modalId)?.remove();
+        const current = rows.filter(r => r.status === 'ACTIVE').map(r => r.player_id);
+
+        let roster;
+        try { roster = await this.service.teamService.getTeamRoster(teamId); }
+        catch (e) { alert(e.message); return; }
+        const limits = (rules.squad_min || rules.squad_max) ? `(${rules.squad_min || 1} - ${rules.squad_max || '∞'})` : '';
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${modalId}" class="modal-overlay">
+                <div class="modal-box">
+                    <div class="modal-header"><h3>قائمة البطولة ${limits}</h3><button class="close-btn" id="btn-close-squad">&times;</button></div>
+                    <p class="stats-empty">تُقفل القائمة بعد القرعة، وبعدها يُسمح بـ ${rules.max_replacements} تبديلات بموافقة المنظم.</p>
+                    <div class="off-matches">
+                        ${roster.map(p => `
+                            <label class="off-check">
+                                <input type="checkbox" class="squad-player" value="${p.userId}" ${current.includes(p.userId) ? 'checked' : ''}>
+                                ${p.name} <small>${p.position}</small>
+                            </label>`).join('')}
+                    </div>
+                    <button id="btn-save-squad" class="btn-primary">حفظ القائمة</button>
+                </div>
+            </div>`);
+
+        const modal = document.getElementById(modalId);
+        document.getElementById('btn-close-squad').onclick = () => modal.remove();
+        document.getElementById('btn-save-squad').onclick = async () => {
+            const picked = Array.from(modal.querySelectorAll('.squad-player:checked')).map(cb => cb.value);
+            try {
+                await this.service.squads.registerSquad(tournamentId, teamId, state.getUser().id, picked);
+                SoundManager.play('success');
+                modal.remove();
+                this.openTournamentDetails(tournamentId);
+            } catch (e) { alert(e.message); }
+        };
+    }
+
+    /**
+     * Replacement request (after the draw): one player out, one team member in.
+     */
+    async openReplacementModal(tournamentId, teamId, rows) {
+        const modalId = 'modal-squad-swap';
+        document.getElementById(modalId)?.remove();
+        const active = rows.filter(r => r.status === 'ACTIVE');
+
+        let roster;
+        try { roster = await this.service.teamService.getTeamRoster(teamId); }
+        catch (e) { alert(e.message); return; }
+        const bench = roster.filter(p => !active.some(r => r.player_id === p.userId));
+        if (bench.length === 0) { alert("لا يوجد أعضاء خارج القائمة للتبديل."); return; }
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${modalId}" class="modal-overlay">
+                <div class="modal-box">
+                    <div class="modal-header"><h3>طلب تبديل</h3><button class="close-btn" id="btn-close-swap">&times;</button></div>
+                    <div class="form-group"><label>يخرج</label><select id="swap-out">${active.map(r => `<option value="${r.player_id}">${r.player?.username || '?'}</option>`).join('')}</select></div>
+                    <div class="form-group"><label>يدخل</label><select id="swap-in">${bench.map(p => `<option value="${p.userId}">${p.name}</option>`).join('')}</select></div>
+                    <div class="form-group"><label>السبب</label><input type="text" id="swap-reason" placeholder="إصابة، سفر..."></div>
+                    <button id="btn-send-swap" class="btn-primary">إرسال للمنظم</button>
+                </div>
+            </div>`);
+
+        const modal = document.getElementById(modalId);
+        document.getElementById('btn-close-swap').onclick = () => modal.remove();
+        document.getElementById('btn-send-swap').onclick = async () => {
+            try {
+                await this.service.squads.requestReplacement(tournamentId, teamId, state.getUser().id,
+                    document.getElementById('swap-out').value,
+                    document.getElementById('swap-in').value,
+                    document.getElementById('swap-reason').value);
+                SoundManager.play('success');
+                modal.remove();
+                this.openTournamentDetails(tournamentId);
+            } catch (e) { alert(e.message); }
+        };
+    }
+
+    /**
+     * Fixtures as an .ics file: only my team's matches when it takes part.
+     */
+    exportCalendar(info, fixtures, teamId = null) {
+        const minutes = Rulebook.resolve(info.config).match_minutes || info.config?.calendar?.slot_minutes;
+        const events = fixtures
+            .filter(m => !teamId || [m.team_a_id, m.team_b_id].includes(teamId))
+            .map(m => IcsGenerator.fromMatch(m, { teamId, competition: info.name, minutes }))
+            .filter(Boolean);
+
+        if (events.length === 0) { alert("لا توجد مباريات مجدولة."); return; }
+        IcsGenerator.download(`noub-${info.name}`, IcsGenerator.build(info.name, events));
+        SoundManager.play('success');
+    }
+
+    /* --- EDITIONS & HISTORY UI --- */
+
+    async handleArchive(tournamentId) {
+        if (!confirm("أرشفة البطولة؟ ستختفي من بطولات المنطقة ولن يمكن تعديل نتائجها.")) return;
+        try {
+            await this.service.archiveTournament(tournamentId, state.getUser().id);
+            SoundManager.play('success');
+            this.openTournamentDetails(tournamentId);
+        } catch (e) { alert(e.message); }
+    }
+
+    /**
+     * New edition: same setup, fresh name, previous teams invited.
+     */
+    openCloneModal(info) {
+        const modalId = 'modal-clone-tourn';
+        document.getElementById(modalId)?.remove();
+        const year = new Date().getFullYear();
+        const suggested = /\d{4}/.test(info.name) ? info.name.replace(/\d{4}/, year) : `${info.name} ${year}`;
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${modalId}" class="modal-overlay">
+                <div class="modal-box">
+                    <div class="modal-header"><h3>نسخة جديدة</h3><button class="close-btn" id="btn-close-clone">&times;</button></div>
+                    <p style="font-size:0.8rem; color:#aaa;">نفس النظام والقواعد والملاعب. الفرق المشاركة تصلها دعوة ويُقبل تسجيلها مباشرة.</p>
+                    <div class="form-group"><label>اسم النسخة</label><input type="text" id="clone-name" value="${suggested}"></div>
+                    <button id="btn-confirm-clone" class="btn-primary">إنشاء وفتح التسجيل</button>
+                </div>
+            </div>`);
+
+        const modal = document.getElementById(modalId);
+        document.getElementById('btn-close-clone').onclick = () => modal.remove();
+        document.getElementById('btn-confirm-clone').onclick = async () => {
+            try {
+                const created = await this.service.cloneTournament(info.id, state.getUser().id, document.getElementById('clone-name').value);
+                SoundManager.play('success');
+                modal.remove();
+                this.openTournamentDetails(created.id);
+            } catch (e) { alert(e.message); }
+        };
+    }
+
+    /**
+     * Competition history: champions per edition, all-time table and records.
+     * @param {string} competitionId - Root tournament of the competition.
+     * @param {string} backTo - Tournament to return to.
+     */
+    async openCompetitionHistory(competitionId, backTo) {
+        this._stopLiveFeed();
         const container = document.getElementById(this.containerId);
         container.innerHTML = '<div class="loader-center"><div class="loader-bar"></div></div>';
-        
+
         try {
-            const user = state.getUser();
-            const data = await this.service.getTournamentData(tournamentId);
-            const { info, participants, fixtures } = data;
-            const isOrganizer = info.organizer_id === user.id;
-            
-            const isOpen = info.status === 'OPEN';
-            const isActive = info.status === 'ACTIVE'; 
-            const isKnockout = info.status === 'KNOCKOUT' || info.status === 'COMPLETED';
-            
+            const { editions, table, records } = await this.service.history.getHistory(competitionId);
+            const rootName = editions[0].name;
+
             container.innerHTML = `
-                <div class="t-detail-view fade-in">
+                <div class="t-detail-view history-view fade-in">
                     <div class="t-detail-header">
-                        <button id="btn-back-tourn" class="back-btn"><i class="fa-solid fa-arrow-right"></i></button>
+                        <button id="btn-back-history" class="back-btn"><i class="fa-solid fa-arrow-right"></i></button>
                         <div>
-                            <h2>${info.name}</h2>
-                            <span class="t-status-pill">${isOpen ? 'فترة التسجيل' : (isKnockout ? 'الأدوار النهائية' : 'المنافسة جارية')}</span>
+                            <h2>تاريخ البطولة</h2>
+                            <span class="t-status-pill">${rootName} · ${editions.length} نسخة</span>
+                        </div>
+                    </div>
+
+                    <h4 class="group-title"><i class="fa-solid fa-crown"></i> الأبطال</h4>
+                    <div class="history-editions">
+                        ${editions.map(e => `
+                            <div class="history-edition" data-id="${e.id}">
+                                <span class="edition-num">${e.edition}</span>
+                                <div class="edition-info">
+                                    <strong>${e.name}</strong>
+                                    <small>${e.year}</small>
+                                </div>
+                                <div class="edition-podium">
+                                    ${e.champion ? `<span class="gold"><i class="fa-solid fa-trophy"></i> ${e.champion.name}</span>` : `<span class="muted">${e.status === 'OPEN' ? 'التسجيل مفتوح' : 'جارية'}</span>`}
+                                    ${e.runnerUp ? `<small>الوصيف: ${e.runnerUp.name}</small>` : ''}
+                                </div>
+                            </div>`).join('')}
+                    </div>
+
+                    ${this.renderHistoryRecords(records)}
+
+                    <h4 class="group-title"><i class="fa-solid fa-table-list"></i> الجدول التاريخي</h4>
+                    ${table.length === 0 ? '<p class="empty-state" style="text-align:center; opacity:0.7;">لا توجد نتائج بعد.</p>' : `
+                        <table class="standings-table">
+                            <thead><tr><th>الفريق</th><th>نسخ</th><th>لعب</th><th>ف</th><th>ت</th><th>خ</th><th>+/-</th><th>ن</th></tr></thead>
+                            <tbody>
+                                ${table.map((r, i) => `
+                                    <tr>
+                                        <td class="team-cell"><span class="rank">${i + 1}</span> ${r.name}</td>
+                                        <td>${r.editions}</td><td>${r.played}</td><td>${r.won}</td><td>${r.drawn}</td><td>${r.lost}</td>
+                                        <td dir="ltr">${r.gd > 0 ? '+' : ''}${r.gd}</td>
+                                        <td class="pts">${r.points}</td>
+                                    </tr>`).join('')}
+                            </tbody>
+                        </table>`}
+                </div>`;
+
+            document.getElementById('btn-back-history').onclick = () => this.openTournamentDetails(backTo);
+            container.querySelectorAll('.history-edition').forEach(row => {
+                row.onclick = () => { this.activeDetailTab = 'FIXTURES'; this.openTournamentDetails(row.dataset.id); };
+            });
+        } catch (e) {
+            console.error(e);
+            container.innerHTML = `<p class="error-text">خطأ: ${e.message}</p><button id="btn-back-history" class="back-btn"><i class="fa-solid fa-arrow-right"></i></button>`;
+            document.getElementById('btn-back-history').onclick = () => this.openTournamentDetails(backTo);
+        }
+    }
+
+    renderHistoryRecords(records) {
+        const record = (icon, label, value) => value ? `
+            <div class="award-row"><span><i class="fa-solid ${icon}"></i> ${label}</span><strong>${value}</strong></div>` : '';
+        const edition = (r) => r ? `${r.label} <small>(النسخة ${r.edition})</small>` : null;
+        const top = records.mostTitles[0];
+
+        return `
+            <h4 class="group-title"><i class="fa-solid fa-star"></i> الأرقام القياسية</h4>
+            <div class="awards-panel history-records">
+                ${record('fa-crown', 'الأكثر تتويجاً', top ? `${top.name} (${top.titles})` : null)}
+                ${record('fa-bolt', 'أكبر فوز', edition(records.biggestWin))}
+                ${record('fa-fire', 'أكثر مباراة أهدافاً', edition(records.highestScoring))}
+                ${record('fa-futbol', 'الهداف التاريخي', records.scorers[0] ? `${records.scorers[0].name} (${records.scorers[0].goals})` : null)}
+            </div>
+            ${records.scorers.length > 1 ? `
+                <table class="standings-table history-scorers">
+                    <thead><tr><th>الهدافون عبر النسخ</th><th>أهداف</th></tr></thead>
+                    <tbody>
+                        ${records.scorers.map((r, i) => `
+                            <tr>
+                                <td class="team-cell"><span class="rank">${i + 1}</span> ${r.name} <small class="stats-team">${r.team}</small></td>
+                                <td class="pts">${r.goals}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>` : ''}`;
+    }
+
+    /* --- POSTERS UI --- */
+
+    /**
+     * Poster picker: size + poster type, all drawn from the loaded tournament data.
+     */
+    openPosterModal(info, participants, fixtures, standings, bracket) {
+        const modalId = 'modal-posters';
+        document.getElementById(modalId)?.remove();
+
+        const dnaOf = {};
+        participants.forEach(p => { dnaOf[p.team_id] = p.teams?.logo_dna; });
+        const team = (id, name) => (id ? { name: name || '???', dna: dnaOf[id] } : null);
+        const isCup = info.config?.type === 'CUP';
+        const rounds = {};
+        fixtures.forEach(m => {
+            const key = m.match_data?.title || (m.match_data?.round ? `الجولة ${m.match_data.round}` : m.stage);
+            if (!rounds[key]) rounds[key] = [];
+            rounds[key].push(m);
+        });
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${modalId}" class="modal-overlay">
+                <div class="modal-box">
+                    <div class="modal-header"><h3>بوسترات البطولة</h3><button class="close-btn" id="btn-close-posters">&times;</button></div>
+                    <div class="form-group"><label>المقاس</label>
+                        <select id="poster-size">${Object.entries(POSTER_SIZES).map(([k, v]) => `<option value="${k}">${v.label}</option>`).join('')}</select>
+                    </div>
+                    <div class="poster-actions">
+                        ${bracket ? `<button class="btn-action-secondary" data-poster="BRACKET"><i class="fa-solid fa-sitemap"></i> الأدوار الإقصائية</button>` : ''}
+                        ${!isCup ? `<button class="btn-action-secondary" data-poster="STANDINGS"><i class="fa-solid fa-table-list"></i> جدول الترتيب</button>` : ''}
+                        ${['COMPLETED', 'ARCHIVED'].includes(info.status) ? `<button class="btn-action-secondary" data-poster="CHAMPION"><i class="fa-solid fa-crown"></i> البطل</button>` : ''}
+                    </div>
+                    <div class="form-group"><label>بطاقة جولة</label>
+                        <select id="poster-round">${Object.keys(rounds).map(r => `<option value="${r}">${r}</option>`).join('')}</select>
+                    </div>
+                    <button class="btn-primary" data-poster="MATCHDAY"><i class="fa-regular fa-calendar"></i> بطاقة الجولة</button>
+                </div>
+            </div>`);
+
+        const modal = document.getElementById(modalId);
+        document.getElementById('btn-close-posters').onclick = () => modal.remove();
+
+        const draw = {
+            BRACKET: (size) => {
+                const bySlot = {};
+                fixtures.forEach(m => { if (m.match_data?.round) bySlot[m.match_data.round] = m; });
+                const tieRounds = BracketEngine.roundsOf(bracket, fixtures).map(r => ({
+                    title: r.title,
+                    ties: r.slots.map(slot => {
+                        const m = bySlot[slot];
+                        if (!m) return { a: null, b: null, score: null, winner: null };
+                        const done = m.status === 'CONFIRMED' || m.status === 'FINISHED';
+                        const winnerId = done ? BracketEngine.winnerOf(m) : null;
+                        return {
+                            a: team(m.team_a_id, m.team_a?.name),
+                            b: team(m.team_b_id, m.team_b?.name),
+                            score: done ? `${m.score_a}-${m.score_b}` : null,
+                            winner: winnerId ? (winnerId === m.team_a_id ? 'a' : 'b') : null
+                        };
+                    })
+                })).filter(r => r.ties.length > 0);
+                PosterExporter.exportBracket(info.name, tieRounds, size);
+            },
+            STANDINGS: (size) => {
+                const groups = Object.keys(standings).sort().map(g => ({
+                    name: info.config?.type === 'LEAGUE' ? 'الدوري' : `المجموعة ${g}`,
+                    rows: standings[g].map(r => ({ ...r, dna: dnaOf[r.team_id] }))
+                }));
+                PosterExporter.exportStandings(info.name, groups, size);
+            },
+            MATCHDAY: (size) => {
+                const title = document.getElementById('poster-round').value;
+                const matches = (rounds[title] || []).map(m => {
+                    const done = m.status === 'CONFIRMED' || m.status === 'FINISHED';
+                    return {
+                        a: team(m.team_a_id, m.team_a?.name),
+                        b: team(m.team_b_id, m.team_b?.name),
+                        time: m.match_data?.unscheduled ? '' : this._formatKickoff(m.played_at),
+                        venue: m.venue?.name || '',
+                        score: done ? `${m.score_a}-${m.score_b}` : null
+                    };
+                });
+                PosterExporter.exportMatchday(info.name, title, matches, size);
+            },
+            CHAMPION: (size) => {
+                const ranking = bracket
+                    ? BracketEngine.ranking(bracket, fixtures)
+                    : (Object.values(standings)[0] || []).map(r => r.team_id);
+                const nameOf = (id) => participants.find(p => p.team_id === id)?.teams?.name || '???';
+                if (!ranking[0]) { alert("لم يُحسم البطل بعد."); return; }
+                const awards = info.config?.awards || {};
+                PosterExporter.exportChampion(info.name, team(ranking[0], nameOf(ranking[0])), {
+                    runnerUp: ranking[1] ? { name: nameOf(ranking[1]) } : null,
+                    awards: Object.keys(AWARD_LABELS).filter(k => awards[k]).map(k => ({ label: AWARD_LABELS[k], name: awards[k].name }))
+                }, size);
+            }
+        };
+
+        modal.querySelectorAll('[data-poster]').forEach(btn => {
+            btn.onclick = () => {
+                try {
+                    draw[btn.dataset.poster](document.getElementById('poster-size').value);
+                    SoundManager.play('success');
+                } catch (e) { console.error(e); alert("فشل إنشاء البوستر."); }
+            };
+        });
+    }
+
+    /* --- LIVE CONSOLE UI --- */
+
+    /**
+     * Referee live console: clock phases, event logging and final confirmation.
+     */
+    async openLiveConsole(matchId, tournamentId) {
+        const modalId = 'modal-live';
+        document.getElementById(modalId)?.remove();
+
+        let sheet, match;
+        try {
+            [sheet, { data: match }] = await Promise.all([
+                this.service.stats.getMatchSheet(matchId),
+                supabase.from('matches').select('*, team_a:teams!team_a_id(name), team_b:teams!team_b_id(name)').eq('id', matchId).single()
+            ]);
+        } catch (e) { alert(e.message); return; }
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${modalId}" class="modal-overlay">
+                <div class="modal-box">
+                    <div class="modal-header"><h3><i class="fa-solid fa-tower-broadcast"></i> مباشر</h3><button class="close-btn" id="btn-close-live">&times;</button></div>
+                    <div id="live-body"></div>
+                </div>
+            </div>`);
+        const modal = document.getElementById(modalId);
+        document.getElementById('btn-close-live').onclick = () => { modal.remove(); this.openTournamentDetails(tournamentId); };
+
+        const userId = state.getUser().id;
+        const run = async (action, sound) => {
+            try {
+                match.match_data = { ...match.match_data, live: await action() };
+                if (sound) SoundManager.play(sound);
+                render();
+            } catch (e) { alert(e.message); }
+        };
+
+        const render = () => {
+            const live = match.match_data?.live;
+            const body = document.getElementById('live-body');
+            const phaseBtn = {
+                NOT_STARTED: ['ابدأ المباراة', 'fa-play'],
+                FIRST_HALF: ['نهاية الشوط الأول', 'fa-pause'],
+                HALF_TIME: ['بدء الشوط الثاني', 'fa-play'],
+                SECOND_HALF: ['صافرة النهاية', 'fa-flag-checkered']
+            }[live?.phase || 'NOT_STARTED'];
+            const running = ['FIRST_HALF', 'SECOND_HALF'].includes(live?.phase);
+            const isKo = ELIMINATION_STAGES.includes(match.stage);
+            const level = live && live.score.a === live.score.b;
+            const teamOptions = `<option value="${match.team_a_id}">${match.team_a.name}</option><option value="${match.team_b_id}">${match.team_b.name}</option>`;
+
+            body.innerHTML = `
+                <div class="live-board">
+                    <span>${match.team_a.name}</span>
+                    <strong>${live ? `${live.score.a} - ${live.score.b}` : 'VS'}</strong>
+                    <span>${match.team_b.name}</span>
+                </div>
+                <div class="live-phase" id="live-phase-label">${live ? this._livePhaseLabel(live) : 'لم تبدأ'}</div>
+                ${phaseBtn ? `<button id="btn-live-phase" class="btn-primary-gold"><i class="fa-solid ${phaseBtn[1]}"></i> ${phaseBtn[0]}</button>` : ''}
+                ${running ? `
+                    <div class="live-form">
+                        <select id="live-team">${teamOptions}</select>
+                        <select id="live-type">
+                            <option value="GOAL">⚽ هدف</option><option value="YELLOW">🟨 صفراء</option>
+                            <option value="RED">🟥 حمراء</option><option value="SUB">🔁 تبديل</option>
+                        </select>
+                        <select id="live-player"></select>
+                        <select id="live-extra"></select>
+                        <button id="btn-live-log" class="btn-action-secondary"><i class="fa-solid fa-plus"></i> تسجيل</button>
+                    </div>` : ''}
+                ${live?.phase === 'FULL_TIME' ? `
+                    ${(isKo && level) ? `
+                        <div class="live-form">
+                            <label><input type="checkbox" id="live-et"> أشواط إضافية</label>
+                            <input type="number" id="live-pen-a" class="score-inp" min="0" placeholder="ترجيح ${match.team_a.name}">
+                            <input type="number" id="live-pen-b" class="score-inp" min="0" placeholder="ترجيح ${match.team_b.name}">
+                        </div>` : ''}
+                    <button id="btn-live-finish" class="btn-primary"><i class="fa-solid fa-check"></i> اعتماد النتيجة</button>` : ''}
+                <div class="live-log">
+                    ${(live?.events || []).map((e, i) => `
+                        <div class="live-event ${e.team_id === match.team_b_id ? 'side-b' : 'side-a'}">
+                            <span class="live-ev-min">${e.minute}'</span> ${{ GOAL: '⚽', YELLOW: '🟨', RED: '🟥', SUB: '🔁' }[e.type]} ${e.player_name || ''}${e.type === 'SUB' ? ` ← ${e.in_name || ''}` : ''}
+                            <button class="ev-remove" data-index="${i}"><i class="fa-solid fa-xmark"></i></button>
+                        </div>`).join('')}
+                </div>`;
+
+            const phase = document.getElementById('btn-live-phase');
+            if (phase) phase.onclick = () => {
+                if (!live) return run(() => this.service.startLive(matchId, userId), 'whistle');
+                if (live.phase === 'SECOND_HALF' && !confirm("إطلاق صافرة النهاية؟")) return;
+                run(() => this.service.advanceLive(matchId, userId), 'whistle');
+            };
+
+            body.querySelectorAll('.ev-remove').forEach(btn => {
+                btn.onclick = () => { if (confirm("حذف الحدث؟")) run(() => this.service.removeLiveEvent(matchId, userId, parseInt(btn.dataset.index))); };
+            });
+
+            if (running) {
+                const teamSel = document.getElementById('live-team');
+                const typeSel = document.getElementById('live-type');
+                const fillPlayers = () => {
+                    const roster = teamSel.value === match.team_b_id ? sheet.rosters.b : sheet.rosters.a;
+                    const opts = roster.map(p => `<option value="${p.userId}">${p.name}</option>`).join('');
+                    document.getElementById('live-player').innerHTML = opts;
+                    const extra = document.getElementById('live-extra');
+                    extra.innerHTML = typeSel.value === 'GOAL' ? `<option value="">بدون صناعة</option>${opts}`
+                        : (typeSel.value === 'SUB' ? `<option value="">البديل...</option>${opts}` : '');
+                    extra.classList.toggle('hidden', !['GOAL', 'SUB'].includes(typeSel.value));
+                };
+                teamSel.onchange = fillPlayers;
+                typeSel.onchange = fillPlayers;
+                fillPlayers();
+
+                document.getElementById('btn-live-log').onclick = () => {
+                    const playerSel = document.getElementById('live-player');
+                    const extraSel = document.getElementById('live-extra');
+                    const type = typeSel.value;
+                    const extraName = extraSel.value ? extraSel.selectedOptions[0].textContent : null;
+                    run(() => this.service.logLiveEvent(matchId, userId, {
+                        type,
+                        team_id: teamSel.value,
+                        player_id: playerSel.value || null,
+                        player_name: playerSel.selectedOptions[0]?.textContent || '',
+                        assist_id: type === 'GOAL' ? (extraSel.value || null) : null,
+                        in_id: type === 'SUB' ? extraSel.value : null,
+                        in_name: type === 'SUB' ? extraName : null
+                    }), type === 'GOAL' ? 'notify' : 'click');
+                };
+            }
+
+            const finish = document.getElementById('btn-live-finish');
+            if (finish) finish.onclick = async () => {
+                if (!confirm("اعتماد النتيجة النهائية؟")) return;
+                const knockout = (isKo && level) ? {
+                    extraTime: document.getElementById('live-et').checked,
+                    penA: parseInt(document.getElementById('live-pen-a').value),
+                    penB: parseInt(document.getElementById('live-pen-b').value)
+                } : {};
+                finish.disabled = true;
+                try {
+                    await this.service.finishLive(matchId, userId, knockout);
+                    SoundManager.play('success');
+                    modal.remove();
+                    this.openTournamentDetails(tournamentId);
+                } catch (e) { alert(e.message); finish.disabled = false; }
+            };
+        };
+        render();
+
+        // Console clock (stops with the modal)
+        const tick = setInterval(() => {
+            const label = document.getElementById('live-phase-label');
+            if (!label) { clearInterval(tick); return; }
+            if (match.match_data?.live) label.textContent = this._livePhaseLabel(match.match_data.live);
+        }, 20000);
+    }
+
+    /* --- LINEUP UI --- */
+
+    /**
+     * Team sheet picker for one match, validated against the rulebook on save.
+     */
+    async openLineupModal(matchId, teamId, tournamentId, rules) {
+        const modalId = 'modal-lineup';
+        document.getElementById(modalId)?.remove();
+
+        try {
+            const [fullRoster, current, squad] = await Promise.all([
+                this.service.teamService.getTeamRoster(teamId),
+                this.service.getLineup(matchId, teamId),
+                this.service.squads.getActivePlayerIds(tournamentId, teamId)
+            ]);
+            const roster = squad.length ? fullRoster.filter(p => squad.includes(p.userId)) : fullRoster;
+            const limits = (rules.squad_min || rules.squad_max) ? `(${rules.squad_min || 1} - ${rules.squad_max || '∞'})` : '';
+
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="${modalId}" class="modal-overlay">
+                    <div class="modal-box">
+                        <div class="modal-header"><h3>التشكيلة ${limits}</h3><button class="close-btn" id="btn-close-lineup">&times;</button></div>
+                        <div class="off-matches">
+                            ${roster.map(p => `
+                                <label class="off-check">
+                                    <input type="checkbox" class="lineup-player" value="${p.userId}" ${current.includes(p.userId) ? 'checked' : ''}>
+                                    ${p.name} <small>${p.position}</small>
+                                </label>`).join('')}
                         </div>
+                        <button id="btn-save-lineup" class="btn-primary">حفظ التشكيلة</button>
                     </div>
+                </div>`);
+        } catch (e) { alert(e.message); return; }
 
-                    <div class="t-action-area">
-                        ${isOpen ? this.renderRegAction(info, isOrganizer, participants.length) : ''}
-                        ${(isActive && isOrganizer) ? `<button id="btn-start-knockout" class="btn-primary-gold"><i class="fa-solid fa-gavel"></i> إنهاء المجموعات وبدء التصفيات</button>` : ''}
-                        ${(info.status === 'COMPLETED') ? `<div class="champion-banner" style="text-align:center; padding:15px; background:linear-gradient(to right, #ffd700, #b8860b); border-radius:12px; color:#332200; font-weight:bold; font-family:var(--font-sport); font-size:1.2rem;"><i class="fa-solid fa-crown"></i> البطولة مكتملة</div>` : ''}
-                    </div>
+        const modal = document.getElementById(modalId);
+        document.getElementById('btn-close-lineup').onclick = () => modal.remove();
+        document.getElementById('btn-save-lineup').onclick = async () => {
+            const picked = Array.from(modal.querySelectorAll('.lineup-player:checked')).map(cb => cb.value);
+            try {
+                await this.service.submitLineup(matchId, teamId, state.getUser().id, picked);
+                SoundManager.play('success');
+                modal.remove();
+                this.openTournamentDetails(tournamentId);
+            } catch (e) { alert(e.message); }
+        };
+    }
 
-                    ${!isOpen ? `
-                        <div class="t-tabs" style="margin-bottom:15px;">
-                            <button class="t-tab ${this.activeDetailTab==='STANDINGS'?'active':''}" id="tab-standings">المجموعات</button>
-                            <button class="t-tab ${this.activeDetailTab==='FIXTURES'?'active':''}" id="tab-fixtures">المباريات</button>
-                            ${isKnockout ? `<button class="t-tab ${this.activeDetailTab==='BRACKET'?'active':''}" id="tab-bracket">الأدوار النهائية</button>` : ''}
-                        </div>
-                    ` : ''}
+    /* --- OFFICIALS UI --- */
 
-                    <div class="t-content-body">
-                        ${isOpen 
-                            ? this.renderParticipantsList(participants) 
-                            : this.renderPhaseContent(participants, fixtures, isKnockout, isOrganizer)
-                        }
+    /**
+     * Organizer assigns referees / score-keepers per pitch or per match.
+     */
+    async openOfficialsModal(tournamentId, info, fixtures) {
+        const modalId = 'modal-officials';
+        document.getElementById(modalId)?.remove();
+
+        const officials = info.config?.officials || [];
+        const venues = info.config?.calendar?.venues || [];
+        const open = fixtures.filter(m => m.status !== 'CONFIRMED' && m.status !== 'FINISHED');
+        const venueName = (id) => venues.find(v => v.id === id)?.name || '?';
+        const candidates = await this.service.getRefereeCandidates(state.getUser().id);
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${modalId}" class="modal-overlay">
+                <div class="modal-box">
+                    <div class="modal-header"><h3>الحكام ومسجلو النتائج</h3><button class="close-btn" id="btn-close-off">&times;</button></div>
+                    <div class="entry-queues">
+                        ${officials.length === 0 ? '<p class="stats-empty">لا يوجد حكام بعد.</p>' : officials.map(o => `
+                            <div class="entry-row">
+                                <span>${o.name}
+                                    <small class="stats-team">${[...o.venue_ids.map(venueName), o.match_ids.length ? `${o.match_ids.length} مباراة` : ''].filter(Boolean).join(' · ')}</small>
+                                </span>
+                                <button class="btn-review-entry decline btn-remove-official" data-id="${o.user_id}"><i class="fa-solid fa-xmark"></i></button>
+                            </div>`).join('')}
+                    </div>
+                    <div class="form-group">
+                        <label>الحكم</label>
+                        <select id="off-candidate">
+                            ${candidates.map(c => `<option value="${c.id}" data-name="${c.username}">${c.username} (مهمة حكم)</option>`).join('')}
+                            <option value="">مستخدم آخر...</option>
+                        </select>
+                        <input type="text" id="off-username" placeholder="اسم المستخدم" class="${candidates.length ? 'hidden' : ''}" style="margin-top:6px;">
+                    </div>
+                    ${venues.length > 0 ? `
+                        <div class="form-group">
+                            <label>ملاعب (كل مبارياتها)</label>
+                            ${venues.map(v => `<label class="off-check"><input type="checkbox" class="off-venue" value="${v.id}"> ${v.name}</label>`).join('')}
+                        </div>` : ''}
+                    <div class="form-group">
+                        <label>مباريات محددة</label>
+                        <div class="off-matches">
+                            ${open.map(m => `<label class="off-check"><input type="checkbox" class="off-match" value="${m.id}"> ${m.team_a?.name || '???'} - ${m.team_b?.name || '???'} <small>${this._formatKickoff(m.played_at)}</small></label>`).join('') || '<p class="stats-empty">لا توجد مباريات مفتوحة بعد.</p>'}
+                        </div>
                     </div>
+                    <button id="btn-save-official" class="btn-primary">تعيين</button>
                 </div>
-            `;
+            </div>`);
 
-            document.getElementById('btn-back-tourn').onclick = () => this.initTournamentView();
+        const modal = document.getElementById(modalId);
+        document.getElementById('btn-close-off').onclick = () => modal.remove();
+        document.getElementById('off-candidate').onchange = (e) => {
+            document.getElementById('off-username').classList.toggle('hidden', e.target.value !== '');
+        };
 
-            if (isOpen) {
-                const btn = document.getElementById('btn-action-main');
-                if (btn) btn.onclick = () => { isOrganizer ? this.handleStartDraw(tournamentId) : this.handleJoin(tournamentId); };
-            } else {
-                document.getElementById('tab-standings').onclick = () => { this.activeDetailTab = 'STANDINGS'; this.openTournamentDetails(tournamentId); };
-                document.getElementById('tab-fixtures').onclick = () => { this.activeDetailTab = 'FIXTURES'; this.openTournamentDetails(tournamentId); };
-                if(isKnockout) document.getElementById('tab-bracket').onclick = () => { this.activeDetailTab = 'BRACKET'; this.openTournamentDetails(tournamentId); };
-                
-                const startKoBtn = document.getElementById('btn-start-knockout');
-                if (startKoBtn) startKoBtn.onclick = () => this.handleStartKnockout(tournamentId);
-            }
+        modal.querySelectorAll('.btn-remove-official').forEach(btn => {
+            btn.onclick = async () => {
+                if (!confirm("إلغاء تعيين هذا الحكم؟")) return;
+                try {
+                    await this.service.removeOfficial(tournamentId, state.getUser().id, btn.dataset.id);
+                    modal.remove();
+                    this.openTournamentDetails(tournamentId);
+                } catch (e) { alert(e.message); }
+            };
+        });
 
-            // Referee Binders (Organizer Only)
-            if (!isOpen && isOrganizer) {
-                if (this.activeDetailTab === 'FIXTURES') {
-                    container.querySelectorAll('.btn-referee').forEach(btn => {
-                        btn.onclick = () => this.openRefereeModal(btn.dataset.id, btn.dataset.ta, btn.dataset.tb, tournamentId);
-                    });
-                }
-                if (this.activeDetailTab === 'BRACKET') {
-                    container.querySelectorAll('.btn-referee-mini').forEach(btn => {
-                        btn.onclick = () => this.openRefereeModal(btn.dataset.id, btn.dataset.ta, btn.dataset.tb, tournamentId);
-                    });
-                }
-            }
+        document.getElementById('btn-save-official').onclick = async () => {
+            const select = document.getElementById('off-candidate');
+            const checked = (cls) => Array.from(modal.querySelectorAll(`.${cls}:checked`)).map(cb => cb.value);
+            try {
+                const official = select.value
+                    ? { id: select.value, username: select.selectedOptions[0].dataset.name }
+                    : await this.service.findUserByUsername(document.getElementById('off-username').value);
+
+                await this.service.assignOfficial(tournamentId, state.getUser().id, official, {
+                    venueIds: checked('off-venue').map(v => parseInt(v)),
+                    matchIds: checked('off-match')
+                });
+                SoundManager.play('success');
+                modal.remove();
+                this.openTournamentDetails(tournamentId);
+            } catch (e) { alert(e.message); }
+        };
+    }
 
-        } catch (e) {
-            console.error(e);
-            container.innerHTML = `<p class="error-text">خطأ: ${e.message}</p><button onclick="window.location.reload()">تحديث</button>`;
-        }
+    /* --- CALENDAR PLANNER UI --- */
+
+    /**
+     * Drag a fixture onto another to swap slots; clock button for exact time.
+     */
+    bindFixturePlanner(container, fixtures, tournamentId, calendar) {
+        let draggedId = null;
+        container.querySelectorAll('.fixture-card[draggable="true"]').forEach(card => {
+            card.ondragstart = () => { draggedId = card.dataset.id; card.classList.add('dragging'); };
+            card.ondragend = () => card.classList.remove('dragging');
+            card.ondragover = (e) => e.preventDefault();
+            card.ondrop = async (e) => {
+                e.preventDefault();
+                if (!draggedId || draggedId === card.dataset.id) return;
+                try {
+                    await this.service.swapMatchSlots(draggedId, card.dataset.id);
+                    SoundManager.play('click');
+                    this.openTournamentDetails(tournamentId);
+                } catch (err) { alert(err.message); }
+            };
+        });
+
+        container.querySelectorAll('.btn-reschedule').forEach(btn => {
+            const m = fixtures.find(f => f.id === btn.dataset.id);
+            if (m) btn.onclick = () => this.openRescheduleModal(m, tournamentId, calendar);
+        });
     }
 
-    /* --- RENDER HELPERS --- */
-    renderRegAction(info, isOrganizer, count) {
-        const ready = count >= 4; 
-        if (isOrganizer) {
-            return `
-                <div class="organizer-controls">
-                    <div class="counter-box"><span class="num">${count}/${info.config.max_teams}</span> فرق</div>
-                    <button id="btn-action-main" class="btn-primary-gold" ${!ready?'disabled':''} style="${!ready?'opacity:0.5':''}">
-                        <i class="fa-solid fa-shuffle"></i> إجراء القرعة وبدء الدورة
-                    </button>
-                </div>`;
+    openRescheduleModal(match, tournamentId, calendar) {
+        const modalId = 'modal-reschedule';
+        if (!document.getElementById(modalId)) {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="${modalId}" class="modal-overlay hidden">
+                    <div class="modal-box">
+                        <div class="modal-header"><h3>تغيير الموعد</h3><button class="close-btn" id="btn-close-resched">&times;</button></div>
+                        <p id="resched-teams" style="text-align:center;"></p>
+                        <div class="form-group"><label>الموعد</label><input type="datetime-local" id="inp-resched-time" required></div>
+                        <div class="form-group"><label>الملعب</label><select id="inp-resched-venue"></select></div>
+                        <button id="btn-save-resched" class="btn-primary">حفظ</button>
+                    </div>
+                </div>`);
+            document.getElementById('btn-close-resched').onclick = () => document.getElementById(modalId).classList.add('hidden');
         }
-        return `<button id="btn-action-main" class="btn-primary-gold"><i class="fa-solid fa-user-plus"></i> تسجيل فريقي</button>`;
-    }
 
-    renderParticipantsList(teams) {
-        if (teams.length === 0) return `<div class="empty-state"><p>لم ينضم أحد بعد.</p></div>`;
-        return `<div class="teams-grid">${teams.map(t => `<div class="team-mini-card"><div class="team-icon" style="background:${t.teams.logo_dna?.primary || '#333'}"><i class="fa-solid fa-shield-cat"></i></div><span>${t.teams.name}</span></div>`).join('')}</div>`;
+        document.getElementById('resched-teams').textContent = `${match.team_a?.name} × ${match.team_b?.name}`;
+        document.getElementById('inp-resched-time').value = this._toLocalDateTime(match.played_at || new Date().toISOString());
+        document.getElementById('inp-resched-venue').innerHTML = `<option value="">بدون ملعب</option>` +
+            (calendar?.venues || []).map(v => `<option value="${v.id}" ${v.id === match.venue_id ? 'selected' : ''}>${v.name}</option>`).join('');
+
+        document.getElementById('btn-save-resched').onclick = async () => {
+            const time = document.getElementById('inp-resched-time').value;
+            const venue = document.getElementById('inp-resched-venue').value;
+            if (!time) return;
+            try {
+                await this.service.rescheduleMatch(match.id, new Date(time).toISOString(), venue ? parseInt(venue) : null);
+                SoundManager.play('success');
+                document.getElementById(modalId).classList.add('hidden');
+                this.openTournamentDetails(tournamentId);
+            } catch (e) { alert(e.message); }
+        };
+        document.getElementById(modalId).classList.remove('hidden');
     }
 
-    renderPhaseContent(participants, fixtures, isKnockout, isOrganizer) {
-        if (this.activeDetailTab === 'STANDINGS') return this.renderStandings(participants);
-        if (this.activeDetailTab === 'FIXTURES') return this.renderFixtures(fixtures, isOrganizer);
-        if (this.activeDetailTab === 'BRACKET' && isKnockout) return this.renderBracket(fixtures, isOrganizer);
-        return '';
+    /**
+     * ISO -> 'YYYY-MM-DDTHH:MM' in device local time (datetime-local inputs).
+     */
+    _toLocalDateTime(iso, separator = 'T') {
+        const pad = (n) => String(n).padStart(2, '0');
+        const d = new Date(iso);
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}${separator}${pad(d.getHours())}:${pad(d.getMinutes())}`;
     }
 
-    renderStandings(teams) {
-        const groups = { A: [], B: [], C: [], D: [] };
-        teams.forEach(t => { if(groups[t.group_name]) groups[t.group_name].push(t); });
-        let html = '';
-        ['A', 'B', 'C', 'D'].forEach(gName => {
-            const groupTeams = groups[gName];
-            if (groupTeams.length > 0) {
-                html += `
-                    <div class="group-container">
-                        <h4 class="group-title">المجموعة ${gName}</h4>
-                        <table class="standings-table">
-                            <thead><tr><th>الفريق</th><th>لعب</th><th>+/-</th><th>ن</th></tr></thead>
-                            <tbody>
-                                ${groupTeams.map((t, idx) => `
-                                    <tr class="${idx < 2 ? 'qualified' : ''}">
-                                        <td class="team-cell"><span class="rank">${idx + 1}</span> ${t.teams.name}</td>
-                                        <td>${t.played}</td><td>${t.goal_diff}</td><td class="pts">${t.points}</td>
-                                    </tr>`).join('')}
-                            </tbody>
-                        </table>
-                    </div>`;
-            }
-        });
-        return html;
+    async openCalendarModal(tournamentId, config) {
+        const modalId = 'modal-calendar';
+        if (!document.getElementById(modalId)) {
+            const days = ['الأحد', 'الاثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'];
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="${modalId}" class="modal-overlay hidden">
+                    <div class="modal-box">
+                        <div class="modal-header"><h3>جدول الملاعب</h3><button class="close-btn" id="btn-close-cal">&times;</button></div>
+                        <div class="form-group"><label>الملاعب المتاحة</label><div id="cal-venues" style="display:flex; flex-direction:column; gap:6px;"></div></div>
+                        <div class="form-group"><label>تاريخ البداية</label><input type="date" id="inp-cal-start" required></div>
+                        <div class="form-group"><label>أيام اللعب</label>
+                            <div id="cal-days" style="display:flex; flex-wrap:wrap; gap:6px;">
+                                ${days.map((d, i) => `<label style="font-size:0.75rem;"><input type="checkbox" value="${i}"> ${d}</label>`).join('')}
+                            </div>
+                        </div>
+                        <div class="form-group"><label>مواعيد الحجز (مفصولة بفاصلة)</label><input type="text" id="inp-cal-times" placeholder="21:00, 22:30"></div>
+                        <div class="form-group">
+                            <label style="font-size:0.8rem;"><input type="checkbox" id="inp-cal-prayer"> تجنب أوقات المغرب والعشاء (الإفطار والتراويح في رمضان)</label>
+                            <div id="cal-prayer-info" class="prayer-info"></div>
+                            <button type="button" id="btn-suggest-times" class="btn-action-secondary"><i class="fa-solid fa-moon"></i> اقترح مواعيد حسب الصلاة</button>
+                        </div>
+                        <div class="form-group"><label>مدة الحجز (دقيقة)</label><input type="number" id="inp-cal-minutes" min="30" value="90"></div>
+                        <div class="form-group"><label>أقل راحة بين مباراتين (ساعة)</label><input type="number" id="inp-cal-rest" min="0" value="20"></div>
+                        <div class="form-group"><label>فترات محجوبة (سطر لكل فترة: من > إلى)</label>
+                            <textarea id="inp-cal-blackouts" rows="3" placeholder="2026-03-10 18:00 > 2026-03-10 19:30"></textarea>
+                        </div>
+                        <button id="btn-save-cal" class="btn-primary">حفظ الجدول</button>
+                    </div>
+                </div>`);
+            document.getElementById('btn-close-cal').onclick = () => document.getElementById(modalId).classList.add('hidden');
+        }
+
+        const cal = config?.calendar || {};
+        const modal = document.getElementById(modalId);
+        modal.classList.remove('hidden');
+
+        document.getElementById('inp-cal-start').value = cal.start_date || new Date().toISOString().slice(0, 10);
+        document.querySelectorAll('#cal-days input').forEach(cb => { cb.checked = (cal.weekdays || [4, 5]).includes(parseInt(cb.value)); });
+        document.getElementById('inp-cal-times').value = (cal.slot_times || []).join(', ');
+        document.getElementById('inp-cal-minutes').value = cal.slot_minutes || 90;
+        document.getElementById('inp-cal-rest').value = cal.min_rest_hours ?? 20;
+        document.getElementById('inp-cal-prayer').checked = !!cal.prayer_zone;
+
+        // Prayer times of the first day + suggested kick-offs
+        const zoneId = state.getUser().zoneId;
+        const startOf = () => new Date(`${document.getElementById('inp-cal-start').value || new Date().toISOString().slice(0, 10)}T12:00`);
+        const showPrayers = () => {
+            const day = startOf();
+            const t = PrayerTimes.forZone(day, zoneId);
+            document.getElementById('cal-prayer-info').innerHTML = `
+                ${Helpers.formatHijri(day)} · المغرب ${PrayerTimes.formatTime(t.maghrib)} · العشاء ${PrayerTimes.formatTime(t.isha)} · الفجر ${PrayerTimes.formatTime(t.fajr)}`;
+        };
+        showPrayers();
+        document.getElementById('inp-cal-start').onchange = showPrayers;
+        document.getElementById('btn-suggest-times').onclick = () => {
+            const minutes = parseInt(document.getElementById('inp-cal-minutes').value) || 90;
+            const times = PrayerTimes.suggestSlotTimes(startOf(), zoneId, minutes);
+            document.getElementById('inp-cal-times').value = times.join(', ');
+            document.getElementById('inp-cal-prayer').checked = true;
+        };
+        document.getElementById('inp-cal-blackouts').value = (cal.blackouts || [])
+            .map(b => `${this._toLocalDateTime(b.from, ' ')} > ${this._toLocalDateTime(b.to, ' ')}`).join('\n');
+
+        const venuesBox = document.getElementById('cal-venues');
+        venuesBox.innerHTML = '<div class="loader-bar"></div>';
+        let venues = [];
+        try {
+            venues = await this.service.getVenues(state.getUser().zoneId);
+            const chosen = (cal.venues || []).map(v => v.id);
+            venuesBox.innerHTML = venues.length
+                ? venues.map(v => `<label style="font-size:0.8rem;"><input type="checkbox" value="${v.id}" ${chosen.includes(v.id) ? 'checked' : ''}> ${v.name}</label>`).join('')
+                : '<p class="text-muted">لا توجد ملاعب مسجلة في منطقتك.</p>';
+        } catch (e) { venuesBox.innerHTML = `<p class="error-text">${e.message}</p>`; }
+
+        document.getElementById('btn-save-cal').onclick = async () => {
+            const picked = Array.from(venuesBox.querySelectorAll('input:checked')).map(cb => parseInt(cb.value));
+            const blackouts = document.getElementById('inp-cal-blackouts').value.split('\n')
+                .map(line => line.split('>').map(x => x.trim()))
+                .filter(parts => parts.length === 2 && parts[0] && parts[1])
+                .map(([from, to]) => ({ from: new Date(from.replace(' ', 'T')).toISOString(), to: new Date(to.replace(' ', 'T')).toISOString() }));
+
+            const calendar = {
+                start_date: document.getElementById('inp-cal-start').value,
+                weekdays: Array.from(document.querySelectorAll('#cal-days input:checked')).map(cb => parseInt(cb.value)),
+                slot_times: document.getElementById('inp-cal-times').value.split(',').map(t => t.trim()).filter(t => /^\d{1,2}:\d{2}$/.test(t)).map(t => t.padStart(5, '0')),
+                slot_minutes: parseInt(document.getElementById('inp-cal-minutes').value) || 90,
+                min_rest_hours: parseInt(document.getElementById('inp-cal-rest').value) || 0,
+                venues: venues.filter(v => picked.includes(v.id)).map(v => ({ id: v.id, name: v.name })),
+                blackouts,
+                prayer_zone: document.getElementById('inp-cal-prayer').checked ? zoneId : null
+            };
+
+            try {
+                await this.service.saveCalendar(tournamentId, calendar);
+                SoundManager.play('success');
+                modal.classList.add('hidden');
+                this.openTournamentDetails(tournamentId);
+            } catch (e) { alert(e.message); }
+        };
     }
 
-    renderFixtures(matches, isOrganizer) {
-        if (!matches || matches.length === 0) return '<div class="empty-state"><p>لا توجد مباريات.</p></div>';
-        const rounds = {};
-        matches.forEach(m => {
-            const r = m.match_data.round || m.stage || 'UNCLASSIFIED'; 
-            if(!rounds[r]) rounds[r] = [];
-            rounds[r].push(m);
-        });
+    /* --- POTS & DRAW CEREMONY --- */
 
-        let html = '<div class="fixtures-container">';
-        Object.keys(rounds).forEach(r => {
-            let title = '';
-            if (r === 'QUARTER') title = 'ربع النهائي';
-            else if (r === 'SEMI') title = 'نصف النهائي';
-            else if (r === 'FINAL') title = 'النهائي';
-            else if (r === 'UNCLASSIFIED') title = 'مباريات أخرى';
-            else title = `الجولة ${r}`;
+    openPotsModal(tournamentId, participants, config) {
+        const modalId = 'modal-pots';
+        if (!document.getElementById(modalId)) {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="${modalId}" class="modal-overlay hidden">
+                    <div class="modal-box">
+                        <div class="modal-header"><h3>أوعية القرعة</h3><button class="close-btn" id="btn-close-pots">&times;</button></div>
+                        <p style="font-size:0.75rem; color:#aaa;">فريق واحد فقط من كل وعاء في كل مجموعة.</p>
+                        <div style="display:flex; gap:8px; margin-bottom:10px;">
+                            <button class="btn-action-secondary" id="btn-pots-rating"><i class="fa-solid fa-star"></i> حسب التقييم</button>
+                            <button class="btn-action-secondary" id="btn-pots-elo"><i class="fa-solid fa-ranking-star"></i> حسب تصنيف الفرق</button>
+                            <button class="btn-action-secondary" id="btn-pots-history"><i class="fa-solid fa-trophy"></i> حسب النتائج السابقة</button>
+                        </div>
+                        <div id="pots-body"></div>
+                        <button id="btn-save-pots" class="btn-primary">حفظ التصنيف</button>
+                    </div>
+                </div>`);
+            document.getElementById('btn-close-pots').onclick = () => document.getElementById(modalId).classList.add('hidden');
+        }
 
-            html += `<h4 class="round-title">${title}</h4>`;
-            rounds[r].forEach(m => {
-                const isFinished = m.status === 'CONFIRMED' || m.status === 'FINISHED';
-                html += `
-                    <div class="fixture-card">
-                        <div class="fix-team"><span>${m.team_a.name}</span></div>
-                        <div class="fix-score ${isFinished ? 'final' : ''}">${isFinished ? `${m.score_a} - ${m.score_b}` : 'VS'}</div>
-                        <div class="fix-team"><span>${m.team_b.name}</span></div>
-                        ${(isOrganizer && !isFinished) ? `<button class="btn-referee" data-id="${m.id}" data-ta="${m.team_a.name}" data-tb="${m.team_b.name}"><i class="fa-solid fa-pen"></i></button>` : ''}
-                        <div class="fix-meta group-pill">${m.match_data.group || m.stage || '-'}</div>
+        const groupsCount = config?.groups_count || 4;
+        const potsCount = Math.ceil(participants.length / groupsCount);
+
+        const fill = (pots) => {
+            document.getElementById('pots-body').innerHTML = participants.map(p => {
+                const current = pots.findIndex(pot => pot.includes(p.team_id)) + 1;
+                return `
+                    <div class="form-group" style="display:flex; justify-content:space-between; align-items:center;">
+                        <label>${p.teams.name}</label>
+                        <select class="pot-select" data-team="${p.team_id}" style="width:110px;">
+                            <option value="0">بدون</option>
+                            ${Array.from({ length: potsCount }, (_, i) => `<option value="${i + 1}" ${current === i + 1 ? 'selected' : ''}>الوعاء ${i + 1}</option>`).join('')}
+                        </select>
                     </div>`;
+            }).join('');
+        };
+        fill(config?.pots || []);
+
+        const suggest = async (source) => {
+            try { fill(await this.service.suggestPots(tournamentId, source)); SoundManager.play('click'); }
+            catch (e) { alert(e.message); }
+        };
+        document.getElementById('btn-pots-rating').onclick = () => suggest('RATING');
+        document.getElementById('btn-pots-elo').onclick = () => suggest('ELO');
+        document.getElementById('btn-pots-history').onclick = () => suggest('HISTORY');
+
+        document.getElementById('btn-save-pots').onclick = async () => {
+            const pots = Array.from({ length: potsCount }, () => []);
+            document.querySelectorAll('#pots-body .pot-select').forEach(sel => {
+                const pot = parseInt(sel.value);
+                if (pot > 0) pots[pot - 1].push(sel.dataset.team);
             });
-        });
-        html += '</div>';
-        return html;
+            try {
+                await this.service.savePots(tournamentId, pots);
+                SoundManager.play('success');
+                document.getElementById(modalId).classList.add('hidden');
+                this.openTournamentDetails(tournamentId);
+            } catch (e) { alert(e.message); }
+        };
+        document.getElementById(modalId).classList.remove('hidden');
     }
 
-    renderBracket(matches, isOrganizer) {
-        const qf = matches.filter(m => m.stage === 'QUARTER');
-        const sf = matches.filter(m => m.stage === 'SEMI');
-        const final = matches.filter(m => m.stage === 'FINAL');
-        
-        if (qf.length === 0) return '<div class="empty-state"><p>لم تبدأ التصفيات.</p></div>';
+    /**
+     * Animated reveal of the recorded draw (ball by ball).
+     * The replay is verified against the seed, so anyone can check fairness.
+     */
+    playDrawReveal(info, participants) {
+        const record = info.config?.draw;
+        if (!record) return;
 
-        let html = '<div class="bracket-container">';
-        html += this._renderRoundBlock('ربع النهائي (دور الـ 8)', qf, isOrganizer);
-        if (sf.length > 0) html += this._renderRoundBlock('نصف النهائي', sf, isOrganizer);
-        if (final.length > 0) html += this._renderRoundBlock('النهائي', final, isOrganizer, true);
-        html += '</div>';
-        return html;
+        const modalId = 'modal-draw-reveal';
+        if (!document.getElementById(modalId)) {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="${modalId}" class="modal-overlay hidden">
+                    <div class="modal-box">
+                        <div class="modal-header"><h3>مراسم القرعة</h3><button class="close-btn" id="btn-close-draw">&times;</button></div>
+                        <div id="draw-current" class="draw-current"></div>
+                        <div id="draw-groups" class="draw-groups"></div>
+                        <div id="draw-seed" class="draw-seed"></div>
+                    </div>
+                </div>`);
+            document.getElementById('btn-close-draw').onclick = () => {
+                clearTimeout(this.drawTimer);
+                document.getElementById(modalId).classList.add('hidden');
+            };
+        }
+
+        const nameOf = (teamId) => participants.find(p => p.team_id === teamId)?.teams?.name || '???';
+        const labels = [...new Set(record.sequence.map(s => s.group))].sort();
+        const verified = DrawEngine.verify(record, participants.map(p => p.team_id));
+
+        document.getElementById('draw-groups').innerHTML = labels.map(l => `
+            <div class="draw-group"><h5>المجموعة ${l}</h5><ul id="draw-group-${l}"></ul></div>`).join('');
+        document.getElementById('draw-seed').innerHTML = `
+            رقم القرعة (Seed): <strong>${record.seed}</strong>
+            ${verified ? '<span style="color:var(--success);"><i class="fa-solid fa-circle-check"></i> تم التحقق</span>' : '<span style="color:var(--danger);"><i class="fa-solid fa-triangle-exclamation"></i> غير مطابق</span>'}`;
+
+        const current = document.getElementById('draw-current');
+        current.textContent = '...';
+        document.getElementById(modalId).classList.remove('hidden');
+
+        clearTimeout(this.drawTimer);
+        let i = 0;
+        const next = () => {
+            if (i >= record.sequence.length) {
+                current.textContent = 'اكتملت القرعة';
+                SoundManager.play('success');
+                return;
+            }
+            const ball = record.sequence[i++];
+            current.innerHTML = `${ball.pot ? `<small>الوعاء ${ball.pot}</small> ` : ''}${nameOf(ball.team_id)} <i class="fa-solid fa-arrow-left"></i> ${ball.group}`;
+            document.getElementById(`draw-group-${ball.group}`).insertAdjacentHTML('beforeend', `<li class="fade-in">${nameOf(ball.team_id)}</li>`);
+            SoundManager.play('click');
+            this.drawTimer = setTimeout(next, 900);
+        };
+        this.drawTimer = setTimeout(next, 600);
     }
 
-    _renderRoundBlock(title, matches, isOrganizer, isFinal = false) {
-        return `
-            <div class="round-block" style="margin-bottom:20px;">
-                <h4 class="round-title" style="${isFinal ? 'color:var(--gold-main);' : ''}">${isFinal ? '🏆 ' : ''}${title}</h4>
-                <div class="bracket-round">
-                    ${matches.map(m => {
-                        const isFinished = m.status === 'CONFIRMED' || m.status === 'FINISHED';
-                        return `
-                        <div class="bracket-match" style="${isFinished ? 'opacity:0.8;' : ''}">
-                            <div class="b-team"><span>${m.team_a?.name || '???'}</span><span class="b-score">${isFinished ? m.score_a : '-'}</span></div>
-                            <div class="b-team"><span>${m.team_b?.name || '???'}</span><span class="b-score">${isFinished ? m.score_b : '-'}</span></div>
-                            ${(isOrganizer && !isFinished) ? `<button class="btn-referee-mini" data-id="${m.id}" data-ta="${m.team_a?.name}" data-tb="${m.team_b?.name}"><i class="fa-solid fa-pen"></i></button>` : ''}
-                        </div>`;
-                    }).join('')}
-                </div>
-            </div>`;
+    async handleCashPayment(tournamentId, teamId) {
+        if(!confirm("تأكيد استلام الاشتراك نقداً؟")) return;
+        try {
+            await this.service.finance.markCashPaid(tournamentId, teamId, state.getUser().id);
+            SoundManager.play('success');
+            this.openTournamentDetails(tournamentId);
+        } catch (e) { alert(e.message); }
     }
 
-    /* --- HANDLERS --- */
-    
-    async handleJoin(tournamentId) {
-        if(!confirm("تسجيل الفريق؟")) return;
-        try { await this.service.joinTournament(tournamentId, state.getUser().id); SoundManager.play('success'); this.openTournamentDetails(tournamentId); }
-        catch (e) { alert(e.message); }
+    async handleWalletPayment(tournamentId, teamId, fee) {
+        if(!confirm(`خصم ${Helpers.formatCurrency(fee)} من محفظتك؟`)) return;
+        try {
+            const balance = await this.service.finance.payFromWallet(tournamentId, teamId, state.getUser().id);
+            SoundManager.play('success');
+            alert(`تم الدفع. رصيدك الحالي: ${Helpers.formatCurrency(balance)}`);
+            this.openTournamentDetails(tournamentId);
+        } catch (e) { alert(e.message); }
     }
 
-    async handleStartDraw(tournamentId) {
-        if(!confirm("بدء القرعة؟")) return;
-        try { await this.service.startTournament(tournamentId); SoundManager.play('whistle'); alert("تمت الجدولة!"); this.openTournamentDetails(tournamentId); }
-        catch (e) { alert(e.message); }
+    async handleDrawLots(tournamentId, groupName, teamIds) {
+        if(!confirm("إجراء قرعة علنية بين الفرق المتساوية؟")) return;
+        try {
+            await this.service.drawLots(tournamentId, groupName, teamIds);
+            SoundManager.play('success');
+            this.openTournamentDetails(tournamentId);
+        } catch (e) { alert(e.message); }
     }
 
     async handleStartKnockout(tournamentId) {
@@ -733,13 +3347,17 @@ export class TournamentController {
     }
 
     /* --- REFEREE MODAL --- */
-    openRefereeModal(matchId, teamA, teamB, tournamentId) {
+    /**
+     * @param {Object|null} [existing] - Confirmed match row: opens the modal in
+     *                                   "edit result" mode (prefilled + reason).
+     */
+    openRefereeModal(matchId, teamA, teamB, tournamentId, stage = 'GROUP', existing = null) {
         const modalId = 'modal-referee';
         if (!document.getElementById(modalId)) {
             document.body.insertAdjacentHTML('beforeend', `
                 <div id="${modalId}" class="modal-overlay hidden">
                     <div class="modal-box match-console">
-                        <div class="modal-header"><h3>تحكيم</h3><button class="close-btn" id="btn-close-ref">&times;</button></div>
+                        <div class="modal-header"><h3 id="ref-modal-title">تحكيم</h3><button class="close-btn" id="btn-close-ref">&times;</button></div>
                         <div style="text-align:center; margin-bottom:20px;">
                             <div style="display:flex; justify-content:space-between; align-items:center; margin-top:10px;">
                                 <div style="flex:1;"><strong id="ref-team-a"></strong></div>
@@ -750,6 +3368,30 @@ export class TournamentController {
                                 <input type="number" id="ref-score-a" class="score-inp" value="0">
                                 <input type="number" id="ref-score-b" class="score-inp" value="0">
                             </div>
+                            <div style="margin-top:15px; font-size:0.8rem; color:#aaa;">البطاقات (صفراء / حمراء)</div>
+                            <div style="display:flex; gap:10px; margin-top:5px;">
+                                <input type="number" id="ref-yc-a" class="score-inp" min="0" value="0" title="صفراء">
+                                <input type="number" id="ref-rc-a" class="score-inp" min="0" value="0" title="حمراء">
+                                <input type="number" id="ref-yc-b" class="score-inp" min="0" value="0" title="صفراء">
+                                <input type="number" id="ref-rc-b" class="score-inp" min="0" value="0" title="حمراء">
+                            </div>
+                            <div id="ref-knockout-box" class="hidden" style="margin-top:15px;">
+                                <label style="display:flex; align-items:center; justify-content:center; gap:8px;">
+                                    <input type="checkbox" id="ref-extra-time"> أشواط إضافية
+                                </label>
+                                <div style="margin-top:10px; font-size:0.8rem; color:#aaa;">ركلات الترجيح (عند التعادل)</div>
+                                <div style="display:flex; gap:10px; margin-top:5px;">
+                                    <input type="number" id="ref-pen-a" class="score-inp" min="0" placeholder="-">
+                                    <input type="number" id="ref-pen-b" class="score-inp" min="0" placeholder="-">
+                                </div>
+                            </div>
+                            <div id="ref-lineup-check" class="ref-lineup-check"></div>
+                            <div style="margin-top:15px; font-size:0.8rem; color:#aaa;">أحداث اللاعبين (أهداف / بطاقات)</div>
+                            <div id="ref-events-list" class="ref-events"></div>
+                            <button type="button" id="btn-add-event" class="btn-action-secondary" style="margin-top:6px;"><i class="fa-solid fa-plus"></i> حدث</button>
+                            <div id="ref-edit-box" class="hidden" style="margin-top:15px;">
+                                <input type="text" id="ref-edit-reason" placeholder="سبب التعديل (إلزامي)" maxlength="120">
+                            </div>
                         </div>
                         <button id="btn-confirm-score" class="btn-primary">اعتماد</button>
                     </div>
@@ -759,12 +3401,48 @@ export class TournamentController {
 
         document.getElementById('ref-team-a').textContent = teamA;
         document.getElementById('ref-team-b').textContent = teamB;
-        document.getElementById('ref-score-a').value = 0;
-        document.getElementById('ref-score-b').value = 0;
+        // Prefill from the stored result when correcting, otherwise start clean
+        const md = existing?.match_data || {};
+        document.getElementById('ref-modal-title').textContent = existing ? 'تعديل النتيجة' : 'تحكيم';
+        document.getElementById('ref-score-a').value = existing ? existing.score_a : 0;
+        document.getElementById('ref-score-b').value = existing ? existing.score_b : 0;
+        document.getElementById('ref-yc-a').value = md.cards?.a?.yellow || 0;
+        document.getElementById('ref-rc-a').value = md.cards?.a?.red || 0;
+        document.getElementById('ref-yc-b').value = md.cards?.b?.yellow || 0;
+        document.getElementById('ref-rc-b').value = md.cards?.b?.red || 0;
+        document.getElementById('ref-edit-box').classList.toggle('hidden', !existing);
+        document.getElementById('ref-edit-reason').value = '';
+
+        // Extra time / penalties only make sense in knockout rounds
+        const isKnockoutStage = ELIMINATION_STAGES.includes(stage);
+        document.getElementById('ref-knockout-box').classList.toggle('hidden', !isKnockoutStage);
+        document.getElementById('ref-extra-time').checked = !!md.extra_time;
+        document.getElementById('ref-pen-a').value = md.penalties ? md.penalties.a : '';
+        document.getElementById('ref-pen-b').value = md.penalties ? md.penalties.b : '';
 
         const modal = document.getElementById(modalId);
         modal.classList.remove('hidden');
 
+        // Player events: rosters load after the modal opens
+        const eventsList = document.getElementById('ref-events-list');
+        eventsList.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i>';
+        let sheet = null;
+        const addBtn = document.getElementById('btn-add-event');
+        addBtn.onclick = () => { if (sheet) eventsList.insertAdjacentHTML('beforeend', this._renderEventRow(sheet, teamA, teamB)); };
+        const lineupCheck = document.getElementById('ref-lineup-check');
+        lineupCheck.innerHTML = '';
+        this.service.stats.getMatchSheet(matchId).then(s => {
+            sheet = s;
+            eventsList.innerHTML = s.events.map(e => this._renderEventRow(s, teamA, teamB, e)).join('');
+            lineupCheck.innerHTML = this._renderLineupCheck(s, teamA, teamB);
+        }).catch(() => { eventsList.innerHTML = ''; });
+        eventsList.onchange = (e) => {
+            const row = e.target.closest('.ref-event-row');
+            if (row && e.target.classList.contains('ev-team')) row.outerHTML = this._renderEventRow(sheet, teamA, teamB, { team_id: e.target.value, event_type: row.querySelector('.ev-type').value });
+            else if (row && e.target.classList.contains('ev-type')) row.querySelector('.ev-assist').classList.toggle('hidden', e.target.value !== 'GOAL');
+        };
+        eventsList.onclick = (e) => { if (e.target.closest('.ev-remove')) e.target.closest('.ref-event-row').remove(); };
+
         // Clean replacement of the button to prevent event stacking
         const oldBtn = document.getElementById('btn-confirm-score');
         const newBtn = oldBtn.cloneNode(true);
@@ -773,12 +3451,38 @@ export class TournamentController {
         newBtn.onclick = async () => {
             const sa = parseInt(document.getElementById('ref-score-a').value);
             const sb = parseInt(document.getElementById('ref-score-b').value);
+            const readInt = (id) => parseInt(document.getElementById(id).value) || 0;
+            const extras = isKnockoutStage ? {
+                extraTime: document.getElementById('ref-extra-time').checked,
+                penA: parseInt(document.getElementById('ref-pen-a').value),
+                penB: parseInt(document.getElementById('ref-pen-b').value)
+            } : {};
+            extras.cards = {
+                a: { yellow: readInt('ref-yc-a'), red: readInt('ref-rc-a') },
+                b: { yellow: readInt('ref-yc-b'), red: readInt('ref-rc-b') }
+            };
+            // Only sent once the sheet loaded, so a failed load never wipes stored events
+            if (sheet) {
+                extras.events = Array.from(eventsList.querySelectorAll('.ref-event-row')).map(row => ({
+                    team_id: row.querySelector('.ev-team').value,
+                    event_type: row.querySelector('.ev-type').value,
+                    player_id: row.querySelector('.ev-player').value,
+                    assist_id: row.querySelector('.ev-assist').value || null
+                }));
+            }
+            
+            const reason = document.getElementById('ref-edit-reason').value;
+            if (existing && !reason.trim()) { alert("يجب كتابة سبب التعديل."); return; }
             
-            if(!confirm("تأكيد النتيجة؟")) return;
+            if(!confirm(existing ? "تعديل النتيجة وإعادة حساب الترتيب؟" : "تأكيد النتيجة؟")) return;
 
             newBtn.disabled = true; newBtn.textContent = "جاري الحساب...";
             try {
-                await this.service.submitMatchResult(matchId, sa, sb);
+                if (existing) {
+                    await this.service.editMatchResult(matchId, sa, sb, { editorId: state.getUser().id, reason, extras });
+                } else {
+                    await this.service.submitMatchResult(matchId, sa, sb, extras, state.getUser().id);
+                }
                 SoundManager.play('whistle');
                 modal.classList.add('hidden');
                 // The Fix: Pass ID directly to ensure correct refresh context
@@ -792,6 +3496,47 @@ export class TournamentController {
         };
     }
 
+    /**
+     * Lineup vs registered squad summary for both sides of the referee console.
+     */
+    _renderLineupCheck(sheet, teamA, teamB) {
+        const side = (name, lineup, outsiders) => {
+            if (lineup.length === 0) return `<div>${name}: لم تُسجل التشكيلة</div>`;
+            return outsiders.length > 0
+                ? `<div class="lineup-warn"><i class="fa-solid fa-triangle-exclamation"></i> ${name}: خارج القائمة المسجلة: ${outsiders.join('، ')}</div>`
+                : `<div class="lineup-ok"><i class="fa-solid fa-check"></i> ${name}: ${lineup.length} لاعبين من القائمة</div>`;
+        };
+        return side(teamA, sheet.lineups.a, sheet.outsiders.a) + side(teamB, sheet.lineups.b, sheet.outsiders.b);
+    }
+
+    /**
+     * One editable player event line of the referee console.
+     * @param {Object} sheet - TournamentStatsService.getMatchSheet() result.
+     * @param {Object} [event] - Stored match_events row (or partial) to prefill.
+     */
+    _renderEventRow(sheet, teamA, teamB, event = {}) {
+        const teamId = event.team_id || sheet.match.team_a_id;
+        const roster = teamId === sheet.match.team_b_id ? sheet.rosters.b : sheet.rosters.a;
+        const type = event.event_type || 'GOAL';
+        const options = (selected) => roster.map(p => `<option value="${p.userId}" ${p.userId === selected ? 'selected' : ''}>${p.name}</option>`).join('');
+
+        return `
+            <div class="ref-event-row">
+                <select class="ev-team">
+                    <option value="${sheet.match.team_a_id}" ${teamId === sheet.match.team_a_id ? 'selected' : ''}>${teamA}</option>
+                    <option value="${sheet.match.team_b_id}" ${teamId === sheet.match.team_b_id ? 'selected' : ''}>${teamB}</option>
+                </select>
+                <select class="ev-type">
+                    <option value="GOAL" ${type === 'GOAL' ? 'selected' : ''}>⚽ هدف</option>
+                    <option value="YELLOW" ${type === 'YELLOW' ? 'selected' : ''}>🟨 صفراء</option>
+                    <option value="RED" ${type === 'RED' ? 'selected' : ''}>🟥 حمراء</option>
+                </select>
+                <select class="ev-player">${options(event.player_id)}</select>
+                <select class="ev-assist ${type !== 'GOAL' ? 'hidden' : ''}"><option value="">بدون صناعة</option>${options(event.assist_id)}</select>
+                <button type="button" class="ev-remove"><i class="fa-solid fa-xmark"></i></button>
+            </div>`;
+    }
+
     openCreateModal() {
         const modalId = 'modal-create-tourn';
         if (!document.getElementById(modalId)) {
@@ -801,22 +3546,98 @@ export class TournamentController {
                         <div class="modal-header"><h3>دورة جديدة</h3><button class="close-btn" id="btn-close-tm">&times;</button></div>
                         <form id="form-create-tourn">
                             <div class="form-group"><label>الاسم</label><input type="text" id="inp-t-name" required></div>
-                            <div class="form-group"><label>النظام</label><select id="inp-t-type"><option value="GROUPS">مجموعات</option></select></div>
-                            <div class="form-group"><label>عدد الفرق</label><select id="inp-t-count"><option value="8">8</option><option value="16" selected>16</option></select></div>
+                            <div class="form-group"><label>النظام</label><select id="inp-t-type"><option value="GROUPS">مجموعات</option><option value="LEAGUE">دوري (ذهاب وإياب)</option><option value="CUP">كأس (بدون مجموعات)</option></select></div>
+                            <div class="form-group" id="grp-t-ko"><label>نظام الأدوار الإقصائية</label><select id="inp-t-ko"><option value="SINGLE_ELIM">خروج المغلوب</option><option value="DOUBLE_ELIM">إقصاء مزدوج (طرف خاسرين)</option><option value="SWISS">النظام السويسري</option></select></div>
+                            <div class="form-group" id="grp-t-qual"><label>المتأهلون من كل مجموعة</label><select id="inp-t-qual"><option value="1">1</option><option value="2" selected>2</option><option value="3">3</option><option value="4">4</option></select></div>
+                            <div class="form-group" id="grp-t-thirds"><label>أفضل أصحاب المركز التالي (0 = لا أحد)</label><input type="number" id="inp-t-thirds" min="0" max="16" value="0"></div>
+                            <div class="form-group"><label>مباراة المركز الثالث</label><select id="inp-t-third"><option value="0">لا</option><option value="1">نعم</option></select></div>
+                            <div class="form-group"><label>عدد الفرق</label><input type="number" id="inp-t-count" min="4" max="32" value="16" required></div>
+                            <div class="form-group"><label>قبول الفرق</label><select id="inp-t-approval"><option value="1">بموافقة المنظم</option><option value="0">تلقائي حتى اكتمال العدد</option></select></div>
+                            <div class="form-group"><label>رسوم الاشتراك (0 = مجاني)</label><input type="number" id="inp-t-fee" min="0" value="0"></div>
+                            <div class="form-group"><label>توزيع الجوائز</label><select id="inp-t-split"><option value="70,30">70% / 30%</option><option value="60,30,10">60% / 30% / 10%</option><option value="100">الفائز يحصد الكل</option></select></div>
+                            <div class="form-group" id="grp-t-groups"><label>عدد المجموعات</label><select id="inp-t-groups"><option value="1">1</option><option value="2">2</option><option value="3">3</option><option value="4" selected>4</option><option value="5">5</option><option value="6">6</option><option value="8">8</option></select></div>
+                            <div class="form-group"><label>كسر التعادل</label><select id="inp-t-tb"><option value="H2H">المواجهات المباشرة أولاً</option><option value="GD">فارق الأهداف أولاً</option></select></div>
+                            <div class="form-group"><label>نظام الدوري</label><select id="inp-t-rr"><option value="SINGLE">دور واحد</option><option value="DOUBLE">ذهاب وإياب</option></select></div>
+                            <details class="rulebook-panel">
+                                <summary><i class="fa-solid fa-book"></i> لائحة البطولة</summary>
+                                <div class="form-group"><label>النقاط (فوز / تعادل / خسارة)</label>
+                                    <div class="rule-inline">
+                                        <input type="number" id="inp-r-win" value="3"><input type="number" id="inp-r-draw" value="1"><input type="number" id="inp-r-loss" value="0">
+                                    </div>
+                                </div>
+                                <div class="form-group"><label>مدة المباراة (دقيقة)</label><input type="number" id="inp-r-minutes" min="10" max="120" value="50"></div>
+                                <div class="form-group"><label>التشكيلة (أدنى / أقصى)</label>
+                                    <div class="rule-inline"><input type="number" id="inp-r-min" min="1" value="5"><input type="number" id="inp-r-max" min="1" value="12"></div>
+                                </div>
+                                <div class="form-group"><label>آخر موعد للتسجيل (اختياري)</label><input type="datetime-local" id="inp-r-deadline"></div>
+                                <div class="form-group"><label>أقصى عدد لاعبين من أندية محترفة (فارغ = بلا حد)</label><input type="number" id="inp-r-pro" min="0"></div>
+                                <div class="form-group"><label>اللاعب يمثل فريقاً واحداً</label><select id="inp-r-one"><option value="1">نعم</option><option value="0">لا</option></select></div>
+                                <div class="form-group"><label>تبديلات القائمة بعد القرعة</label><input type="number" id="inp-r-swaps" min="0" max="10" value="2"></div>
+                            </details>
                             <button type="submit" class="btn-primary">إنشاء</button>
                         </form>
                     </div>
                 </div>`);
             document.getElementById('btn-close-tm').onclick = () => document.getElementById(modalId).classList.add('hidden');
             document.getElementById('form-create-tourn').onsubmit = (e) => this.handleCreateSubmit(e, modalId);
+            document.getElementById('inp-t-type').onchange = (e) => {
+                const isLeague = e.target.value === 'LEAGUE';
+                const hasGroups = !isLeague && e.target.value !== 'CUP';
+                ['grp-t-groups', 'grp-t-qual', 'grp-t-thirds'].forEach(id => { document.getElementById(id).style.display = hasGroups ? '' : 'none'; });
+                document.getElementById('grp-t-ko').style.display = isLeague ? 'none' : '';
+                document.getElementById('inp-t-rr').value = isLeague ? 'DOUBLE' : 'SINGLE';
+            };
         }
         document.getElementById(modalId).classList.remove('hidden');
     }
 
+    /**
+     * Reads the rulebook section of the create form into config.rules.
+     */
+    _readRulesForm() {
+        const num = (id) => {
+            const v = document.getElementById(id).value;
+            return v === '' ? null : parseInt(v);
+        };
+        const deadline = document.getElementById('inp-r-deadline').value;
+        return {
+            points: { win: num('inp-r-win') ?? 3, draw: num('inp-r-draw') ?? 1, loss: num('inp-r-loss') ?? 0 },
+            match_minutes: num('inp-r-minutes'),
+            squad_min: num('inp-r-min'),
+            squad_max: num('inp-r-max'),
+            registration_deadline: deadline ? new Date(deadline).toISOString() : null,
+            max_pro_players: num('inp-r-pro'),
+            one_team_per_player: document.getElementById('inp-r-one').value === '1',
+            max_replacements: num('inp-r-swaps') ?? 2
+        };
+    }
+
     async handleCreateSubmit(e, modalId) {
         e.preventDefault();
         const btn = e.target.querySelector('button'); btn.disabled = true;
-        const formData = { name: document.getElementById('inp-t-name').value, type: document.getElementById('inp-t-type').value, teamsCount: parseInt(document.getElementById('inp-t-count').value) };
+        const formData = {
+            name: document.getElementById('inp-t-name').value,
+            type: document.getElementById('inp-t-type').value,
+            teamsCount: parseInt(document.getElementById('inp-t-count').value),
+            entryFee: parseInt(document.getElementById('inp-t-fee').value) || 0,
+            requiresApproval: document.getElementById('inp-t-approval').value === '1',
+            payoutSplit: document.getElementById('inp-t-split').value.split(',').map(Number),
+            groupsCount: parseInt(document.getElementById('inp-t-groups').value),
+            roundRobin: document.getElementById('inp-t-rr').value,
+            knockoutFormat: document.getElementById('inp-t-ko').value,
+            perGroup: parseInt(document.getElementById('inp-t-qual').value),
+            bestThirds: parseInt(document.getElementById('inp-t-thirds').value) || 0,
+            thirdPlace: document.getElementById('inp-t-third').value === '1',
+            rules: this._readRulesForm(),
+            tiebreakers: document.getElementById('inp-t-tb').value === 'GD'
+                ? ['GOAL_DIFF', 'GOALS_FOR', 'H2H_POINTS', 'H2H_GOAL_DIFF', 'FAIR_PLAY', 'LOTS']
+                : ['H2H_POINTS', 'H2H_GOAL_DIFF', 'GOAL_DIFF', 'GOALS_FOR', 'FAIR_PLAY', 'LOTS']
+        };
+        if (formData.type === 'LEAGUE' || formData.type === 'CUP') formData.groupsCount = 1;
+        if (formData.rules.squad_min > formData.rules.squad_max) { alert("الحد الأدنى للتشكيلة أكبر من الحد الأقصى."); btn.disabled = false; return; }
+        if (formData.teamsCount < formData.groupsCount * 2) { alert("كل مجموعة تحتاج فريقين على الأقل."); btn.disabled = false; return; }
+        if (formData.type === 'GROUPS' && formData.groupsCount * formData.perGroup + formData.bestThirds > 32) { alert("الحد الأقصى 32 متأهلاً للأدوار الإقصائية."); btn.disabled = false; return; }
+        if (formData.type === 'GROUPS' && formData.bestThirds >= formData.groupsCount && formData.bestThirds > 0) { alert("عدد أفضل أصحاب المركز التالي يجب أن يكون أقل من عدد المجموعات."); btn.disabled = false; return; }
         try { await this.service.createTournament(state.getUser().id, formData); SoundManager.play('success'); document.getElementById(modalId).classList.add('hidden'); this.loadTournamentsList(); } 
         catch (err) { alert(err.message); } finally { btn.disabled = false; }
     }
@@ -110,7 +110,7 @@ export class AuthService {
         // Fetch Visual DNA from Cards table
         const { data: cardData } = await supabase
             .from('cards')
-            .select('visual_dna')
+            .select('visual_dna, stats')
             .eq('owner_id', uuid)
             .eq('type', 'GENESIS')
             .maybeSingle();
@@ -125,6 +125,8 @@ export class AuthService {
         // Construct User Model
         const userObj = new User(userData);
         userObj.visualDna = visualDna; // Inject Visuals
+        userObj.awards = cardData?.stats?.awards || []; // Tournament trophies
+        userObj.stats = cardData?.stats || {}; // rating, last_delta, matches, goals (RatingService)
         
         return userObj;
     }
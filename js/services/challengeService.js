@@ -0,0 +1,314 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/services/challengeService.js
+ * Version: 1.0.0 (CHALLENGES & SCHEDULING)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * Arranges a friendly before it is played. A captain challenges an opponent
+ * with a kick-off, a venue and a format; the captains take turns until one
+ * side accepts, then a SCHEDULED match is created for both rosters. Its result
+ * is filled in later (MatchService.submitScheduledResult) and verified as usual.
+ *
+ * TABLE 'match_challenges':
+ * challenger_team_id, opponent_team_id, created_by, proposed_at, venue_id,
+ * format (5 | 7), note, status, turn_team_id (team that must answer),
+ * history [{ team_id, action, proposed_at, venue_id, format, at }], match_id.
+ *
+ * LIFECYCLE:
+ * PENDING -> (COUNTERED <-> COUNTERED) -> ACCEPTED (match SCHEDULED)
+ *                                      -> DECLINED | CANCELLED
+ * -----------------------------------------------------------------------------
+ */
+
+import { supabase } from '../core/supabaseClient.js';
+import { TeamService } from './teamService.js';
+
+export const CHALLENGE_STATUS = {
+    PENDING: 'PENDING',
+    COUNTERED: 'COUNTERED',
+    ACCEPTED: 'ACCEPTED',
+    DECLINED: 'DECLINED',
+    CANCELLED: 'CANCELLED'
+};
+export const MATCH_FORMATS = [5, 7];
+
+const OPEN = [CHALLENGE_STATUS.PENDING, CHALLENGE_STATUS.COUNTERED];
+const BUFFER_HOURS = 2; // Same rest window as MatchService.validateMatchConstraints
+const RECENT_DAYS = 14;
+
+export class ChallengeService {
+
+    constructor() {
+        this.teamService = new TeamService();
+    }
+
+    /**
+     * Sends a challenge to another team.
+     *
+     * @param {string} userId - Challenging captain.
+     * @param {Object} proposal - { opponentId, playAt (ISO), venueId, format, note }
+     * @returns {Promise<Object>} The challenge row.
+     */
+    async sendChallenge(userId, { opponentId, playAt, venueId, format, note = '' }) {
+        const myTeam = await this._captainTeam(userId);
+        if (!opponentId || opponentId === myTeam.id) throw new Error("اختر فريقاً منافساً.");
+        this._validateProposal({ playAt, venueId, format });
+
+        const { data: open } = await supabase.from('match_challenges').select('id')
+            .in('status', OPEN)
+            .or(`and(challenger_team_id.eq.${myTeam.id},opponent_team_id.eq.${opponentId}),and(challenger_team_id.eq.${opponentId},opponent_team_id.eq.${myTeam.id})`)
+            .limit(1);
+        if (open && open.length > 0) throw new Error("يوجد تحدٍ مفتوح بالفعل مع هذا الفريق.");
+
+        const now = new Date().toISOString();
+        const { data, error } = await supabase.from('match_challenges').insert([{
+            challenger_team_id: myTeam.id,
+            opponent_team_id: opponentId,
+            created_by: userId,
+            proposed_at: playAt,
+            venue_id: venueId,
+            format,
+            note: note.trim(),
+            status: CHALLENGE_STATUS.PENDING,
+            turn_team_id: opponentId,
+            history: [{ team_id: myTeam.id, action: 'PROPOSE', proposed_at: playAt, venue_id: venueId, format, at: now }],
+            created_at: now
+        }]).select().single();
+
+        if (error) {
+            console.error("Challenge Insert Error:", error);
+            throw new Error("فشل إرسال التحدي.");
+        }
+
+        await this._notifyCaptains(opponentId, '⚔️ تحدٍ جديد', `${myTeam.name} يتحدى فريقك: ${this._describe(data)}`);
+        return data;
+    }
+
+    /**
+     * Open challenges of a team plus the ones decided recently.
+     *
+     * @param {string} teamId
+     * @returns {Promise<Array>} rows + challenger(name), opponent(name), venue(name).
+     */
+    async getChallenges(teamId) {
+        const since = new Date();
+        since.setDate(since.getDate() - RECENT_DAYS);
+
+        const { data, error } = await supabase.from('match_challenges')
+            .select(`
+                *,
+                challenger:teams!challenger_team_id (name),
+                opponent:teams!opponent_team_id (name),
+                venue:venues (name)
+            `)
+            .or(`challenger_team_id.eq.${teamId},opponent_team_id.eq.${teamId}`)
+            .gte('created_at', since.toISOString())
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error("Challenges Fetch Error:", error);
+            throw new Error("فشل تحميل التحديات.");
+        }
+        return data || [];
+    }
+
+    /**
+     * Answers a challenge whose turn is on the captain's team.
+     *
+     * @param {string} challengeId
+     * @param {string} userId - Answering captain.
+     * @param {string} action - 'ACCEPT' | 'DECLINE' | 'COUNTER'
+     * @param {Object} [counter] - { playAt, venueId, format, note } for COUNTER.
+     * @returns {Promise<Object>} Updated challenge (+ match_id when accepted).
+     */
+    async respond(challengeId, userId, action, counter = {}) {
+        const myTeam = await this._captainTeam(userId);
+        const challenge = await this._getChallenge(challengeId);
+
+        if (!OPEN.includes(challenge.status)) throw new Error("تم إغلاق هذا التحدي.");
+        if (challenge.turn_team_id !== myTeam.id) throw new Error("بانتظار رد الفريق الآخر.");
+
+        const otherTeam = challenge.challenger_team_id === myTeam.id ? challenge.opponent_team_id : challenge.challenger_team_id;
+        const now = new Date().toISOString();
+        const history = [...(challenge.history || [])];
+        let update, notice;
+
+        if (action === 'DECLINE') {
+            history.push({ team_id: myTeam.id, action, at: now });
+            update = { status: CHALLENGE_STATUS.DECLINED, turn_team_id: null, history };
+            notice = ['⚔️ تحدٍ مرفوض', `${myTeam.name} اعتذر عن التحدي.`];
+
+        } else if (action === 'COUNTER') {
+            const proposal = { ...counter, note: counter.note ?? challenge.note };
+            this._validateProposal(proposal);
+            history.push({ team_id: myTeam.id, action, proposed_at: proposal.playAt, venue_id: proposal.venueId, format: proposal.format, at: now });
+            update = {
+                status: CHALLENGE_STATUS.COUNTERED,
+                proposed_at: proposal.playAt,
+                venue_id: proposal.venueId,
+                format: proposal.format,
+                note: (proposal.note || '').trim(),
+                turn_team_id: otherTeam,
+                history
+            };
+            notice = ['⚔️ موعد بديل', `${myTeam.name} يقترح: ${this._describe({ ...challenge, ...update })}`];
+
+        } else if (action === 'ACCEPT') {
+            if (new Date(challenge.proposed_at) <= new Date()) throw new Error("موعد المباراة مضى. اقترح موعداً جديداً.");
+            await this._assertSlotFree([challenge.challenger_team_id, challenge.opponent_team_id], challenge.proposed_at);
+
+            history.push({ team_id: myTeam.id, action, at: now });
+            update = { status: CHALLENGE_STATUS.ACCEPTED, turn_team_id: null, history };
+            notice = ['✅ تم الاتفاق', `المباراة مع ${myTeam.name} مجدولة: ${this._describe(challenge)}`];
+
+        } else {
+            throw new Error("إجراء غير معروف.");
+        }
+
+        // Saved first and only while still open on my turn: a concurrent answer loses here
+        const { data, error } = await supabase.from('match_challenges')
+            .update({ ...update, updated_at: now })
+            .eq('id', challengeId)
+            .in('status', OPEN)
+            .eq('turn_team_id', myTeam.id)
+            .select().maybeSingle();
+        if (error) throw error;
+        if (!data) throw new Error("تم إغلاق هذا التحدي.");
+
+        if (action === 'ACCEPT') {
+            let match;
+            try {
+                match = await this._createScheduledMatch(challenge);
+            } catch (e) {
+                // Reopen the challenge so the captain can accept again
+                await supabase.from('match_challenges')
+                    .update({ status: challenge.status, turn_team_id: challenge.turn_team_id, history: challenge.history, updated_at: challenge.updated_at })
+                    .eq('id', challengeId);
+                throw e;
+            }
+            const { error: linkErr } = await supabase.from('match_challenges').update({ match_id: match.id }).eq('id', challengeId);
+            if (linkErr) console.error("Challenge Link Error:", linkErr);
+            data.match_id = match.id;
+        }
+
+        await this._notifyCaptains(otherTeam, ...notice);
+        return data;
+    }
+
+    /**
+     * Withdraws an open challenge, or calls off an agreed match before kick-off.
+     *
+     * @param {string} challengeId
+     * @param {string} userId - Captain of either team.
+     */
+    async cancelChallenge(challengeId, userId) {
+        const myTeam = await this._captainTeam(userId);
+        const challenge = await this._getChallenge(challengeId);
+
+        if (![challenge.challenger_team_id, challenge.opponent_team_id].includes(myTeam.id)) throw new Error("صلاحيات غير كافية.");
+        if (!OPEN.includes(challenge.status) && challenge.status !== CHALLENGE_STATUS.ACCEPTED) throw new Error("تم إغلاق هذا التحدي.");
+
+        if (challenge.status === CHALLENGE_STATUS.ACCEPTED && challenge.match_id) {
+            const { data: match } = await supabase.from('matches').select('status, played_at').eq('id', challenge.match_id).single();
+            if (match && match.status !== 'SCHEDULED') throw new Error("تم تسجيل نتيجة هذه المباراة بالفعل.");
+            if (match && new Date(match.played_at) <= new Date()) throw new Error("لا يمكن الإلغاء بعد موعد الانطلاق.");
+            await supabase.from('matches').update({ status: 'CANCELLED' }).eq('id', challenge.match_id);
+        }
+
+        const now = new Date().toISOString();
+        const { error } = await supabase.from('match_challenges').update({
+            status: CHALLENGE_STATUS.CANCELLED,
+            turn_team_id: null,
+            history: [...(challenge.history || []), { team_id: myTeam.id, action: 'CANCEL', at: now }],
+            updated_at: now
+        }).eq('id', challengeId);
+        if (error) throw error;
+
+        const otherTeam = challenge.challenger_team_id === myTeam.id ? challenge.opponent_team_id : challenge.challenger_team_id;
+        await this._notifyCaptains(otherTeam, '⚔️ إلغاء', `${myTeam.name} ألغى ${challenge.status === CHALLENGE_STATUS.ACCEPTED ? 'المباراة المجدولة' : 'التحدي'}.`);
+        return true;
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    async _captainTeam(userId) {
+        const myTeam = await this.teamService.getMyTeam(userId);
+        if (!myTeam || myTeam.my_role !== 'CAPTAIN') throw new Error("الكابتن فقط يمكنه ترتيب المباريات.");
+        return myTeam;
+    }
+
+    async _getChallenge(challengeId) {
+        const { data } = await supabase.from('match_challenges').select('*').eq('id', challengeId).single();
+        if (!data) throw new Error("التحدي غير موجود.");
+        return data;
+    }
+
+    _validateProposal({ playAt, venueId, format }) {
+        if (!playAt || isNaN(new Date(playAt).getTime())) throw new Error("حدد موعد المباراة.");
+        if (new Date(playAt) <= new Date()) throw new Error("الموعد يجب أن يكون في المستقبل.");
+        if (!venueId) throw new Error("اختر الملعب.");
+        if (!MATCH_FORMATS.includes(format)) throw new Error("نظام المباراة: خماسي أو سباعي.");
+    }
+
+    /**
+     * Neither team may have another fixture within BUFFER_HOURS of the kick-off.
+     */
+    async _assertSlotFree(teamIds, playAt) {
+        const kickoff = new Date(playAt).getTime();
+        const from = new Date(kickoff - BUFFER_HOURS * 3600000).toISOString();
+        const to = new Date(kickoff + BUFFER_HOURS * 3600000).toISOString();
+
+        const { data: clash } = await supabase.from('matches').select('id')
+            .or(teamIds.map(id => `team_a_id.eq.${id},team_b_id.eq.${id}`).join(','))
+            .neq('status', 'CANCELLED')
+            .gte('played_at', from).lte('played_at', to)
+            .limit(1);
+        if (clash && clash.length > 0) throw new Error(`أحد الفريقين لديه مباراة أخرى في نفس التوقيت (فاصل ${BUFFER_HOURS} ساعات).`);
+    }
+
+    async _createScheduledMatch(challenge) {
+        const { data, error } = await supabase.from('matches').insert([{
+            season_id: 1,
+            team_a_id: challenge.challenger_team_id,
+            team_b_id: challenge.opponent_team_id,
+            venue_id: challenge.venue_id,
+            score_a: 0,
+            score_b: 0,
+            creator_id: challenge.created_by,
+            status: 'SCHEDULED',
+            match_data: { format: challenge.format, challenge_id: challenge.id },
+            played_at: challenge.proposed_at
+        }]).select().single();
+
+        if (error) {
+            console.error("Scheduled Match Error:", error);
+            throw new Error("فشل جدولة المباراة.");
+        }
+        return data;
+    }
+
+    _describe(challenge) {
+        const when = new Date(challenge.proposed_at);
+        return `${challenge.format === 7 ? 'سباعي' : 'خماسي'} - ${when.toLocaleDateString('ar-EG')} ${when.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit' })}`;
+    }
+
+    async _notifyCaptains(teamId, title, message) {
+        try {
+            const { data: captains } = await supabase.from('team_members').select('user_id').eq('team_id', teamId).eq('role', 'CAPTAIN');
+            const notifs = (captains || []).map(c => ({
+                user_id: c.user_id,
+                type: 'MATCH_CHALLENGE',
+                title,
+                message,
+                is_read: false,
+                created_at: new Date().toISOString()
+            }));
+            if (notifs.length > 0) await supabase.from('notifications').insert(notifs);
+        } catch (e) { console.warn("Notif Error", e); }
+    }
+}
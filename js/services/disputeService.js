@@ -0,0 +1,488 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/services/disputeService.js
+ * Version: 1.0.0 (MATCH DISPUTES)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * Replaces the dead-end "reject" of a submitted result with a dispute.
+ * The rejecting captain files their own version (score + scorers), both sides
+ * may attach evidence, and the dispute ends either by agreement or by the
+ * ruling of a neutral official. The match stays DISPUTED until then.
+ *
+ * TABLE 'match_disputes':
+ * match_id, team_a_id, team_b_id, opened_by, opened_by_team_id, status,
+ * claims { [teamId]: { score_a, score_b, scorers: { [teamId]: [userId] }, note, by, at } },
+ * evidence [{ team_id, by, url, note, at }], moderator_id,
+ * resolution { score_a, score_b, winner_team_id, outcome, note, by, at }.
+ *
+ * LIFECYCLE:
+ * OPEN      - Counter-claim filed; the submitting team may accept it.
+ * ESCALATED - Either captain escalates; a zone moderator (users.role MODERATOR)
+ *             or a neutral referee (took WANTED_REF missions in the zone and
+ *             plays for neither team) is assigned.
+ * AGREED    - The submitting team accepted the counter-claim.
+ * RESOLVED  - The official ruled (one claim, a custom score, or void).
+ * AGREED / RESOLVED write the final score and scorers and confirm the match
+ * (player ratings and team Elo follow); a void ruling sets it REJECTED.
+ *
+ * SCORERS:
+ * claims.scorers lists, per team, the players credited with its goals. An
+ * OWN_GOAL event is credited to the opponent. Recorded goals that survive the
+ * final score keep their event (minute, penalty, assist, own goal).
+ * -----------------------------------------------------------------------------
+ */
+
+import { supabase } from '../core/supabaseClient.js';
+import { NewsEngine } from '../utils/newsEngine.js';
+import { RatingService } from './ratingService.js';
+
+export const DISPUTE_STATUS = {
+    OPEN: 'OPEN',
+    ESCALATED: 'ESCALATED',
+    AGREED: 'AGREED',
+    RESOLVED: 'RESOLVED'
+};
+export const RULING_OUTCOMES = ['CLAIM', 'CUSTOM', 'VOID'];
+
+const MODERATOR_ROLE = 'MODERATOR';
+const ACTIVE = [DISPUTE_STATUS.OPEN, DISPUTE_STATUS.ESCALATED];
+const MAX_EVIDENCE = 10;
+
+export class DisputeService {
+
+    /**
+     * Rejects a submitted result by filing the captain's own version.
+     *
+     * @param {string} matchId - PENDING_VERIFICATION match.
+     * @param {string} userId - Captain of either team.
+     * @param {Object} claim - { scoreA, scoreB, scorers: { [teamId]: [userId] }, note }
+     * @returns {Promise<Object>} The dispute row.
+     */
+    async openDispute(matchId, userId, { scoreA, scoreB, scorers = {}, note = '' }) {
+        const match = await this.getMatch(matchId);
+        if (match.status !== 'PENDING_VERIFICATION') throw new Error("لا يمكن الاعتراض إلا على نتيجة بانتظار التوثيق.");
+
+        const submitterId = match.submitted_by || match.creator_id;
+        if (submitterId === userId) throw new Error("لا يمكنك الاعتراض على نتيجة سجلتها بنفسك.");
+
+        // Only the verifying side may dispute: never the team that submitted the result
+        const myTeamId = await this._captainTeamIn(match, userId);
+        const submitterTeamId = await this._memberTeamIn(match, submitterId) || match.team_a_id;
+        if (myTeamId === submitterTeamId) throw new Error("فريقك هو من سجل النتيجة. الاعتراض للفريق الآخر فقط.");
+        if (match.verifier_id && match.verifier_id !== userId) throw new Error("الاعتراض لكابتن الفريق المطلوب منه التوثيق فقط.");
+        this._validateScore(scoreA, scoreB, scorers, match);
+        if (scoreA === match.score_a && scoreB === match.score_b && !note.trim()) {
+            throw new Error("نسختك مطابقة للنتيجة المسجلة. اكتب سبب الاعتراض.");
+        }
+
+        const otherTeamId = myTeamId === match.team_a_id ? match.team_b_id : match.team_a_id;
+        const now = new Date().toISOString();
+        const claims = {
+            [otherTeamId]: { score_a: match.score_a, score_b: match.score_b, scorers: await this._recordedScorers(match), note: '', by: submitterId || null, at: match.played_at },
+            [myTeamId]: { score_a: scoreA, score_b: scoreB, scorers, note: note.trim(), by: userId, at: now }
+        };
+
+        const { data, error } = await supabase.from('match_disputes').insert([{
+            match_id: matchId,
+            team_a_id: match.team_a_id,
+            team_b_id: match.team_b_id,
+            opened_by: userId,
+            opened_by_team_id: myTeamId,
+            status: DISPUTE_STATUS.OPEN,
+            claims,
+            evidence: [],
+            created_at: now,
+            updated_at: now
+        }]).select().single();
+
+        if (error) {
+            console.error("Dispute Insert Error:", error);
+            throw new Error("فشل فتح النزاع.");
+        }
+
+        await supabase.from('match_verifications').insert([{ match_id: matchId, verifier_id: userId, action: 'REJECT' }]);
+        await supabase.from('matches').update({ status: 'DISPUTED' }).eq('id', matchId);
+        await this._notifyCaptains([otherTeamId], '⚖️ اعتراض على نتيجة', `تم الاعتراض على نتيجة مباراتكم. النسخة المقابلة: ${scoreA} - ${scoreB}`);
+        return data;
+    }
+
+    /**
+     * Disputes of a team, newest first (+ match names).
+     *
+     * @param {string} teamId
+     * @returns {Promise<Array>}
+     */
+    async getTeamDisputes(teamId) {
+        const { data, error } = await supabase.from('match_disputes')
+            .select(`*, match:matches (played_at, team_a:teams!team_a_id (name), team_b:teams!team_b_id (name))`)
+            .or(`team_a_id.eq.${teamId},team_b_id.eq.${teamId}`)
+            .order('created_at', { ascending: false })
+            .limit(30);
+
+        if (error) {
+            console.error("Disputes Fetch Error:", error);
+            throw new Error("فشل تحميل النزاعات.");
+        }
+        return this._withNames(data || []);
+    }
+
+    /**
+     * Escalated disputes waiting for the official's ruling.
+     *
+     * @param {string} userId - Assigned moderator / referee.
+     */
+    async getAssigned(userId) {
+        const { data } = await supabase.from('match_disputes')
+            .select(`*, match:matches (played_at, team_a:teams!team_a_id (name), team_b:teams!team_b_id (name))`)
+            .eq('moderator_id', userId)
+            .eq('status', DISPUTE_STATUS.ESCALATED)
+            .order('updated_at', { ascending: true });
+        return this._withNames(data || []);
+    }
+
+    /**
+     * Attaches a link (photo / video / referee sheet) and a statement.
+     *
+     * @param {string} disputeId
+     * @param {string} userId - Captain of either team.
+     * @param {Object} item - { url, note }
+     */
+    async addEvidence(disputeId, userId, { url = '', note = '' }) {
+        const dispute = await this._getDispute(disputeId);
+        if (!ACTIVE.includes(dispute.status)) throw new Error("تم إغلاق هذا النزاع.");
+        const teamId = await this._captainTeamIn(dispute, userId);
+
+        const link = this._safeUrl(url.trim());
+        if (link === null) throw new Error("الرابط غير صالح.");
+        if (!link && !note.trim()) throw new Error("أضف رابطاً أو وصفاً للدليل.");
+        if ((dispute.evidence || []).length >= MAX_EVIDENCE) throw new Error(`الحد الأقصى ${MAX_EVIDENCE} أدلة لكل نزاع.`);
+
+        const evidence = [...(dispute.evidence || []), { team_id: teamId, by: userId, url: link, note: note.trim(), at: new Date().toISOString() }];
+        const { error } = await supabase.from('match_disputes')
+            .update({ evidence, updated_at: new Date().toISOString() })
+            .eq('id', disputeId);
+        if (error) throw error;
+        return evidence;
+    }
+
+    /**
+     * The submitting team accepts the counter-claim: the record is corrected
+     * and confirmed without an official.
+     */
+    async acceptClaim(disputeId, userId) {
+        const dispute = await this._getDispute(disputeId);
+        if (dispute.status !== DISPUTE_STATUS.OPEN) throw new Error("لا يمكن قبول النسخة المقابلة في هذه المرحلة.");
+        const teamId = await this._captainTeamIn(dispute, userId);
+        if (teamId === dispute.opened_by_team_id) throw new Error("بانتظار رد الفريق الآخر.");
+
+        const claim = dispute.claims[dispute.opened_by_team_id];
+        await this._finalize(dispute, { score_a: claim.score_a, score_b: claim.score_b, scorers: claim.scorers });
+        await this._close(dispute, DISPUTE_STATUS.AGREED, {
+            score_a: claim.score_a, score_b: claim.score_b, winner_team_id: dispute.opened_by_team_id, outcome: 'AGREED', note: '', by: userId
+        });
+        await this._notifyCaptains([dispute.opened_by_team_id], '⚖️ تم الاتفاق', `تم اعتماد نسختكم: ${claim.score_a} - ${claim.score_b}`);
+        return true;
+    }
+
+    /**
+     * Hands the dispute to a neutral official.
+     * @returns {Promise<Object>} { id, username } of the assigned official.
+     */
+    async escalate(disputeId, userId) {
+        const dispute = await this._getDispute(disputeId);
+        if (dispute.status !== DISPUTE_STATUS.OPEN) throw new Error("تم تصعيد هذا النزاع بالفعل أو إغلاقه.");
+        await this._captainTeamIn(dispute, userId);
+
+        const official = await this._pickOfficial(dispute);
+        if (!official) throw new Error("لا يوجد حكم محايد أو مشرف متاح في المنطقة حالياً.");
+
+        const { error } = await supabase.from('match_disputes').update({
+            status: DISPUTE_STATUS.ESCALATED,
+            moderator_id: official.id,
+            updated_at: new Date().toISOString()
+        }).eq('id', disputeId);
+        if (error) throw error;
+
+        await this._notify([official.id], '⚖️ نزاع بانتظار حكمك', 'تم تعيينك للفصل في نتيجة مباراة. راجع الأدلة وأصدر القرار.');
+        await this._notifyCaptains([dispute.team_a_id, dispute.team_b_id], '⚖️ تصعيد النزاع', `تم تحويل النزاع إلى ${official.username} للفصل فيه.`);
+        return official;
+    }
+
+    /**
+     * Final ruling of the assigned official.
+     *
+     * @param {string} disputeId
+     * @param {string} userId - The assigned official.
+     * @param {Object} ruling - { outcome: 'CLAIM'|'CUSTOM'|'VOID', teamId (CLAIM), scoreA, scoreB (CUSTOM), note }
+     */
+    async rule(disputeId, userId, { outcome, teamId = null, scoreA, scoreB, note = '' }) {
+        const dispute = await this._getDispute(disputeId);
+        if (dispute.status !== DISPUTE_STATUS.ESCALATED) throw new Error("النزاع ليس بانتظار قرار.");
+        if (dispute.moderator_id !== userId) throw new Error("القرار للحكم المعيّن فقط.");
+        if (!RULING_OUTCOMES.includes(outcome)) throw new Error("اختر نوع القرار.");
+        if (!note.trim()) throw new Error("اكتب حيثيات القرار.");
+
+        const base = { outcome, note: note.trim(), by: userId };
+        let final = null;
+
+        if (outcome === 'CLAIM') {
+            const claim = dispute.claims?.[teamId];
+            if (!claim) throw new Error("اختر إحدى النسختين.");
+            final = { score_a: claim.score_a, score_b: claim.score_b, scorers: claim.scorers };
+            base.winner_team_id = teamId;
+        } else if (outcome === 'CUSTOM') {
+            this._validateScore(scoreA, scoreB);
+            // Scorers of the recorded claim, trimmed to the ruled score
+            const recorded = Object.entries(dispute.claims || {}).find(([tid]) => tid !== dispute.opened_by_team_id)?.[1];
+            final = { score_a: scoreA, score_b: scoreB, scorers: recorded?.scorers || {} };
+            base.winner_team_id = null;
+        }
+
+        if (final) {
+            await this._finalize(dispute, final);
+        } else {
+            await supabase.from('matches').update({ status: 'REJECTED' }).eq('id', dispute.match_id);
+        }
+
+        await this._close(dispute, DISPUTE_STATUS.RESOLVED, { ...base, score_a: final?.score_a ?? null, score_b: final?.score_b ?? null });
+        await this._notifyCaptains([dispute.team_a_id, dispute.team_b_id], '⚖️ قرار نهائي',
+            final ? `النتيجة المعتمدة: ${final.score_a} - ${final.score_b}` : 'تم إلغاء المباراة من السجلات.');
+        return true;
+    }
+
+    /**
+     * A team's dispute record (shown to captains in Scout and the Arena).
+     *
+     * @param {string} teamId
+     * @returns {Promise<Object>} { total, opened, upheld, overturned, agreed, voided, pending }
+     */
+    async getTeamRecord(teamId) {
+        const { data } = await supabase.from('match_disputes')
+            .select('status, opened_by_team_id, resolution')
+            .or(`team_a_id.eq.${teamId},team_b_id.eq.${teamId}`);
+        return DisputeService.summarize(data || [], teamId);
+    }
+
+    /**
+     * Pure tally of dispute rows from one team's point of view.
+     * upheld: its version prevailed; overturned: the other version prevailed.
+     */
+    static summarize(rows, teamId) {
+        const record = { total: rows.length, opened: 0, upheld: 0, overturned: 0, agreed: 0, voided: 0, pending: 0 };
+        rows.forEach(d => {
+            if (d.opened_by_team_id === teamId) record.opened++;
+            if (ACTIVE.includes(d.status)) { record.pending++; return; }
+            if (d.status === DISPUTE_STATUS.AGREED) record.agreed++;
+            if (d.resolution?.outcome === 'VOID') { record.voided++; return; }
+            const winner = d.resolution?.winner_team_id;
+            if (winner === teamId) record.upheld++;
+            else if (winner) record.overturned++;
+        });
+        return record;
+    }
+
+    /**
+     * Match being disputed (+ team names and zone), for the dispute form.
+     * @param {string} matchId
+     */
+    async getMatch(matchId) {
+        const { data } = await supabase.from('matches')
+            .select('*, team_a:teams!team_a_id (name, zone_id), team_b:teams!team_b_id (name)')
+            .eq('id', matchId).single();
+        if (!data) throw new Error("المباراة غير موجودة.");
+        return data;
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    async _getDispute(disputeId) {
+        const { data } = await supabase.from('match_disputes').select('*').eq('id', disputeId).single();
+        if (!data) throw new Error("النزاع غير موجود.");
+        return data;
+    }
+
+    /**
+     * @returns {Promise<string|null>} The team (A or B) the user plays for.
+     */
+    async _memberTeamIn(match, userId) {
+        if (!userId) return null;
+        const { data } = await supabase.from('team_members').select('team_id')
+            .eq('user_id', userId)
+            .in('team_id', [match.team_a_id, match.team_b_id])
+            .limit(1).maybeSingle();
+        return data?.team_id || null;
+    }
+
+    /**
+     * Normalised http(s) link, '' when empty, null when invalid.
+     */
+    _safeUrl(raw) {
+        if (!raw) return '';
+        try {
+            const url = new URL(raw);
+            return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<string>} The team (A or B) the user captains.
+     */
+    async _captainTeamIn(row, userId) {
+        const { data } = await supabase.from('team_members').select('team_id')
+            .eq('user_id', userId).eq('role', 'CAPTAIN')
+            .in('team_id', [row.team_a_id, row.team_b_id])
+            .maybeSingle();
+        if (!data) throw new Error("هذا الإجراء لكابتن أحد الفريقين فقط.");
+        return data.team_id;
+    }
+
+    _validateScore(scoreA, scoreB, scorers = {}, match = null) {
+        if (!Number.isInteger(scoreA) || !Number.isInteger(scoreB) || scoreA < 0 || scoreB < 0) throw new Error("النتيجة غير صالحة.");
+        if (match) {
+            if ((scorers[match.team_a_id] || []).length > scoreA || (scorers[match.team_b_id] || []).length > scoreB) {
+                throw new Error("عدد الهدافين أكبر من النتيجة.");
+            }
+        }
+    }
+
+    /**
+     * Goals recorded with the submission, grouped by the team they count for.
+     */
+    async _recordedScorers(match) {
+        const scorers = {};
+        (await this._goalEvents(match)).forEach(e => {
+            scorers[e.credit] = [...(scorers[e.credit] || []), e.player_id];
+        });
+        return scorers;
+    }
+
+    /**
+     * GOAL and OWN_GOAL rows of the match, each with `credit` (the team the goal
+     * counts for). Arena events carry no team_id: the scorer's lineup decides.
+     *
+     * @param {Object} match - { id, team_a_id, team_b_id }
+     */
+    async _goalEvents(match) {
+        const [eventsRes, lineupsRes] = await Promise.all([
+            supabase.from('match_events').select('*').eq('match_id', match.id).in('event_type', ['GOAL', 'OWN_GOAL']),
+            supabase.from('match_lineups').select('player_id, team_id').eq('match_id', match.id)
+        ]);
+        return (eventsRes.data || []).map(e => {
+            const teamId = e.team_id || (lineupsRes.data || []).find(l => l.player_id === e.player_id)?.team_id;
+            if (!teamId) return null;
+            const opponent = teamId === match.team_a_id ? match.team_b_id : match.team_a_id;
+            return { ...e, credit: e.event_type === 'OWN_GOAL' ? opponent : teamId };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Writes the final score and scorers, confirms the match and rates it.
+     */
+    async _finalize(dispute, { score_a, score_b, scorers = {} }) {
+        const { data: match } = await supabase.from('matches')
+            .select('id, match_data, team_a:teams!team_a_id (name), team_b:teams!team_b_id (name)')
+            .eq('id', dispute.match_id).single();
+
+        // Goals: never more scorers than the final score of each team.
+        // A recorded goal of the same player for the same team keeps its event.
+        const recorded = await this._goalEvents({ id: dispute.match_id, team_a_id: dispute.team_a_id, team_b_id: dispute.team_b_id });
+        const goals = [[dispute.team_a_id, score_a], [dispute.team_b_id, score_b]].flatMap(([teamId, score]) =>
+            (scorers[teamId] || []).slice(0, score).map(playerId => {
+                const i = recorded.findIndex(e => e.credit === teamId && e.player_id === playerId);
+                if (i === -1) return { match_id: dispute.match_id, team_id: teamId, player_id: playerId, event_type: 'GOAL' };
+                const { id, credit, ...event } = recorded.splice(i, 1)[0];
+                return event;
+            }));
+        await supabase.from('match_events').delete().eq('match_id', dispute.match_id).in('event_type', ['GOAL', 'OWN_GOAL']);
+        if (goals.length > 0) await supabase.from('match_events').insert(goals);
+
+        const news = NewsEngine.generateReport(match?.team_a?.name || 'الفريق الأول', match?.team_b?.name || 'الفريق الثاني', score_a, score_b);
+        const { error } = await supabase.from('matches').update({
+            score_a,
+            score_b,
+            status: 'CONFIRMED',
+            match_data: { ...(match?.match_data || {}), headline: news.headline, body: news.body, mood: news.mood, disputed: true }
+        }).eq('id', dispute.match_id);
+        if (error) throw error;
+
+        await RatingService.applyConfirmed(dispute.match_id);
+    }
+
+    /**
+     * Adds `names` { userId: username } covering the scorers of every claim.
+     */
+    async _withNames(rows) {
+        const ids = new Set();
+        rows.forEach(d => Object.values(d.claims || {}).forEach(c =>
+            Object.values(c.scorers || {}).forEach(list => list.forEach(id => ids.add(id)))));
+        if (ids.size === 0) return rows.map(d => ({ ...d, names: {} }));
+
+        const { data: users } = await supabase.from('users').select('id, username').in('id', [...ids]);
+        const names = {};
+        (users || []).forEach(u => { names[u.id] = u.username; });
+        return rows.map(d => ({ ...d, names }));
+    }
+
+    async _close(dispute, status, resolution) {
+        const now = new Date().toISOString();
+        const { error } = await supabase.from('match_disputes')
+            .update({ status, resolution: { ...resolution, at: now }, updated_at: now })
+            .eq('id', dispute.id);
+        if (error) throw error;
+    }
+
+    /**
+     * Zone moderator first; otherwise the neutral referee with the most
+     * accepted referee missions in the zone.
+     */
+    async _pickOfficial(dispute) {
+        const { data: teamA } = await supabase.from('teams').select('zone_id').eq('id', dispute.team_a_id).single();
+        const zoneId = teamA?.zone_id;
+
+        const { data: members } = await supabase.from('team_members').select('user_id').in('team_id', [dispute.team_a_id, dispute.team_b_id]);
+        const involved = new Set((members || []).map(m => m.user_id));
+
+        const { data: moderators } = await supabase.from('users').select('id, username')
+            .eq('role', MODERATOR_ROLE).eq('current_zone_id', zoneId);
+        const moderator = (moderators || []).find(u => !involved.has(u.id));
+        if (moderator) return moderator;
+
+        const { data: missions } = await supabase.from('match_requests')
+            .select('responder_id, responder:users!responder_id (username)')
+            .eq('type', 'WANTED_REF').eq('status', 'LOCKED').eq('zone_id', zoneId);
+
+        const tally = {};
+        (missions || []).filter(r => r.responder_id && !involved.has(r.responder_id)).forEach(r => {
+            tally[r.responder_id] = tally[r.responder_id] || { id: r.responder_id, username: r.responder?.username || 'حكم', missions: 0 };
+            tally[r.responder_id].missions++;
+        });
+        const referee = Object.values(tally).sort((x, y) => y.missions - x.missions)[0];
+        return referee ? { id: referee.id, username: referee.username } : null;
+    }
+
+    async _notifyCaptains(teamIds, title, message) {
+        const { data: captains } = await supabase.from('team_members').select('user_id').in('team_id', teamIds).eq('role', 'CAPTAIN');
+        await this._notify((captains || []).map(c => c.user_id), title, message);
+    }
+
+    async _notify(userIds, title, message) {
+        try {
+            const notifs = userIds.filter(Boolean).map(userId => ({
+                user_id: userId,
+                type: 'MATCH_DISPUTE',
+                title,
+                message,
+                is_read: false,
+                created_at: new Date().toISOString()
+            }));
+            if (notifs.length > 0) await supabase.from('notifications').insert(notifs);
+        } catch (e) { console.warn("Notif Error", e); }
+    }
+}
@@ -16,6 +16,7 @@
  * 3. Feed Aggregation: Fetching active, open requests filtered by Zone.
  * 4. Transactional Locking: Securely accepting a request and locking it.
  * 5. [NEW] Notification Trigger: Automatically alerts the requester upon acceptance.
+ * 6. Referee Pool: Users who took my WANTED_REF missions (tournament delegation).
  * -----------------------------------------------------------------------------
  */
 
@@ -212,6 +213,34 @@ export class EmergencyService {
         return data;
     }
     
+    /**
+     * [ACTION 6] MY REFEREE POOL
+     * Distinct users who accepted (LOCKED) my WANTED_REF missions.
+     * Used by organizers to delegate tournament scoring.
+     *
+     * @param {string} requesterId - UUID of the organizer.
+     * @returns {Promise<Array>} [{ id, username }]
+     */
+    async getAcceptedReferees(requesterId) {
+        const { data, error } = await supabase
+            .from('match_requests')
+            .select('responder_id, responder:users!responder_id(username)')
+            .eq('requester_id', requesterId)
+            .eq('type', 'WANTED_REF')
+            .eq('status', 'LOCKED');
+
+        if (error) {
+            console.error("Referee Pool Error:", error);
+            return [];
+        }
+
+        const pool = {};
+        (data || []).forEach(r => {
+            if (r.responder_id) pool[r.responder_id] = { id: r.responder_id, username: r.responder?.username || 'حكم' };
+        });
+        return Object.values(pool);
+    }
+
     /**
      * Internal Helper: Sends a system notification to the requester.
      * Fire-and-forget (we don't await this to keep UI responsive).
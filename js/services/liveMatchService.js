@@ -0,0 +1,182 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/services/liveMatchService.js
+ * Version: 1.0.0 (LIVE MATCH CENTRE)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * Minute-by-minute state of a tournament fixture while it is being played.
+ * The whole state lives in matches.match_data.live, so every write is a
+ * regular 'matches' UPDATE that spectators receive through Supabase Realtime
+ * (RealtimeService.subscribeToTournament).
+ *
+ * LIVE SHAPE:
+ * {
+ *   phase: 'FIRST_HALF' | 'HALF_TIME' | 'SECOND_HALF' | 'FULL_TIME',
+ *   half_minutes: 25,               // rules.match_minutes / 2
+ *   period_started_at: ISO,         // Clock anchor of the running half
+ *   score: { a: 0, b: 0 },
+ *   events: [{ minute, type: GOAL|YELLOW|RED|SUB, team_id, player_id,
+ *              player_name, assist_id, in_id, in_name }]
+ * }
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Clock: Kick-off, half time, second half, full time (derived minute).
+ * 2. Event Log: Goals, cards and substitutions stamped with the minute.
+ * 3. Result: Turns the log into the referee console payload
+ *    (scores, fair-play cards, player events) once the final whistle blows.
+ *
+ * Permissions are checked by the caller (TournamentService).
+ * -----------------------------------------------------------------------------
+ */
+
+import { supabase } from '../core/supabaseClient.js';
+
+export const LIVE_PHASES = ['FIRST_HALF', 'HALF_TIME', 'SECOND_HALF', 'FULL_TIME'];
+export const LIVE_EVENT_TYPES = ['GOAL', 'YELLOW', 'RED', 'SUB'];
+
+const DEFAULT_MATCH_MINUTES = 50;
+
+export class LiveMatchService {
+
+    /**
+     * Current match minute (1-based) of a live state.
+     * Stoppage time shows as "25+2".
+     *
+     * @param {Object} live - match_data.live
+     * @param {number} [now] - Epoch ms.
+     * @returns {string} Minute label ('' when the clock is stopped).
+     */
+    static minuteLabel(live, now = Date.now()) {
+        if (!live || !['FIRST_HALF', 'SECOND_HALF'].includes(live.phase)) return '';
+        const offset = live.phase === 'SECOND_HALF' ? live.half_minutes : 0;
+        const elapsed = Math.floor((now - new Date(live.period_started_at).getTime()) / 60000) + 1;
+        const limit = offset + live.half_minutes;
+        const minute = offset + Math.max(1, elapsed);
+        return minute > limit ? `${limit}+${minute - limit}` : String(minute);
+    }
+
+    /**
+     * Numeric minute stored on events (stoppage time folds into the half's end).
+     */
+    static minuteOf(live, now = Date.now()) {
+        const label = this.minuteLabel(live, now);
+        return label ? label.split('+').reduce((sum, part) => sum + Number(part), 0) : null;
+    }
+
+    /**
+     * [ACTION 1] KICK-OFF
+     * @param {Object} match - matches row (id, status, match_data).
+     * @param {number} [matchMinutes] - Full match length from the rulebook.
+     */
+    async start(match, matchMinutes) {
+        if (match.status === 'CONFIRMED' || match.status === 'FINISHED') throw new Error("انتهت المباراة بالفعل.");
+        if (match.match_data?.live) throw new Error("المباراة جارية بالفعل.");
+
+        return this._save(match, {
+            phase: 'FIRST_HALF',
+            half_minutes: Math.round((matchMinutes || DEFAULT_MATCH_MINUTES) / 2),
+            kickoff_at: new Date().toISOString(),
+            period_started_at: new Date().toISOString(),
+            score: { a: 0, b: 0 },
+            events: []
+        });
+    }
+
+    /**
+     * [ACTION 2] HALF TIME / SECOND HALF / FULL TIME
+     * Moves the live state one phase forward.
+     */
+    async nextPhase(match) {
+        const live = this._requireLive(match);
+        const idx = LIVE_PHASES.indexOf(live.phase);
+        if (idx === LIVE_PHASES.length - 1) throw new Error("انتهت المباراة بالفعل.");
+
+        const phase = LIVE_PHASES[idx + 1];
+        return this._save(match, {
+            ...live,
+            phase,
+            period_started_at: phase === 'SECOND_HALF' ? new Date().toISOString() : live.period_started_at,
+            ended_at: phase === 'FULL_TIME' ? new Date().toISOString() : null
+        });
+    }
+
+    /**
+     * [ACTION 3] LOG EVENT
+     * @param {Object} match
+     * @param {Object} event - { type, team_id, player_id, player_name, assist_id, in_id, in_name }
+     */
+    async logEvent(match, event) {
+        const live = this._requireLive(match);
+        if (!['FIRST_HALF', 'SECOND_HALF'].includes(live.phase)) throw new Error("الساعة متوقفة. ابدأ الشوط أولاً.");
+        if (!LIVE_EVENT_TYPES.includes(event.type)) throw new Error("نوع الحدث غير معروف.");
+        if (![match.team_a_id, match.team_b_id].includes(event.team_id)) throw new Error("الفريق ليس طرفاً في المباراة.");
+        if (event.type === 'SUB' && !event.in_id) throw new Error("اختر اللاعب البديل.");
+
+        const events = [...live.events, { ...event, minute: LiveMatchService.minuteOf(live) }];
+        return this._save(match, { ...live, events, score: this._scoreOf(match, events) });
+    }
+
+    /**
+     * Removes a mistaken event (by index in the log).
+     */
+    async removeEvent(match, index) {
+        const live = this._requireLive(match);
+        const events = live.events.filter((_, i) => i !== index);
+        return this._save(match, { ...live, events, score: this._scoreOf(match, events) });
+    }
+
+    /**
+     * Converts a finished live log into TournamentService.submitMatchResult arguments.
+     *
+     * @param {Object} match
+     * @returns {Object} { scoreA, scoreB, extras: { cards, events } }
+     */
+    toResult(match) {
+        const live = this._requireLive(match);
+        if (live.phase !== 'FULL_TIME') throw new Error("أطلق صافرة النهاية أولاً.");
+
+        const cardsOf = (teamId) => ({
+            yellow: live.events.filter(e => e.team_id === teamId && e.type === 'YELLOW').length,
+            red: live.events.filter(e => e.team_id === teamId && e.type === 'RED').length
+        });
+
+        return {
+            scoreA: live.score.a,
+            scoreB: live.score.b,
+            extras: {
+                cards: { a: cardsOf(match.team_a_id), b: cardsOf(match.team_b_id) },
+                events: live.events
+                    .filter(e => e.type !== 'SUB' && e.player_id)
+                    .map(e => ({ team_id: e.team_id, player_id: e.player_id, event_type: e.type, assist_id: e.assist_id || null, minute: e.minute }))
+            }
+        };
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    _requireLive(match) {
+        const live = match.match_data?.live;
+        if (!live) throw new Error("المباراة لم تبدأ بعد.");
+        return live;
+    }
+
+    _scoreOf(match, events) {
+        const goals = (teamId) => events.filter(e => e.type === 'GOAL' && e.team_id === teamId).length;
+        return { a: goals(match.team_a_id), b: goals(match.team_b_id) };
+    }
+
+    async _save(match, live) {
+        const matchData = { ...(match.match_data || {}), live: { ...live, updated_at: new Date().toISOString() } };
+        const { error } = await supabase.from('matches').update({ match_data: matchData }).eq('id', match.id);
+        if (error) {
+            console.error("Live Update Error:", error);
+            throw new Error("فشل تحديث المباراة المباشرة.");
+        }
+        return matchData.live;
+    }
+}
@@ -69,6 +69,7 @@ export class MarketService {
 
     /**
      * NEW: Fetch Active Teams in a Zone.
+     * Strongest first (Elo ladder rating), then most active.
      * @param {number} zoneId - The Zone ID.
      * @param {boolean} enableGlobal - If true, ignores zone filter.
      */
@@ -77,6 +78,7 @@ export class MarketService {
             .from('teams')
             .select('*')
             .in('status', ['ACTIVE', 'DRAFT'])
+            .order('elo_rating', { ascending: false, nullsFirst: false })
             .order('total_matches', { ascending: false });
 
         if (!enableGlobal) {
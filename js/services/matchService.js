@@ -15,14 +15,22 @@
  * 
  * CORE RESPONSIBILITIES:
  * 1. Constraints: Enforces Weekly Cap (24 matches) & Time Buffer (2 hours).
- * 2. Transaction: Executes the Submit Match operation (Match + Lineup + Events).
+ * 2. Transaction: Executes the Submit Match operation (Match + Lineup + Events),
+ *    either as a new match or as the result of a SCHEDULED one (ChallengeService).
+ *    Events (goals with assist / minute / penalty, cards, own goals) are
+ *    checked by MatchEvents and feed the narrative; the man of the match is
+ *    kept in match_data (motm_id, motm_name).
  * 3. Verification: Handles the 'Handshake' (Verify/Reject) logic.
+ *    A confirmed match moves the players' card ratings (RatingService)
+ *    and both teams' Elo (TeamRatingService).
  * 4. Feed: Provides the live stream of matches for the Arena.
  * -----------------------------------------------------------------------------
  */
 
 import { supabase } from '../core/supabaseClient.js';
 import { NewsEngine } from '../utils/newsEngine.js'; // [NEW] Import News Engine
+import { MatchEvents } from '../utils/matchEvents.js';
+import { RatingService } from './ratingService.js';
 
 export class MatchService {
 
@@ -96,7 +104,9 @@ export class MatchService {
             .from('matches')
             .select('id')
             .or(`team_a_id.eq.${teamId},team_b_id.eq.${teamId}`)
+            .not('status', 'in', '(SCHEDULED,CANCELLED)')
             .gte('played_at', twoHoursAgo.toISOString())
+            .lte('played_at', now.toISOString())
             .maybeSingle();
 
         if (timeError && timeError.code !== 'PGRST116') throw timeError;
@@ -124,11 +134,13 @@ export class MatchService {
         const teamAName = payload.myTeamName || "فريقنا";
         const teamBName = payload.oppTeamName || "الخصم";
 
+        MatchEvents.validate(payload.events || [], payload.myScore, payload.oppScore);
         const newsReport = NewsEngine.generateReport(
             teamAName, 
             teamBName, 
             payload.myScore, 
-            payload.oppScore
+            payload.oppScore,
+            MatchEvents.newsDetails(payload.events || [], payload.names || {}, teamAName, payload.motmName)
         );
 
         // [NEW] 2. Prepare Match Data JSON
@@ -136,7 +148,8 @@ export class MatchService {
             headline: newsReport.headline,
             body: newsReport.body,
             mood: newsReport.mood,
-            scorers_ids: payload.scorers || [] // Reserved for future
+            motm_id: payload.motmId || null,
+            motm_name: payload.motmName || null
         };
 
         // 3. Insert Match Header
@@ -162,9 +175,72 @@ export class MatchService {
             throw new Error(`فشل تسجيل المباراة: ${matchError.message}`);
         }
         
-        const matchId = match.id;
+        // 4 & 5. Lineup + Events
+        await this._saveParticipation(match.id, payload);
 
-        // 4. Insert Lineups (Participation Logic)
+        return true;
+    }
+
+    /**
+     * RESULT OF A SCHEDULED MATCH (agreed through a challenge).
+     * Either captain fills in the score after kick-off; the other captain
+     * verifies it like any submitted match.
+     *
+     * @param {string} matchId - SCHEDULED match.
+     * @param {Object} payload - Same bundle as submitMatch (myTeamId, myScore, oppScore, lineup, events...).
+     */
+    async submitScheduledResult(matchId, payload) {
+        const { data: match } = await supabase.from('matches')
+            .select('id, team_a_id, team_b_id, status, played_at, match_data')
+            .eq('id', matchId).single();
+
+        if (!match) throw new Error("المباراة غير موجودة.");
+        if (match.status !== 'SCHEDULED') throw new Error("تم تسجيل نتيجة هذه المباراة بالفعل.");
+        if (![match.team_a_id, match.team_b_id].includes(payload.myTeamId)) throw new Error("فريقك ليس طرفاً في هذه المباراة.");
+        if (new Date(match.played_at) > new Date()) throw new Error("لم تبدأ المباراة بعد.");
+
+        // Scores & names are kept in the match's own A/B order
+        const isA = match.team_a_id === payload.myTeamId;
+        const [scoreA, scoreB] = isA ? [payload.myScore, payload.oppScore] : [payload.oppScore, payload.myScore];
+        const [nameA, nameB] = isA ? [payload.myTeamName, payload.oppTeamName] : [payload.oppTeamName, payload.myTeamName];
+        MatchEvents.validate(payload.events || [], payload.myScore, payload.oppScore);
+        const details = MatchEvents.newsDetails(payload.events || [], payload.names || {}, payload.myTeamName || "فريقنا", payload.motmName);
+        const newsReport = NewsEngine.generateReport(nameA || "فريقنا", nameB || "الخصم", scoreA, scoreB, details);
+
+        const { data: captain } = await supabase.from('team_members').select('user_id')
+            .eq('team_id', isA ? match.team_b_id : match.team_a_id).eq('role', 'CAPTAIN')
+            .limit(1).maybeSingle();
+
+        const { error } = await supabase.from('matches').update({
+            score_a: scoreA,
+            score_b: scoreB,
+            status: 'PENDING_VERIFICATION',
+            submitted_by: payload.creatorId,
+            verifier_id: captain?.user_id || null,
+            match_data: {
+                ...match.match_data,
+                headline: newsReport.headline,
+                body: newsReport.body,
+                mood: newsReport.mood,
+                motm_id: payload.motmId || null,
+                motm_name: payload.motmName || null
+            }
+        }).eq('id', matchId);
+
+        if (error) {
+            console.error("Scheduled Result Error:", error);
+            throw new Error(`فشل تسجيل النتيجة: ${error.message}`);
+        }
+
+        await this._saveParticipation(matchId, payload);
+        return true;
+    }
+
+    /**
+     * Lineup (participation) and events of the submitting team.
+     */
+    async _saveParticipation(matchId, payload) {
+        // Lineups (Participation Logic)
         if (payload.lineup && payload.lineup.length > 0) {
             const lineupRows = payload.lineup.map(userId => ({
                 match_id: matchId,
@@ -181,17 +257,20 @@ export class MatchService {
             if (lineupError) console.error("Lineup Insert Error:", lineupError);
         }
 
-        // 5. Insert Events (Goals)
-        if (payload.scorers && payload.scorers.length > 0) {
-            const eventRows = payload.scorers.map(userId => ({
+        // Events (Goals, Cards, Own Goals)
+        if (payload.events && payload.events.length > 0) {
+            const eventRows = payload.events.map(e => ({
                 match_id: matchId,
-                player_id: userId,
-                event_type: 'GOAL'
+                team_id: payload.myTeamId,
+                player_id: e.player_id,
+                event_type: e.event_type,
+                assist_id: e.assist_id || null,
+                minute: e.minute ?? null,
+                is_penalty: !!e.is_penalty
             }));
-            await supabase.from('match_events').insert(eventRows);
+            const { error: eventsError } = await supabase.from('match_events').insert(eventRows);
+            if (eventsError) console.error("Events Insert Error:", eventsError);
         }
-
-        return true;
     }
 
     /**
@@ -205,6 +284,8 @@ export class MatchService {
         
         const { error } = await supabase.from('matches').update({ status: 'CONFIRMED' }).eq('id', matchId);
         if (error) throw error;
+
+        await RatingService.applyConfirmed(matchId);
         return true;
     }
 
@@ -222,6 +303,22 @@ export class MatchService {
         return true;
     }
 
+    /**
+     * REPORT: Events of a match with player names (timeline).
+     */
+    async getMatchEvents(matchId) {
+        const { data, error } = await supabase
+            .from('match_events')
+            .select('*, player:users!player_id (username), assist:users!assist_id (username)')
+            .eq('match_id', matchId);
+
+        if (error) {
+            console.error("Events Fetch Error:", error);
+            return [];
+        }
+        return data || [];
+    }
+
     /**
      * FEED: Get Live Matches (With News Headlines).
      */
@@ -230,12 +327,13 @@ export class MatchService {
         const { data, error } = await supabase
             .from('matches')
             .select(`
-                id, score_a, score_b, status, played_at, match_data,
+                id, team_a_id, team_b_id, score_a, score_b, status, played_at, match_data,
                 team_a:teams!team_a_id (name, logo_dna, zone_id),
                 team_b:teams!team_b_id (name, logo_dna),
                 venue:venues (name)
             `)
             .eq('team_a.zone_id', zoneId) 
+            .neq('status', 'CANCELLED')
             .order('played_at', { ascending: false })
             .limit(20);
 
@@ -4,12 +4,14 @@
  * Description: Manages User Inbox and Action Execution.
  * 
  * CORE RESPONSIBILITIES:
- * 1. Fetching: Aggregates pending Mint Requests and Match Verifications.
+ * 1. Fetching: Aggregates pending Mint Requests, Match Verifications and
+ *    Match Challenges awaiting the captain's answer.
  * 2. Execution: Handles the 'Approve' logic which triggers asset creation (Minting).
  * 3. Feedback: Updates status and sends confirmation notifications.
  */
 
 import { supabase } from '../core/supabaseClient.js';
+import { RatingService } from './ratingService.js';
 
 export class NotificationService {
 
@@ -68,6 +70,38 @@ export class NotificationService {
                 });
             }
 
+            // C. Fetch Match Challenges awaiting my team's answer (For Captains)
+            const { data: captaincy } = await supabase
+                .from('team_members')
+                .select('team_id')
+                .eq('user_id', userId)
+                .eq('role', 'CAPTAIN')
+                .maybeSingle();
+
+            if (captaincy) {
+                const { data: challenges } = await supabase
+                    .from('match_challenges')
+                    .select(`
+                        id, proposed_at, format, status, updated_at, created_at,
+                        challenger:teams!challenger_team_id (name),
+                        opponent:teams!opponent_team_id (name),
+                        challenger_team_id
+                    `)
+                    .eq('turn_team_id', captaincy.team_id)
+                    .in('status', ['PENDING', 'COUNTERED']);
+
+                (challenges || []).forEach(c => {
+                    const other = c.challenger_team_id === captaincy.team_id ? c.opponent?.name : c.challenger?.name;
+                    actions.push({
+                        type: 'CHALLENGE',
+                        id: c.id,
+                        title: c.status === 'COUNTERED' ? 'موعد بديل لمباراة' : 'تحدٍ جديد',
+                        desc: `${other || 'فريق'} - ${c.format === 7 ? 'سباعي' : 'خماسي'} - ${new Date(c.proposed_at).toLocaleString('ar-EG')}`,
+                        time: c.updated_at || c.created_at
+                    });
+                });
+            }
+
             // Sort by newest first
             return actions.sort((a, b) => new Date(b.time) - new Date(a.time));
 
@@ -160,7 +194,8 @@ export class NotificationService {
 
     /**
      * ACTION: Confirm Match Result
-     * Updates Match status. DB Triggers handle the rest (Points/XP).
+     * Updates Match status. DB Triggers handle the rest (Points/XP);
+     * player ratings and team Elo are moved by RatingService.applyConfirmed.
      */
     async confirmMatch(matchId) {
         console.log(`⚔️ NotificationService: Confirming Match ${matchId}`);
@@ -171,6 +206,8 @@ export class NotificationService {
             .eq('id', matchId);
 
         if (error) throw new Error("فشل تأكيد المباراة.");
+
+        await RatingService.applyConfirmed(matchId);
         return true;
     }
 
@@ -0,0 +1,268 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/services/ratingService.js
+ * Version: 1.0.0 (PLAYER RATING)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * Runs RatingEngine when a match reaches CONFIRMED and writes the result to
+ * the participants' GENESIS cards (stats.rating, matches, goals, assists,
+ * yellow_cards, red_cards, motm).
+ *
+ * PARTICIPANTS:
+ * 'match_lineups' of both teams. A side without a lineup is represented by
+ * the players of its events (tournament referee sheet); when it has neither,
+ * its roster's average rating stands in as opponent strength.
+ *
+ * HISTORY & IDEMPOTENCY:
+ * Every change is a 'rating_history' row (player, card, match, before,
+ * after, delta). A match with history rows is never rated twice, and a
+ * corrected result is reverted from those rows before being rated again.
+ *
+ * CONFIRMED HOOKS:
+ * applyConfirmed / rerateConfirmed / revertConfirmed run the player ratings
+ * and the team Elo (TeamRatingService) together. Each one is isolated: a
+ * failure is logged and never skips the other, nor the caller's flow.
+ * -----------------------------------------------------------------------------
+ */
+
+import { supabase } from '../core/supabaseClient.js';
+import { RatingEngine, RATING_LIMITS } from '../utils/ratingEngine.js';
+import { TeamRatingService } from './teamRatingService.js';
+
+const PLAYED = ['CONFIRMED', 'FINISHED'];
+
+export class RatingService {
+
+    /**
+     * Player ratings + team Elo of a match that just reached CONFIRMED.
+     * @param {string} matchId
+     */
+    static async applyConfirmed(matchId) {
+        await this._withBoth(service => service.applyMatch(matchId));
+    }
+
+    /**
+     * Re-rates a corrected result (revert, then apply) in both systems.
+     * @param {string} matchId
+     */
+    static async rerateConfirmed(matchId) {
+        await this._withBoth(async service => {
+            await service.revertMatch(matchId);
+            await service.applyMatch(matchId);
+        });
+    }
+
+    /**
+     * Undoes both systems for a match that is about to be deleted.
+     * @param {string} matchId
+     */
+    static async revertConfirmed(matchId) {
+        await this._withBoth(service => service.revertMatch(matchId));
+    }
+
+    static async _withBoth(task) {
+        const hooks = [
+            [new RatingService(), "Rating Update Error:"],
+            [new TeamRatingService(), "Team Rating Update Error:"]
+        ];
+        for (const [service, label] of hooks) {
+            try {
+                await task(service);
+            } catch (e) { console.warn(label, e); }
+        }
+    }
+
+    /**
+     * Rates the players of a confirmed match (no-op if already rated).
+     *
+     * @param {string} matchId
+     * @returns {Promise<Array>} The engine rows written ([] when nothing changed).
+     */
+    async applyMatch(matchId) {
+        const { data: match } = await supabase.from('matches')
+            .select('id, team_a_id, team_b_id, score_a, score_b, status, match_data')
+            .eq('id', matchId).single();
+        if (!match || !PLAYED.includes(match.status)) return [];
+        match.motm_id = match.match_data?.motm_id || null;
+
+        const { data: done } = await supabase.from('rating_history').select('id').eq('match_id', matchId).limit(1);
+        if (done && done.length > 0) return [];
+
+        const [lineupsRes, eventsRes] = await Promise.all([
+            supabase.from('match_lineups').select('team_id, player_id').eq('match_id', matchId),
+            supabase.from('match_events').select('player_id, team_id, event_type, assist_id').eq('match_id', matchId)
+        ]);
+        const events = eventsRes.data || [];
+        const participants = this._participants(match, lineupsRes.data || [], events);
+        if (participants.length === 0) return [];
+
+        const cards = await this._genesisCards(participants.map(p => p.player_id));
+        const players = participants
+            .filter(p => cards[p.player_id])
+            .map(p => ({ ...p, position: cards[p.player_id].position, rating: this._ratingOf(cards[p.player_id]) }));
+        if (players.length === 0) return [];
+
+        const fallback = {};
+        for (const teamId of [match.team_a_id, match.team_b_id]) {
+            if (!players.some(p => p.team_id === teamId)) fallback[teamId] = await this._rosterStrength(teamId);
+        }
+
+        const results = RatingEngine.rateMatch(match, players, events, fallback);
+        const now = new Date().toISOString();
+
+        for (const r of results) {
+            const card = cards[r.player_id];
+            const stats = card.stats || {};
+            await supabase.from('cards').update({
+                stats: {
+                    ...stats,
+                    rating: Math.round(r.after),
+                    rating_raw: r.after,
+                    last_delta: r.delta,
+                    matches: (stats.matches || 0) + 1,
+                    goals: (stats.goals || 0) + r.goals,
+                    assists: (stats.assists || 0) + r.assists,
+                    yellow_cards: (stats.yellow_cards || 0) + r.yellow,
+                    red_cards: (stats.red_cards || 0) + r.red,
+                    motm: (stats.motm || 0) + (r.motm ? 1 : 0)
+                }
+            }).eq('id', card.id);
+        }
+
+        const { error } = await supabase.from('rating_history').insert(results.map(r => ({
+            player_id: r.player_id,
+            card_id: cards[r.player_id].id,
+            match_id: matchId,
+            team_id: r.team_id,
+            rating_before: r.before,
+            rating_after: r.after,
+            delta: r.delta,
+            goals: r.goals,
+            assists: r.assists,
+            yellow: r.yellow,
+            red: r.red,
+            motm: r.motm,
+            created_at: now
+        })));
+        if (error) console.error("Rating History Error:", error);
+
+        return results;
+    }
+
+    /**
+     * Undoes the rating changes of a match (before a result correction).
+     *
+     * @param {string} matchId
+     */
+    async revertMatch(matchId) {
+        const { data: rows } = await supabase.from('rating_history').select('*').eq('match_id', matchId);
+        if (!rows || rows.length === 0) return true;
+
+        const cards = await this._genesisCards(rows.map(r => r.player_id));
+        for (const row of rows) {
+            const card = cards[row.player_id];
+            if (!card) continue;
+            const stats = card.stats || {};
+            const raw = Math.max(RATING_LIMITS.MIN, Math.min(RATING_LIMITS.MAX, this._ratingOf(card) - row.delta));
+            const previous = await this._lastDelta(row.player_id, matchId);
+
+            await supabase.from('cards').update({
+                stats: {
+                    ...stats,
+                    rating: Math.round(raw),
+                    rating_raw: Math.round(raw * 10) / 10,
+                    last_delta: previous,
+                    matches: Math.max(0, (stats.matches || 0) - 1),
+                    goals: Math.max(0, (stats.goals || 0) - (row.goals || 0)),
+                    assists: Math.max(0, (stats.assists || 0) - (row.assists || 0)),
+                    yellow_cards: Math.max(0, (stats.yellow_cards || 0) - (row.yellow || 0)),
+                    red_cards: Math.max(0, (stats.red_cards || 0) - (row.red || 0)),
+                    motm: Math.max(0, (stats.motm || 0) - (row.motm ? 1 : 0))
+                }
+            }).eq('id', card.id);
+        }
+
+        await supabase.from('rating_history').delete().eq('match_id', matchId);
+        return true;
+    }
+
+    /**
+     * Recent rating changes of a player, newest first.
+     *
+     * @param {string} playerId
+     * @param {number} [limit]
+     * @returns {Promise<Array>} rating_history rows.
+     */
+    async getHistory(playerId, limit = 10) {
+        const { data, error } = await supabase.from('rating_history')
+            .select('match_id, rating_before, rating_after, delta, goals, assists, motm, created_at')
+            .eq('player_id', playerId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error("Rating History Fetch Error:", error);
+            return [];
+        }
+        return data || [];
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    /**
+     * Lineup players of both teams; a side without a lineup falls back to the
+     * players named in its events.
+     */
+    _participants(match, lineups, events) {
+        const teams = [match.team_a_id, match.team_b_id];
+        const list = lineups.filter(l => teams.includes(l.team_id)).map(l => ({ player_id: l.player_id, team_id: l.team_id }));
+
+        teams.forEach(teamId => {
+            if (list.some(p => p.team_id === teamId)) return;
+            events.filter(e => e.team_id === teamId).forEach(e => {
+                [e.player_id, e.event_type === 'GOAL' ? e.assist_id : null].filter(Boolean).forEach(id => {
+                    if (!list.some(p => p.player_id === id)) list.push({ player_id: id, team_id: teamId });
+                });
+            });
+        });
+        return list;
+    }
+
+    /**
+     * @returns {Promise<Object>} { ownerId: card (id, owner_id, position, stats) }
+     */
+    async _genesisCards(playerIds) {
+        if (playerIds.length === 0) return {};
+        const { data } = await supabase.from('cards').select('id, owner_id, position, stats')
+            .in('owner_id', [...new Set(playerIds)]).eq('type', 'GENESIS');
+        const cards = {};
+        (data || []).forEach(c => { cards[c.owner_id] = c; });
+        return cards;
+    }
+
+    _ratingOf(card) {
+        return card.stats?.rating_raw ?? card.stats?.rating ?? RATING_LIMITS.BASE;
+    }
+
+    async _rosterStrength(teamId) {
+        const { data: members } = await supabase.from('team_members').select('user_id').eq('team_id', teamId);
+        if (!members || members.length === 0) return RATING_LIMITS.BASE;
+        const cards = Object.values(await this._genesisCards(members.map(m => m.user_id)));
+        return RatingEngine.teamStrength(cards.map(c => ({ rating: this._ratingOf(c) })));
+    }
+
+    /**
+     * Delta of the player's latest rated match other than `exceptMatchId`.
+     */
+    async _lastDelta(playerId, exceptMatchId) {
+        const { data } = await supabase.from('rating_history').select('delta')
+            .eq('player_id', playerId).neq('match_id', exceptMatchId)
+            .order('created_at', { ascending: false }).limit(1);
+        return data?.[0]?.delta || 0;
+    }
+}
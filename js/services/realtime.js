@@ -65,6 +65,38 @@ export class RealtimeService {
         this.subscriptions.push(sub);
     }
 
+    /**
+     * Listen for fixture updates of one tournament (Live Match Centre).
+     * @param {string} tournamentId - Tournament UUID.
+     * @param {Function} onMatchUpdate - Callback with the updated matches row.
+     * @returns {Object} The channel (pass to unsubscribe()).
+     */
+    subscribeToTournament(tournamentId, onMatchUpdate) {
+        const sub = supabase
+            .channel(`tournament:${tournamentId}`)
+            .on(
+                'postgres_changes',
+                { event: 'UPDATE', schema: 'public', table: 'matches', filter: `tournament_id=eq.${tournamentId}` },
+                (payload) => {
+                    onMatchUpdate(payload.new);
+                }
+            )
+            .subscribe();
+
+        this.subscriptions.push(sub);
+        return sub;
+    }
+
+    /**
+     * Closes a single channel (e.g. when leaving a screen).
+     * @param {Object} sub - Channel returned by a subscribe method.
+     */
+    unsubscribe(sub) {
+        if (!sub) return;
+        supabase.removeChannel(sub);
+        this.subscriptions = this.subscriptions.filter(s => s !== sub);
+    }
+
     /**
      * Cleanup all subscriptions (e.g. on logout).
      */
@@ -0,0 +1,155 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/services/teamRatingService.js
+ * Version: 1.0.0 (TEAM LADDER)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * Keeps the Elo rating of every team (teams.elo_rating) and serves the
+ * ladder shown in the Scout teams tab and used to seed tournament pots.
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Rating: Every confirmed friendly or tournament match moves both teams
+ *    (EloEngine). One 'team_rating_history' row per team and match keeps it
+ *    idempotent; a corrected result is reverted and rated again.
+ * 2. Ladder: Per zone or overall, with movement since last week.
+ * 3. Seeding: Current ratings of a set of teams.
+ * -----------------------------------------------------------------------------
+ */
+
+import { supabase } from '../core/supabaseClient.js';
+import { EloEngine, ELO_DEFAULTS } from '../utils/eloEngine.js';
+
+const PLAYED = ['CONFIRMED', 'FINISHED'];
+const HISTORY_DAYS = 7;
+
+export class TeamRatingService {
+
+    /**
+     * Rates both teams of a confirmed match (no-op if already rated).
+     *
+     * @param {string} matchId
+     * @returns {Promise<Object|null>} { a, b } deltas, or null when nothing changed.
+     */
+    async applyMatch(matchId) {
+        const { data: match } = await supabase.from('matches')
+            .select('id, tournament_id, team_a_id, team_b_id, score_a, score_b, status')
+            .eq('id', matchId).single();
+        if (!match || !PLAYED.includes(match.status) || !match.team_a_id || !match.team_b_id) return null;
+
+        const { data: done } = await supabase.from('team_rating_history').select('id').eq('match_id', matchId).limit(1);
+        if (done && done.length > 0) return null;
+
+        const teams = await this._teams([match.team_a_id, match.team_b_id]);
+        const a = teams[match.team_a_id];
+        const b = teams[match.team_b_id];
+        if (!a || !b) return null;
+
+        const delta = EloEngine.rate(a, b, match.score_a, match.score_b, { tournament: !!match.tournament_id });
+        const after = { a: this._round(a.rating + delta.a), b: this._round(b.rating + delta.b) };
+        const now = new Date().toISOString();
+
+        await this._setRating(a, after.a, 1);
+        await this._setRating(b, after.b, 1);
+
+        const { error } = await supabase.from('team_rating_history').insert([
+            { team_id: a.id, match_id: matchId, rating_before: a.rating, rating_after: after.a, delta: delta.a, created_at: now },
+            { team_id: b.id, match_id: matchId, rating_before: b.rating, rating_after: after.b, delta: delta.b, created_at: now }
+        ]);
+        if (error) console.error("Team Rating History Error:", error);
+
+        return delta;
+    }
+
+    /**
+     * Undoes the rating changes of a match (before a result correction).
+     *
+     * @param {string} matchId
+     */
+    async revertMatch(matchId) {
+        const { data: rows } = await supabase.from('team_rating_history').select('team_id, delta').eq('match_id', matchId);
+        if (!rows || rows.length === 0) return true;
+
+        const teams = await this._teams(rows.map(r => r.team_id));
+        for (const row of rows) {
+            const team = teams[row.team_id];
+            if (team) await this._setRating(team, this._round(team.rating - Number(row.delta)), -1);
+        }
+
+        await supabase.from('team_rating_history').delete().eq('match_id', matchId);
+        return true;
+    }
+
+    /**
+     * Ranked ladder of a zone (or every zone).
+     *
+     * @param {number|null} zoneId - null for the overall ladder.
+     * @returns {Promise<Array>} teams rows + { rank, rating, movement }.
+     */
+    async getLadder(zoneId = null) {
+        let query = supabase.from('teams')
+            .select('*')
+            .in('status', ['ACTIVE', 'DRAFT'])
+            .order('elo_rating', { ascending: false, nullsFirst: false });
+        if (zoneId) query = query.eq('zone_id', zoneId);
+
+        const { data: teams, error } = await query;
+        if (error) {
+            console.error("Ladder Fetch Error:", error);
+            throw new Error("فشل تحميل تصنيف الفرق.");
+        }
+        if (!teams || teams.length === 0) return [];
+
+        const since = new Date(Date.now() - HISTORY_DAYS * 24 * 3600 * 1000).toISOString();
+        const { data: history } = await supabase.from('team_rating_history')
+            .select('team_id, delta, created_at')
+            .in('team_id', teams.map(t => t.id))
+            .gte('created_at', since);
+
+        return EloEngine.ladder(teams, history || []);
+    }
+
+    /**
+     * Current ratings for seeding.
+     *
+     * @param {Array<string>} teamIds
+     * @returns {Promise<Object>} { teamId: rating }
+     */
+    async getRatings(teamIds) {
+        const teams = await this._teams(teamIds);
+        const ratings = {};
+        teamIds.forEach(id => { ratings[id] = teams[id]?.rating ?? ELO_DEFAULTS.BASE; });
+        return ratings;
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    /**
+     * @returns {Promise<Object>} { teamId: { id, rating, matches } }
+     */
+    async _teams(teamIds) {
+        if (teamIds.length === 0) return {};
+        const { data } = await supabase.from('teams').select('id, elo_rating, elo_matches').in('id', [...new Set(teamIds)]);
+        const teams = {};
+        (data || []).forEach(t => {
+            teams[t.id] = { id: t.id, rating: Number(t.elo_rating ?? ELO_DEFAULTS.BASE), matches: t.elo_matches || 0 };
+        });
+        return teams;
+    }
+
+    _round(rating) {
+        return Math.round(rating * 10) / 10;
+    }
+
+    async _setRating(team, rating, matchesDelta) {
+        const { error } = await supabase.from('teams').update({
+            elo_rating: rating,
+            elo_matches: Math.max(0, team.matches + matchesDelta)
+        }).eq('id', team.id);
+        if (error) console.error("Team Rating Update Error:", error);
+    }
+}
@@ -13,6 +13,7 @@
  *    * FIX APPLIED: Resolved ambiguous relationship using '!owner_id' hint.
  * 4. Membership Logic: Join via invite (Auto-Active Logic), Leave team.
  * 5. Administrative Actions: Kick member, Promote to Vice Captain.
+ * 6. Schedule: Scheduled matches of the team (calendar export).
  * -----------------------------------------------------------------------------
  */
 
@@ -306,4 +307,36 @@ export class TeamService {
         if (error) throw new Error("فشل الترقية.");
         return true;
     }
+
+    /**
+     * [9] TEAM SCHEDULE
+     * Matches of the team from the last month onwards (tournament fixtures
+     * and friendlies), with the names the calendar export needs.
+     *
+     * @param {string} teamId - Team UUID.
+     * @returns {Promise<Array>} matches + team_a, team_b, venue, tournament (name, config).
+     */
+    async getTeamSchedule(teamId) {
+        const since = new Date();
+        since.setDate(since.getDate() - 30);
+
+        const { data, error } = await supabase
+            .from('matches')
+            .select(`
+                id, team_a_id, team_b_id, score_a, score_b, status, played_at, match_data,
+                team_a:teams!team_a_id (name),
+                team_b:teams!team_b_id (name),
+                venue:venues (name),
+                tournament:tournaments (name, config)
+            `)
+            .or(`team_a_id.eq.${teamId},team_b_id.eq.${teamId}`)
+            .gte('played_at', since.toISOString())
+            .order('played_at', { ascending: true });
+
+        if (error) {
+            console.error("Schedule Fetch Error:", error);
+            throw new Error("فشل تحميل جدول المباريات.");
+        }
+        return data || [];
+    }
 }
@@ -0,0 +1,282 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/services/tournamentFinanceService.js
+ * Version: 1.0.0 (ENTRY FEES & PRIZE POOL)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * The money side of a tournament. Every entry fee is a row in the
+ * 'tournament_payments' ledger, so the organizer always knows who paid,
+ * how, and who recorded it.
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Cash Collection: Organizer marks a team as paid in cash.
+ * 2. Wallet Debit: Captain pays from 'users.wallet_balance' (guarded update).
+ * 3. Start Gate: Blocks the draw until every registered team has paid.
+ * 4. Prize Pool: Entry fees - organizer cut, split by finishing position
+ *    (config.finance.payout_split, e.g. [70, 30]).
+ * 5. Settlement: Frozen summary stored in config.settlement once the
+ *    tournament is decided.
+ * 6. Refunds: A withdrawn or declined team gets its fee back as a negative
+ *    REFUND row (wallet payments are credited back to the payer). Only the
+ *    net payments of active entries count towards the pool.
+ * -----------------------------------------------------------------------------
+ */
+
+import { supabase } from '../core/supabaseClient.js';
+
+const DEFAULT_FINANCE = { organizer_cut_pct: 10, payout_split: [70, 30] };
+
+export class TournamentFinanceService {
+
+    /**
+     * Aggregates the full money picture of a tournament.
+     *
+     * @param {string} tournamentId - UUID of the tournament.
+     * @returns {Promise<Object>} { entryFee, payments, paidTeamIds, unpaidTeamIds, pool }
+     */
+    async getLedger(tournamentId) {
+        const [tRes, teamsRes, payRes] = await Promise.all([
+            supabase.from('tournaments').select('config').eq('id', tournamentId).single(),
+            // Only approved entries owe the fee (legacy rows have a null status)
+            supabase.from('tournament_teams').select('team_id').eq('tournament_id', tournamentId).or('status.is.null,status.eq.APPROVED'),
+            supabase.from('tournament_payments')
+                .select('*, team:teams!team_id(name)')
+                .eq('tournament_id', tournamentId)
+                .order('created_at', { ascending: true })
+        ]);
+
+        if (payRes.error) {
+            console.error("Ledger Fetch Error:", payRes.error);
+            throw new Error("فشل تحميل سجل المدفوعات.");
+        }
+
+        const config = tRes.data?.config || {};
+        const entryFee = config.entry_fee || 0;
+        const payments = payRes.data || [];
+        const teamIds = (teamsRes.data || []).map(t => t.team_id);
+        const paidTeamIds = teamIds.filter(id => this._netPaid(payments, id) > 0);
+        const collected = teamIds.reduce((sum, id) => sum + this._netPaid(payments, id), 0);
+
+        return {
+            entryFee,
+            payments,
+            paidTeamIds,
+            unpaidTeamIds: entryFee > 0 ? teamIds.filter(id => !paidTeamIds.includes(id)) : [],
+            pool: this.calculatePrizePool(config, collected)
+        };
+    }
+
+    /**
+     * [ACTION 1] CASH PAYMENT (Organizer)
+     * Records that a team handed the entry fee in cash.
+     *
+     * @param {string} tournamentId
+     * @param {string} teamId
+     * @param {string} organizerId - Must be the tournament organizer.
+     * @returns {Promise<boolean>}
+     */
+    async markCashPaid(tournamentId, teamId, organizerId) {
+        const { data: tourn } = await supabase.from('tournaments').select('organizer_id, config').eq('id', tournamentId).single();
+        if (!tourn) throw new Error("البطولة غير موجودة.");
+        if (tourn.organizer_id !== organizerId) throw new Error("المنظم فقط يمكنه تسجيل الدفع النقدي.");
+
+        await this._assertNotPaid(tournamentId, teamId);
+
+        const { error } = await supabase.from('tournament_payments').insert([{
+            tournament_id: tournamentId,
+            team_id: teamId,
+            amount: tourn.config?.entry_fee || 0,
+            method: 'CASH',
+            recorded_by: organizerId,
+            created_at: new Date().toISOString()
+        }]);
+
+        if (error) {
+            console.error("Cash Payment Error:", error);
+            throw new Error("فشل تسجيل الدفع.");
+        }
+        return true;
+    }
+
+    /**
+     * [ACTION 2] WALLET PAYMENT (Captain)
+     * Debits the captain's wallet, then writes the ledger row.
+     * The debit is guarded by the balance we read (no double spend on retries).
+     *
+     * @param {string} tournamentId
+     * @param {string} teamId
+     * @param {string} userId - Captain paying from their own wallet.
+     * @returns {Promise<number>} New wallet balance.
+     */
+    async payFromWallet(tournamentId, teamId, userId) {
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
+        const fee = tourn?.config?.entry_fee || 0;
+        if (fee <= 0) throw new Error("هذه البطولة مجانية.");
+
+        const { data: membership } = await supabase.from('team_members')
+            .select('role').eq('team_id', teamId).eq('user_id', userId).maybeSingle();
+        if (membership?.role !== 'CAPTAIN') throw new Error("الكابتن فقط يمكنه دفع الاشتراك.");
+
+        await this._assertNotPaid(tournamentId, teamId);
+
+        const { data: user } = await supabase.from('users').select('wallet_balance').eq('id', userId).single();
+        const balance = user?.wallet_balance || 0;
+        if (balance < fee) throw new Error(`رصيدك غير كافٍ (${balance} / ${fee}).`);
+
+        const { data: debited, error: debitError } = await supabase.from('users')
+            .update({ wallet_balance: balance - fee })
+            .eq('id', userId)
+            .eq('wallet_balance', balance)
+            .select('wallet_balance');
+
+        if (debitError || !debited || debited.length === 0) throw new Error("تغير رصيدك أثناء العملية. حاول مرة أخرى.");
+
+        const { error } = await supabase.from('tournament_payments').insert([{
+            tournament_id: tournamentId,
+            team_id: teamId,
+            amount: fee,
+            method: 'WALLET',
+            paid_by: userId,
+            recorded_by: userId,
+            created_at: new Date().toISOString()
+        }]);
+
+        if (error) {
+            // Refund: the ledger is the source of truth
+            console.error("Wallet Payment Ledger Error:", error);
+            await supabase.from('users').update({ wallet_balance: balance }).eq('id', userId);
+            throw new Error("فشل تسجيل الدفع. تم استرجاع المبلغ.");
+        }
+        return balance - fee;
+    }
+
+    /**
+     * [ACTION 4] REFUND
+     * Reverses what a team paid (withdrawal / declined entry). Wallet money
+     * goes back to the captain who paid; cash is handed back by the organizer.
+     *
+     * @param {string} tournamentId
+     * @param {string} teamId
+     * @param {string} recordedBy - User triggering the refund.
+     * @returns {Promise<number>} Amount refunded (0 when nothing was paid).
+     */
+    async refundEntry(tournamentId, teamId, recordedBy) {
+        const { data: rows } = await supabase.from('tournament_payments')
+            .select('team_id, amount, method, paid_by')
+            .eq('tournament_id', tournamentId).eq('team_id', teamId);
+        const amount = this._netPaid(rows || [], teamId);
+        if (amount <= 0) return 0;
+
+        const wallet = (rows || []).find(r => r.method === 'WALLET' && r.paid_by);
+        let credited = null;
+
+        if (wallet) {
+            const { data: user } = await supabase.from('users').select('wallet_balance').eq('id', wallet.paid_by).single();
+            const balance = user?.wallet_balance || 0;
+            const { data: done, error: creditError } = await supabase.from('users')
+                .update({ wallet_balance: balance + amount })
+                .eq('id', wallet.paid_by)
+                .eq('wallet_balance', balance)
+                .select('wallet_balance');
+            if (creditError || !done || done.length === 0) throw new Error("تعذر رد الاشتراك إلى المحفظة. حاول مرة أخرى.");
+            credited = { userId: wallet.paid_by, balance };
+        }
+
+        const { error } = await supabase.from('tournament_payments').insert([{
+            tournament_id: tournamentId,
+            team_id: teamId,
+            amount: -amount,
+            method: 'REFUND',
+            paid_by: wallet?.paid_by || null,
+            recorded_by: recordedBy,
+            created_at: new Date().toISOString()
+        }]);
+
+        if (error) {
+            // Undo the credit: the ledger is the source of truth
+            console.error("Refund Ledger Error:", error);
+            if (credited) await supabase.from('users').update({ wallet_balance: credited.balance }).eq('id', credited.userId);
+            throw new Error("فشل تسجيل رد الاشتراك.");
+        }
+        return amount;
+    }
+
+    /**
+     * Start Gate: throws when at least one registered team has not paid.
+     * @param {string} tournamentId
+     */
+    async assertAllPaid(tournamentId) {
+        const ledger = await this.getLedger(tournamentId);
+        if (ledger.unpaidTeamIds.length > 0) {
+            throw new Error(`لا يمكن بدء البطولة: ${ledger.unpaidTeamIds.length} فريق لم يدفع الاشتراك.`);
+        }
+    }
+
+    /**
+     * Pure calculation of the pool and the payout per finishing position.
+     *
+     * @param {Object} config - tournaments.config (entry_fee, finance).
+     * @param {number} collected - Total entry fees received.
+     * @returns {Object} { collected, organizerCut, net, payouts: [{ position, pct, amount }] }
+     */
+    calculatePrizePool(config, collected) {
+        const finance = { ...DEFAULT_FINANCE, ...(config?.finance || {}) };
+        const organizerCut = Math.round(collected * finance.organizer_cut_pct / 100);
+        const net = collected - organizerCut;
+
+        const payouts = finance.payout_split.map((pct, i) => ({
+            position: i + 1,
+            pct,
+            amount: Math.floor(net * pct / 100)
+        }));
+
+        // Rounding leftovers go to the champion
+        const distributed = payouts.reduce((sum, p) => sum + p.amount, 0);
+        const totalPct = finance.payout_split.reduce((sum, pct) => sum + pct, 0);
+        if (payouts.length > 0 && totalPct === 100) payouts[0].amount += net - distributed;
+
+        return { collected, organizerCut, net, payouts };
+    }
+
+    /**
+     * [ACTION 3] SETTLEMENT
+     * Freezes the final money summary in config.settlement.
+     * Re-running it (e.g. after a corrected final) overwrites the summary.
+     *
+     * @param {string} tournamentId
+     * @param {Array<string>} ranking - Team IDs by finishing position (1st first).
+     * @returns {Promise<Object>} The settlement summary.
+     */
+    async settle(tournamentId, ranking) {
+        const { data: tourn } = await supabase.from('tournaments').select('config').eq('id', tournamentId).single();
+        const config = tourn?.config || {};
+        if (!config.entry_fee) return null;
+
+        const ledger = await this.getLedger(tournamentId);
+        const settlement = {
+            ...ledger.pool,
+            payouts: ledger.pool.payouts.map(p => ({ ...p, team_id: ranking[p.position - 1] || null })),
+            settled_at: new Date().toISOString()
+        };
+
+        const { error } = await supabase.from('tournaments').update({ config: { ...config, settlement } }).eq('id', tournamentId);
+        if (error) console.error("Settlement Save Error:", error);
+        return settlement;
+    }
+
+    async _assertNotPaid(tournamentId, teamId) {
+        const { data } = await supabase.from('tournament_payments')
+            .select('team_id, amount').eq('tournament_id', tournamentId).eq('team_id', teamId);
+        if (this._netPaid(data || [], teamId) > 0) throw new Error("تم تسجيل دفع هذا الفريق بالفعل.");
+    }
+
+    /**
+     * Payments minus refunds of one team.
+     */
+    _netPaid(payments, teamId) {
+        return payments.filter(p => p.team_id === teamId).reduce((sum, p) => sum + (p.amount || 0), 0);
+    }
+}
@@ -0,0 +1,175 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/services/tournamentHistoryService.js
+ * Version: 1.0.0 (COMPETITION HISTORY)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A competition is the chain of editions of the same tournament
+ * (e.g. every Ramadan cup of a neighbourhood). The first edition is the root;
+ * every clone stores it in config.competition_id with its config.edition number.
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Editions: Every edition with its champion and runner-up
+ *    (config.final_ranking, written when the tournament completes).
+ * 2. All-Time Table: Confirmed results of every edition, scored with the
+ *    rulebook points of the edition they were played in.
+ * 3. Records: Biggest win, highest-scoring match, all-time scorers, most titles.
+ * -----------------------------------------------------------------------------
+ */
+
+import { supabase } from '../core/supabaseClient.js';
+import { Rulebook } from '../utils/rulebook.js';
+
+const PLAYED = ['CONFIRMED', 'FINISHED'];
+const FINISHED_STATUSES = ['COMPLETED', 'ARCHIVED'];
+
+export class TournamentHistoryService {
+
+    /**
+     * Root tournament ID of the competition a tournament belongs to.
+     * @param {Object} tournament - tournaments row (id, config).
+     */
+    static competitionOf(tournament) {
+        return tournament.config?.competition_id || tournament.id;
+    }
+
+    /**
+     * Every edition of a competition, oldest first.
+     * @param {string} competitionId - Root tournament ID.
+     * @returns {Promise<Array>} tournaments rows + `edition` number.
+     */
+    async getEditions(competitionId) {
+        const { data, error } = await supabase.from('tournaments')
+            .select('id, name, status, organizer_id, config, created_at')
+            .or(`id.eq.${competitionId},config->>competition_id.eq.${competitionId}`)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error("Editions Fetch Error:", error);
+            throw new Error("فشل تحميل نسخ البطولة.");
+        }
+        return (data || []).map((t, i) => ({ ...t, edition: t.config?.edition || i + 1 }));
+    }
+
+    /**
+     * The full history page of a competition.
+     *
+     * @param {string} competitionId
+     * @returns {Promise<Object>} { editions, table, records }
+     */
+    async getHistory(competitionId) {
+        const editions = await this.getEditions(competitionId);
+        if (editions.length === 0) throw new Error("البطولة غير موجودة.");
+        const ids = editions.map(e => e.id);
+
+        const [matchesRes, teamsRes] = await Promise.all([
+            supabase.from('matches')
+                .select('id, tournament_id, team_a_id, team_b_id, score_a, score_b, status, played_at')
+                .in('tournament_id', ids).in('status', PLAYED),
+            supabase.from('tournament_teams').select('tournament_id, team_id, teams(name)').in('tournament_id', ids)
+        ]);
+
+        const matches = matchesRes.data || [];
+        const teamNames = {};
+        (teamsRes.data || []).forEach(r => { teamNames[r.team_id] = r.teams?.name || '???'; });
+        const nameOf = (id) => teamNames[id] || '???';
+
+        const { data: goals } = matches.length > 0
+            ? await supabase.from('match_events').select('player_id, team_id').in('match_id', matches.map(m => m.id)).eq('event_type', 'GOAL')
+            : { data: [] };
+
+        const rows = editions.map(e => {
+            const ranking = e.config?.final_ranking || [];
+            const finished = FINISHED_STATUSES.includes(e.status);
+            return {
+                id: e.id,
+                name: e.name,
+                edition: e.edition,
+                status: e.status,
+                year: new Date(e.created_at).getFullYear(),
+                champion: finished && ranking[0] ? { id: ranking[0], name: nameOf(ranking[0]) } : null,
+                runnerUp: finished && ranking[1] ? { id: ranking[1], name: nameOf(ranking[1]) } : null
+            };
+        });
+
+        return {
+            editions: rows,
+            table: this._allTimeTable(matches, editions, nameOf),
+            records: await this._records(matches, rows, goals || [], nameOf)
+        };
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    /**
+     * Sums every confirmed result; each edition keeps its own points system.
+     */
+    _allTimeTable(matches, editions, nameOf) {
+        const points = {};
+        editions.forEach(e => { points[e.id] = Rulebook.resolve(e.config).points; });
+
+        const table = {};
+        const rowOf = (teamId) => {
+            if (!table[teamId]) table[teamId] = { team_id: teamId, name: nameOf(teamId), editions: new Set(), played: 0, won: 0, drawn: 0, lost: 0, gf: 0, ga: 0, points: 0 };
+            return table[teamId];
+        };
+
+        matches.forEach(m => {
+            const p = points[m.tournament_id];
+            [[m.team_a_id, m.score_a, m.score_b], [m.team_b_id, m.score_b, m.score_a]].forEach(([teamId, scored, conceded]) => {
+                const row = rowOf(teamId);
+                row.editions.add(m.tournament_id);
+                row.played++;
+                row.gf += scored;
+                row.ga += conceded;
+                if (scored > conceded) { row.won++; row.points += p.win; }
+                else if (scored === conceded) { row.drawn++; row.points += p.draw; }
+                else { row.lost++; row.points += p.loss; }
+            });
+        });
+
+        return Object.values(table)
+            .map(r => ({ ...r, editions: r.editions.size, gd: r.gf - r.ga }))
+            .sort((x, y) => (y.points - x.points) || (y.gd - x.gd) || (y.gf - x.gf));
+    }
+
+    async _records(matches, editions, goals, nameOf) {
+        const describe = (m) => m && ({
+            match_id: m.id,
+            label: `${nameOf(m.team_a_id)} ${m.score_a} - ${m.score_b} ${nameOf(m.team_b_id)}`,
+            edition: editions.find(e => e.id === m.tournament_id)?.edition
+        });
+        const pick = (valueOf) => matches.reduce((best, m) => (!best || valueOf(m) > valueOf(best)) ? m : best, null);
+
+        // Titles per team
+        const titles = {};
+        editions.filter(e => e.champion).forEach(e => {
+            titles[e.champion.id] = titles[e.champion.id] || { team_id: e.champion.id, name: e.champion.name, titles: 0 };
+            titles[e.champion.id].titles++;
+        });
+
+        // All-time scorers
+        const tally = {};
+        goals.filter(g => g.player_id).forEach(g => {
+            tally[g.player_id] = tally[g.player_id] || { player_id: g.player_id, team: nameOf(g.team_id), goals: 0 };
+            tally[g.player_id].goals++;
+        });
+        const scorers = Object.values(tally).sort((x, y) => y.goals - x.goals).slice(0, 10);
+        if (scorers.length > 0) {
+            const { data: users } = await supabase.from('users').select('id, username').in('id', scorers.map(s => s.player_id));
+            scorers.forEach(s => { s.name = (users || []).find(u => u.id === s.player_id)?.username || 'غير معروف'; });
+        }
+
+        return {
+            biggestWin: describe(pick(m => Math.abs(m.score_a - m.score_b))),
+            highestScoring: describe(pick(m => m.score_a + m.score_b)),
+            scorers,
+            mostTitles: Object.values(titles).sort((x, y) => y.titles - x.titles)
+        };
+    }
+}
@@ -0,0 +1,286 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/services/tournamentSquadService.js
+ * Version: 1.0.0 (REGISTERED SQUADS)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * The named list of players each team registers for a tournament.
+ * One row per player in 'tournament_squads':
+ * { tournament_id, team_id, player_id, status, replaces_player_id, reason }
+ *
+ * STATUS FLOW:
+ * ACTIVE (registered) -> REPLACED (swapped out by an approved change)
+ * PENDING (requested replacement) -> ACTIVE / DECLINED (organizer decision)
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Registration: Captain picks players from the team roster while the
+ *    tournament is OPEN, checked against the rulebook.
+ * 2. Lock: After the draw the list is frozen; only replacements approved by
+ *    the organizer (rules.max_replacements) can change it.
+ * 3. Start Gate: Blocks the draw until every team has a squad.
+ * 4. Eligibility: Lineups and match events must come from the active squad.
+ * -----------------------------------------------------------------------------
+ */
+
+import { supabase } from '../core/supabaseClient.js';
+import { Rulebook } from '../utils/rulebook.js';
+
+export const SQUAD_STATUS = {
+    ACTIVE: 'ACTIVE',
+    PENDING: 'PENDING',
+    REPLACED: 'REPLACED',
+    DECLINED: 'DECLINED'
+};
+
+export class TournamentSquadService {
+
+    /**
+     * Every squad row of a tournament except declined requests.
+     * @param {string} tournamentId
+     * @returns {Promise<Array>} rows + users(username)
+     */
+    async getSquads(tournamentId) {
+        const { data, error } = await supabase.from('tournament_squads')
+            .select('*, player:users!player_id(username)')
+            .eq('tournament_id', tournamentId)
+            .neq('status', SQUAD_STATUS.DECLINED)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error("Squad Fetch Error:", error);
+            throw new Error("فشل تحميل قوائم الفرق.");
+        }
+        return data || [];
+    }
+
+    /**
+     * Active player IDs of one team (empty when no squad was registered).
+     */
+    async getActivePlayerIds(tournamentId, teamId) {
+        const { data } = await supabase.from('tournament_squads').select('player_id')
+            .eq('tournament_id', tournamentId).eq('team_id', teamId).eq('status', SQUAD_STATUS.ACTIVE);
+        return (data || []).map(r => r.player_id);
+    }
+
+    /**
+     * [ACTION 1] REGISTER SQUAD (Captain, before the draw)
+     * Replaces the whole list; allowed as often as needed while OPEN.
+     *
+     * @param {string} tournamentId
+     * @param {string} teamId
+     * @param {string} captainId
+     * @param {Array<string>} playerIds - team_members user IDs.
+     */
+    async registerSquad(tournamentId, teamId, captainId, playerIds) {
+        const tourn = await this._loadTournament(tournamentId);
+        if (tourn.status !== 'OPEN') throw new Error("القائمة مقفلة بعد القرعة. قدّم طلب تبديل.");
+        await this._assertCaptain(teamId, captainId);
+
+        const { data: entry } = await supabase.from('tournament_teams').select('status')
+            .eq('tournament_id', tournamentId).eq('team_id', teamId).maybeSingle();
+        if (!entry || ['WITHDRAWN', 'DECLINED'].includes(entry.status)) throw new Error("فريقك غير مسجل في البطولة.");
+
+        const ids = [...new Set(playerIds)];
+        await this._assertMembers(teamId, ids);
+
+        const players = await this._loadPlayers(ids);
+        const foreignIds = await this._registeredElsewhere(tournamentId, teamId, ids);
+        const violations = Rulebook.checkSquad(Rulebook.resolve(tourn.config), players, foreignIds);
+        if (violations.length > 0) throw new Error(violations.join('\n'));
+
+        await supabase.from('tournament_squads').delete().eq('tournament_id', tournamentId).eq('team_id', teamId);
+        const { error } = await supabase.from('tournament_squads').insert(ids.map(playerId => ({
+            tournament_id: tournamentId,
+            team_id: teamId,
+            player_id: playerId,
+            status: SQUAD_STATUS.ACTIVE,
+            created_at: new Date().toISOString()
+        })));
+        if (error) {
+            console.error("Squad Insert Error:", error);
+            throw new Error("فشل حفظ القائمة.");
+        }
+        return true;
+    }
+
+    /**
+     * [ACTION 2] REPLACEMENT REQUEST (Captain, after the draw)
+     * Swaps one registered player for another team member, pending approval.
+     *
+     * @param {string} tournamentId
+     * @param {string} teamId
+     * @param {string} captainId
+     * @param {string} outId - Active squad player leaving the list.
+     * @param {string} inId - Team member joining the list.
+     * @param {string} reason - Injury, travel... shown to the organizer.
+     */
+    async requestReplacement(tournamentId, teamId, captainId, outId, inId, reason) {
+        const tourn = await this._loadTournament(tournamentId);
+        if (tourn.status === 'OPEN') throw new Error("القائمة ما زالت مفتوحة. عدّلها مباشرة.");
+        if (['COMPLETED', 'ARCHIVED'].includes(tourn.status)) throw new Error("البطولة انتهت.");
+        await this._assertCaptain(teamId, captainId);
+        if (!reason?.trim()) throw new Error("اكتب سبب التبديل.");
+
+        const { data: rows } = await supabase.from('tournament_squads').select('player_id, status, replaces_player_id')
+            .eq('tournament_id', tournamentId).eq('team_id', teamId);
+        const active = (rows || []).filter(r => r.status === SQUAD_STATUS.ACTIVE).map(r => r.player_id);
+        if (!active.includes(outId)) throw new Error("اللاعب المستبعد ليس في القائمة.");
+        if (active.includes(inId)) throw new Error("اللاعب البديل مسجل بالفعل.");
+        if ((rows || []).some(r => r.status === SQUAD_STATUS.PENDING)) throw new Error("لديك طلب تبديل قيد المراجعة.");
+
+        const rules = Rulebook.resolve(tourn.config);
+        const used = TournamentSquadService.usedReplacements(rows || []);
+        if (used >= rules.max_replacements) throw new Error(`استنفدت التبديلات المسموحة (${rules.max_replacements}).`);
+
+        await this._assertMembers(teamId, [inId]);
+        const nextIds = [...active.filter(id => id !== outId), inId];
+        const players = await this._loadPlayers(nextIds);
+        const foreignIds = await this._registeredElsewhere(tournamentId, teamId, [inId]);
+        const violations = Rulebook.checkSquad(rules, players, foreignIds);
+        if (violations.length > 0) throw new Error(violations.join('\n'));
+
+        const { error } = await supabase.from('tournament_squads').insert([{
+            tournament_id: tournamentId,
+            team_id: teamId,
+            player_id: inId,
+            status: SQUAD_STATUS.PENDING,
+            replaces_player_id: outId,
+            reason: reason.trim(),
+            created_at: new Date().toISOString()
+        }]);
+        if (error) {
+            console.error("Replacement Request Error:", error);
+            throw new Error("فشل إرسال الطلب.");
+        }
+
+        await this._notify([tourn.organizer_id], 'طلب تبديل لاعب', `طلب تبديل جديد في قائمة فريق ضمن ${tourn.name}.`);
+        return true;
+    }
+
+    /**
+     * [ACTION 3] ORGANIZER DECISION on a PENDING replacement.
+     *
+     * @param {string} rowId - tournament_squads.id of the incoming player.
+     * @param {boolean} approve
+     * @param {string} organizerId
+     */
+    async reviewReplacement(rowId, approve, organizerId) {
+        const { data: row } = await supabase.from('tournament_squads').select('*').eq('id', rowId).single();
+        if (!row || row.status !== SQUAD_STATUS.PENDING) throw new Error("تمت مراجعة هذا الطلب بالفعل.");
+
+        const tourn = await this._loadTournament(row.tournament_id);
+        if (tourn.organizer_id !== organizerId) throw new Error("المنظم فقط يمكنه مراجعة التبديلات.");
+
+        const now = new Date().toISOString();
+        if (approve) {
+            await supabase.from('tournament_squads').update({ status: SQUAD_STATUS.REPLACED })
+                .eq('tournament_id', row.tournament_id).eq('team_id', row.team_id)
+                .eq('player_id', row.replaces_player_id).eq('status', SQUAD_STATUS.ACTIVE);
+        }
+        const { error } = await supabase.from('tournament_squads')
+            .update({ status: approve ? SQUAD_STATUS.ACTIVE : SQUAD_STATUS.DECLINED, approved_at: approve ? now : null })
+            .eq('id', rowId);
+        if (error) throw error;
+
+        const { data: captains } = await supabase.from('team_members').select('user_id').eq('team_id', row.team_id).eq('role', 'CAPTAIN');
+        await this._notify((captains || []).map(c => c.user_id), '🔁 تبديل القائمة',
+            approve ? `تمت الموافقة على التبديل في ${tourn.name}.` : `تم رفض طلب التبديل في ${tourn.name}.`);
+        return true;
+    }
+
+    /**
+     * Replacements that went through (the incoming player is or was ACTIVE).
+     * Pending and declined requests do not use up the allowance.
+     *
+     * @param {Array<Object>} rows - tournament_squads rows of one team.
+     */
+    static usedReplacements(rows) {
+        return rows.filter(r => r.replaces_player_id && [SQUAD_STATUS.ACTIVE, SQUAD_STATUS.REPLACED].includes(r.status)).length;
+    }
+
+    /**
+     * Start Gate: throws when at least one team has no registered squad.
+     * @param {string} tournamentId
+     * @param {Array<string>} teamIds - Approved teams.
+     */
+    async assertAllRegistered(tournamentId, teamIds) {
+        const { data } = await supabase.from('tournament_squads').select('team_id')
+            .eq('tournament_id', tournamentId).eq('status', SQUAD_STATUS.ACTIVE);
+        const registered = new Set((data || []).map(r => r.team_id));
+        const missing = teamIds.filter(id => !registered.has(id));
+        if (missing.length > 0) throw new Error(`لا يمكن بدء البطولة: ${missing.length} فريق لم يسجل قائمة اللاعبين.`);
+    }
+
+    /**
+     * Eligibility check for lineups and match events.
+     * Teams without a squad (tournaments started before squads existed) are not checked.
+     *
+     * @param {string} tournamentId
+     * @param {string} teamId
+     * @param {Array<string>} playerIds
+     */
+    async assertInSquad(tournamentId, teamId, playerIds) {
+        const squad = await this.getActivePlayerIds(tournamentId, teamId);
+        if (squad.length === 0) return;
+
+        const outsiders = [...new Set(playerIds)].filter(id => !squad.includes(id));
+        if (outsiders.length > 0) {
+            const players = await this._loadPlayers(outsiders);
+            throw new Error(`لاعبون غير مسجلين في قائمة البطولة: ${players.map(p => p.username).join('، ')}.`);
+        }
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    async _loadTournament(tournamentId) {
+        const { data: tourn } = await supabase.from('tournaments').select('name, status, organizer_id, config').eq('id', tournamentId).single();
+        if (!tourn) throw new Error("البطولة غير موجودة.");
+        return tourn;
+    }
+
+    async _assertCaptain(teamId, userId) {
+        const { data: membership } = await supabase.from('team_members')
+            .select('role').eq('team_id', teamId).eq('user_id', userId).maybeSingle();
+        if (membership?.role !== 'CAPTAIN') throw new Error("الكابتن فقط يمكنه إدارة قائمة الفريق.");
+    }
+
+    async _assertMembers(teamId, ids) {
+        if (ids.length === 0) throw new Error("اختر لاعباً واحداً على الأقل.");
+        const { data } = await supabase.from('team_members').select('user_id').eq('team_id', teamId).in('user_id', ids);
+        if ((data || []).length !== ids.length) throw new Error("كل اللاعبين يجب أن يكونوا أعضاء في الفريق.");
+    }
+
+    async _loadPlayers(ids) {
+        const { data } = await supabase.from('users').select('id, username, activity_type').in('id', ids);
+        return data || [];
+    }
+
+    /**
+     * Players of `ids` listed (active or pending) by another team of the tournament.
+     */
+    async _registeredElsewhere(tournamentId, teamId, ids) {
+        const { data } = await supabase.from('tournament_squads').select('player_id')
+            .eq('tournament_id', tournamentId).neq('team_id', teamId).in('player_id', ids)
+            .in('status', [SQUAD_STATUS.ACTIVE, SQUAD_STATUS.PENDING]);
+        return [...new Set((data || []).map(r => r.player_id))];
+    }
+
+    async _notify(userIds, title, message) {
+        try {
+            const notifs = userIds.filter(Boolean).map(userId => ({
+                user_id: userId,
+                type: 'TOURNAMENT_SQUAD',
+                title,
+                message,
+                is_read: false,
+                created_at: new Date().toISOString()
+            }));
+            if (notifs.length > 0) await supabase.from('notifications').insert(notifs);
+        } catch (e) { console.warn("Notif Error", e); }
+    }
+}
@@ -0,0 +1,332 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/services/tournamentStatsService.js
+ * Version: 1.0.0 (PLAYER STATS & AWARDS)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * The player side of a tournament. The referee console writes one
+ * 'match_events' row per goal / card, tagged with the tournament, and this
+ * service turns them into leaderboards and end-of-tournament awards.
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Match Sheet: Registered squads of both teams, submitted lineups and
+ *    stored events (referee console).
+ * 2. Events: Replaces the events of a match (safe on result corrections).
+ * 3. Leaderboards: Golden boot, assists, clean sheets (GK), cards.
+ * 4. Awards: Best player, best goalkeeper, fair-play team. Stored in
+ *    config.awards and written to the winners' GENESIS cards (stats.awards).
+ * -----------------------------------------------------------------------------
+ */
+
+import { supabase } from '../core/supabaseClient.js';
+import { TeamService } from './teamService.js';
+import { TournamentSquadService } from './tournamentSquadService.js';
+
+const PLAYED = ['CONFIRMED', 'FINISHED'];
+const EVENT_TYPES = ['GOAL', 'YELLOW', 'RED'];
+
+// Best player score: goal 3, assist 2, yellow -1, red -3
+const PLAYER_WEIGHTS = { goals: 3, assists: 2, yellow: -1, red: -3 };
+
+export const AWARD_LABELS = {
+    GOLDEN_BOOT: 'الحذاء الذهبي',
+    BEST_PLAYER: 'أفضل لاعب',
+    BEST_GOALKEEPER: 'أفضل حارس',
+    FAIR_PLAY: 'جائزة اللعب النظيف'
+};
+
+export class TournamentStatsService {
+
+    constructor() {
+        this.teamService = new TeamService();
+        this.squads = new TournamentSquadService();
+    }
+
+    /**
+     * Everything the referee console needs to record player events.
+     * Rosters are narrowed to the registered squad when the team has one;
+     * `outsiders` lists lineup players who are not on it.
+     *
+     * @param {string} matchId
+     * @returns {Promise<Object>} { match, rosters: { a, b }, lineups: { a, b }, outsiders: { a, b }, events: [] }
+     */
+    async getMatchSheet(matchId) {
+        const { data: match } = await supabase.from('matches').select('id, tournament_id, team_a_id, team_b_id').eq('id', matchId).single();
+        if (!match) throw new Error("المباراة غير موجودة.");
+
+        const [rosterA, rosterB, squadA, squadB, lineupsRes, eventsRes] = await Promise.all([
+            this.teamService.getTeamRoster(match.team_a_id),
+            this.teamService.getTeamRoster(match.team_b_id),
+            this.squads.getActivePlayerIds(match.tournament_id, match.team_a_id),
+            this.squads.getActivePlayerIds(match.tournament_id, match.team_b_id),
+            supabase.from('match_lineups').select('team_id, player_id').eq('match_id', matchId),
+            supabase.from('match_events').select('*').eq('match_id', matchId)
+        ]);
+
+        const inSquad = (roster, squad) => squad.length ? roster.filter(p => squad.includes(p.userId)) : roster;
+        const lineupOf = (teamId) => (lineupsRes.data || []).filter(r => r.team_id === teamId).map(r => r.player_id);
+        const lineups = { a: lineupOf(match.team_a_id), b: lineupOf(match.team_b_id) };
+        const outsidersOf = (lineup, squad, roster) => squad.length === 0 ? [] : lineup
+            .filter(id => !squad.includes(id))
+            .map(id => roster.find(p => p.userId === id)?.name || 'لاعب خارج الفريق');
+
+        return {
+            match,
+            rosters: { a: inSquad(rosterA, squadA), b: inSquad(rosterB, squadB) },
+            lineups,
+            outsiders: { a: outsidersOf(lineups.a, squadA, rosterA), b: outsidersOf(lineups.b, squadB, rosterB) },
+            events: eventsRes.data || []
+        };
+    }
+
+    /**
+     * Replaces the player events of a match.
+     *
+     * @param {Object} match - matches row (id, tournament_id, team_a_id, team_b_id).
+     * @param {number} scoreA - Final score, used to cap the number of scorers.
+     * @param {number} scoreB
+     * @param {Array<Object>} events - [{ team_id, player_id, event_type, assist_id, minute }]
+     */
+    async saveMatchEvents(match, scoreA, scoreB, events) {
+        const clean = (events || []).filter(e => e.player_id && EVENT_TYPES.includes(e.event_type));
+
+        const goalsOf = (teamId) => clean.filter(e => e.event_type === 'GOAL' && e.team_id === teamId).length;
+        if (goalsOf(match.team_a_id) > scoreA || goalsOf(match.team_b_id) > scoreB) {
+            throw new Error("عدد الأهداف المسجلة للاعبين أكبر من نتيجة المباراة.");
+        }
+
+        // Only registered squad players can score, assist or be booked
+        for (const teamId of [match.team_a_id, match.team_b_id]) {
+            const own = clean.filter(e => e.team_id === teamId);
+            const ids = own.flatMap(e => [e.player_id, e.event_type === 'GOAL' ? e.assist_id : null]).filter(Boolean);
+            if (ids.length > 0) await this.squads.assertInSquad(match.tournament_id, teamId, ids);
+        }
+
+        await supabase.from('match_events').delete().eq('match_id', match.id);
+        if (clean.length === 0) return true;
+
+        const { error } = await supabase.from('match_events').insert(clean.map(e => ({
+            match_id: match.id,
+            tournament_id: match.tournament_id,
+            team_id: e.team_id,
+            player_id: e.player_id,
+            event_type: e.event_type,
+            assist_id: e.event_type === 'GOAL' ? (e.assist_id || null) : null,
+            minute: Number.isInteger(e.minute) ? e.minute : null
+        })));
+
+        if (error) {
+            console.error("Match Events Error:", error);
+            throw new Error("فشل حفظ أحداث المباراة.");
+        }
+        return true;
+    }
+
+    /**
+     * Builds the tournament leaderboards from played matches only.
+     *
+     * @param {string} tournamentId
+     * @returns {Promise<Object>} { scorers, assists, cleanSheets, discipline, fairPlay }
+     */
+    async getStats(tournamentId) {
+        const [matchesRes, teamsRes] = await Promise.all([
+            supabase.from('matches').select('id, team_a_id, team_b_id, score_a, score_b, status, match_data').eq('tournament_id', tournamentId),
+            supabase.from('tournament_teams').select('team_id, teams(name)').eq('tournament_id', tournamentId).or('status.is.null,status.eq.APPROVED')
+        ]);
+
+        const played = (matchesRes.data || []).filter(m => PLAYED.includes(m.status));
+        const teams = teamsRes.data || [];
+        const teamName = (id) => teams.find(t => t.team_id === id)?.teams?.name || '???';
+
+        const playedIds = played.map(m => m.id);
+        const [{ data: events }, { data: lineups }] = playedIds.length > 0
+            ? await Promise.all([
+                supabase.from('match_events').select('*').in('match_id', playedIds),
+                supabase.from('match_lineups').select('match_id, team_id, player_id').in('match_id', playedIds)
+            ])
+            : [{ data: [] }, { data: [] }];
+
+        // 1. Per player counters
+        const players = {};
+        const rowOf = (playerId, teamId) => {
+            if (!players[playerId]) players[playerId] = { player_id: playerId, team_id: teamId, goals: 0, assists: 0, yellow: 0, red: 0, clean_sheets: 0 };
+            return players[playerId];
+        };
+
+        (events || []).forEach(e => {
+            if (e.event_type === 'GOAL') {
+                rowOf(e.player_id, e.team_id).goals++;
+                if (e.assist_id) rowOf(e.assist_id, e.team_id).assists++;
+            }
+            if (e.event_type === 'YELLOW') rowOf(e.player_id, e.team_id).yellow++;
+            if (e.event_type === 'RED') rowOf(e.player_id, e.team_id).red++;
+        });
+
+        // 2. Clean sheets: the team's goalkeeper(s) by card position, when on the team sheet
+        const keepers = await this._goalkeepers(teams.map(t => t.team_id));
+        const fielded = (matchId, teamId, playerId) =>
+            (lineups || []).some(l => l.match_id === matchId && l.team_id === teamId && l.player_id === playerId);
+        const creditKeepers = (m, teamId) => (keepers[teamId] || [])
+            .filter(gk => fielded(m.id, teamId, gk))
+            .forEach(gk => rowOf(gk, teamId).clean_sheets++);
+        played.forEach(m => {
+            if (m.score_b === 0) creditKeepers(m, m.team_a_id);
+            if (m.score_a === 0) creditKeepers(m, m.team_b_id);
+        });
+
+        // 3. Names
+        const names = await this._playerNames(Object.keys(players));
+        const rows = Object.values(players).map(p => ({ ...p, name: names[p.player_id] || 'غير معروف', team: teamName(p.team_id) }));
+
+        const top = (key, extra = () => 0) => rows.filter(r => r[key] > 0).sort((x, y) => (y[key] - x[key]) || extra(x, y));
+
+        // 4. Team fair play (team-level cards from the referee console)
+        const fairPlay = teams.map(t => {
+            let points = 0;
+            let matches = 0;
+            played.forEach(m => {
+                const side = m.team_a_id === t.team_id ? 'a' : (m.team_b_id === t.team_id ? 'b' : null);
+                if (!side) return;
+                matches++;
+                const c = m.match_data?.cards?.[side];
+                if (c) points += (c.yellow || 0) + (c.red || 0) * 3;
+            });
+            return { team_id: t.team_id, name: t.teams?.name || '???', points, matches };
+        }).filter(t => t.matches > 0).sort((x, y) => (x.points - y.points) || (y.matches - x.matches));
+
+        return {
+            scorers: top('goals', (x, y) => y.assists - x.assists),
+            assists: top('assists', (x, y) => y.goals - x.goals),
+            cleanSheets: top('clean_sheets'),
+            discipline: rows.filter(r => r.yellow + r.red > 0).sort((x, y) => (y.red - x.red) || (y.yellow - x.yellow)),
+            fairPlay,
+            players: rows
+        };
+    }
+
+    /**
+     * Pure pick of the award winners from getStats() output.
+     * @returns {Object} { GOLDEN_BOOT, BEST_PLAYER, BEST_GOALKEEPER, FAIR_PLAY } (null when nobody qualifies)
+     */
+    pickAwards(stats) {
+        const score = (p) => Object.keys(PLAYER_WEIGHTS).reduce((sum, k) => sum + p[k] * PLAYER_WEIGHTS[k], 0);
+        const best = [...stats.players].filter(p => score(p) > 0).sort((x, y) => score(y) - score(x))[0];
+        const pick = (p, value) => p ? { player_id: p.player_id, team_id: p.team_id, name: p.name, value } : null;
+
+        return {
+            GOLDEN_BOOT: pick(stats.scorers[0], stats.scorers[0]?.goals),
+            BEST_PLAYER: pick(best, best ? score(best) : null),
+            BEST_GOALKEEPER: pick(stats.cleanSheets[0], stats.cleanSheets[0]?.clean_sheets),
+            FAIR_PLAY: stats.fairPlay[0] ? { team_id: stats.fairPlay[0].team_id, name: stats.fairPlay[0].name, value: stats.fairPlay[0].points } : null
+        };
+    }
+
+    /**
+     * [ACTION] Hands out the end-of-tournament awards.
+     * Re-running replaces the previous awards of this tournament on the cards.
+     *
+     * @param {string} tournamentId
+     * @param {string} organizerId
+     * @returns {Promise<Object>} config.awards
+     */
+    async finalizeAwards(tournamentId, organizerId) {
+        const { data: tourn } = await supabase.from('tournaments').select('name, organizer_id, status, config').eq('id', tournamentId).single();
+        if (!tourn) throw new Error("البطولة غير موجودة.");
+        if (tourn.organizer_id !== organizerId) throw new Error("المنظم فقط يمكنه توزيع الجوائز.");
+        if (tourn.status !== 'COMPLETED') throw new Error("الجوائز تُوزع بعد انتهاء البطولة.");
+
+        const winners = this.pickAwards(await this.getStats(tournamentId));
+        const awards = { ...winners, awarded_at: new Date().toISOString() };
+
+        const { error } = await supabase.from('tournaments').update({ config: { ...tourn.config, awards } }).eq('id', tournamentId);
+        if (error) throw error;
+
+        // Player awards -> GENESIS card (displayed on the profile card)
+        const byPlayer = {};
+        Object.entries(winners).forEach(([award, w]) => {
+            if (!w?.player_id) return;
+            if (!byPlayer[w.player_id]) byPlayer[w.player_id] = [];
+            byPlayer[w.player_id].push(award);
+        });
+        const previous = Object.values(tourn.config?.awards || {}).map(w => w?.player_id).filter(Boolean);
+        for (const playerId of new Set([...previous, ...Object.keys(byPlayer)])) {
+            await this._writeCardAwards(playerId, tournamentId, tourn.name, byPlayer[playerId] || []);
+        }
+
+        await this._notifyWinners(winners, tourn.name);
+        return awards;
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    async _writeCardAwards(playerId, tournamentId, tournamentName, awards) {
+        const { data: card } = await supabase.from('cards').select('id, stats').eq('owner_id', playerId).eq('type', 'GENESIS').maybeSingle();
+        if (!card) return;
+
+        const kept = (card.stats?.awards || []).filter(a => a.tournament_id !== tournamentId);
+        const added = awards.map(award => ({ award, tournament_id: tournamentId, tournament: tournamentName, date: new Date().toISOString() }));
+
+        const { error } = await supabase.from('cards').update({ stats: { ...card.stats, awards: [...kept, ...added] } }).eq('id', card.id);
+        if (error) console.warn("Card Award Error:", error);
+    }
+
+    async _notifyWinners(winners, tournamentName) {
+        try {
+            const notifs = [];
+            for (const [award, w] of Object.entries(winners)) {
+                if (!w) continue;
+                let userIds = w.player_id ? [w.player_id] : [];
+                if (!w.player_id) {
+                    const { data: captains } = await supabase.from('team_members').select('user_id').eq('team_id', w.team_id).eq('role', 'CAPTAIN');
+                    userIds = (captains || []).map(c => c.user_id);
+                }
+                userIds.forEach(userId => notifs.push({
+                    user_id: userId,
+                    type: 'TOURNAMENT_AWARD',
+                    title: `🏅 ${AWARD_LABELS[award]}`,
+                    message: `مبروك! ${AWARD_LABELS[award]} في ${tournamentName}.`,
+                    is_read: false,
+                    created_at: new Date().toISOString()
+                }));
+            }
+            if (notifs.length > 0) await supabase.from('notifications').insert(notifs);
+        } catch (e) { console.warn("Notif Error", e); }
+    }
+
+    /**
+     * @returns {Promise<Object>} { teamId: [userId] } members whose card position is GK.
+     */
+    async _goalkeepers(teamIds) {
+        if (teamIds.length === 0) return {};
+        const { data: members } = await supabase.from('team_members').select('team_id, user_id').in('team_id', teamIds);
+        if (!members || members.length === 0) return {};
+
+        const { data: cards } = await supabase.from('cards').select('owner_id, position')
+            .in('owner_id', members.map(m => m.user_id)).eq('type', 'GENESIS').eq('position', 'GK');
+        const gkIds = new Set((cards || []).map(c => c.owner_id));
+
+        const keepers = {};
+        members.filter(m => gkIds.has(m.user_id)).forEach(m => {
+            if (!keepers[m.team_id]) keepers[m.team_id] = [];
+            keepers[m.team_id].push(m.user_id);
+        });
+        return keepers;
+    }
+
+    async _playerNames(playerIds) {
+        if (playerIds.length === 0) return {};
+        const [cardsRes, usersRes] = await Promise.all([
+            supabase.from('cards').select('owner_id, display_name').in('owner_id', playerIds).eq('type', 'GENESIS'),
+            supabase.from('users').select('id, username').in('id', playerIds)
+        ]);
+        const names = {};
+        (usersRes.data || []).forEach(u => { names[u.id] = u.username; });
+        (cardsRes.data || []).forEach(c => { if (c.display_name) names[c.owner_id] = c.display_name; });
+        return names;
+    }
+}
@@ -0,0 +1,470 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/bracketEngine.js
+ * Version: Noub Sports_beta 0.0.1 (PROGRESSION ENGINE)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A pure (DB-free) progression engine for every knockout-style format.
+ * A bracket is a plan of named slots (stored in tournaments.config.bracket);
+ * each slot says where its two teams come from. The auto-pilot simply asks
+ * "which slots can be played now?" after every confirmed result.
+ *
+ * BRACKET SHAPE:
+ * {
+ *   format: 'SINGLE_ELIM' | 'DOUBLE_ELIM' | 'SWISS',
+ *   entrants: [teamId],                       // Seed order
+ *   slots: [{ slot, stage, title, a, b, only_if }],  // Elimination formats
+ *   rounds: 5, byes: { 1: teamId }            // Swiss only
+ * }
+ * Source of a side: { team } | { winner: slot } | { loser: slot }
+ * A { team: null } side is a BYE: the slot is a walkover, no match is played.
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Single Elimination: R32 -> R16 -> QF -> SF -> FINAL (+ third-place
+ *    playoff). Any qualifier count up to 32: top seeds get byes.
+ * 2. Double Elimination: Upper bracket, lower bracket fed by upper losers,
+ *    Grand Final + reset match when the lower-bracket team wins it.
+ * 3. Swiss: Fixed number of rounds, pairings by score without rematches,
+ *    one bye per team at most, Buchholz tie-break.
+ * 4. Progression: Ready slots, dependents (for corrections), final ranking.
+ * -----------------------------------------------------------------------------
+ */
+
+export const BRACKET_FORMATS = ['SINGLE_ELIM', 'DOUBLE_ELIM', 'SWISS'];
+
+// Stages that are played to a winner (extra time / penalties)
+export const ELIMINATION_STAGES = ['ROUND_32', 'ROUND_16', 'QUARTER', 'SEMI', 'THIRD_PLACE', 'FINAL', 'UPPER', 'LOWER', 'GRAND_FINAL'];
+
+export const MAX_BRACKET_SIZE = 32;
+
+const ROUND_STAGES = { 1: 'FINAL', 2: 'SEMI', 4: 'QUARTER', 8: 'ROUND_16', 16: 'ROUND_32' };
+const SLOT_PREFIX = { SEMI: 'SF', QUARTER: 'QF', ROUND_16: 'R16-', ROUND_32: 'R32-' };
+const STAGE_TITLES = {
+    ROUND_32: 'دور الـ 32',
+    ROUND_16: 'دور الـ 16',
+    QUARTER: 'ربع النهائي (دور الـ 8)',
+    SEMI: 'نصف النهائي',
+    THIRD_PLACE: 'مباراة المركز الثالث',
+    FINAL: 'النهائي'
+};
+const BYE = 'BYE';
+const PENDING = 'PENDING';
+const SWISS_POINTS = { win: 3, draw: 1, bye: 3 };
+const PLAYED = ['CONFIRMED', 'FINISHED'];
+
+export class BracketEngine {
+
+    /**
+     * Pads a seed list with BYEs (null) up to the next bracket size (4..32).
+     * @param {Array<string>} seeds - Best first.
+     * @returns {Array<string|null>}
+     */
+    static padToBracket(seeds) {
+        if (seeds.length > MAX_BRACKET_SIZE) throw new Error(`الحد الأقصى ${MAX_BRACKET_SIZE} فريقاً في الأدوار الإقصائية.`);
+        let size = 4;
+        while (size < seeds.length) size *= 2;
+        return [...seeds, ...Array(size - seeds.length).fill(null)];
+    }
+
+    /**
+     * Standard seeding pairs (1 v N, then the halves that keep 1 and 2 apart).
+     * With padded seeds, the byes land against the top seeds.
+     * @param {Array<string|null>} seeds - Team IDs, best first (power of two).
+     * @returns {Array<Array<string>>} First round pairs in bracket order.
+     */
+    static pairsFromSeeds(seeds) {
+        let order = [1];
+        while (order.length < seeds.length) {
+            const size = order.length * 2 + 1;
+            order = order.flatMap(s => [s, size - s]);
+        }
+        const pairs = [];
+        for (let i = 0; i < order.length; i += 2) pairs.push([seeds[order[i] - 1], seeds[order[i + 1] - 1]]);
+        return pairs;
+    }
+
+    /**
+     * @param {Array<Array<string|null>>} pairs - First round, in bracket order (power of two, null = bye).
+     * @param {Object} [options]
+     * @param {boolean} [options.thirdPlace=false] - Adds a playoff between the semi-final losers.
+     */
+    static singleElimination(pairs, { thirdPlace = false } = {}) {
+        this._assertPowerOfTwo(pairs.length * 2);
+        const slots = [];
+        let previous = pairs.map((pair, i) => {
+            const slot = this._slotDef(pairs.length, i, { team: pair[0] }, { team: pair[1] });
+            slots.push(slot);
+            return slot.slot;
+        });
+
+        while (previous.length > 1) {
+            const count = previous.length / 2;
+            previous = Array.from({ length: count }, (_, i) => {
+                const slot = this._slotDef(count, i, { winner: previous[i * 2] }, { winner: previous[i * 2 + 1] });
+                slots.push(slot);
+                return slot.slot;
+            });
+        }
+
+        const semis = slots.filter(s => s.stage === 'SEMI');
+        if (thirdPlace && semis.length === 2) {
+            slots.push({ slot: 'THIRD', stage: 'THIRD_PLACE', title: STAGE_TITLES.THIRD_PLACE, a: { loser: semis[0].slot }, b: { loser: semis[1].slot } });
+        }
+
+        return { format: 'SINGLE_ELIM', entrants: pairs.flat().filter(Boolean), slots };
+    }
+
+    /**
+     * Upper bracket (U), lower bracket (L) and Grand Final (GF1, GF2 reset).
+     * Upper byes simply feed a BYE into the lower bracket (walkovers there too).
+     * @param {Array<Array<string|null>>} pairs - First upper round (4 to 32 slots).
+     */
+    static doubleElimination(pairs) {
+        const teams = pairs.length * 2;
+        this._assertPowerOfTwo(teams);
+        if (teams < 4) throw new Error("الإقصاء المزدوج يحتاج 4 فرق على الأقل.");
+
+        const slots = [];
+        const add = (slot, stage, title, a, b, extra = {}) => { slots.push({ slot, stage, title, a, b, ...extra }); return slot; };
+
+        // 1. Upper bracket
+        const upper = [];
+        upper.push(pairs.map((p, i) => add(`U1-${i + 1}`, 'UPPER', 'الطرف الفائز - الجولة 1', { team: p[0] }, { team: p[1] })));
+        for (let r = 2; upper[upper.length - 1].length > 1; r++) {
+            const prev = upper[upper.length - 1];
+            upper.push(Array.from({ length: prev.length / 2 }, (_, i) =>
+                add(`U${r}-${i + 1}`, 'UPPER', `الطرف الفائز - الجولة ${r}`, { winner: prev[i * 2] }, { winner: prev[i * 2 + 1] })));
+        }
+
+        // 2. Lower bracket: odd rounds pair survivors, even rounds meet upper losers
+        let lower = [];
+        let lr = 1;
+        for (let j = 1; j < upper.length; j++) {
+            const feed = j === 1
+                ? upper[0].map(s => ({ loser: s }))
+                : lower.map(s => ({ winner: s }));
+            lower = Array.from({ length: feed.length / 2 }, (_, i) =>
+                add(`L${lr}-${i + 1}`, 'LOWER', `طرف الخاسرين - الجولة ${lr}`, feed[i * 2], feed[i * 2 + 1]));
+            lr++;
+
+            // Upper losers enter in reverse order to delay rematches
+            const dropping = [...upper[j]].reverse();
+            lower = lower.map((s, i) =>
+                add(`L${lr}-${i + 1}`, 'LOWER', `طرف الخاسرين - الجولة ${lr}`, { winner: s }, { loser: dropping[i] }));
+            lr++;
+        }
+
+        // 3. Grand Final (+ reset when the lower-bracket team wins)
+        const upperChampion = upper[upper.length - 1][0];
+        add('GF1', 'GRAND_FINAL', 'النهائي الكبير', { winner: upperChampion }, { winner: lower[0] });
+        add('GF2', 'GRAND_FINAL', 'إعادة النهائي الكبير', { loser: 'GF1' }, { winner: 'GF1' }, { only_if: { slot: 'GF1', winner_side: 'b' } });
+
+        return { format: 'DOUBLE_ELIM', entrants: pairs.flat().filter(Boolean), slots };
+    }
+
+    /**
+     * @param {Array<string>} teamIds - Seed order.
+     * @param {number} [rounds] - Defaults to ceil(log2(teams)).
+     */
+    static swiss(teamIds, rounds = null) {
+        if (teamIds.length < 4) throw new Error("النظام السويسري يحتاج 4 فرق على الأقل.");
+        const maxRounds = teamIds.length - 1 + (teamIds.length % 2);
+        const count = Math.min(rounds || Math.ceil(Math.log2(teamIds.length)), maxRounds);
+        return { format: 'SWISS', entrants: [...teamIds], rounds: count, byes: {} };
+    }
+
+    /**
+     * Winner of a stored match (score, then recorded winner / penalties).
+     * Null when undecided (or a draw, which only Swiss allows).
+     */
+    static winnerOf(m) {
+        if (m.match_data?.winner_id) return m.match_data.winner_id;
+        if (m.score_a > m.score_b) return m.team_a_id;
+        if (m.score_b > m.score_a) return m.team_b_id;
+
+        const pens = m.match_data?.penalties;
+        if (pens && pens.a !== pens.b) return pens.a > pens.b ? m.team_a_id : m.team_b_id;
+        return null;
+    }
+
+    static loserOf(m) {
+        const w = this.winnerOf(m);
+        if (!w) return null;
+        return w === m.team_a_id ? m.team_b_id : m.team_a_id;
+    }
+
+    /**
+     * What the auto-pilot should do next.
+     *
+     * @param {Object} bracket - See header.
+     * @param {Array<Object>} matches - Stored bracket matches (match_data.round = slot).
+     * @returns {Object} { create: [{ slot, stage, title, a, b, swiss_round }], byes: { round: teamId }, complete }
+     */
+    static advance(bracket, matches) {
+        return bracket.format === 'SWISS'
+            ? this._advanceSwiss(bracket, matches)
+            : this._advanceElimination(bracket, matches);
+    }
+
+    /**
+     * Every slot that depends (directly or not) on a slot's result.
+     * Swiss pairings stand once made, so nothing depends on a single result.
+     */
+    static dependents(bracket, slot) {
+        if (!bracket || bracket.format === 'SWISS') return [];
+        const found = [];
+        const queue = [slot];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            bracket.slots.forEach(s => {
+                const uses = [s.a, s.b].some(src => src.winner === current || src.loser === current) || s.only_if?.slot === current;
+                if (uses && !found.includes(s.slot)) { found.push(s.slot); queue.push(s.slot); }
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Final order (1st first) once the bracket is complete.
+     */
+    static ranking(bracket, matches) {
+        if (bracket.format === 'SWISS') return this.swissTable(bracket, matches).map(r => r.team_id);
+
+        const bySlot = this._bySlot(matches);
+        const order = [];
+        const push = (id) => { if (id && !order.includes(id)) order.push(id); };
+
+        // Champion & runner-up come from the last decided final
+        const finals = bracket.format === 'DOUBLE_ELIM' ? ['GF2', 'GF1'] : ['FINAL'];
+        const final = finals.map(s => bySlot[s]).find(m => m && this._isDecided(m, bracket));
+        if (final) { push(this.winnerOf(final)); push(this.loserOf(final)); }
+        const third = bySlot.THIRD;
+        if (third && this._isDecided(third, bracket)) { push(this.winnerOf(third)); push(this.loserOf(third)); }
+
+        // Then eliminated teams, latest elimination first
+        [...bracket.slots].reverse().forEach(s => {
+            if (bracket.format === 'DOUBLE_ELIM' && s.stage === 'UPPER') return; // Upper losers drop, not out
+            const m = bySlot[s.slot];
+            if (m && this._isDecided(m, bracket)) push(this.loserOf(m));
+        });
+        return order;
+    }
+
+    /**
+     * Swiss standings: points, Buchholz (opponents' points), goal difference, goals, seed.
+     */
+    static swissTable(bracket, matches) {
+        const rows = {};
+        bracket.entrants.forEach((id, seed) => {
+            rows[id] = { team_id: id, seed, played: 0, won: 0, drawn: 0, lost: 0, goals_for: 0, goals_against: 0, goal_diff: 0, points: 0, buchholz: 0, opponents: [], byes: 0 };
+        });
+
+        (matches || []).filter(m => m.stage === 'SWISS' && PLAYED.includes(m.status)).forEach(m => {
+            const a = rows[m.team_a_id];
+            const b = rows[m.team_b_id];
+            if (!a || !b) return;
+            [[a, b, m.score_a, m.score_b], [b, a, m.score_b, m.score_a]].forEach(([row, opp, gf, ga]) => {
+                row.played++;
+                row.goals_for += gf;
+                row.goals_against += ga;
+                row.goal_diff = row.goals_for - row.goals_against;
+                row.opponents.push(opp.team_id);
+                if (gf > ga) { row.won++; row.points += SWISS_POINTS.win; }
+                else if (gf === ga) { row.drawn++; row.points += SWISS_POINTS.draw; }
+                else row.lost++;
+            });
+        });
+
+        Object.values(bracket.byes || {}).forEach(id => {
+            if (!rows[id]) return;
+            rows[id].byes++;
+            rows[id].points += SWISS_POINTS.bye;
+        });
+
+        const list = Object.values(rows);
+        list.forEach(r => { r.buchholz = r.opponents.reduce((sum, id) => sum + rows[id].points, 0); });
+        return list.sort((x, y) =>
+            (y.points - x.points) || (y.buchholz - x.buchholz) || (y.goal_diff - x.goal_diff) || (y.goals_for - x.goals_for) || (x.seed - y.seed));
+    }
+
+    /**
+     * Rendering helper: slots grouped by round title, in plan order.
+     * @returns {Array<Object>} [{ title, stage, slots: [slot] }]
+     */
+    static roundsOf(bracket, matches = []) {
+        if (bracket.format === 'SWISS') {
+            return Array.from({ length: bracket.rounds }, (_, i) => ({
+                title: `الجولة ${i + 1}`,
+                stage: 'SWISS',
+                slots: (matches || []).filter(m => m.match_data?.swiss_round === i + 1).map(m => m.match_data.round)
+            }));
+        }
+
+        const rounds = [];
+        bracket.slots.forEach(s => {
+            let round = rounds.find(r => r.title === s.title);
+            if (!round) { round = { title: s.title, stage: s.stage, slots: [] }; rounds.push(round); }
+            round.slots.push(s.slot);
+        });
+        return rounds;
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    static _advanceElimination(bracket, matches) {
+        const ctx = { bracket, bySlot: this._bySlot(matches), memo: {} };
+        const create = [];
+        let complete = true;
+
+        bracket.slots.forEach(s => {
+            const existing = ctx.bySlot[s.slot];
+            if (existing) {
+                if (!this._isDecided(existing, bracket)) complete = false;
+                return;
+            }
+
+            const gate = this._gate(s, ctx);
+            if (gate === 'SKIP') return;
+            if (gate === 'WAIT') { complete = false; return; }
+
+            const a = this._side(s.a, ctx);
+            const b = this._side(s.b, ctx);
+            if (a === PENDING || b === PENDING) { complete = false; return; }
+            if (a === BYE || b === BYE) return; // Walkover: decided without a match
+
+            complete = false;
+            create.push({ slot: s.slot, stage: s.stage, title: s.title, a, b });
+        });
+
+        return { create, byes: {}, complete };
+    }
+
+    /**
+     * Conditional slots (GF2): PLAY, WAIT (condition not known yet) or SKIP.
+     */
+    static _gate(s, ctx) {
+        if (!s.only_if) return 'PLAY';
+        const m = ctx.bySlot[s.only_if.slot];
+        if (!m || !this._isDecided(m, ctx.bracket)) return 'WAIT';
+        const side = this.winnerOf(m) === m.team_a_id ? 'a' : 'b';
+        return side === s.only_if.winner_side ? 'PLAY' : 'SKIP';
+    }
+
+    /**
+     * Team ID, BYE or PENDING for one side of a slot.
+     */
+    static _side(src, ctx) {
+        if ('team' in src) return src.team || BYE;
+        const outcome = this._outcome(src.winner || src.loser, ctx);
+        if (outcome === PENDING) return PENDING;
+        return src.winner ? outcome.winner : outcome.loser;
+    }
+
+    /**
+     * { winner, loser } of a slot (played or walkover), or PENDING.
+     */
+    static _outcome(slotName, ctx) {
+        if (ctx.memo[slotName]) return ctx.memo[slotName];
+
+        let outcome = PENDING;
+        const m = ctx.bySlot[slotName];
+        if (m) {
+            if (this._isDecided(m, ctx.bracket)) outcome = { winner: this.winnerOf(m), loser: this.loserOf(m) };
+        } else {
+            const def = ctx.bracket.slots.find(s => s.slot === slotName);
+            const a = def ? this._side(def.a, ctx) : BYE;
+            const b = def ? this._side(def.b, ctx) : BYE;
+            if (a === BYE && b === BYE) outcome = { winner: BYE, loser: BYE };
+            else if (a === BYE && b !== PENDING) outcome = { winner: b, loser: BYE };
+            else if (b === BYE && a !== PENDING) outcome = { winner: a, loser: BYE };
+        }
+
+        ctx.memo[slotName] = outcome;
+        return outcome;
+    }
+
+    static _advanceSwiss(bracket, matches) {
+        const swissMatches = (matches || []).filter(m => m.stage === 'SWISS');
+        const current = swissMatches.reduce((max, m) => Math.max(max, m.match_data?.swiss_round || 0), 0);
+        const currentDone = swissMatches
+            .filter(m => m.match_data?.swiss_round === current)
+            .every(m => PLAYED.includes(m.status));
+
+        if (current > 0 && !currentDone) return { create: [], byes: {}, complete: false };
+        if (current >= bracket.rounds) return { create: [], byes: {}, complete: true };
+
+        const round = current + 1;
+        const { pairs, bye } = current === 0
+            ? this._firstSwissRound(bracket.entrants)
+            : this._pairSwiss(this.swissTable(bracket, swissMatches));
+
+        const create = pairs.map(([a, b], i) => ({ slot: `S${round}-${i + 1}`, stage: 'SWISS', title: `الجولة ${round}`, a, b, swiss_round: round }));
+        return { create, byes: bye ? { [round]: bye } : {}, complete: false };
+    }
+
+    /**
+     * Round 1: top half of the seeds against the bottom half; the last seed rests if odd.
+     */
+    static _firstSwissRound(entrants) {
+        const list = [...entrants];
+        const bye = list.length % 2 === 1 ? list.pop() : null;
+        const half = list.length / 2;
+        return { pairs: list.slice(0, half).map((id, i) => [id, list[i + half]]), bye };
+    }
+
+    /**
+     * Score-group pairing: top-down, no rematches (backtracking), lowest
+     * ranked team without a bye rests when the count is odd.
+     */
+    static _pairSwiss(table) {
+        let pool = [...table];
+        let bye = null;
+        if (pool.length % 2 === 1) {
+            const rest = [...pool].reverse().find(r => r.byes === 0) || pool[pool.length - 1];
+            bye = rest.team_id;
+            pool = pool.filter(r => r !== rest);
+        }
+
+        const pairs = this._backtrackPairs(pool, true) || this._backtrackPairs(pool, false);
+        return { pairs: pairs.map(([x, y]) => [x.team_id, y.team_id]), bye };
+    }
+
+    static _backtrackPairs(pool, avoidRematch) {
+        if (pool.length === 0) return [];
+        const [first, ...rest] = pool;
+        for (let i = 0; i < rest.length; i++) {
+            const opp = rest[i];
+            if (avoidRematch && first.opponents.includes(opp.team_id)) continue;
+            const tail = this._backtrackPairs(rest.filter((_, j) => j !== i), avoidRematch);
+            if (tail) return [[first, opp], ...tail];
+        }
+        return null;
+    }
+
+    static _isDecided(m, bracket) {
+        if (!PLAYED.includes(m.status)) return false;
+        return bracket.format === 'SWISS' || !!this.winnerOf(m);
+    }
+
+    static _bySlot(matches) {
+        const map = {};
+        (matches || []).forEach(m => { if (m.match_data?.round) map[m.match_data.round] = m; });
+        return map;
+    }
+
+    static _slotDef(roundSize, index, a, b) {
+        const stage = ROUND_STAGES[roundSize];
+        if (!stage) throw new Error("حجم الدور غير مدعوم (حتى 32 فريقاً).");
+        const slot = stage === 'FINAL' ? 'FINAL' : `${SLOT_PREFIX[stage]}${index + 1}`;
+        return { slot, stage, title: STAGE_TITLES[stage], a, b };
+    }
+
+    static _assertPowerOfTwo(n) {
+        if (n < 2 || (n & (n - 1)) !== 0) throw new Error("عدد الفرق في الإقصاء يجب أن يكون 4 أو 8 أو 16 أو 32.");
+    }
+}
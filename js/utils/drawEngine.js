@@ -0,0 +1,160 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/drawEngine.js
+ * Version: Noub Sports_beta 0.0.1 (SEEDED DRAW)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A pure, reproducible draw machine for the group stage.
+ * Every draw is driven by a recorded numeric seed, so anyone can replay it
+ * and get exactly the same balls in exactly the same order.
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. PRNG: Mulberry32 (tiny, fast, deterministic per seed).
+ * 2. Pots: Builds pots from a ranking (best first), or accepts manual pots.
+ * 3. Seeded Draw: Pot by pot, at most ONE team of each pot per group.
+ * 4. Open Draw: Plain seeded shuffle when no pots are defined.
+ * 5. Sequence: Returns the ordered reveal list { pot, team_id, group }
+ *    used by the animated ceremony in the UI.
+ * -----------------------------------------------------------------------------
+ */
+
+const GROUP_LABELS = 'ABCDEFGHIJKLMNOP'.split('');
+
+export class DrawEngine {
+
+    /**
+     * Creates a fresh 32-bit seed (crypto when available).
+     * @returns {number}
+     */
+    static newSeed() {
+        if (window.crypto?.getRandomValues) {
+            return window.crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Mulberry32 PRNG.
+     * @param {number} seed - 32-bit integer.
+     * @returns {Function} rng() -> float in [0, 1).
+     */
+    static createRng(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Fisher-Yates shuffle driven by a PRNG (returns a new array).
+     */
+    static shuffle(list, rng) {
+        const arr = [...list];
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        return arr;
+    }
+
+    /**
+     * Splits a ranking (best first) into pots of `groupsCount` teams.
+     * @param {Array<string>} rankedIds
+     * @param {number} groupsCount
+     * @returns {Array<Array<string>>} pots
+     */
+    static potsFromRanking(rankedIds, groupsCount) {
+        const pots = [];
+        for (let i = 0; i < rankedIds.length; i += groupsCount) {
+            pots.push(rankedIds.slice(i, i + groupsCount));
+        }
+        return pots;
+    }
+
+    /**
+     * Seeded pot draw: each pot is shuffled, then its teams are dealt to
+     * groups so that no group receives two teams from the same pot.
+     * A short last pot goes to the groups with the fewest teams.
+     *
+     * @param {Array<Array<string>>} pots - Team IDs per pot (pot 1 first).
+     * @param {number} groupsCount
+     * @param {number} seed
+     * @returns {Object} { groups: { A: [ids] }, sequence: [{ pot, team_id, group }] }
+     */
+    static seededDraw(pots, groupsCount, seed) {
+        const labels = GROUP_LABELS.slice(0, groupsCount);
+        const rng = this.createRng(seed);
+        const groups = {};
+        labels.forEach(l => { groups[l] = []; });
+        const sequence = [];
+
+        pots.forEach((pot, potIdx) => {
+            if (pot.length > groupsCount) {
+                throw new Error(`الوعاء ${potIdx + 1} يحتوي على فرق أكثر من عدد المجموعات.`);
+            }
+
+            // Sorted first so the result depends only on the seed, not DB order
+            const balls = this.shuffle([...pot].sort(), rng);
+
+            // Groups still open for this pot, smallest first (ties keep A->Z order)
+            const open = [...labels].sort((x, y) => groups[x].length - groups[y].length);
+            const targets = pot.length === groupsCount
+                ? labels
+                : this.shuffle(open.slice(0, pot.length), rng);
+
+            balls.forEach((teamId, i) => {
+                const group = pot.length === groupsCount ? labels[i] : targets[i];
+                groups[group].push(teamId);
+                sequence.push({ pot: potIdx + 1, team_id: teamId, group });
+            });
+        });
+
+        return { groups, sequence };
+    }
+
+    /**
+     * Seeded draw without pots (classic shuffle + deal).
+     * @param {Array<string>} teamIds
+     * @param {number} groupsCount
+     * @param {number} seed
+     */
+    static openDraw(teamIds, groupsCount, seed) {
+        const labels = GROUP_LABELS.slice(0, groupsCount);
+        const balls = this.shuffle([...teamIds].sort(), this.createRng(seed));
+        const groups = {};
+        labels.forEach(l => { groups[l] = []; });
+
+        const sequence = balls.map((teamId, i) => {
+            const group = labels[i % labels.length];
+            groups[group].push(teamId);
+            return { pot: null, team_id: teamId, group };
+        });
+
+        return { groups, sequence };
+    }
+
+    /**
+     * Replays a recorded draw and checks it matches the stored sequence.
+     * Open draws replay the teams stored with the record (team_ids), so a
+     * later withdrawal does not break the check.
+     * @param {Object} record - config.draw { seed, pots, team_ids, sequence, groups_count }
+     * @param {Array<string>} teamIds - Fallback for records without team_ids.
+     * @returns {boolean}
+     */
+    static verify(record, teamIds) {
+        if (!record) return false;
+        const replay = record.pots
+            ? this.seededDraw(record.pots, record.groups_count, record.seed)
+            : this.openDraw(record.team_ids || teamIds, record.groups_count, record.seed);
+
+        return replay.sequence.length === record.sequence.length &&
+            replay.sequence.every((s, i) => s.team_id === record.sequence[i].team_id && s.group === record.sequence[i].group);
+    }
+}
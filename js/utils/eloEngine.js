@@ -0,0 +1,98 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/eloEngine.js
+ * Version: Noub Sports_beta 0.0.1 (TEAM LADDER)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A pure (DB-free) team Elo in the style of the World Football Elo ratings.
+ * TeamRatingService loads matches / teams and stores the result.
+ *
+ * FORMULA:
+ * delta = K × G × (actual - expected)
+ * - expected: 1 / (1 + 10^((opponent - own) / 400)).
+ * - K: 20 for friendlies, 30 for tournament matches, doubled while a team
+ *   is provisional (fewer than PROVISIONAL_MATCHES rated matches).
+ * - G (margin): 1 for one goal, 1.5 for two, (11 + diff) / 8 beyond.
+ * Both sides move by the same amount (zero-sum) unless one is provisional.
+ *
+ * LADDER:
+ * Ranks teams by rating and compares with their rank a week ago
+ * (current rating minus the deltas earned since then).
+ * -----------------------------------------------------------------------------
+ */
+
+export const ELO_DEFAULTS = { BASE: 1500, PROVISIONAL_MATCHES: 5 };
+
+const K_FACTOR = { FRIENDLY: 20, TOURNAMENT: 30 };
+const SCALE = 400;
+const WEEK_MS = 7 * 24 * 3600 * 1000;
+
+export class EloEngine {
+
+    /**
+     * Rating change of both sides of a result.
+     *
+     * @param {Object} a - { rating, matches } of team A.
+     * @param {Object} b - { rating, matches } of team B.
+     * @param {number} scoreA
+     * @param {number} scoreB
+     * @param {Object} [options]
+     * @param {boolean} [options.tournament] - Tournament match (higher K).
+     * @returns {Object} { a: delta, b: delta } rounded to one decimal.
+     */
+    static rate(a, b, scoreA, scoreB, { tournament = false } = {}) {
+        const actual = scoreA > scoreB ? 1 : (scoreA === scoreB ? 0.5 : 0);
+        const expected = this.expected(a.rating, b.rating);
+        const margin = this.marginFactor(Math.abs(scoreA - scoreB));
+        const base = (tournament ? K_FACTOR.TOURNAMENT : K_FACTOR.FRIENDLY) * margin * (actual - expected);
+
+        const kOf = (team) => (team.matches || 0) < ELO_DEFAULTS.PROVISIONAL_MATCHES ? 2 : 1;
+        const round1 = (n) => Math.round(n * 10) / 10;
+        return { a: round1(base * kOf(a)), b: round1(-base * kOf(b)) };
+    }
+
+    /**
+     * Expected score (0..1) of a team against an opponent.
+     */
+    static expected(own, opponent) {
+        return 1 / (1 + Math.pow(10, (opponent - own) / SCALE));
+    }
+
+    static marginFactor(goalDiff) {
+        if (goalDiff <= 1) return 1;
+        if (goalDiff === 2) return 1.5;
+        return (11 + goalDiff) / 8;
+    }
+
+    /**
+     * Ranked ladder with movement since last week.
+     *
+     * @param {Array<Object>} teams - teams rows with `elo_rating`.
+     * @param {Array<Object>} history - team_rating_history rows { team_id, delta, created_at }.
+     * @param {Date} [now]
+     * @returns {Array<Object>} teams + { rank, rating, movement } (movement > 0 = climbed).
+     */
+    static ladder(teams, history = [], now = new Date()) {
+        const since = now.getTime() - WEEK_MS;
+        const recent = {};
+        history.filter(h => new Date(h.created_at).getTime() >= since).forEach(h => {
+            recent[h.team_id] = (recent[h.team_id] || 0) + Number(h.delta);
+        });
+
+        const ratingOf = (t) => Number(t.elo_rating ?? ELO_DEFAULTS.BASE);
+        const byRating = (valueOf) => [...teams].sort((x, y) => (valueOf(y) - valueOf(x)) || ((y.total_matches || 0) - (x.total_matches || 0)));
+
+        const lastWeek = {};
+        byRating(t => ratingOf(t) - (recent[t.id] || 0)).forEach((t, i) => { lastWeek[t.id] = i + 1; });
+
+        return byRating(ratingOf).map((t, i) => ({
+            ...t,
+            rank: i + 1,
+            rating: Math.round(ratingOf(t)),
+            movement: lastWeek[t.id] - (i + 1)
+        }));
+    }
+}
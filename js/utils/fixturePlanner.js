@@ -0,0 +1,203 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/fixturePlanner.js
+ * Version: Noub Sports_beta 0.0.1 (CALENDAR PLANNER)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A pure (DB-free) calendar planner. It turns the organizer's pitch calendar
+ * (tournaments.config.calendar) into concrete kick-off slots and assigns the
+ * generated fixtures to them.
+ *
+ * CALENDAR SHAPE:
+ * {
+ *   start_date: '2026-03-01',           // First playable day (local)
+ *   weekdays: [0, 4, 5],                // Allowed days (0 = Sunday)
+ *   slot_times: ['21:00', '22:30'],     // Kick-off times per day (before 06:00 = after midnight)
+ *   slot_minutes: 90,                   // Pitch booking length
+ *   venues: [{ id, name }],             // From MatchService.getVenues
+ *   blackouts: [{ from, to, reason }],  // ISO ranges (Iftar, Taraweeh...)
+ *   min_rest_hours: 20,                 // Between two games of one team
+ *   prayer_zone: 1                      // Skip Maghrib / Isha (PrayerTimes), null = off
+ * }
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Slot Generation: Day x Time x Venue, minus blackout windows and,
+ *    with prayer_zone, the day's Maghrib / Isha blocks. Times before 06:00
+ *    (Ramadan nights) belong to the evening before: they roll to the next date.
+ * 2. Auto-Assignment: Round order, earliest free slot, no team twice at the
+ *    same time, minimum rest respected.
+ * 3. Clash Detection: Venue double-booking, team overlap, short rest, blackout.
+ *    Only fixtures with a real kick-off (match_data.scheduled_at) are checked:
+ *    without a calendar, played_at is just a placeholder shared by all.
+ * -----------------------------------------------------------------------------
+ */
+
+import { PrayerTimes } from './prayerTimes.js';
+
+const HOUR = 3600000;
+const NIGHT_END = '06:00';
+const DEFAULT_HORIZON_DAYS = 120;
+
+export class FixturePlanner {
+
+    /**
+     * Checks that a calendar has enough data to plan anything.
+     */
+    static isUsable(calendar) {
+        return !!(calendar && calendar.start_date && calendar.slot_times?.length && calendar.venues?.length);
+    }
+
+    /**
+     * Enumerates every bookable slot (chronological, then venue order).
+     *
+     * @param {Object} calendar - See header.
+     * @param {number} [horizonDays] - How far ahead to look.
+     * @returns {Array<Object>} [{ start: Date, end: Date, venue_id }]
+     */
+    static generateSlots(calendar, horizonDays = DEFAULT_HORIZON_DAYS) {
+        if (!this.isUsable(calendar)) return [];
+
+        const minutes = calendar.slot_minutes || 90;
+        const weekdays = calendar.weekdays?.length ? calendar.weekdays : [0, 1, 2, 3, 4, 5, 6];
+        // Evening times first, then the after-midnight ones of the same night
+        const nightKey = (time) => `${time < NIGHT_END ? 1 : 0}${time}`;
+        const times = [...calendar.slot_times].sort((a, b) => nightKey(a).localeCompare(nightKey(b)));
+        const slots = [];
+        const day = new Date(`${calendar.start_date}T00:00`);
+
+        for (let d = 0; d < horizonDays; d++) {
+            if (weekdays.includes(day.getDay())) {
+                const dateStr = this._localDate(day);
+                const next = new Date(day);
+                next.setDate(next.getDate() + 1);
+                const nextStr = this._localDate(next);
+                const blackouts = [...(calendar.blackouts || []), ...this._prayerBlocks(day, calendar)];
+                times.forEach(time => {
+                    const start = new Date(`${time < NIGHT_END ? nextStr : dateStr}T${time}`);
+                    const end = new Date(start.getTime() + minutes * 60000);
+                    if (this._inBlackout(start, end, blackouts)) return;
+                    calendar.venues.forEach(v => slots.push({ start, end, venue_id: v.id }));
+                });
+            }
+            day.setDate(day.getDate() + 1);
+        }
+        return slots;
+    }
+
+    /**
+     * Greedy assignment in round order.
+     *
+     * @param {Array<Object>} fixtures - [{ key, home, away, round }]
+     * @param {Object} calendar
+     * @returns {Object} { assignments: { key: { played_at, venue_id } }, unplaced: [key] }
+     */
+    static plan(fixtures, calendar) {
+        const slots = this.generateSlots(calendar);
+        const restMs = (calendar?.min_rest_hours ?? 20) * HOUR;
+        const taken = new Set();
+        const teamGames = {};
+        const assignments = {};
+        const unplaced = [];
+
+        const ordered = [...fixtures].sort((a, b) => (Number(a.round) || 0) - (Number(b.round) || 0));
+
+        ordered.forEach(f => {
+            const idx = slots.findIndex((slot, i) =>
+                !taken.has(i) &&
+                this._teamCanPlay(teamGames[f.home], slot, restMs) &&
+                this._teamCanPlay(teamGames[f.away], slot, restMs)
+            );
+
+            if (idx === -1) { unplaced.push(f.key); return; }
+
+            const slot = slots[idx];
+            taken.add(idx);
+            [f.home, f.away].forEach(t => {
+                if (!teamGames[t]) teamGames[t] = [];
+                teamGames[t].push(slot);
+            });
+            assignments[f.key] = { played_at: slot.start.toISOString(), venue_id: slot.venue_id };
+        });
+
+        return { assignments, unplaced };
+    }
+
+    /**
+     * Lists scheduling problems among already stored matches.
+     *
+     * @param {Array<Object>} matches - rows { id, team_a_id, team_b_id, played_at, venue_id, status, match_data }
+     * @param {Object} calendar
+     * @returns {Array<Object>} [{ type, matchIds, message }]
+     */
+    static detectConflicts(matches, calendar) {
+        const minutes = calendar?.slot_minutes || 90;
+        const restMs = (calendar?.min_rest_hours ?? 20) * HOUR;
+        const conflicts = [];
+
+        const pending = (matches || [])
+            .filter(m => m.played_at && m.status !== 'CONFIRMED' && m.status !== 'FINISHED')
+            .filter(m => m.match_data?.scheduled_at && !m.match_data?.unscheduled)
+            .map(m => {
+                const start = new Date(m.played_at);
+                return { ...m, start, end: new Date(start.getTime() + minutes * 60000) };
+            });
+
+        for (let i = 0; i < pending.length; i++) {
+            const a = pending[i];
+
+            if (this._inBlackout(a.start, a.end, calendar?.blackouts)) {
+                conflicts.push({ type: 'BLACKOUT', matchIds: [a.id], message: 'موعد داخل فترة محجوبة' });
+            }
+            const prayer = calendar?.prayer_zone ? PrayerTimes.clashOf(a.start, minutes, calendar.prayer_zone) : null;
+            if (prayer) {
+                conflicts.push({ type: 'PRAYER', matchIds: [a.id], message: `يتعارض مع ${prayer}` });
+            }
+
+            for (let j = i + 1; j < pending.length; j++) {
+                const b = pending[j];
+                const overlap = a.start < b.end && b.start < a.end;
+                const shared = [a.team_a_id, a.team_b_id].some(t => t === b.team_a_id || t === b.team_b_id);
+
+                if (overlap && a.venue_id && a.venue_id === b.venue_id) {
+                    conflicts.push({ type: 'VENUE_CLASH', matchIds: [a.id, b.id], message: 'الملعب محجوز لمباراتين في نفس الوقت' });
+                }
+                if (shared && overlap) {
+                    conflicts.push({ type: 'TEAM_CLASH', matchIds: [a.id, b.id], message: 'فريق يلعب مباراتين في نفس الوقت' });
+                } else if (shared && this._gap(a, b) < restMs) {
+                    conflicts.push({ type: 'REST', matchIds: [a.id, b.id], message: `راحة أقل من ${restMs / HOUR} ساعة` });
+                }
+            }
+        }
+        return conflicts;
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    static _teamCanPlay(games, slot, restMs) {
+        if (!games) return true;
+        // Chronological per team: new game must come after the last one + rest
+        return games.every(g => slot.start.getTime() - g.end.getTime() >= restMs);
+    }
+
+    static _gap(a, b) {
+        return a.start < b.start ? b.start - a.end : a.start - b.end;
+    }
+
+    static _prayerBlocks(day, calendar) {
+        return calendar.prayer_zone ? PrayerTimes.prayerBlocks(day, calendar.prayer_zone) : [];
+    }
+
+    static _inBlackout(start, end, blackouts) {
+        return (blackouts || []).some(b => start < new Date(b.to) && new Date(b.from) < end);
+    }
+
+    static _localDate(d) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+}
@@ -1,8 +1,15 @@
 /*
  * Filename: js/utils/helpers.js
  * Description: General formatting utilities.
+ * Hijri dates use the Umm al-Qura calendar when the browser ships it
+ * (Intl), with the tabular Islamic calendar as an offline fallback.
  */
 
+const HIJRI_MONTHS = [
+    'محرم', 'صفر', 'ربيع الأول', 'ربيع الآخر', 'جمادى الأولى', 'جمادى الآخرة',
+    'رجب', 'شعبان', 'رمضان', 'شوال', 'ذو القعدة', 'ذو الحجة'
+];
+const RAMADAN = 9;
 
 export const Helpers = {
     formatCurrency: (amount) => {
@@ -10,6 +17,58 @@ export const Helpers = {
     },
     formatDate: (dateObj) => {
         return dateObj.toLocaleDateString('ar-EG');
+    },
+
+    /**
+     * Escapes user text before it goes into an innerHTML template.
+     */
+    escapeHtml: (text) => {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Hijri date of a (local) day.
+     * @param {Date} [dateObj]
+     * @returns {Object} { year, month (1-12), day }
+     */
+    toHijri: (dateObj = new Date()) => {
+        try {
+            const parts = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura-nu-latn', { day: 'numeric', month: 'numeric', year: 'numeric' })
+                .formatToParts(dateObj);
+            const get = (type) => parseInt(parts.find(p => p.type === type)?.value);
+            const hijri = { year: get('year'), month: get('month'), day: get('day') };
+            if (hijri.year && hijri.month && hijri.day) return hijri;
+        } catch (e) { /* Calendar not available: tabular fallback below */ }
+        return Helpers.tabularHijri(dateObj);
+    },
+
+    /**
+     * Arithmetic (tabular) Islamic calendar. Can differ by a day from
+     * the moon sighting; used only when Intl has no Islamic calendar.
+     */
+    tabularHijri: (dateObj) => {
+        const jd = Math.floor(Date.UTC(dateObj.getFullYear(), dateObj.getMonth(), dateObj.getDate()) / 86400000) + 2440588;
+        let l = jd - 1948440 + 10632;
+        const n = Math.floor((l - 1) / 10631);
+        l = l - 10631 * n + 354;
+        const j = Math.floor((10985 - l) / 5316) * Math.floor((50 * l) / 17719) + Math.floor(l / 5670) * Math.floor((43 * l) / 15238);
+        l = l - Math.floor((30 - j) / 15) * Math.floor((17719 * j) / 50) - Math.floor(j / 16) * Math.floor((15238 * j) / 43) + 29;
+        const month = Math.floor((24 * l) / 709);
+        return { year: 30 * n + j - 30, month, day: l - Math.floor((709 * month) / 24) };
+    },
+
+    formatHijri: (dateObj = new Date()) => {
+        const h = Helpers.toHijri(dateObj);
+        return `${h.day} ${HIJRI_MONTHS[h.month - 1]} ${h.year} هـ`;
+    },
+
+    isRamadan: (dateObj = new Date()) => {
+        return Helpers.toHijri(dateObj).month === RAMADAN;
     }
 };
 
@@ -0,0 +1,211 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/icsGenerator.js
+ * Version: Noub Sports_beta 0.0.1 (CALENDAR EXPORT)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A pure (DB-free) RFC 5545 writer. Controllers pass the rows they already
+ * loaded and receive a .ics file the phone calendar can import.
+ *
+ * SOURCES:
+ * - matches: played_at, team_a / team_b names, venue(name), match_data.
+ * - match_requests (missions): match_time, venue_name, details.teams.
+ *
+ * STABLE UIDS:
+ * Every event UID is derived from the row ID (match-<id>@noub.sports), and
+ * SEQUENCE grows with each export, so importing the file again updates a
+ * moved kick-off instead of adding a second event.
+ *
+ * FORMAT NOTES:
+ * - Times are written in UTC (…Z): no VTIMEZONE block needed.
+ * - TEXT values are escaped (\ ; , newline) and lines are folded at
+ *   75 octets without splitting a UTF-8 character (Arabic names).
+ * -----------------------------------------------------------------------------
+ */
+
+const PRODID = '-//NOUB SPORTS//Fixtures//AR';
+const UID_DOMAIN = 'noub.sports';
+const DEFAULT_DURATION_MINUTES = 90;
+const PLAYED = ['CONFIRMED', 'FINISHED'];
+
+export class IcsGenerator {
+
+    /**
+     * Builds a VCALENDAR document.
+     *
+     * @param {string} calendarName - Shown by calendar apps (X-WR-CALNAME).
+     * @param {Array<Object>} events - [{ uid, start, minutes, summary, location, description, cancelled }]
+     * @param {Date} [now] - DTSTAMP / SEQUENCE source.
+     * @returns {string} CRLF-separated .ics content.
+     */
+    static build(calendarName, events, now = new Date()) {
+        const stamp = this._formatDate(now);
+        const sequence = Math.floor(now.getTime() / 1000);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this._escape(calendarName)}`
+        ];
+
+        events.forEach(e => {
+            const start = new Date(e.start);
+            const end = new Date(start.getTime() + (e.minutes || DEFAULT_DURATION_MINUTES) * 60000);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${e.uid}`,
+                `DTSTAMP:${stamp}`,
+                `SEQUENCE:${sequence}`,
+                `DTSTART:${this._formatDate(start)}`,
+                `DTEND:${this._formatDate(end)}`,
+                `SUMMARY:${this._escape(e.summary)}`
+            );
+            if (e.location) lines.push(`LOCATION:${this._escape(e.location)}`);
+            if (e.description) lines.push(`DESCRIPTION:${this._escape(e.description)}`);
+            lines.push(`STATUS:${e.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+            if (!e.cancelled) {
+                lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${this._escape(e.summary)}`, 'TRIGGER:-PT2H', 'END:VALARM');
+            }
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(l => this._fold(l)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Event for a 'matches' row. Fixtures without a real kick-off return null;
+     * rejected and called-off (CANCELLED) matches are exported as cancelled.
+     *
+     * @param {Object} m - matches row + team_a(name), team_b(name), venue(name).
+     * @param {Object} [options]
+     * @param {string} [options.teamId] - Perspective team: the summary names its opponent.
+     * @param {string} [options.competition] - Tournament name for the description.
+     * @param {number} [options.minutes] - Match length.
+     */
+    static fromMatch(m, { teamId = null, competition = '', minutes } = {}) {
+        if (!this.hasKickoff(m)) return null;
+
+        const nameA = m.team_a?.name || '???';
+        const nameB = m.team_b?.name || '???';
+        let summary = `${nameA} × ${nameB}`;
+        if (teamId === m.team_a_id) summary = `ضد ${nameB}`;
+        if (teamId === m.team_b_id) summary = `ضد ${nameA}`;
+
+        const round = m.match_data?.title || (m.match_data?.round ? `الجولة ${m.match_data.round}` : '');
+        const description = [
+            competition,
+            round,
+            `${nameA} × ${nameB}`,
+            PLAYED.includes(m.status) ? `النتيجة: ${m.score_a} - ${m.score_b}` : ''
+        ].filter(Boolean).join('\n');
+
+        return {
+            uid: `match-${m.id}@${UID_DOMAIN}`,
+            start: m.played_at,
+            minutes,
+            summary: `⚽ ${summary}`,
+            location: m.venue?.name || '',
+            description,
+            cancelled: ['REJECTED', 'CANCELLED'].includes(m.status)
+        };
+    }
+
+    /**
+     * Whether a match has a real kick-off. Tournament fixtures created without
+     * a calendar carry a placeholder played_at and no match_data.scheduled_at.
+     *
+     * @param {Object} m - matches row (tournament_id or tournament join, match_data).
+     */
+    static hasKickoff(m) {
+        if (!m.played_at || m.match_data?.unscheduled) return false;
+        const isTournament = !!(m.tournament_id || m.tournament);
+        return !isTournament || !!m.match_data?.scheduled_at;
+    }
+
+    /**
+     * Event for a 'match_requests' mission (joker / referee call).
+     * Availability ads have no kick-off and return null.
+     *
+     * @param {Object} req - match_requests row + requester / responder (username).
+     */
+    static fromMission(req) {
+        if (!req.match_time) return null;
+        const role = req.type === 'WANTED_REF' ? 'تحكيم' : 'جوكر';
+        const teams = req.details?.teams || '';
+
+        return {
+            uid: `mission-${req.id}@${UID_DOMAIN}`,
+            start: req.match_time,
+            summary: `🚨 مهمة ${role}${teams ? `: ${teams}` : ''}`,
+            location: req.venue_name || '',
+            description: [
+                req.requester?.username ? `الكابتن: ${req.requester.username}` : '',
+                req.responder?.username ? `المنفذ: ${req.responder.username}` : '',
+                req.details?.note || ''
+            ].filter(Boolean).join('\n')
+        };
+    }
+
+    /**
+     * Triggers a browser download of the .ics file.
+     */
+    static download(filename, content) {
+        const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename.endsWith('.ics') ? filename : `${filename}.ics`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    static _formatDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    static _escape(text) {
+        return String(text ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * RFC 5545 §3.1: lines longer than 75 octets continue on the next line
+     * after CRLF + one space.
+     */
+    static _fold(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let size = 0;
+
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+            if (size + bytes > limit) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+}
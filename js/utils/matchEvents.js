@@ -0,0 +1,154 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/matchEvents.js
+ * Version: Noub Sports_beta 0.0.1 (MATCH EVENTS)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A pure (DB-free) helper for the events a captain records with a result:
+ * goals (with assist, minute and penalty flag), yellow / red cards and own
+ * goals. MatchService stores them as 'match_events' rows, RatingEngine and
+ * NewsEngine read them, and the Arena match report renders the timeline.
+ *
+ * EVENT SHAPE:
+ * { player_id, event_type: GOAL|YELLOW|RED|OWN_GOAL, assist_id, minute, is_penalty }
+ * An OWN_GOAL belongs to the player's team but counts for the opponent.
+ * The man of the match is not an event: it is match_data.motm_id / motm_name.
+ * -----------------------------------------------------------------------------
+ */
+
+export const EVENT_KINDS = {
+    GOAL: { type: 'GOAL', label: 'هدف', icon: '⚽' },
+    PENALTY: { type: 'GOAL', penalty: true, label: 'ركلة جزاء', icon: '🎯' },
+    YELLOW: { type: 'YELLOW', label: 'إنذار', icon: '🟨' },
+    RED: { type: 'RED', label: 'طرد', icon: '🟥' },
+    OWN_GOAL: { type: 'OWN_GOAL', label: 'هدف عكسي', icon: '🔄' }
+};
+
+const MAX_MINUTE = 120;
+
+export class MatchEvents {
+
+    /**
+     * Builds an event row from the form inputs.
+     *
+     * @param {string} kind - EVENT_KINDS key.
+     * @param {string} playerId
+     * @param {Object} [options] - { assistId, minute }
+     * @returns {Object} Event (see EVENT SHAPE).
+     */
+    static create(kind, playerId, { assistId = null, minute = null } = {}) {
+        const def = EVENT_KINDS[kind];
+        if (!def) throw new Error("نوع الحدث غير معروف.");
+        if (!playerId) throw new Error("اختر اللاعب.");
+
+        const isGoal = def.type === 'GOAL';
+        return {
+            player_id: playerId,
+            event_type: def.type,
+            assist_id: isGoal && !def.penalty && assistId && assistId !== playerId ? assistId : null,
+            minute: Number.isInteger(minute) ? minute : null,
+            is_penalty: !!def.penalty
+        };
+    }
+
+    /**
+     * EVENT_KINDS key of a stored event.
+     */
+    static kindOf(event) {
+        if (event.event_type === 'GOAL') return event.is_penalty ? 'PENALTY' : 'GOAL';
+        return EVENT_KINDS[event.event_type] ? event.event_type : 'GOAL';
+    }
+
+    /**
+     * Checks one team's events against the score it submitted.
+     *
+     * @param {Array<Object>} events - The team's events.
+     * @param {number} scoreFor - Goals of the team.
+     * @param {number} scoreAgainst - Goals of the opponent.
+     * @throws {Error} Arabic message on the first inconsistency.
+     */
+    static validate(events, scoreFor, scoreAgainst) {
+        const count = (type) => events.filter(e => e.event_type === type).length;
+
+        if (count('GOAL') > scoreFor) throw new Error("عدد الأهداف المسجلة للاعبين أكبر من نتيجة فريقك.");
+        if (count('OWN_GOAL') > scoreAgainst) throw new Error("عدد الأهداف العكسية أكبر من أهداف الخصم.");
+
+        events.forEach(e => {
+            if (e.minute !== null && (e.minute < 1 || e.minute > MAX_MINUTE)) throw new Error(`الدقيقة يجب أن تكون بين 1 و ${MAX_MINUTE}.`);
+        });
+
+        const perPlayer = {};
+        events.forEach(e => {
+            const p = perPlayer[e.player_id] = perPlayer[e.player_id] || { YELLOW: 0, RED: 0 };
+            if (e.event_type in p) p[e.event_type]++;
+        });
+        if (Object.values(perPlayer).some(p => p.YELLOW > 2 || p.RED > 1)) {
+            throw new Error("لا يمكن أن يحصل لاعب على أكثر من إنذارين أو طرد واحد.");
+        }
+        return true;
+    }
+
+    /**
+     * Events in match order (events without a minute last, in entry order).
+     */
+    static sort(events) {
+        return events
+            .map((e, i) => ({ e, i }))
+            .sort((x, y) => ((x.e.minute ?? Infinity) - (y.e.minute ?? Infinity)) || (x.i - y.i))
+            .map(({ e }) => e);
+    }
+
+    /**
+     * Facts for the NewsEngine narrative.
+     *
+     * @param {Array<Object>} events - Events of the submitting team.
+     * @param {Object} names - { userId: name }
+     * @param {string} teamName - Team of the events.
+     * @param {string|null} [motmName]
+     * @returns {Object} { scorers: [{ name, goals, team }], penalties, ownGoals, reds, motm }
+     */
+    static newsDetails(events, names, teamName, motmName = null) {
+        const goals = {};
+        events.filter(e => e.event_type === 'GOAL').forEach(e => {
+            goals[e.player_id] = (goals[e.player_id] || 0) + 1;
+        });
+
+        return {
+            scorers: Object.entries(goals)
+                .map(([id, n]) => ({ name: names[id] || 'لاعب', goals: n, team: teamName }))
+                .sort((a, b) => b.goals - a.goals),
+            penalties: events.filter(e => e.event_type === 'GOAL' && e.is_penalty).length,
+            ownGoals: events.filter(e => e.event_type === 'OWN_GOAL').length,
+            reds: events.filter(e => e.event_type === 'RED').length,
+            motm: motmName
+        };
+    }
+
+    /**
+     * Timeline for the match report.
+     *
+     * @param {Array<Object>} events - match_events rows + { player: { username }, assist: { username } }.
+     * @param {Object} match - { team_a_id, team_a: { name }, team_b: { name } }
+     */
+    static timelineHtml(events, match) {
+        if (!events || events.length === 0) return '';
+
+        return `<div class="match-timeline">${this.sort(events).map(e => {
+            const kind = EVENT_KINDS[this.kindOf(e)];
+            const side = e.team_id === match.team_b_id ? 'side-b' : 'side-a';
+            return `
+                <div class="mt-row ${side}">
+                    <span class="mt-minute">${e.minute ? `${e.minute}'` : '-'}</span>
+                    <span class="mt-icon">${kind.icon}</span>
+                    <span class="mt-text">
+                        ${e.player?.username || 'لاعب'}
+                        ${kind.type !== 'GOAL' || kind.penalty ? `<small>(${kind.label})</small>` : ''}
+                        ${e.assist?.username ? `<small>صناعة: ${e.assist.username}</small>` : ''}
+                    </span>
+                </div>`;
+        }).join('')}</div>`;
+    }
+}
@@ -15,8 +15,11 @@
  *    (e.g., Thrashing, Tight Win, Draw, Defensive Battle).
  * 2. Headline Generation: Selects a dynamic, exciting title for the match card.
  * 3. Report Generation: Creates a short summary text for the details view.
+ * 4. Match Events (optional): A hat-trick takes the headline; scorers,
+ *    penalties, own goals, red cards and the man of the match are added to
+ *    the body (MatchEvents.newsDetails).
  * 
- * INPUT: Match Object { score_a, score_b, team_a_name, team_b_name }
+ * INPUT: Match Object { score_a, score_b, team_a_name, team_b_name } (+ details)
  * OUTPUT: News Object { headline, body, mood }
  * -----------------------------------------------------------------------------
  */
@@ -29,9 +32,18 @@ export class NewsEngine {
      * @param {string} teamB - Name of Away Team.
      * @param {number} scoreA - Score of Home Team.
      * @param {number} scoreB - Score of Away Team.
+     * @param {Object} [details] - { scorers: [{ name, goals, team }], penalties, ownGoals, reds, motm }
      * @returns {Object} { headline: string, body: string, mood: string }
      */
-    static generateReport(teamA, teamB, scoreA, scoreB) {
+    static generateReport(teamA, teamB, scoreA, scoreB, details = null) {
+        const report = this._scenario(teamA, teamB, scoreA, scoreB);
+        return details ? this._withEvents(report, details) : report;
+    }
+
+    /**
+     * Scenario Detection: picks the base story from the score alone.
+     */
+    static _scenario(teamA, teamB, scoreA, scoreB) {
         // 1. Calculate Metrics
         const diff = Math.abs(scoreA - scoreB);
         const totalGoals = scoreA + scoreB;
@@ -58,6 +70,31 @@ export class NewsEngine {
        INTERNAL SCENARIO HANDLERS (Private Logic)
        ========================================================================= */
 
+    /**
+     * Match Events: the story behind the score.
+     */
+    static _withEvents(report, { scorers = [], penalties = 0, ownGoals = 0, reds = 0, motm = null }) {
+        let { headline, body, mood } = report;
+        const lines = [];
+
+        const hatTrick = scorers.find(s => s.goals >= 3);
+        if (hatTrick) {
+            headline = `هاتريك ${hatTrick.name} يشعل المباراة!`;
+            mood = 'EXCITING';
+        }
+
+        if (scorers.length > 0) {
+            const list = scorers.map(s => s.goals > 1 ? `${s.name} (${s.goals})` : s.name).join('، ');
+            lines.push(`أهداف ${scorers[0].team}: ${list}.`);
+        }
+        if (penalties > 0) lines.push(penalties === 1 ? 'وجاء أحد الأهداف من ركلة جزاء.' : `وشهد اللقاء ${penalties} ركلات جزاء.`);
+        if (ownGoals > 0) lines.push(ownGoals === 1 ? 'ولعب الحظ دوره بهدف عكسي.' : `وتسببت الأخطاء الدفاعية في ${ownGoals} أهداف عكسية.`);
+        if (reds > 0) lines.push(reds === 1 ? 'وتأثر اللقاء ببطاقة حمراء.' : `وأكمل اللقاء بنقص عددي بعد ${reds} بطاقات حمراء.`);
+        if (motm) lines.push(`ونال ${motm} جائزة رجل المباراة.`);
+
+        return { headline, body: [body, ...lines].join(' '), mood };
+    }
+
     /**
      * Scenario: Draw (Tie)
      */
@@ -0,0 +1,359 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/posterExporter.js
+ * Version: Noub Sports_beta 0.0.1 (TOURNAMENT POSTERS)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * MODULE DESCRIPTION:
+ * -----------------------------------------------------------------------------
+ * The tournament sibling of CanvasExporter. Draws shareable PNG posters
+ * straight on a 2D canvas (no DOM capture), in two formats:
+ * - STORY: 1080x1920 (Telegram / WhatsApp status).
+ * - A4:    2480x3508 (300 DPI, printed at the venue).
+ *
+ * POSTERS:
+ * 1. Bracket: Every knockout round with scores and winners.
+ * 2. Group Tables: Rank, played, goal difference and points per group.
+ * 3. Matchday Card: Kick-off times and pitches of one round.
+ * 4. Champion: Winner badge, runner-up and individual awards.
+ *
+ * DRAWING MODEL:
+ * - Everything is laid out on a 1080-unit wide design grid, then scaled
+ *   to the target resolution. A4 is wider but proportionally shorter than
+ *   a story (about 1528 grid units high vs 1920), so vertical positions are
+ *   derived from the grid height.
+ * - Team colours come from teams.logo_dna { primary, secondary }.
+ * - Arabic text is drawn with ctx.direction = 'rtl'; side A sits on the right.
+ * -----------------------------------------------------------------------------
+ */
+
+export const POSTER_SIZES = {
+    STORY: { width: 1080, height: 1920, label: 'ستوري' },
+    A4: { width: 2480, height: 3508, label: 'A4 للطباعة' }
+};
+
+const GRID_WIDTH = 1080;
+const GOLD = '#d4af37';
+const FONT_TITLE = 'Changa, Cairo, Arial';
+const FONT_TEXT = 'Cairo, Arial';
+const FONT_SCORE = 'Orbitron, Arial';
+
+export class PosterExporter {
+
+    /**
+     * BRACKET POSTER
+     * @param {string} tournamentName
+     * @param {Array<Object>} rounds - [{ title, ties: [{ a: team, b: team, score, winner: 'a'|'b'|null }] }]
+     *                                  team = { name, dna } (null = not decided yet).
+     * @param {string} [size] - Key of POSTER_SIZES.
+     */
+    static exportBracket(tournamentName, rounds, size = 'STORY') {
+        const { ctx, canvas, height } = this._createPoster(size, tournamentName, 'الأدوار الإقصائية');
+        const ties = rounds.reduce((sum, r) => sum + Math.ceil(r.ties.length / (r.ties.length > 4 ? 2 : 1)), 0);
+        const rowH = Math.min(90, (height - 420 - rounds.length * 60) / Math.max(1, ties));
+        let y = 300;
+
+        rounds.forEach(r => {
+            this._sectionTitle(ctx, r.title, y);
+            y += 60;
+            const cols = r.ties.length > 4 ? 2 : 1;
+            const colW = (GRID_WIDTH - 80) / cols;
+            r.ties.forEach((tie, i) => {
+                const col = cols === 2 ? (i % 2) : 0;
+                const row = cols === 2 ? Math.floor(i / 2) : i;
+                // RTL: first column on the right
+                const x = GRID_WIDTH - 40 - colW * (col + 1);
+                this._tieRow(ctx, x + 6, y + row * rowH, colW - 12, rowH - 10, tie);
+            });
+            y += Math.ceil(r.ties.length / cols) * rowH;
+        });
+
+        this._download(canvas, `${tournamentName} - bracket.png`);
+    }
+
+    /**
+     * GROUP TABLES POSTER
+     * @param {string} tournamentName
+     * @param {Array<Object>} groups - [{ name, rows: [{ rank, name, dna, played, goal_diff, points }] }]
+     * @param {string} [size]
+     */
+    static exportStandings(tournamentName, groups, size = 'STORY') {
+        const { ctx, canvas, height } = this._createPoster(size, tournamentName, 'جدول الترتيب');
+        const cols = groups.length > 2 ? 2 : 1;
+        const perCol = Math.ceil(groups.length / cols);
+        const maxRows = Math.max(...groups.map(g => g.rows.length), 1);
+        const rowH = Math.min(70, (height - 420 - perCol * 110) / (perCol * maxRows));
+        const colW = (GRID_WIDTH - 80) / cols;
+
+        groups.forEach((g, i) => {
+            const col = Math.floor(i / perCol);
+            const x = GRID_WIDTH - 40 - colW * (col + 1) + 8;
+            const y = 300 + (i % perCol) * (maxRows * rowH + 110);
+            this._groupTable(ctx, x, y, colW - 16, rowH, g);
+        });
+
+        this._download(canvas, `${tournamentName} - standings.png`);
+    }
+
+    /**
+     * MATCHDAY CARD
+     * @param {string} tournamentName
+     * @param {string} title - Round / matchday title.
+     * @param {Array<Object>} matches - [{ a: team, b: team, time, venue, score }]
+     * @param {string} [size]
+     */
+    static exportMatchday(tournamentName, title, matches, size = 'STORY') {
+        const { ctx, canvas, height } = this._createPoster(size, tournamentName, title);
+        const rowH = Math.min(150, (height - 460) / Math.max(1, matches.length));
+
+        matches.forEach((m, i) => {
+            const y = 320 + i * rowH;
+            this._tieRow(ctx, 60, y, GRID_WIDTH - 120, rowH * 0.6, { a: m.a, b: m.b, score: m.score, winner: null });
+            ctx.fillStyle = '#aaaaaa';
+            ctx.font = `600 ${Math.round(rowH * 0.16)}px ${FONT_TEXT}`;
+            ctx.textAlign = 'center';
+            ctx.fillText([m.time, m.venue].filter(Boolean).join(' · '), GRID_WIDTH / 2, y + rowH * 0.78);
+        });
+
+        this._download(canvas, `${tournamentName} - ${title}.png`);
+    }
+
+    /**
+     * CHAMPION POSTER
+     * @param {string} tournamentName
+     * @param {Object} champion - { name, dna }
+     * @param {Object} [extras] - { runnerUp: { name }, awards: [{ label, name }] }
+     * @param {string} [size]
+     */
+    static exportChampion(tournamentName, champion, extras = {}, size = 'STORY') {
+        const { ctx, canvas, height } = this._createPoster(size, tournamentName, 'بطل الدورة');
+        const cx = GRID_WIDTH / 2;
+        const { primary, secondary } = this._colors(champion.dna);
+
+        // Story layout squeezed into the body of shorter grids (A4)
+        const k = Math.min(1, (height - 360) / (POSTER_SIZES.STORY.height - 360));
+        const at = (storyY) => 245 + (storyY - 245) * k;
+
+        // Trophy + badge
+        ctx.textAlign = 'center';
+        ctx.font = `${Math.round(200 * k)}px ${FONT_TEXT}`;
+        ctx.fillText('🏆', cx, at(560));
+
+        this._badge(ctx, cx, at(800), 150 * k, champion.dna);
+
+        ctx.fillStyle = GOLD;
+        ctx.font = `900 ${Math.round(96 * k)}px ${FONT_TITLE}`;
+        ctx.fillText(champion.name, cx, at(1060), GRID_WIDTH - 80);
+
+        // Team colour ribbon
+        const ribbon = ctx.createLinearGradient(140, 0, GRID_WIDTH - 140, 0);
+        ribbon.addColorStop(0, primary);
+        ribbon.addColorStop(1, secondary);
+        ctx.fillStyle = ribbon;
+        ctx.fillRect(140, at(1100), GRID_WIDTH - 280, 12);
+
+        let y = at(1200);
+        if (extras.runnerUp) {
+            ctx.fillStyle = '#cccccc';
+            ctx.font = `600 44px ${FONT_TEXT}`;
+            ctx.fillText(`الوصيف: ${extras.runnerUp.name}`, cx, y);
+            y += 90;
+        }
+        (extras.awards || []).forEach(a => {
+            if (y > height - 200) return;
+            ctx.fillStyle = GOLD;
+            ctx.font = `700 36px ${FONT_TEXT}`;
+            ctx.fillText(`🏅 ${a.label}: ${a.name}`, cx, y);
+            y += 64;
+        });
+
+        this._download(canvas, `${tournamentName} - champion.png`);
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    /**
+     * Canvas + background + header/footer, scaled to the 1080-unit grid.
+     * @returns {Object} { canvas, ctx, height } (height in grid units)
+     */
+    static _createPoster(sizeKey, tournamentName, subtitle) {
+        const size = POSTER_SIZES[sizeKey] || POSTER_SIZES.STORY;
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        const ctx = canvas.getContext('2d');
+
+        const scale = size.width / GRID_WIDTH;
+        const height = size.height / scale;
+        ctx.scale(scale, scale);
+        ctx.direction = 'rtl';
+        ctx.textBaseline = 'middle';
+
+        // Night stadium background
+        const bg = ctx.createLinearGradient(0, 0, 0, height);
+        bg.addColorStop(0, '#0d1b12');
+        bg.addColorStop(1, '#050505');
+        ctx.fillStyle = bg;
+        ctx.fillRect(0, 0, GRID_WIDTH, height);
+
+        // Pitch stripes (same mowing pattern as the tactics board)
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.02)';
+        for (let y = 0; y < height; y += 160) ctx.fillRect(0, y, GRID_WIDTH, 80);
+
+        // Header
+        ctx.textAlign = 'center';
+        ctx.fillStyle = GOLD;
+        ctx.font = `900 72px ${FONT_TITLE}`;
+        ctx.fillText(tournamentName, GRID_WIDTH / 2, 120, GRID_WIDTH - 80);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `700 44px ${FONT_TEXT}`;
+        ctx.fillText(subtitle, GRID_WIDTH / 2, 200, GRID_WIDTH - 80);
+
+        ctx.strokeStyle = GOLD;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(200, 245);
+        ctx.lineTo(GRID_WIDTH - 200, 245);
+        ctx.stroke();
+
+        // Footer
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = `700 30px ${FONT_SCORE}`;
+        ctx.fillText('NOUB SPORTS', GRID_WIDTH / 2, height - 80);
+        ctx.font = `400 24px ${FONT_TEXT}`;
+        ctx.fillText(new Date().toLocaleDateString('ar-EG'), GRID_WIDTH / 2, height - 40);
+
+        return { canvas, ctx, height };
+    }
+
+    static _sectionTitle(ctx, title, y) {
+        ctx.fillStyle = GOLD;
+        ctx.font = `800 36px ${FONT_TITLE}`;
+        ctx.textAlign = 'center';
+        ctx.fillText(title, GRID_WIDTH / 2, y + 24);
+    }
+
+    /**
+     * One match line: [badge A][name A] score [name B][badge B] (A on the right).
+     */
+    static _tieRow(ctx, x, y, w, h, tie) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+        this._roundRect(ctx, x, y, w, h, 12);
+        ctx.fill();
+
+        const mid = y + h / 2;
+        const r = h * 0.3;
+        const fontPx = Math.max(14, Math.round(h * 0.34));
+        const nameW = w / 2 - r * 2 - h;
+
+        const side = (team, isA) => {
+            const won = tie.winner === (isA ? 'a' : 'b');
+            const badgeX = isA ? x + w - r - 10 : x + r + 10;
+            if (team) this._badge(ctx, badgeX, mid, r, team.dna);
+            ctx.fillStyle = won ? GOLD : (team ? '#ffffff' : '#666666');
+            ctx.font = `${won ? 800 : 600} ${fontPx}px ${FONT_TEXT}`;
+            ctx.textAlign = isA ? 'right' : 'left';
+            ctx.fillText(team?.name || '؟', isA ? badgeX - r - 10 : badgeX + r + 10, mid, nameW);
+        };
+        side(tie.a, true);
+        side(tie.b, false);
+
+        ctx.fillStyle = tie.score ? GOLD : '#888888';
+        ctx.font = `900 ${fontPx}px ${FONT_SCORE}`;
+        ctx.textAlign = 'center';
+        // Digits drawn LTR and reversed, so A's goals sit on A's (right) side
+        ctx.direction = 'ltr';
+        ctx.fillText(tie.score ? tie.score.split('-').reverse().join('-') : 'VS', x + w / 2, mid);
+        ctx.direction = 'rtl';
+    }
+
+    static _groupTable(ctx, x, y, w, rowH, group) {
+        ctx.fillStyle = GOLD;
+        ctx.font = `800 34px ${FONT_TITLE}`;
+        ctx.textAlign = 'right';
+        ctx.fillText(group.name, x + w, y + 20);
+
+        const fontPx = Math.max(14, Math.round(rowH * 0.4));
+        const headY = y + 60;
+        ctx.fillStyle = '#888888';
+        ctx.font = `600 ${Math.round(fontPx * 0.8)}px ${FONT_TEXT}`;
+        ctx.textAlign = 'center';
+        [['لعب', 0.22], ['فارق', 0.13], ['ن', 0.05]].forEach(([label, at]) => ctx.fillText(label, x + w * at, headY));
+
+        group.rows.forEach((row, i) => {
+            const ry = headY + 20 + i * rowH;
+            ctx.fillStyle = i % 2 ? 'rgba(255, 255, 255, 0.03)' : 'rgba(255, 255, 255, 0.07)';
+            ctx.fillRect(x, ry, w, rowH - 4);
+            const mid = ry + (rowH - 4) / 2;
+
+            ctx.fillStyle = '#aaaaaa';
+            ctx.font = `700 ${fontPx}px ${FONT_SCORE}`;
+            ctx.textAlign = 'center';
+            ctx.fillText(String(row.rank), x + w - 24, mid);
+
+            this._badge(ctx, x + w - 64, mid, rowH * 0.28, row.dna);
+
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `600 ${fontPx}px ${FONT_TEXT}`;
+            ctx.textAlign = 'right';
+            ctx.fillText(row.name, x + w - 90, mid, w * 0.45);
+
+            ctx.textAlign = 'center';
+            ctx.fillText(String(row.played), x + w * 0.22, mid);
+            ctx.fillText(String(row.goal_diff), x + w * 0.13, mid);
+            ctx.fillStyle = GOLD;
+            ctx.font = `900 ${fontPx}px ${FONT_SCORE}`;
+            ctx.fillText(String(row.points), x + w * 0.05, mid);
+        });
+    }
+
+    /**
+     * Round team badge in the team's two colours.
+     */
+    static _badge(ctx, cx, cy, r, dna) {
+        const { primary, secondary } = this._colors(dna);
+        const grad = ctx.createLinearGradient(cx - r, cy - r, cx + r, cy + r);
+        grad.addColorStop(0, primary);
+        grad.addColorStop(1, secondary);
+        ctx.fillStyle = grad;
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = Math.max(2, r * 0.08);
+        ctx.stroke();
+    }
+
+    /**
+     * logo_dna may arrive as an object or a JSON string (older rows).
+     */
+    static _colors(dna) {
+        let colors = dna;
+        if (typeof dna === 'string') {
+            try { colors = JSON.parse(dna); } catch (e) { colors = null; }
+        }
+        return { primary: colors?.primary || '#333333', secondary: colors?.secondary || colors?.primary || '#555555' };
+    }
+
+    static _roundRect(ctx, x, y, w, h, r) {
+        ctx.beginPath();
+        ctx.moveTo(x + r, y);
+        ctx.arcTo(x + w, y, x + w, y + h, r);
+        ctx.arcTo(x + w, y + h, x, y + h, r);
+        ctx.arcTo(x, y + h, x, y, r);
+        ctx.arcTo(x, y, x + w, y, r);
+        ctx.closePath();
+    }
+
+    static _download(canvas, filename) {
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = canvas.toDataURL('image/png');
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+}
@@ -0,0 +1,219 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/prayerTimes.js
+ * Version: Noub Sports_beta 0.0.1 (PRAYER-AWARE SCHEDULING)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A pure, offline astronomical prayer-time calculator for the zones in
+ * GAME_CONFIG.ZONES (centres in GAME_CONFIG.ZONE_COORDS).
+ *
+ * METHOD: Egyptian General Authority of Survey
+ * - Fajr: sun 19.5° below the horizon.
+ * - Isha: sun 17.5° below the horizon.
+ * - Asr: shadow factor 1 (Shafi'i). Maghrib: sunset (0.833°).
+ * Times are computed in UTC and returned as Date objects, so the device
+ * shows them in local (Cairo) time including summer time.
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Times: Fajr, sunrise, Dhuhr, Asr, Maghrib, Isha for a day and zone.
+ * 2. Blocks: Maghrib (Iftar) and Isha (Taraweeh in Ramadan) windows that no
+ *    match should overlap (FixturePlanner with calendar.prayer_zone).
+ * 3. Suggestions: Kick-off windows and slot times. In Ramadan the playing
+ *    night runs from Iftar to Suhoor (before Fajr).
+ * -----------------------------------------------------------------------------
+ */
+
+import { GAME_CONFIG } from '../config/constants.js';
+import { Helpers } from './helpers.js';
+
+const METHOD = { fajr: 19.5, isha: 17.5, asrFactor: 1, horizon: 0.833 };
+
+// Minutes kept free around prayers: [before, after]
+const BLOCKS = {
+    RAMADAN: { maghrib: [10, 45], isha: [10, 75] },
+    REGULAR: { maghrib: [10, 20], isha: [10, 20] }
+};
+const SUHOOR_BUFFER_MINUTES = 45;
+const SLOT_STEP_MINUTES = 15;
+const MINUTE = 60000;
+
+const rad = (d) => d * Math.PI / 180;
+const deg = (r) => r * 180 / Math.PI;
+const fix = (a, b) => ((a % b) + b) % b;
+
+export class PrayerTimes {
+
+    /**
+     * Prayer times of a local day.
+     *
+     * @param {Date} date - Any moment of the day.
+     * @param {Object} coords - { lat, lng }
+     * @returns {Object} { fajr, sunrise, dhuhr, asr, maghrib, isha } as Dates.
+     */
+    static compute(date, { lat, lng }) {
+        const dayUtc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        const jd = dayUtc / 86400000 + 2440587.5 - lng / 360;
+
+        // Two passes: the second uses the first estimates as day fractions
+        let hours = { fajr: 5, sunrise: 6, dhuhr: 12, asr: 13, maghrib: 18, isha: 18 };
+        for (let pass = 0; pass < 2; pass++) {
+            const at = (key) => this._sun(jd + hours[key] / 24);
+            const noon = (key) => fix(12 - at(key).eqt, 24);
+            const angleTime = (key, angle, before) => {
+                const { decl } = at(key);
+                const cosT = (-Math.sin(rad(angle)) - Math.sin(rad(decl)) * Math.sin(rad(lat))) /
+                    (Math.cos(rad(decl)) * Math.cos(rad(lat)));
+                const t = deg(Math.acos(Math.max(-1, Math.min(1, cosT)))) / 15;
+                return noon(key) + (before ? -t : t);
+            };
+            const asrAngle = (key) => -deg(Math.atan(1 / (METHOD.asrFactor + Math.tan(rad(Math.abs(lat - at(key).decl))))));
+
+            hours = {
+                fajr: angleTime('fajr', METHOD.fajr, true),
+                sunrise: angleTime('sunrise', METHOD.horizon, true),
+                dhuhr: noon('dhuhr'),
+                asr: angleTime('asr', asrAngle('asr'), false),
+                maghrib: angleTime('maghrib', METHOD.horizon, false),
+                isha: angleTime('isha', METHOD.isha, false)
+            };
+        }
+
+        // Local solar hours -> UTC
+        const result = {};
+        Object.keys(hours).forEach(key => {
+            result[key] = new Date(dayUtc + Math.round((hours[key] - lng / 15) * 60) * MINUTE);
+        });
+        return result;
+    }
+
+    /**
+     * @param {Date} date
+     * @param {number} zoneId - GAME_CONFIG.ZONES key.
+     */
+    static forZone(date, zoneId) {
+        const coords = GAME_CONFIG.ZONE_COORDS[zoneId] || GAME_CONFIG.ZONE_COORDS[1];
+        return this.compute(date, coords);
+    }
+
+    /**
+     * Maghrib and Isha windows of a day (longer in Ramadan: Iftar, Taraweeh).
+     *
+     * @returns {Array<Object>} [{ from: Date, to: Date, reason }]
+     */
+    static prayerBlocks(date, zoneId) {
+        const times = this.forZone(date, zoneId);
+        const ramadan = Helpers.isRamadan(date);
+        const pad = ramadan ? BLOCKS.RAMADAN : BLOCKS.REGULAR;
+        const around = (time, [before, after], reason) => ({
+            from: new Date(time.getTime() - before * MINUTE),
+            to: new Date(time.getTime() + after * MINUTE),
+            reason
+        });
+
+        return [
+            around(times.maghrib, pad.maghrib, ramadan ? 'الإفطار والمغرب' : 'صلاة المغرب'),
+            around(times.isha, pad.isha, ramadan ? 'العشاء والتراويح' : 'صلاة العشاء')
+        ];
+    }
+
+    /**
+     * The reason a match would overlap a prayer block, or null.
+     *
+     * @param {Date} start - Kick-off.
+     * @param {number} minutes - Match / booking length.
+     * @param {number} zoneId
+     */
+    static clashOf(start, minutes, zoneId) {
+        const end = new Date(start.getTime() + minutes * MINUTE);
+        return this.prayerBlocks(start, zoneId).find(b => start < b.to && b.from < end)?.reason || null;
+    }
+
+    /**
+     * Free windows to play on an evening (gaps between prayer blocks).
+     * Ramadan: from Iftar until the Suhoor buffer before the next Fajr.
+     * Other days: from Asr until midnight.
+     *
+     * @returns {Array<Object>} [{ from: Date, to: Date }] - `to` is the end of play.
+     */
+    static kickoffWindows(date, zoneId) {
+        const times = this.forZone(date, zoneId);
+        const blocks = this.prayerBlocks(date, zoneId);
+
+        let from, to;
+        if (Helpers.isRamadan(date)) {
+            const nextDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1, 12);
+            from = times.maghrib;
+            to = new Date(this.forZone(nextDay, zoneId).fajr.getTime() - SUHOOR_BUFFER_MINUTES * MINUTE);
+        } else {
+            from = times.asr;
+            to = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1, 0, 0);
+        }
+
+        const windows = [];
+        let cursor = from;
+        blocks.forEach(b => {
+            if (b.from > cursor) windows.push({ from: cursor, to: b.from });
+            if (b.to > cursor) cursor = b.to;
+        });
+        if (to > cursor) windows.push({ from: cursor, to });
+        return windows.filter(w => w.to > w.from);
+    }
+
+    /**
+     * Back-to-back kick-offs that fit the free windows of an evening
+     * (after-midnight kick-offs fall on the next calendar day).
+     *
+     * @param {Date} date
+     * @param {number} zoneId
+     * @param {number} minutes - Booking length.
+     * @returns {Array<Date>}
+     */
+    static suggestKickoffs(date, zoneId, minutes = 90) {
+        const step = SLOT_STEP_MINUTES * MINUTE;
+        const kickoffs = [];
+        this.kickoffWindows(date, zoneId).forEach(w => {
+            let start = new Date(Math.ceil(w.from.getTime() / step) * step);
+            while (start.getTime() + minutes * MINUTE <= w.to.getTime()) {
+                kickoffs.push(start);
+                start = new Date(start.getTime() + minutes * MINUTE);
+            }
+        });
+        return kickoffs;
+    }
+
+    /**
+     * Same suggestions as 'HH:MM' slot times (FixturePlanner calendar.slot_times,
+     * which rolls after-midnight times to the next date).
+     */
+    static suggestSlotTimes(date, zoneId, minutes = 90) {
+        return this.suggestKickoffs(date, zoneId, minutes).map(d => this.formatTime(d));
+    }
+
+    static formatTime(date) {
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    /**
+     * Sun declination and equation of time (hours) at a Julian date.
+     */
+    static _sun(jd) {
+        const D = jd - 2451545.0;
+        const g = fix(357.529 + 0.98560028 * D, 360);
+        const q = fix(280.459 + 0.98564736 * D, 360);
+        const L = fix(q + 1.915 * Math.sin(rad(g)) + 0.020 * Math.sin(rad(2 * g)), 360);
+        const e = 23.439 - 0.00000036 * D;
+
+        const ra = deg(Math.atan2(Math.cos(rad(e)) * Math.sin(rad(L)), Math.cos(rad(L)))) / 15;
+        return {
+            decl: deg(Math.asin(Math.sin(rad(e)) * Math.sin(rad(L)))),
+            eqt: q / 15 - fix(ra, 24)
+        };
+    }
+}
@@ -0,0 +1,181 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/ratingEngine.js
+ * Version: Noub Sports_beta 0.0.1 (PLAYER RATING)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A pure (DB-free) calculator that moves the card rating of every player of
+ * a confirmed match. RatingService loads the rows and stores the result.
+ *
+ * FORMULA (per player):
+ * 1. Result: K × (actual - expected). Expected comes from the average rating
+ *    of the player's side against the opponent's (Elo curve), so beating a
+ *    stronger side is worth more than beating a weaker one.
+ * 2. Performance: goals, assists, clean sheet and goals conceded, weighted by
+ *    position (a defender's goal counts more than a striker's), minus cards
+ *    and own goals, plus a bonus for the man of the match.
+ * 3. Headroom: gains shrink as the rating nears the top, so LEGEND is earned.
+ * The match delta is capped at ±MAX_DELTA and the rating kept in [MIN, MAX].
+ *
+ * DISPLAY:
+ * trendHtml / historyHtml render the arrows and the recent changes shown on
+ * the home card and the scout player profile.
+ * -----------------------------------------------------------------------------
+ */
+
+export const RATING_LIMITS = { BASE: 60, MIN: 40, MAX: 99 };
+
+const K = 3;
+const MAX_DELTA = 4;
+const ELO_SCALE = 20; // rating gap at which the stronger side is expected ~91%
+
+const POSITION_WEIGHTS = {
+    GK:  { goal: 1.5, assist: 0.8, cleanSheet: 1.2, conceded: -0.3 },
+    DEF: { goal: 1.2, assist: 0.7, cleanSheet: 0.7, conceded: -0.15 },
+    MID: { goal: 0.9, assist: 0.7, cleanSheet: 0.2, conceded: 0 },
+    FWD: { goal: 0.7, assist: 0.5, cleanSheet: 0, conceded: 0 }
+};
+const PENALTIES = { YELLOW: -0.3, RED: -1.5, OWN_GOAL: -0.7 };
+const MOTM_BONUS = 0.8;
+const CONCEDED_ALLOWANCE = 2; // goals conceded before keepers / defenders lose points
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+export class RatingEngine {
+
+    /**
+     * Rates every participant of a match.
+     *
+     * @param {Object} match - { team_a_id, team_b_id, score_a, score_b, motm_id }
+     * @param {Array<Object>} players - [{ player_id, team_id, position, rating }]
+     * @param {Array<Object>} events - match_events rows [{ player_id, team_id, event_type, assist_id }]
+     * @param {Object} [fallback] - { [teamId]: rating } used for a side without players
+     *                             (e.g. an Arena opponent that sent no lineup).
+     * @returns {Array<Object>} [{ player_id, team_id, before, after, delta, goals, assists, yellow, red, motm }]
+     */
+    static rateMatch(match, players, events = [], fallback = {}) {
+        const strength = {
+            [match.team_a_id]: this.teamStrength(players.filter(p => p.team_id === match.team_a_id), fallback[match.team_a_id]),
+            [match.team_b_id]: this.teamStrength(players.filter(p => p.team_id === match.team_b_id), fallback[match.team_b_id])
+        };
+
+        return players.map(p => {
+            const isA = p.team_id === match.team_a_id;
+            const scored = isA ? match.score_a : match.score_b;
+            const conceded = isA ? match.score_b : match.score_a;
+            const opponent = isA ? match.team_b_id : match.team_a_id;
+
+            const actual = scored > conceded ? 1 : (scored === conceded ? 0.5 : 0);
+            const expected = this.expected(strength[p.team_id], strength[opponent]);
+            const tally = this.tally(p.player_id, events);
+            const motm = !!match.motm_id && match.motm_id === p.player_id;
+
+            const w = POSITION_WEIGHTS[p.position] || POSITION_WEIGHTS.MID;
+            const performance =
+                tally.goals * w.goal +
+                tally.assists * w.assist +
+                (conceded === 0 ? w.cleanSheet : 0) +
+                Math.max(0, conceded - CONCEDED_ALLOWANCE) * w.conceded +
+                tally.yellow * PENALTIES.YELLOW +
+                tally.red * PENALTIES.RED +
+                tally.ownGoals * PENALTIES.OWN_GOAL +
+                (motm ? MOTM_BONUS : 0);
+
+            let delta = K * (actual - expected) + performance;
+            if (delta > 0) delta *= this.headroom(p.rating);
+            delta = Math.max(-MAX_DELTA, Math.min(MAX_DELTA, delta));
+
+            const after = round1(Math.max(RATING_LIMITS.MIN, Math.min(RATING_LIMITS.MAX, p.rating + delta)));
+            return {
+                player_id: p.player_id,
+                team_id: p.team_id,
+                before: p.rating,
+                after,
+                delta: round1(after - p.rating),
+                goals: tally.goals,
+                assists: tally.assists,
+                yellow: tally.yellow,
+                red: tally.red,
+                motm
+            };
+        });
+    }
+
+    /**
+     * Average rating of a side (or the fallback / base rating when empty).
+     */
+    static teamStrength(players, fallback) {
+        if (players.length === 0) return fallback || RATING_LIMITS.BASE;
+        return players.reduce((sum, p) => sum + p.rating, 0) / players.length;
+    }
+
+    /**
+     * Expected score (0..1) of a side against another.
+     */
+    static expected(own, opponent) {
+        return 1 / (1 + Math.pow(10, (opponent - own) / ELO_SCALE));
+    }
+
+    /**
+     * Share of a gain kept at a rating: 1 up to BASE, 0.25 near MAX.
+     */
+    static headroom(rating) {
+        const share = (RATING_LIMITS.MAX - rating) / (RATING_LIMITS.MAX - RATING_LIMITS.BASE);
+        return Math.max(0.25, Math.min(1, share));
+    }
+
+    /**
+     * Goals, assists and cards of a player in a list of events.
+     */
+    static tally(playerId, events) {
+        const own = events.filter(e => e.player_id === playerId);
+        return {
+            goals: own.filter(e => e.event_type === 'GOAL').length,
+            assists: events.filter(e => e.event_type === 'GOAL' && e.assist_id === playerId).length,
+            yellow: own.filter(e => e.event_type === 'YELLOW').length,
+            red: own.filter(e => e.event_type === 'RED').length,
+            ownGoals: own.filter(e => e.event_type === 'OWN_GOAL').length
+        };
+    }
+
+    /**
+     * Direction of the last change, for trend arrows.
+     * @param {number} delta - stats.last_delta
+     * @returns {string} 'UP' | 'DOWN' | 'SAME'
+     */
+    static trendOf(delta) {
+        if (delta > 0) return 'UP';
+        if (delta < 0) return 'DOWN';
+        return 'SAME';
+    }
+
+    /**
+     * Trend arrow (empty when the rating did not move).
+     * @param {number} delta - stats.last_delta
+     * @param {boolean} [withValue] - Append the signed delta.
+     */
+    static trendHtml(delta, withValue = true) {
+        const trend = this.trendOf(delta);
+        if (trend === 'SAME') return '';
+        const up = trend === 'UP';
+        return `<span class="rating-trend ${up ? 'up' : 'down'}"><i class="fa-solid fa-caret-${up ? 'up' : 'down'}"></i>${withValue ? `${up ? '+' : ''}${delta}` : ''}</span>`;
+    }
+
+    /**
+     * Recent rating changes as a list (RatingService.getHistory rows).
+     */
+    static historyHtml(rows) {
+        if (!rows || rows.length === 0) return '<p class="text-muted text-center" style="font-size:0.8rem;">لا توجد مباريات مقيّمة بعد.</p>';
+        return `<div class="rating-history">${rows.map(r => `
+            <div class="rating-history-row">
+                <span class="rh-date">${new Date(r.created_at).toLocaleDateString('ar-EG')}</span>
+                <span class="rh-tally">${r.goals ? `⚽ ${r.goals}` : ''} ${r.assists ? `🅰️ ${r.assists}` : ''} ${r.motm ? '⭐' : ''}</span>
+                <span class="rh-rating">${Math.round(r.rating_after)}</span>
+                ${this.trendHtml(r.delta) || '<span class="rating-trend">=</span>'}
+            </div>`).join('')}
+        </div>`;
+    }
+}
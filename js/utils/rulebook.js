@@ -0,0 +1,150 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/rulebook.js
+ * Version: Noub Sports_beta 0.0.1 (TOURNAMENT RULEBOOK)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A pure (DB-free) reader for the organizer's rulebook stored in
+ * tournaments.config.rules. Services load the data, this module decides.
+ *
+ * RULES SHAPE:
+ * {
+ *   points: { win: 3, draw: 1, loss: 0 },
+ *   match_minutes: 50,                      // Full match length
+ *   squad_min: 5, squad_max: 12,            // Players per team sheet
+ *   registration_deadline: '2026-03-01T23:59', // null = open until the draw
+ *   max_pro_players: 2,                     // activity_type PRO, null = no limit
+ *   one_team_per_player: true,              // A player represents one team only
+ *   max_replacements: 2                     // Approved squad changes after the draw
+ * }
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Defaults: Old tournaments without a rulebook keep the classic behaviour.
+ * 2. Registration: Cut-off date and minimum roster size.
+ * 3. Squads & Lineups: Size, PRO quota and one team per player.
+ * 4. Summary: Human lines for the tournament details screen.
+ * -----------------------------------------------------------------------------
+ */
+
+export const DEFAULT_RULES = {
+    points: { win: 3, draw: 1, loss: 0 },
+    match_minutes: null,
+    squad_min: null,
+    squad_max: null,
+    registration_deadline: null,
+    max_pro_players: null,
+    one_team_per_player: false,
+    max_replacements: 2
+};
+
+const PRO_ACTIVITY = 'PRO';
+
+export class Rulebook {
+
+    /**
+     * Merges a tournament config with the defaults.
+     * @param {Object} config - tournaments.config
+     * @returns {Object} Complete rules object (see header).
+     */
+    static resolve(config) {
+        const rules = config?.rules || {};
+        return {
+            ...DEFAULT_RULES,
+            ...rules,
+            points: { ...DEFAULT_RULES.points, ...(rules.points || {}) }
+        };
+    }
+
+    /**
+     * @param {Object} rules - Rulebook.resolve() result.
+     * @param {Date} [now]
+     * @returns {boolean} True once the registration cut-off has passed.
+     */
+    static isRegistrationClosed(rules, now = new Date()) {
+        return !!rules.registration_deadline && now > new Date(rules.registration_deadline);
+    }
+
+    /**
+     * Checks a team that asks to join.
+     *
+     * @param {Object} rules
+     * @param {number} rosterSize - Current team_members count.
+     * @param {Date} [now]
+     * @returns {Array<string>} Violations (empty = eligible).
+     */
+    static checkRegistration(rules, rosterSize, now = new Date()) {
+        const violations = [];
+        if (this.isRegistrationClosed(rules, now)) violations.push("انتهى موعد التسجيل في البطولة.");
+        if (rules.squad_min && rosterSize < rules.squad_min) {
+            violations.push(`الفريق يحتاج ${rules.squad_min} لاعبين على الأقل (لديك ${rosterSize}).`);
+        }
+        return violations;
+    }
+
+    /**
+     * Checks a match lineup.
+     *
+     * @param {Object} rules
+     * @param {Array<Object>} players - [{ id, username, activity_type }]
+     * @param {Array<string>} [foreignIds] - Players already fielded by another team in this tournament.
+     * @returns {Array<string>} Violations (empty = valid).
+     */
+    static checkLineup(rules, players, foreignIds = []) {
+        return this._checkPlayers(rules, players, foreignIds, 'التشكيلة');
+    }
+
+    /**
+     * Checks a registered tournament squad (same limits as a lineup).
+     * @param {Array<string>} [foreignIds] - Players registered by another team.
+     */
+    static checkSquad(rules, players, foreignIds = []) {
+        return this._checkPlayers(rules, players, foreignIds, 'القائمة');
+    }
+
+    static _checkPlayers(rules, players, foreignIds, noun) {
+        const violations = [];
+
+        if (rules.squad_min && players.length < rules.squad_min) {
+            violations.push(`${noun} تحتاج ${rules.squad_min} لاعبين على الأقل.`);
+        }
+        if (rules.squad_max && players.length > rules.squad_max) {
+            violations.push(`الحد الأقصى لـ${noun} ${rules.squad_max} لاعباً.`);
+        }
+
+        const pros = players.filter(p => p.activity_type === PRO_ACTIVITY);
+        if (rules.max_pro_players != null && pros.length > rules.max_pro_players) {
+            violations.push(`مسموح بـ ${rules.max_pro_players} لاعب محترف فقط (لديك ${pros.length}).`);
+        }
+
+        if (rules.one_team_per_player) {
+            const foreign = players.filter(p => foreignIds.includes(p.id));
+            if (foreign.length > 0) {
+                violations.push(`مسجلون مع فريق آخر في البطولة: ${foreign.map(p => p.username).join('، ')}.`);
+            }
+        }
+        return violations;
+    }
+
+    /**
+     * Readable rulebook lines for the details screen.
+     * @returns {Array<string>}
+     */
+    static describe(rules) {
+        const p = rules.points;
+        const lines = [`النقاط: فوز ${p.win} · تعادل ${p.draw} · خسارة ${p.loss}`];
+        if (rules.match_minutes) lines.push(`مدة المباراة: ${rules.match_minutes} دقيقة`);
+        if (rules.squad_min || rules.squad_max) {
+            lines.push(`التشكيلة: ${rules.squad_min || 1} - ${rules.squad_max || '∞'} لاعبين`);
+        }
+        if (rules.registration_deadline) {
+            lines.push(`آخر موعد للتسجيل: ${new Date(rules.registration_deadline).toLocaleString('ar-EG', { dateStyle: 'medium', timeStyle: 'short' })}`);
+        }
+        if (rules.max_pro_players != null) lines.push(`لاعبو الأندية المحترفة: ${rules.max_pro_players} كحد أقصى`);
+        if (rules.one_team_per_player) lines.push('اللاعب يمثل فريقاً واحداً فقط');
+        lines.push(`التبديلات في القائمة بعد القرعة: ${rules.max_replacements}`);
+        return lines;
+    }
+}
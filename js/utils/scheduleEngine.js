@@ -0,0 +1,221 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/scheduleEngine.js
+ * Version: Noub Sports_beta 0.0.1 (FIXTURE ENGINE)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A pure (DB-free) scheduling engine for round-robin competitions.
+ * It replaces the hand-written fixture lists that only covered groups of 2-4.
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Group Split: Deals a shuffled list of teams into N labelled groups (A, B, C...).
+ * 2. Circle Method: Generates rounds for any group size. Odd groups get a
+ *    phantom "BYE" slot, so every team rests exactly once per leg.
+ * 3. Home/Away Balance: Orients every pairing so each team's home and away
+ *    counts never differ by more than one, while limiting back-to-back home games.
+ * 4. Legs: Supports SINGLE or DOUBLE round robin (second leg mirrors the first
+ *    with venues swapped).
+ *
+ * INPUT: Arrays of team IDs.
+ * OUTPUT: Rounds { round, matches: [{ home, away }], byes: [teamId] }
+ * -----------------------------------------------------------------------------
+ */
+
+const GROUP_LABELS = 'ABCDEFGHIJKLMNOP'.split('');
+
+export class ScheduleEngine {
+
+    /**
+     * Deals teams into labelled groups (round-robin dealing, like cards).
+     * Team order is preserved, so callers shuffle/seed before calling.
+     *
+     * @param {Array} teams - Items to distribute (IDs or objects).
+     * @param {number} groupsCount - Number of groups (1-16).
+     * @returns {Object} Map of label -> items, e.g. { A: [...], B: [...] }.
+     */
+    static splitIntoGroups(teams, groupsCount) {
+        const count = Math.max(1, Math.min(groupsCount, GROUP_LABELS.length));
+        const groups = {};
+        GROUP_LABELS.slice(0, count).forEach(label => { groups[label] = []; });
+
+        teams.forEach((team, i) => {
+            groups[GROUP_LABELS[i % count]].push(team);
+        });
+        return groups;
+    }
+
+    /**
+     * Generates a full round-robin schedule using the Circle (Berger) Method.
+     *
+     * @param {Array<string>} teamIds - Participants of a single group/league.
+     * @param {Object} [options]
+     * @param {number} [options.legs=1] - 1 = single round robin, 2 = home & away.
+     * @returns {Array<Object>} Ordered rounds: { round, matches: [{home, away}], byes: [] }.
+     */
+    static roundRobin(teamIds, { legs = 1 } = {}) {
+        if (!teamIds || teamIds.length < 2) return [];
+
+        // 1. Pad odd groups with a BYE slot (null)
+        const slots = [...teamIds];
+        if (slots.length % 2 !== 0) slots.push(null);
+
+        const n = slots.length;
+        const firstLeg = [];
+
+        // 2. Rotate every slot except the first one
+        for (let r = 0; r < n - 1; r++) {
+            const pairs = [];
+            const byes = [];
+
+            for (let i = 0; i < n / 2; i++) {
+                const a = slots[i];
+                const b = slots[n - 1 - i];
+                if (a === null || b === null) {
+                    byes.push(a === null ? b : a);
+                } else {
+                    pairs.push([a, b]);
+                }
+            }
+
+            firstLeg.push({ round: r + 1, pairs, byes });
+            slots.splice(1, 0, slots.pop());
+        }
+
+        // 3. Orient pairings (Home/Away balance)
+        const rounds = this._repairBalance(this._balanceHomeAway(firstLeg, teamIds), teamIds);
+
+        // 4. Second leg mirrors the first with home/away swapped
+        if (legs === 2) {
+            const offset = rounds.length;
+            rounds.slice().forEach(r => {
+                rounds.push({
+                    round: r.round + offset,
+                    matches: r.matches.map(m => ({ home: m.away, away: m.home })),
+                    byes: [...r.byes]
+                });
+            });
+        }
+
+        return rounds;
+    }
+
+    /**
+     * Builds the flat fixture list for several groups at once.
+     * Round numbers are aligned across groups so "Round 2" is the same
+     * matchday everywhere (fair rest between rounds).
+     *
+     * @param {Object} groups - Map of label -> team IDs.
+     * @param {Object} [options] - Same options as roundRobin().
+     * @returns {Object} { fixtures: [{group, round, home, away}], byes: { group: { round: [ids] } }, roundsCount }
+     */
+    static buildGroupFixtures(groups, options = {}) {
+        const fixtures = [];
+        const byes = {};
+        let roundsCount = 0;
+
+        Object.keys(groups).forEach(label => {
+            const rounds = this.roundRobin(groups[label], options);
+            roundsCount = Math.max(roundsCount, rounds.length);
+
+            rounds.forEach(r => {
+                r.matches.forEach(m => fixtures.push({ group: label, round: r.round, home: m.home, away: m.away }));
+                if (r.byes.length > 0) {
+                    if (!byes[label]) byes[label] = {};
+                    byes[label][r.round] = r.byes;
+                }
+            });
+        });
+
+        return { fixtures, byes, roundsCount };
+    }
+
+    /**
+     * Translates the organizer's round-robin choice into a number of legs.
+     * @param {string} mode - 'SINGLE' or 'DOUBLE'.
+     */
+    static legsFor(mode) {
+        return mode === 'DOUBLE' ? 2 : 1;
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    /**
+     * Greedy orientation pass over the circle-method pairings.
+     * Priority: lower (home - away) balance -> was away last time -> circle order.
+     */
+    static _balanceHomeAway(rawRounds, teamIds) {
+        const balance = {};
+        const lastWasHome = {};
+        teamIds.forEach(id => { balance[id] = 0; lastWasHome[id] = null; });
+
+        return rawRounds.map(r => {
+            const matches = r.pairs.map(([a, b], idx) => {
+                let aHosts;
+                if (balance[a] !== balance[b]) {
+                    aHosts = balance[a] < balance[b];
+                } else if (lastWasHome[a] !== lastWasHome[b]) {
+                    aHosts = lastWasHome[a] !== true;
+                } else {
+                    aHosts = (r.round + idx) % 2 === 1;
+                }
+
+                const [h, aw] = aHosts ? [a, b] : [b, a];
+                balance[h]++;
+                balance[aw]--;
+                lastWasHome[h] = true;
+                lastWasHome[aw] = false;
+                return { home: h, away: aw };
+            });
+
+            return { round: r.round, matches, byes: r.byes };
+        });
+    }
+
+    /**
+     * Repair pass: the greedy pass can leave a team two home games "ahead".
+     * We follow a chain of its home fixtures until we reach a team that is
+     * behind, then swap venues along that chain (only the two ends change).
+     */
+    static _repairBalance(rounds, teamIds) {
+        const all = rounds.flatMap(r => r.matches);
+        const balance = {};
+        teamIds.forEach(id => { balance[id] = 0; });
+        all.forEach(m => { balance[m.home]++; balance[m.away]--; });
+
+        let source = teamIds.find(id => balance[id] > 1);
+        while (source !== undefined) {
+            // BFS over "hosts" edges
+            const via = { [source]: null };
+            const queue = [source];
+            let target;
+
+            while (queue.length > 0 && target === undefined) {
+                const current = queue.shift();
+                for (const m of all) {
+                    if (m.home !== current || m.away in via) continue;
+                    via[m.away] = m;
+                    if (balance[m.away] < 0) { target = m.away; break; }
+                    queue.push(m.away);
+                }
+            }
+
+            if (target === undefined) break; // Cannot happen on a complete schedule
+
+            for (let node = target; node !== source;) {
+                const m = via[node];
+                [m.home, m.away] = [m.away, m.home];
+                node = m.away;
+            }
+            balance[source] -= 2;
+            balance[target] += 2;
+
+            source = teamIds.find(id => balance[id] > 1);
+        }
+        return rounds;
+    }
+}
@@ -0,0 +1,268 @@
+/*
+ * Project: NOUB SPORTS ECOSYSTEM
+ * Filename: js/utils/standingsEngine.js
+ * Version: Noub Sports_beta 0.0.1 (TIE-BREAKER ENGINE)
+ * Status: Production Ready
+ *
+ * -----------------------------------------------------------------------------
+ * ARCHITECTURAL OVERVIEW:
+ * -----------------------------------------------------------------------------
+ * A pure (DB-free) standings calculator. Instead of trusting the incremental
+ * counters stored on 'tournament_teams', it rebuilds every table from the
+ * CONFIRMED fixtures, then orders tied teams with a configurable chain of
+ * tie-breakers.
+ *
+ * CORE RESPONSIBILITIES:
+ * 1. Table Build: Played / W / D / L / GF / GA / GD / Points per group.
+ * 2. Tie-Breakers (config.tiebreakers, in order):
+ *    - H2H_POINTS, H2H_GOAL_DIFF: Mini-table between the tied teams only.
+ *    - GOAL_DIFF, GOALS_FOR: Overall group figures.
+ *    - FAIR_PLAY: Yellow = 1 pt, Red = 3 pts (fewer is better).
+ *    - LOTS: Order recorded by the organizer (config.lots[group]).
+ *    A full tie only asks for a lot draw once the teams have played and
+ *    either the group is finished or the tie straddles a qualification spot.
+ * 3. Recursion: When a criterion splits a block but leaves a smaller tie,
+ *    the chain restarts on that smaller block (UEFA style).
+ * 4. Explanation: Every row separated by a tie-breaker gets a human note.
+ *
+ * INPUT: tournament_teams rows + matches rows.
+ * OUTPUT: { [group]: [ rows sorted by rank ] }
+ * -----------------------------------------------------------------------------
+ */
+
+export const DEFAULT_TIEBREAKERS = ['H2H_POINTS', 'H2H_GOAL_DIFF', 'GOAL_DIFF', 'GOALS_FOR', 'FAIR_PLAY', 'LOTS'];
+
+const CRITERIA_LABELS = {
+    H2H_POINTS: 'نقاط المواجهات المباشرة',
+    H2H_GOAL_DIFF: 'فارق أهداف المواجهات المباشرة',
+    GOAL_DIFF: 'فارق الأهداف',
+    GOALS_FOR: 'الأهداف المسجلة',
+    FAIR_PLAY: 'اللعب النظيف (بطاقات أقل)',
+    LOTS: 'القرعة'
+};
+
+const COUNTED_STAGES = ['GROUP', 'LEAGUE'];
+
+export class StandingsEngine {
+
+    /**
+     * Builds ordered tables for every group.
+     *
+     * @param {Array} participants - tournament_teams rows ({ team_id, group_name, teams: { name } }).
+     * @param {Array} fixtures - matches rows (only CONFIRMED/FINISHED group matches are counted).
+     * @param {Object} [options]
+     * @param {Array<string>} [options.tiebreakers] - Ordered criteria keys.
+     * @param {Object} [options.lots] - { group: [teamId, ...] } recorded lot order.
+     * @param {Object} [options.points] - { win, draw, loss } points per result.
+     * @param {Array<number>} [options.boundaries] - Last qualifying ranks (e.g. [2, 3]
+     *                                               with best thirds); a tie across one needs lots.
+     * @returns {Object} Map of group -> ranked rows.
+     */
+    static compute(participants, fixtures, options = {}) {
+        const tiebreakers = options.tiebreakers?.length ? options.tiebreakers : DEFAULT_TIEBREAKERS;
+        const pointsFor = { win: 3, draw: 1, loss: 0, ...(options.points || {}) };
+        const lots = options.lots || {};
+
+        // 1. Empty rows per group
+        const rows = {};
+        participants.forEach(p => {
+            if (!p.group_name) return;
+            rows[p.team_id] = {
+                team_id: p.team_id,
+                name: p.teams?.name || '???',
+                group: p.group_name,
+                played: 0, won: 0, drawn: 0, lost: 0,
+                goals_for: 0, goals_against: 0, goal_diff: 0,
+                points: 0, fair_play: 0,
+                note: '', tied: false
+            };
+        });
+
+        // 2. Replay confirmed group fixtures
+        const counted = (fixtures || []).filter(m =>
+            (m.status === 'CONFIRMED' || m.status === 'FINISHED') &&
+            (!m.stage || COUNTED_STAGES.includes(m.stage)) &&
+            rows[m.team_a_id] && rows[m.team_b_id]
+        );
+
+        counted.forEach(m => {
+            this._apply(rows[m.team_a_id], m.score_a, m.score_b, pointsFor);
+            this._apply(rows[m.team_b_id], m.score_b, m.score_a, pointsFor);
+
+            const cards = m.match_data?.cards;
+            if (cards) {
+                rows[m.team_a_id].fair_play += this._cardPoints(cards.a);
+                rows[m.team_b_id].fair_play += this._cardPoints(cards.b);
+            }
+        });
+
+        // 3. Group & rank
+        const groups = {};
+        Object.values(rows).forEach(r => {
+            if (!groups[r.group]) groups[r.group] = [];
+            groups[r.group].push(r);
+        });
+
+        // A group is finished when none of its fixtures is still to be played
+        const pending = (fixtures || []).filter(m =>
+            !['CONFIRMED', 'FINISHED', 'CANCELLED', 'REJECTED'].includes(m.status) &&
+            (!m.stage || COUNTED_STAGES.includes(m.stage)) &&
+            rows[m.team_a_id] && rows[m.team_b_id]
+        );
+
+        Object.keys(groups).forEach(g => {
+            const ctx = {
+                matches: counted,
+                pointsFor,
+                lots: lots[g] || [],
+                finished: !pending.some(m => rows[m.team_a_id].group === g),
+                boundaries: options.boundaries || []
+            };
+            const byPoints = this._partition(groups[g], r => r.points);
+            let offset = 0;
+            groups[g] = byPoints.flatMap(block => {
+                const ordered = this._resolve(block, tiebreakers, ctx, offset);
+                offset += block.length;
+                return ordered;
+            });
+            groups[g].forEach((r, i) => { r.rank = i + 1; });
+        });
+
+        return groups;
+    }
+
+    /**
+     * Human-readable name of a criterion (for UI pickers).
+     */
+    static labelFor(criterion) {
+        return CRITERIA_LABELS[criterion] || criterion;
+    }
+
+    /* =========================================================================
+       INTERNAL HELPERS
+       ========================================================================= */
+
+    static _apply(row, gf, ga, pointsFor) {
+        row.played++;
+        row.goals_for += gf;
+        row.goals_against += ga;
+        row.goal_diff = row.goals_for - row.goals_against;
+        if (gf > ga) { row.won++; row.points += pointsFor.win; }
+        else if (gf === ga) { row.drawn++; row.points += pointsFor.draw; }
+        else { row.lost++; row.points += pointsFor.loss; }
+    }
+
+    static _cardPoints(c) {
+        if (!c) return 0;
+        return (c.yellow || 0) + (c.red || 0) * 3;
+    }
+
+    /**
+     * Splits rows into blocks of equal value, best (highest) first.
+     */
+    static _partition(list, valueOf) {
+        const sorted = [...list].sort((x, y) => valueOf(y) - valueOf(x));
+        const blocks = [];
+        sorted.forEach(r => {
+            const last = blocks[blocks.length - 1];
+            if (last && valueOf(last[0]) === valueOf(r)) last.push(r);
+            else blocks.push([r]);
+        });
+        return blocks;
+    }
+
+    /**
+     * Orders a block of teams level on points.
+     * Tries each criterion; the first one that separates anything wins,
+     * and every smaller tie left behind is resolved from scratch.
+     *
+     * @param {number} offset - Teams ranked above the block.
+     */
+    static _resolve(block, tiebreakers, ctx, offset = 0) {
+        if (block.length === 1) return block;
+
+        for (const criterion of tiebreakers) {
+            const metric = this._metric(criterion, block, ctx);
+            if (!metric) continue;
+
+            const parts = this._partition(block, r => metric[r.team_id]);
+            if (parts.length === 1) continue;
+
+            block.forEach(r => {
+                r.note = `${CRITERIA_LABELS[criterion]}: ${this._display(criterion, metric[r.team_id], r)}`;
+            });
+            let start = offset;
+            return parts.flatMap(p => {
+                const ordered = this._resolve(p, tiebreakers, ctx, start);
+                start += p.length;
+                return ordered;
+            });
+        }
+
+        // Still level after the whole chain -> a lot draw, if it matters yet
+        const played = block.every(r => r.played > 0);
+        const onBoundary = ctx.boundaries.some(b => offset < b && offset + block.length > b);
+        const needsLots = played && (ctx.finished || onBoundary);
+        block.forEach(r => {
+            r.tied = needsLots;
+            r.note = needsLots ? 'متساوٍ تماماً - بانتظار القرعة' : (played ? 'متساوٍ تماماً' : '');
+        });
+        return block.sort((x, y) => x.name.localeCompare(y.name));
+    }
+
+    /**
+     * Returns { teamId: value } where a HIGHER value ranks higher.
+     */
+    static _metric(criterion, block, ctx) {
+        const ids = block.map(r => r.team_id);
+        const metric = {};
+
+        switch (criterion) {
+            case 'H2H_POINTS':
+            case 'H2H_GOAL_DIFF': {
+                ids.forEach(id => { metric[id] = 0; });
+                ctx.matches
+                    .filter(m => ids.includes(m.team_a_id) && ids.includes(m.team_b_id))
+                    .forEach(m => {
+                        if (criterion === 'H2H_POINTS') {
+                            metric[m.team_a_id] += this._resultPoints(m.score_a, m.score_b, ctx.pointsFor);
+                            metric[m.team_b_id] += this._resultPoints(m.score_b, m.score_a, ctx.pointsFor);
+                        } else {
+                            metric[m.team_a_id] += m.score_a - m.score_b;
+                            metric[m.team_b_id] += m.score_b - m.score_a;
+                        }
+                    });
+                return metric;
+            }
+            case 'GOAL_DIFF':
+                block.forEach(r => { metric[r.team_id] = r.goal_diff; });
+                return metric;
+            case 'GOALS_FOR':
+                block.forEach(r => { metric[r.team_id] = r.goals_for; });
+                return metric;
+            case 'FAIR_PLAY':
+                block.forEach(r => { metric[r.team_id] = -r.fair_play; });
+                return metric;
+            case 'LOTS': {
+                // Only usable once every tied team has a recorded position
+                if (!ids.every(id => ctx.lots.includes(id))) return null;
+                ids.forEach(id => { metric[id] = -ctx.lots.indexOf(id); });
+                return metric;
+            }
+            default:
+                return null;
+        }
+    }
+
+    static _resultPoints(gf, ga, pointsFor) {
+        if (gf > ga) return pointsFor.win;
+        if (gf === ga) return pointsFor.draw;
+        return pointsFor.loss;
+    }
+
+    static _display(criterion, value, row) {
+        if (criterion === 'FAIR_PLAY') return `${row.fair_play} نقطة بطاقات`;
+        if (criterion === 'LOTS') return `سحب رقم ${1 - value}`;
+        return value > 0 && criterion.includes('DIFF') ? `+${value}` : `${value}`;
+    }
+}